@@ -1,6 +1,5 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const https = require('node:https');
 
 const { getEventType, shouldProcessEvent, extractReviewCommentAnchor } = require('./lib/events.js');
 const { parseCommand, isValid } = require('./lib/commands.js');
@@ -10,7 +9,9 @@ const {
   DEFAULT_REVIEW_BATCH_CHARS,
   DEFAULT_MAX_FILES_PER_BATCH,
   DEFAULT_MAX_PATCH_CHARS,
+  DEFAULT_AUTO_REVIEW_TIMEOUT_MS,
   buildCoverageNotes,
+  buildExcludedFilesNote,
   buildFallbackReview,
   buildPrompt: buildBatchedReviewPrompt,
   buildSynthesisPrompt,
@@ -24,22 +25,68 @@ const {
   MAX_PR_FILES_API_LIMIT,
 } = require('./lib/changed-files');
 const { handleAskCommand } = require('./lib/handlers/ask.js');
-const { handleDescribeCommand } = require('./lib/handlers/describe');
+const { handleDescribeCommand, fetchAllCommits, computeDiffStats, formatDiffStats } = require('./lib/handlers/describe');
 const { handleImpactCommand } = require('./lib/handlers/impact');
 const reviewHandler = require('./lib/handlers/review.js');
 const explainHandler = require('./lib/handlers/explain.js');
+const fixHandler = require('./lib/handlers/fix.js');
+const testHandler = require('./lib/handlers/test.js');
+const changelogHandler = require('./lib/handlers/changelog.js');
 const { handleScheduledEvent } = require('./lib/handlers/scheduled.js');
 
-const { DEFAULT_MAX_CHARS, fetchChangedFiles } = require('./lib/context.js');
+const { DEFAULT_MAX_CHARS, fetchChangedFiles, truncateContext } = require('./lib/context.js');
 const { loadContinuityState, mergeState, createCommentWithState } = require('./lib/continuity.js');
 const { REACTIONS, setReaction, upsertComment } = require('./lib/comments.js');
 const { createApiClient } = require('./lib/api.js');
-const { createLogger, generateCorrelationId } = require('./lib/logging.js');
-const ZAI_API_URL = 'https://api.z.ai/api/coding/paas/v4/chat/completions';
+const { resolvePrRefs } = require('./lib/pr-context.js');
+const { resolveProvider, resolveProviderFromInputs } = require('./lib/providers.js');
+const { createLogger, generateCorrelationId, getUserMessage } = require('./lib/logging.js');
+const {
+  FINDINGS_INSTRUCTIONS,
+  buildUnanchoredSection,
+  extractFindings,
+  publishInlineFindings,
+} = require('./lib/review-findings.js');
+const {
+  getPromptOverride,
+  getReviewConfigOverrides,
+  isCommandEnabled,
+  isPathIncluded,
+  isPathIgnored,
+  partitionIgnoredFiles,
+  resolveRepoConfig,
+} = require('./lib/config/repo-config.js');
+const { renderPrompt } = require('./lib/prompts.js');
+const { appendGuidelines, loadGuidelines } = require('./lib/guidelines.js');
+const { appendDefinitions, collectDefinitions } = require('./lib/cross-file-context.js');
+const {
+  appendUpdateSection,
+  buildIncrementalPreface,
+  buildReviewedShaMarker,
+  getLastReviewedSha,
+  getPreviousReviewContent,
+  resolveIncrementalDiff,
+  selectIncrementalFiles,
+} = require('./lib/incremental-review.js');
+const { checkCommandQuota, formatQuotaExceededMessage } = require('./lib/quota.js');
+const { DEFAULT_TITLE_PATTERN, isTitleValid, suggestTitle, setTitleStatus } = require('./lib/pr-title.js');
+const { publishReviewCheck } = require('./lib/review-check.js');
+const { createSarifReport, writeSarifReport, attachSourceText } = require('./lib/sarif.js');
+const { buildStructuredInstructions, renderReviewMarkdown, requestStructuredOutput } = require('./lib/structured-output.js');
+const { PROGRESS_MARKER, buildProgressBody, createProgressUpdater, withProgress } = require('./lib/progress.js');
+const {
+  createUsageTracker,
+  formatUsageFooter,
+  appendUsageFooter,
+  appendUsageFooterToComment,
+  setUsageOutputs,
+  writeUsageSummary,
+} = require('./lib/usage.js');
 const COMMENT_MARKER = '<!-- zai-code-review -->';
-const PROGRESS_MARKER = '<!-- zai-progress -->';
 const GUIDANCE_MARKER = '<!-- zai-guidance -->';
 const AUTH_MARKER = '<!-- zai-auth -->';
+const REVIEW_ERROR_MARKER = '<!-- zai-review-error -->';
+const TITLE_SUGGESTION_MARKER = '<!-- zai-title-suggestion -->';
 
 // Safe guidance messages for error cases
 const GUIDANCE_MESSAGES = {
@@ -51,6 +98,9 @@ Unknown command. Available commands:
 - \`/zai explain <lines>\` - Explain specific lines
 - \`/zai describe\` - Generate PR description from commits
 - \`/zai impact\` - Analyze the potential impact of changes
+- \`/zai fix <file> [lines] [instruction]\` - Generate a fix and commit it to the PR branch
+- \`/zai test [file]\` - Propose unit tests for changed functions
+- \`/zai changelog\` - Build a changelog section from merged PRs
 - \`/zai help\` - Show this help message
 
 You can also use @zai-bot instead of /zai.
@@ -92,17 +142,21 @@ ${formattedFiles}
 </pull_request_changes>`;
 }
 
-function callZaiApi(apiKey, model, prompt) {
-  return new Promise((resolve, reject) => {
-    const systemPrompt = `You are an Elite Staff Engineer and meticulous Code Reviewer. Your objective is to thoroughly analyze Pull Request diffs, identify potential bugs, security vulnerabilities, and architectural flaws, and provide constructive, actionable feedback.
-
-### Core Instructions:
-1. **Focus on Impact:** Prioritize logic errors, security risks (e.g., injections, unvalidated input), performance bottlenecks, and bad practices.
-2. **Ignore Trivialities:** Do not comment on minor styling or formatting issues that a linter should catch (e.g., trailing spaces, missing semicolons) unless they affect readability significantly.
-3. **Be Actionable:** If you point out a problem, briefly explain *why* it is a problem and provide a short code snippet demonstrating the fix.
-4. **Tone:** Maintain a professional, objective, and encouraging tone.
-
-### Required Output Format:
+/**
+ * Request an auto-review through the shared API client, so it gets the same
+ * retries, progressive timeouts and compact-prompt fallback as commands.
+ * @param {string} apiKey - Provider API key
+ * @param {string} model - Model identifier
+ * @param {string} prompt - Review prompt
+ * @param {Object} [options] - { instructions, promptTemplates, guidelines, provider, timeout, apiClient, usageTracker, structured }
+ * @param {boolean} [options.structured] - Ask for a JSON answer (`output.format: json`) instead of markdown
+ * @returns {Promise<string>} Review text
+ * @throws {Error} - With `category` and `retryable` from the client, and the raw error as `cause`
+ */
+async function callZaiApi(apiKey, model, prompt, options = {}) {
+  const outputFormat = options.structured ? buildStructuredInstructions({
+    risk: '"level" is how risky it is to merge the changes as they are: "low" for good changes, "medium" for acceptable changes with minor issues, "high" or "critical" when they should not be merged as they are; "reason" justifies it in 1-2 sentences.',
+  }) : `### Required Output Format:
 You MUST format your response strictly using the Markdown structure below. If a section has no issues, write "None detected."
 
 **## 🔍 Review Summary**
@@ -117,56 +171,38 @@ You MUST format your response strictly using the Markdown structure below. If a
 **## 📊 Final Assessment**
 [You MUST conclude your review with exactly one of the following ratings in bold, followed by a brief justification: **Good**, **Normal**, or **Very Bad**]
 * **Rating:** [Insert Rating]
-* **Reason:** [1-2 sentences explaining why this rating was given]`;
-
-    const body = JSON.stringify({
-      model,
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt,
-        },
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-    });
-
-    const url = new URL(ZAI_API_URL);
-    const options = {
-      hostname: url.hostname,
-      path: url.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Length': Buffer.byteLength(body),
-      },
-    };
-
-    const req = https.request(options, res => {
-      let data = '';
-      res.on('data', chunk => (data += chunk));
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          const parsed = JSON.parse(data);
-          const content = parsed.choices?.[0]?.message?.content;
-          if (!content) {
-            reject(new Error(`Z.ai API returned an empty response: ${data}`));
-          } else {
-            resolve(content);
-          }
-        } else {
-          reject(new Error(`Z.ai API error ${res.statusCode}: ${data}`));
-        }
-      });
-    });
+* **Reason:** [1-2 sentences explaining why this rating was given]
+
+${FINDINGS_INSTRUCTIONS}`;
+  const systemPrompt = appendGuidelines(renderPrompt('auto_review', { output_format: outputFormat }, {
+    templates: options.promptTemplates,
+    instructions: options.instructions,
+  }), options.guidelines, { findings: true });
+
+  const apiClient = options.apiClient || createApiClient({
+    timeout: options.timeout || DEFAULT_AUTO_REVIEW_TIMEOUT_MS,
+    provider: options.provider || resolveProvider(),
+    usageTracker: options.usageTracker,
+    usageLabel: 'auto-review',
+  });
 
-    req.on('error', reject);
-    req.write(body);
-    req.end();
+  const result = await apiClient.call({
+    apiKey,
+    model,
+    prompt,
+    systemPrompt,
+    // After repeated timeouts, retry once with the diff cut to half its size
+    fallbackPrompt: () => ({ prompt: truncateContext(prompt, Math.max(1, Math.floor(prompt.length / 2))).content }),
   });
+
+  if (!result.success) {
+    const error = new Error(result.error.message, { cause: result.error.cause });
+    error.category = result.error.category;
+    error.retryable = result.error.retryable;
+    throw error;
+  }
+
+  return result.data;
 }
 
 function parsePositiveInteger(value, fallback) {
@@ -202,6 +238,10 @@ function getReviewConfig(_core = core, overrides = {}) {
       input('ZAI_AUTO_REVIEW_MAX_PATCH_CHARS', String(DEFAULT_MAX_PATCH_CHARS)),
       DEFAULT_MAX_PATCH_CHARS
     ),
+    requestTimeout: parsePositiveInteger(
+      input('ZAI_AUTO_REVIEW_TIMEOUT', String(DEFAULT_AUTO_REVIEW_TIMEOUT_MS)),
+      DEFAULT_AUTO_REVIEW_TIMEOUT_MS
+    ),
   };
 }
 
@@ -256,10 +296,16 @@ async function runLargePrReview(files, state, deps = {}) {
 
   const { batches, metadata } = _createReviewBatches(files, state.reviewConfig);
   const collectedReviews = [];
+  let budgetStop = null;
 
   for (let index = 0; index < batches.length; index += 1) {
     const batchNumber = index + 1;
     const batchEntries = batches[index];
+    if (state.usageTracker?.isBudgetExceeded()) {
+      budgetStop = { reviewedBatches: index, totalBatches: batches.length, tokenBudget: state.usageTracker.tokenBudget };
+      _core.warning(`Token budget of ${budgetStop.tokenBudget} reached after ${index} of ${batches.length} batch(es); skipping the remaining batches.`);
+      break;
+    }
     _core.info(`Reviewing large PR batch ${batchNumber}/${batches.length} with ${batchEntries.length} chunk(s).`);
     const batchResults = await executeReviewBatch(batchEntries, {
       apiKey: state.apiKey,
@@ -270,15 +316,26 @@ async function runLargePrReview(files, state, deps = {}) {
     collectedReviews.push(...batchResults);
   }
 
+  if (!budgetStop && state.usageTracker?.isBudgetExceeded()) {
+    budgetStop = { reviewedBatches: batches.length, totalBatches: batches.length, tokenBudget: state.usageTracker.tokenBudget };
+    _core.warning(`Token budget of ${budgetStop.tokenBudget} reached; skipping the final synthesis.`);
+  }
+
   const reviewedFiles = new Set(files.filter(file => file.patch).map(file => file.filename)).size;
   const synthesisMetadata = {
     reviewedFiles,
     totalBatches: collectedReviews.length,
     splitFileCount: metadata.splitFileCount,
     limitReached: state.limitReached,
+    excludedFiles: state.excludedFiles || [],
+    budgetStop,
   };
 
   const coverageNotes = _buildCoverageNotes(synthesisMetadata);
+  if (budgetStop) {
+    // Spend nothing more on synthesis once the budget is gone
+    return _buildFallbackReview(collectedReviews, synthesisMetadata);
+  }
   const synthesisPrompt = _buildSynthesisPrompt(collectedReviews, synthesisMetadata);
 
   try {
@@ -302,6 +359,8 @@ async function enforceCommandAuthorization(context, octokit, owner, repo, option
     pullNumber,
     replyToId,
     isReviewComment = false,
+    command,
+    policy,
   } = options;
   const {
     core: _core = core,
@@ -313,7 +372,7 @@ async function enforceCommandAuthorization(context, octokit, owner, repo, option
   } = deps;
 
   const commenter = _getCommenter(context);
-  const authResult = await _checkForkAuthorization(octokit, context, commenter);
+  const authResult = await _checkForkAuthorization(octokit, context, commenter, { command, policy });
 
   if (authResult.authorized) {
     return { authorized: true, commenter };
@@ -348,12 +407,81 @@ async function enforceCommandAuthorization(context, octokit, owner, repo, option
   return { authorized: false, commenter, silent: false };
 }
 
+// issue_comment payloads carry no base branch, so it is read from the PR itself
+async function resolveCommentRepoConfig(octokit, owner, repo, pullNumber, deps = {}) {
+  const {
+    core: _core = core,
+    resolvePrRefs: _resolvePrRefs = resolvePrRefs,
+    resolveRepoConfig: _resolveRepoConfig = resolveRepoConfig,
+  } = deps;
+
+  const refs = await _resolvePrRefs(octokit, owner, repo, pullNumber);
+  if (!refs.success) {
+    _core.warning(`Failed to resolve the PR base branch: ${refs.error}. Loading configuration from the default branch.`);
+  }
+  return _resolveRepoConfig(octokit, owner, repo, refs.success ? refs.data.base.ref : undefined, { core: _core });
+}
+
+async function enforceCommandEnabled(command, octokit, owner, repo, options = {}, deps = {}) {
+  const {
+    issueNumber,
+    pullNumber,
+    replyToId,
+    isReviewComment = false,
+    baseRef,
+  } = options;
+  const {
+    core: _core = core,
+    resolveRepoConfig: _resolveRepoConfig = resolveRepoConfig,
+    upsertComment: _upsertComment = upsertComment,
+    setReaction: _setReaction = setReaction,
+  } = deps;
+
+  let { repoConfig, configSource: source } = options;
+  if (!repoConfig) {
+    const resolved = await _resolveRepoConfig(octokit, owner, repo, baseRef, { core: _core });
+    if (resolved.error) {
+      _core.warning(`${resolved.error}. Falling back to action input defaults.`);
+    }
+    ({ config: repoConfig, source } = resolved);
+  }
+
+  if (isCommandEnabled(repoConfig, command)) {
+    return { enabled: true, repoConfig };
+  }
+
+  _core.info(`Command ${command} is disabled by ${source}`);
+  await _upsertComment(
+    octokit,
+    owner,
+    repo,
+    issueNumber,
+    `## Z.ai Help\n\n\`/zai ${command}\` is disabled for this repository (configured in ${source}).\n\n${GUIDANCE_MARKER}`,
+    GUIDANCE_MARKER,
+    { replyToId, updateExisting: false, isReviewComment, pullNumber }
+  );
+
+  if (replyToId) {
+    try {
+      await _setReaction(octokit, owner, repo, replyToId, REACTIONS.X);
+    } catch (reactionError) {
+      _core.warning(`Failed to set disabled-command reaction: ${reactionError.message}`);
+    }
+  }
+
+  return { enabled: false, repoConfig };
+}
+
 async function run() {
-  const apiKey = core.getInput('ZAI_API_KEY', { required: true });
+  const provider = resolveProviderFromInputs(core);
+  const apiKey = core.getInput('ZAI_API_KEY', { required: provider.requiresApiKey });
   const model = core.getInput('ZAI_MODEL') || 'glm-4.7';
   const zaiTimeout = parseInt(core.getInput('ZAI_TIMEOUT') || '30000', 10);
-  const reviewConfig = getReviewConfig(core);
-
+  const usageTracker = createUsageTracker({
+    tokenBudget: parsePositiveInteger(core.getInput('ZAI_TOKEN_BUDGET'), 0),
+    footer: core.getInput('ZAI_USAGE_FOOTER') === 'true',
+  });
+  const sarifReport = createSarifReport({ path: core.getInput('ZAI_SARIF_PATH') });
   const { context } = github;
   const { owner, repo } = context.repo;
 
@@ -368,14 +496,58 @@ async function run() {
   core.info(`Processing event type: ${eventType}`);
 
   // Route to appropriate handler
-  if (eventType === 'pull_request') {
-    await handlePullRequestEvent(context, apiKey, model, owner, repo, { reviewConfig });
-  } else if (eventType === 'issue_comment_pr') {
-    await handleIssueCommentEvent(context, apiKey, model, owner, repo, zaiTimeout);
-  } else if (eventType === 'pull_request_review_comment') {
-    await handlePullRequestReviewCommentEvent(context, apiKey, model, owner, repo, zaiTimeout);
-  } else if (eventType === 'schedule') {
-    await handleScheduledEvent(context, apiKey, model, owner, repo);
+  try {
+    if (eventType === 'pull_request') {
+      await handlePullRequestEvent(context, apiKey, model, owner, repo, { provider, usageTracker, sarifReport });
+    } else if (eventType === 'issue_comment_pr') {
+      await handleIssueCommentEvent(context, apiKey, model, owner, repo, zaiTimeout, provider, usageTracker, sarifReport);
+    } else if (eventType === 'pull_request_review_comment') {
+      await handlePullRequestReviewCommentEvent(context, apiKey, model, owner, repo, zaiTimeout, provider, usageTracker, sarifReport);
+    } else if (eventType === 'schedule') {
+      await handleScheduledEvent(context, apiKey, model, owner, repo, { provider, usageTracker, timeout: zaiTimeout });
+    }
+  } finally {
+    await reportUsage(usageTracker);
+    reportSarif(sarifReport);
+  }
+}
+
+/**
+ * Publish the run's token usage as action outputs and a job summary table.
+ * Reporting problems are logged and never fail the run.
+ */
+async function reportUsage(usageTracker, _core = core) {
+  try {
+    setUsageOutputs(usageTracker, _core);
+    await writeUsageSummary(usageTracker, _core);
+  } catch (error) {
+    _core.warning(`Failed to report token usage: ${error.message}`);
+  }
+}
+
+/**
+ * Write the run's findings to the configured SARIF file.
+ * Export problems are logged and never fail the run.
+ */
+function reportSarif(sarifReport, _core = core) {
+  try {
+    writeSarifReport(sarifReport, _core);
+  } catch (error) {
+    _core.warning(`Failed to write SARIF report: ${error.message}`);
+  }
+}
+
+/**
+ * Append the usage footer to the comment a command finished in.
+ */
+async function appendCommandUsageFooter(octokit, owner, repo, progressComment, usageTracker, command) {
+  if (!usageTracker?.footer || !progressComment) {
+    return;
+  }
+  try {
+    await appendUsageFooterToComment(octokit, owner, repo, progressComment, formatUsageFooter(usageTracker.getTotals(command)));
+  } catch (error) {
+    core.warning(`Failed to append usage footer: ${error.message}`);
   }
 }
 
@@ -387,9 +559,20 @@ async function handlePullRequestEvent(context, apiKey, model, owner, repo, deps
     buildPrompt: _buildPrompt = buildPrompt,
     callZaiApi: _callZaiApi = callZaiApi,
     COMMENT_MARKER: _MARKER = COMMENT_MARKER,
-    reviewConfig = getReviewConfig(_core),
+    reviewConfig: providedReviewConfig,
+    resolveRepoConfig: _resolveRepoConfig = resolveRepoConfig,
     fetchAllChangedFiles: _fetchAllChangedFiles = fetchAllChangedFiles,
     runLargePrReview: _runLargePrReview = runLargePrReview,
+    publishInlineFindings: _publishInlineFindings = publishInlineFindings,
+    resolveIncrementalDiff: _resolveIncrementalDiff = resolveIncrementalDiff,
+    handlePullRequestTitle: _handlePullRequestTitle = handlePullRequestTitle,
+    publishReviewCheck: _publishReviewCheck = publishReviewCheck,
+    loadGuidelines: _loadGuidelines = loadGuidelines,
+    collectDefinitions: _collectDefinitions = collectDefinitions,
+    attachSourceText: _attachSourceText = attachSourceText,
+    provider = resolveProvider(),
+    usageTracker = null,
+    sarifReport = null,
   } = deps;
 
   const pullNumber = context.payload.pull_request?.number;
@@ -402,6 +585,44 @@ async function handlePullRequestEvent(context, apiKey, model, owner, repo, deps
   const token = process.env.GITHUB_TOKEN || _core.getInput('GITHUB_TOKEN');
   const octokit = _github.getOctokit(token);
 
+  const baseRef = context.payload.pull_request?.base?.ref;
+  const { config: repoConfig, source: configSource, error: configError } = await _resolveRepoConfig(
+    octokit, owner, repo, baseRef, { core: _core }
+  );
+  if (configError) {
+    _core.warning(`${configError}. Falling back to action input defaults.`);
+  }
+
+  await _handlePullRequestTitle(context, octokit, owner, repo, apiKey, model, repoConfig, {
+    core: _core,
+    provider,
+    usageTracker,
+  });
+
+  // Title and body edits change no code; a base change still needs a review
+  if (context.payload.action === 'edited' && !context.payload.changes?.base) {
+    return { success: true, skipped: true, reason: 'Pull request edited without code changes' };
+  }
+
+  if (!repoConfig.autoReview.enabled) {
+    _core.info(`Auto-review disabled by ${configSource}. Skipping review.`);
+    return { success: true, skipped: true, reason: 'Auto-review disabled by configuration' };
+  }
+
+  const reviewConfig = providedReviewConfig || getReviewConfig(_core, getReviewConfigOverrides(repoConfig));
+  const reviewInstructions = getPromptOverride(repoConfig, 'auto_review');
+  // AGENTS.md and copilot instructions covering the reviewed files, loaded below
+  let guidelines = [];
+  const callReviewApi = (key, reviewModel, prompt, extraOptions = {}) => _callZaiApi(key, reviewModel, prompt, {
+    instructions: reviewInstructions,
+    promptTemplates: repoConfig.promptTemplates,
+    guidelines,
+    provider,
+    timeout: reviewConfig.requestTimeout,
+    usageTracker,
+    ...extraOptions,
+  });
+
   _core.info(`Fetching changed files for PR #${pullNumber}...`);
   let filesResult;
   if (_fetchAllChangedFiles) {
@@ -412,45 +633,227 @@ async function handlePullRequestEvent(context, apiKey, model, owner, repo, deps
   } else {
     filesResult = { files: await _getChangedFiles(octokit, owner, repo, pullNumber), limitReached: false };
   }
-  const files = filesResult.files;
+  const excludedFiles = [];
+  const files = filesResult.files.filter(file => {
+    const reviewed = isPathIncluded(file.filename, repoConfig.autoReview) && !isPathIgnored(file.filename, repoConfig.ignore);
+    if (!reviewed) {
+      excludedFiles.push(file.filename);
+    }
+    return reviewed;
+  });
+  if (excludedFiles.length > 0) {
+    _core.info(`Skipping ${excludedFiles.length} file(s) filtered out by ignore rules and auto_review include/exclude globs.`);
+  }
+
+  const headSha = context.payload.pull_request?.head?.sha;
+  // A required check must still report when there is nothing to review
+  const reportCheck = async (review, findings) => {
+    if (!repoConfig.checkRun?.enabled || !headSha) {
+      return null;
+    }
+    try {
+      const check = await _publishReviewCheck(octokit, owner, repo, {
+        headSha,
+        name: repoConfig.checkRun.name,
+        review,
+        findings,
+        failOn: repoConfig.checkRun.failOn,
+      });
+      _core.info(`${check.updated ? 'Updated' : 'Created'} check run "${repoConfig.checkRun.name}" (${check.conclusion}, ${check.annotations} new annotation(s)).`);
+      return check.conclusion;
+    } catch (error) {
+      _core.warning(`Failed to publish the review check run: ${error.message}`);
+      return null;
+    }
+  };
 
   if (!files.some(f => f.patch)) {
     _core.info('No patchable changes found. Skipping review.');
+    await reportCheck('_No reviewable changes in this pull request._', []);
+    sarifReport?.add([], 'auto-review');
     return { success: true, skipped: true, reason: 'No patchable changes' };
   }
 
-  const patchableFiles = files.filter(file => file.patch);
-  let review;
-
-  if (isLargePr(patchableFiles, reviewConfig)) {
-    _core.info(`Large PR detected (${patchableFiles.length} patchable file(s)); switching to batched review mode.`);
-    review = await _runLargePrReview(patchableFiles, {
-      apiKey,
-      model,
-      reviewConfig,
-      limitReached: Boolean(filesResult.limitReached),
-    }, {
-      callZaiApi: _callZaiApi,
-      core: _core,
+  const { data: comments } = await octokit.rest.issues.listComments({
+    owner,
+    repo,
+    issue_number: pullNumber,
+  });
+  const existing = comments.find(c => c.body.includes(_MARKER));
+  const staleError = comments.find(c => c.body.includes(REVIEW_ERROR_MARKER));
+  const lastReviewedSha = existing ? getLastReviewedSha(existing.body) : null;
+
+  let incremental = { mode: 'full', reason: 'no previous review' };
+  if (existing) {
+    try {
+      incremental = await _resolveIncrementalDiff(octokit, owner, repo, {
+        action: context.payload.action,
+        lastReviewedSha,
+        headSha,
+      });
+    } catch (error) {
+      _core.warning(`Failed to compare ${lastReviewedSha}...${headSha}: ${error.message}. Falling back to a full review.`);
+    }
+  }
+
+  if (incremental.mode === 'unchanged') {
+    _core.info(`Skipping review: ${incremental.reason}.`);
+    return { success: true, skipped: true, reason: 'Head commit already reviewed' };
+  }
+  if (incremental.mode === 'incremental' && repoConfig.checkRun?.enabled) {
+    // The check gates the whole pull request; findings for the new commits alone would let earlier ones pass
+    incremental = { mode: 'full', reason: 'the review check covers the whole pull request' };
+  } else if (incremental.mode === 'incremental' && sarifReport?.enabled) {
+    // A code-scanning upload replaces the category's alerts, so it must cover the whole pull request
+    incremental = { mode: 'full', reason: 'the SARIF export covers the whole pull request' };
+  }
+
+  let reviewFiles = files;
+  if (incremental.mode === 'incremental') {
+    reviewFiles = selectIncrementalFiles(incremental.files, files);
+    if (!reviewFiles.some(file => file.patch)) {
+      _core.info(`No reviewable changes since ${lastReviewedSha}. Recording ${headSha} as reviewed.`);
+    } else {
+      _core.info(`Incremental review: ${incremental.reason}; reviewing ${reviewFiles.length} file(s).`);
+    }
+  } else if (existing) {
+    _core.info(`Full review: ${incremental.reason}.`);
+  }
+
+  const patchableFiles = reviewFiles.filter(file => file.patch);
+  if (patchableFiles.length > 0 && repoConfig.guidelines?.enabled) {
+    guidelines = await _loadGuidelines(octokit, {
+      owner,
+      repo,
+      ref: baseRef,
+      paths: patchableFiles.map(file => file.filename),
+      maxChars: repoConfig.guidelines.maxChars,
+      onWarning: message => _core.warning(`Guidelines: ${message}`),
+    });
+    if (guidelines.length > 0) {
+      _core.info(`Applying repository guidelines from ${guidelines.map(guideline => guideline.path).join(', ')}.`);
+    }
+  }
+  let review = '';
+  let batched = false;
+  // Findings from a validated JSON answer; null means they are parsed from the markdown
+  let structuredFindings = null;
+
+  try {
+    if (patchableFiles.length === 0) {
+      review = '_No reviewable changes in the new commits._';
+    } else if (isLargePr(patchableFiles, reviewConfig)) {
+      _core.info(`Large PR detected (${patchableFiles.length} patchable file(s)); switching to batched review mode.`);
+      batched = true;
+      if (repoConfig.output?.format === 'json') {
+        _core.warning('output.format: json does not apply to batched reviews of large PRs; this review uses markdown.');
+      }
+      review = await _runLargePrReview(patchableFiles, {
+        apiKey,
+        model,
+        reviewConfig,
+        limitReached: Boolean(filesResult.limitReached),
+        excludedFiles,
+        usageTracker,
+      }, {
+        callZaiApi: incremental.mode === 'incremental'
+          ? (key, reviewModel, prompt) => callReviewApi(key, reviewModel, `${buildIncrementalPreface(incremental.baseSha, headSha)}\n\n${prompt}`)
+          : callReviewApi,
+        core: _core,
+      });
+    } else {
+      let definitions = [];
+      if (repoConfig.crossFileContext?.enabled && headSha) {
+        definitions = await _collectDefinitions(octokit, {
+          owner,
+          repo,
+          ref: headSha,
+          files: patchableFiles,
+          maxChars: repoConfig.crossFileContext.maxChars,
+          onWarning: message => _core.warning(`Cross-file context: ${message}`),
+        });
+        if (definitions.length > 0) {
+          _core.info(`Attaching ${definitions.length} referenced definition(s) to the review prompt.`);
+        }
+      }
+      const diffPrompt = appendDefinitions(_buildPrompt(reviewFiles), definitions);
+      const prompt = incremental.mode === 'incremental'
+        ? `${buildIncrementalPreface(incremental.baseSha, headSha)}\n\n${diffPrompt}`
+        : diffPrompt;
+      _core.info(`Sending ${reviewFiles.length} file(s) to ${provider.label} for review...`);
+      if (repoConfig.output?.format === 'json') {
+        const structured = await requestStructuredOutput({
+          prompt,
+          callModel: structuredPrompt => callReviewApi(apiKey, model, structuredPrompt, { structured: true }),
+          logger: { warn: (data, message) => _core.warning(`${message}: ${data.errors.join('; ')}`) },
+        });
+        if (structured.success) {
+          review = renderReviewMarkdown(structured.value);
+          structuredFindings = structured.value.findings;
+        } else {
+          _core.warning(`${structured.error}. Falling back to a markdown review.`);
+        }
+      }
+      if (!review) {
+        review = await callReviewApi(apiKey, model, prompt);
+      }
+    }
+  } catch (error) {
+    // Keep the previous review and its reviewed-SHA marker so the next push retries these commits
+    const category = error.category || 'internal';
+    const userMessage = getUserMessage(category, error);
+    _core.warning(`Auto-review failed (${category}): ${error.message}`);
+    await postReviewFailure(octokit, owner, repo, pullNumber, userMessage, staleError, _core);
+    return { success: false, error: userMessage, category };
+  }
+
+  if (staleError) {
+    await octokit.rest.issues.deleteComment({ owner, repo, comment_id: staleError.id }).catch(error => {
+      _core.warning(`Failed to remove previous review error comment: ${error.message}`);
     });
-  } else {
-    const prompt = _buildPrompt(files);
-    _core.info(`Sending ${files.length} file(s) to Z.ai for review...`);
-    review = await _callZaiApi(apiKey, model, prompt);
   }
 
   if (filesResult.limitReached) {
     _core.warning(`GitHub changed-files API limit (${MAX_PR_FILES_API_LIMIT}) reached for PR #${pullNumber}. Review coverage may be incomplete beyond that platform limit.`);
   }
 
-  const body = `## Z.ai Code Review\n\n${review}\n\n${_MARKER}`;
+  const { body: reviewBody, findings } = structuredFindings
+    ? { body: review, findings: structuredFindings }
+    : extractFindings(review);
+  if (sarifReport?.enabled) {
+    sarifReport.add(await _attachSourceText(octokit, { owner, repo, ref: headSha, findings }), 'auto-review');
+  }
+  let unanchoredFindings = findings;
+  let inlineComments = 0;
+
+  if (findings.length > 0) {
+    // Anchor against the full PR diff: that is what GitHub accepts review comments on.
+    const inlineResult = await _publishInlineFindings(octokit, owner, repo, pullNumber, findings, files, {
+      commitId: headSha,
+      warn: message => _core.warning(message),
+    });
+    unanchoredFindings = inlineResult.unanchored;
+    inlineComments = inlineResult.posted;
+    _core.info(`Posted ${inlineResult.posted} inline finding(s); ${inlineResult.skipped} already present, ${unanchoredFindings.length} kept in summary.`);
+  }
 
-  const { data: comments } = await octokit.rest.issues.listComments({
-    owner,
-    repo,
-    issue_number: pullNumber,
-  });
-  const existing = comments.find(c => c.body.includes(_MARKER));
+  const unanchoredSection = buildUnanchoredSection(unanchoredFindings);
+  const configNotice = configError ? `\n\n> ⚠️ ${configError}. Action input defaults were used for this review.` : '';
+  // Batched reviews already carry the ignored files in their coverage notes
+  const excludedNote = batched ? null : buildExcludedFilesNote(excludedFiles);
+  const coverageSection = excludedNote ? `\n\n## Coverage Notes\n* ${excludedNote}` : '';
+  const reviewContent = `${reviewBody}${unanchoredSection ? `\n\n${unanchoredSection}` : ''}${coverageSection}${configNotice}`;
+  const content = incremental.mode === 'incremental'
+    ? appendUpdateSection(getPreviousReviewContent(existing.body, _MARKER), reviewContent, { baseSha: incremental.baseSha, headSha })
+    : `## Z.ai Code Review\n\n${reviewContent}`;
+  const checkConclusion = await reportCheck(reviewContent, findings);
+  const reviewedShaMarker = buildReviewedShaMarker(headSha);
+  // A footer from an earlier run is always dropped; the current one is added when enabled
+  const usageFooter = usageTracker?.footer ? formatUsageFooter(usageTracker.getTotals('auto-review')) : '';
+  const body = appendUsageFooter(
+    `${content}\n\n${_MARKER}${reviewedShaMarker ? `\n${reviewedShaMarker}` : ''}`,
+    usageFooter
+  );
 
   if (existing) {
     await octokit.rest.issues.updateComment({
@@ -460,7 +863,7 @@ async function handlePullRequestEvent(context, apiKey, model, owner, repo, deps
       body,
     });
     _core.info('Review comment updated.');
-    return { success: true, action: 'updated', commentId: existing.id };
+    return { success: true, action: 'updated', commentId: existing.id, inlineComments, reviewMode: incremental.mode, checkConclusion };
   } else {
     const result = await octokit.rest.issues.createComment({
       owner,
@@ -469,11 +872,117 @@ async function handlePullRequestEvent(context, apiKey, model, owner, repo, deps
       body,
     });
     _core.info('Review comment posted.');
-    return { success: true, action: 'created', commentId: result.data.id };
+    return { success: true, action: 'created', commentId: result.data.id, inlineComments, reviewMode: incremental.mode, checkConclusion };
+  }
+}
+
+/**
+ * Apply the `.zai.yml` title policy to a pull_request event. With
+ * `title.check` the title is reported as the `zai/pr-title` commit status,
+ * whose description carries a suggested title when it fails; with
+ * `title.on_open` a failing title on a new PR is replaced (`mode: apply`) or
+ * answered with a suggestion comment. Problems are logged and never fail the run.
+ */
+async function handlePullRequestTitle(context, octokit, owner, repo, apiKey, model, repoConfig, deps = {}) {
+  const {
+    core: _core = core,
+    fetchAllCommits: _fetchAllCommits = fetchAllCommits,
+    fetchAllChangedFiles: _fetchAllChangedFiles = fetchAllChangedFiles,
+    upsertComment: _upsertComment = upsertComment,
+    provider = resolveProvider(),
+    usageTracker = null,
+    apiClient = createApiClient({ provider, usageTracker, usageLabel: 'pr-title' }),
+  } = deps;
+
+  const pullRequest = context.payload.pull_request;
+  const { pattern = DEFAULT_TITLE_PATTERN, mode = 'suggest', onOpen = false, check = false } = repoConfig?.title || {};
+  const fixOnOpen = onOpen && context.payload.action === 'opened';
+  if (!check && !fixOnOpen) {
+    return { checked: false };
+  }
+
+  const headSha = pullRequest.head?.sha;
+  const title = pullRequest.title || '';
+
+  try {
+    if (isTitleValid(title, pattern)) {
+      if (check && headSha) {
+        await setTitleStatus(octokit, owner, repo, headSha, { valid: true });
+      }
+      return { checked: true, valid: true };
+    }
+
+    const { commits } = await _fetchAllCommits(octokit, owner, repo, pullRequest.number);
+    let diffStats = null;
+    try {
+      const { files, limitReached } = await _fetchAllChangedFiles(octokit, owner, repo, pullRequest.number);
+      const { files: counted, ignored } = partitionIgnoredFiles(files, repoConfig?.ignore);
+      diffStats = formatDiffStats(computeDiffStats(counted), { limitReached, ignored: ignored.length });
+    } catch (error) {
+      _core.warning(`Failed to fetch changed files for the title suggestion: ${error.message}`);
+    }
+
+    const suggestion = await suggestTitle({
+      title,
+      commits,
+      diffStats,
+      pattern,
+      logger: { warn: (fields, message) => _core.warning(`${message}.`) },
+      callModel: async (prompt) => {
+        const result = await apiClient.call({ apiKey, model, prompt });
+        if (!result.success) {
+          throw new Error(result.error?.message || 'Failed to suggest a title');
+        }
+        return result.data;
+      },
+    });
+    const suggested = suggestion?.title || null;
+
+    if (fixOnOpen && suggested && mode === 'apply') {
+      await octokit.rest.pulls.update({ owner, repo, pull_number: pullRequest.number, title: suggested });
+      _core.info(`Renamed PR #${pullRequest.number} to "${suggested}".`);
+      // The rename does not trigger another run, so the status reflects the new title
+      if (check && headSha) {
+        await setTitleStatus(octokit, owner, repo, headSha, { valid: true });
+      }
+      return { checked: true, valid: true, renamed: suggested };
+    }
+
+    if (check && headSha) {
+      await setTitleStatus(octokit, owner, repo, headSha, { valid: false, suggestion: suggested });
+    }
+    if (fixOnOpen && suggested) {
+      await _upsertComment(
+        octokit, owner, repo, pullRequest.number,
+        `## Z.ai PR Title\n\n💡 The PR title does not match the required format. Suggested title:\n\n\`\`\`\n${suggested}\n\`\`\`\n\n${TITLE_SUGGESTION_MARKER}`,
+        TITLE_SUGGESTION_MARKER
+      );
+    }
+    return { checked: true, valid: false, suggestion: suggested };
+  } catch (error) {
+    _core.warning(`PR title check failed: ${error.message}`);
+    return { checked: false, error: error.message };
   }
 }
 
-async function handleIssueCommentEvent(context, apiKey, model, owner, repo, zaiTimeout) {
+/**
+ * Post (or refresh) the comment explaining that an auto-review failed.
+ * Only the user-safe category message is shown; details go to the job log.
+ */
+async function postReviewFailure(octokit, owner, repo, pullNumber, userMessage, existing, _core = core) {
+  const body = `## Z.ai Code Review\n\n⚠️ The automatic review could not be completed. ${userMessage}\n\nThe review will run again on the next push, or re-run this workflow to retry now.\n\n${REVIEW_ERROR_MARKER}`;
+  try {
+    if (existing) {
+      await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body });
+    } else {
+      await octokit.rest.issues.createComment({ owner, repo, issue_number: pullNumber, body });
+    }
+  } catch (error) {
+    _core.warning(`Failed to post review error comment: ${error.message}`);
+  }
+}
+
+async function handleIssueCommentEvent(context, apiKey, model, owner, repo, zaiTimeout, provider = null, usageTracker = null, sarifReport = null) {
   const comment = context.payload.comment;
   const commentBody = comment?.body || '';
   const commentId = comment?.id;
@@ -528,17 +1037,38 @@ async function handleIssueCommentEvent(context, apiKey, model, owner, repo, zaiT
   core.info(`Valid command parsed: ${parseResult.command} with args: ${parseResult.args.join(' ')}`);
 
   const octokit = github.getOctokit(process.env.GITHUB_TOKEN || core.getInput('GITHUB_TOKEN'));
+  const { config: repoConfig, source: configSource, error: configError } = await resolveCommentRepoConfig(
+    octokit, owner, repo, pullNumber
+  );
+  if (configError) {
+    core.warning(`${configError}. Falling back to action input defaults.`);
+  }
+
   const authState = await enforceCommandAuthorization(context, octokit, owner, repo, {
     issueNumber: pullNumber,
     pullNumber,
     replyToId: commentId,
     isReviewComment: false,
+    command: parseResult.command,
+    policy: repoConfig.authorization,
   });
-  if (!authState.authorized && !authState.silent) {
+  if (!authState.authorized) {
     return;
   }
   const { commenter } = authState;
 
+  const commandState = await enforceCommandEnabled(parseResult.command, octokit, owner, repo, {
+    issueNumber: pullNumber,
+    pullNumber,
+    replyToId: commentId,
+    isReviewComment: false,
+    repoConfig,
+    configSource,
+  });
+  if (!commandState.enabled) {
+    return;
+  }
+
   let continuityState = null;
   try {
     continuityState = await loadContinuityState(octokit, owner, repo, pullNumber);
@@ -554,25 +1084,32 @@ async function handleIssueCommentEvent(context, apiKey, model, owner, repo, zaiT
     }
   }
 
-  await upsertComment(
+  const progressResult = await upsertComment(
     octokit,
     owner,
     repo,
     pullNumber,
-    `🤖 Reviewing \`/zai ${parseResult.command}\`...\n\n${PROGRESS_MARKER}`,
+    buildProgressBody(parseResult.command),
     PROGRESS_MARKER,
     { replyToId: commentId, updateExisting: false, isReviewComment: false, pullNumber }
   );
 
-  core.info(`Authorized command from collaborator: ${commenter.login}`);
+  core.info(`Authorized command from ${commenter.login}`);
+  const progressComment = progressResult?.comment?.id ? { id: progressResult.comment.id, isReviewComment: false } : null;
   await dispatchCommand(context, parseResult, apiKey, model, owner, repo, zaiTimeout, {
     commentId,
     continuityState,
     commenter,
+    repoConfig: commandState.repoConfig,
+    progressComment,
+    provider,
+    usageTracker,
+    sarifReport,
   });
+  await appendCommandUsageFooter(octokit, owner, repo, progressComment, usageTracker, parseResult.command);
 }
 
-async function handlePullRequestReviewCommentEvent(context, apiKey, model, owner, repo, zaiTimeout) {
+async function handlePullRequestReviewCommentEvent(context, apiKey, model, owner, repo, zaiTimeout, provider = null, usageTracker = null, sarifReport = null) {
   const comment = context.payload.comment;
   const commentBody = comment?.body || '';
   const commentId = comment?.id;
@@ -622,17 +1159,38 @@ async function handlePullRequestReviewCommentEvent(context, apiKey, model, owner
   core.info(`Valid command parsed: ${parseResult.command} with args: ${parseResult.args.join(' ')}`);
 
   const octokit = github.getOctokit(process.env.GITHUB_TOKEN || core.getInput('GITHUB_TOKEN'));
+  const { config: repoConfig, source: configSource, error: configError } = await resolveRepoConfig(
+    octokit, owner, repo, context.payload.pull_request?.base?.ref, { core }
+  );
+  if (configError) {
+    core.warning(`${configError}. Falling back to action input defaults.`);
+  }
+
   const authState = await enforceCommandAuthorization(context, octokit, owner, repo, {
     issueNumber: pullNumber,
     pullNumber,
     replyToId: commentId,
     isReviewComment: true,
+    command: parseResult.command,
+    policy: repoConfig.authorization,
   });
-  if (!authState.authorized && !authState.silent) {
+  if (!authState.authorized) {
     return;
   }
   const { commenter } = authState;
 
+  const commandState = await enforceCommandEnabled(parseResult.command, octokit, owner, repo, {
+    issueNumber: pullNumber,
+    pullNumber,
+    replyToId: commentId,
+    isReviewComment: true,
+    repoConfig,
+    configSource,
+  });
+  if (!commandState.enabled) {
+    return;
+  }
+
   // Load continuity state
   let continuityState = null;
   try {
@@ -651,12 +1209,12 @@ async function handlePullRequestReviewCommentEvent(context, apiKey, model, owner
   }
 
   // Post progress message
-  await upsertComment(
+  const progressResult = await upsertComment(
     octokit,
     owner,
     repo,
     pullNumber,
-    `🤖 Reviewing \`/zai ${parseResult.command}\`...\n\n${PROGRESS_MARKER}`,
+    buildProgressBody(parseResult.command),
     PROGRESS_MARKER,
     { replyToId: commentId, updateExisting: false, isReviewComment: true, pullNumber }
   );
@@ -668,7 +1226,8 @@ async function handlePullRequestReviewCommentEvent(context, apiKey, model, owner
   const baseRef = context.payload.pull_request?.base?.ref || null;
   const headRef = context.payload.pull_request?.head?.ref || null;
 
-  core.info(`Authorized command from collaborator: ${commenter.login}`);
+  core.info(`Authorized command from ${commenter.login}`);
+  const progressComment = progressResult?.comment?.id ? { id: progressResult.comment.id, isReviewComment: true } : null;
   await dispatchCommand(context, parseResult, apiKey, model, owner, repo, zaiTimeout, {
     commentId,
     continuityState,
@@ -677,8 +1236,14 @@ async function handlePullRequestReviewCommentEvent(context, apiKey, model, owner
     headRef,
     isReviewComment: true,
     eventName: 'pull_request_review_comment',
+    repoConfig: commandState.repoConfig,
+    progressComment,
+    provider,
+    usageTracker,
+    sarifReport,
     ...anchorMetadata,
   });
+  await appendCommandUsageFooter(octokit, owner, repo, progressComment, usageTracker, parseResult.command);
 }
 
 async function dispatchCommand(context, parseResult, apiKey, model, owner, repo, zaiTimeout, options = {}, deps = {}) {
@@ -691,6 +1256,9 @@ async function dispatchCommand(context, parseResult, apiKey, model, owner, repo,
     createApiClient: _createApiClient = createApiClient,
     reviewHandler: _reviewHandler = reviewHandler,
     explainHandler: _explainHandler = explainHandler,
+    fixHandler: _fixHandler = fixHandler,
+    testHandler: _testHandler = testHandler,
+    changelogHandler: _changelogHandler = changelogHandler,
     handleDescribeCommand: _handleDescribeCommand = handleDescribeCommand,
     handleAskCommand: _handleAskCommand = handleAskCommand,
     handleImpactCommand: _handleImpactCommand = handleImpactCommand,
@@ -701,6 +1269,8 @@ async function dispatchCommand(context, parseResult, apiKey, model, owner, repo,
     COMMENT_MARKER: _COMMENT_MARKER = COMMENT_MARKER,
     REACTIONS: _REACTIONS = REACTIONS,
     handleUpdateAgentsCommand: _handleUpdateAgentsCommand = null,
+    resolveRepoConfig: _resolveRepoConfig = resolveRepoConfig,
+    checkCommandQuota: _checkCommandQuota = checkCommandQuota,
   } = deps;
 
   const { command, args } = parseResult;
@@ -717,10 +1287,19 @@ async function dispatchCommand(context, parseResult, apiKey, model, owner, repo,
     commentDiffHunk = null,
     isReviewComment = false,
     eventName = context.eventName || 'issue_comment',
+    progressComment = null,
+    provider = resolveProvider(),
+    usageTracker = null,
+    sarifReport = null,
   } = options;
 
   const octokit = _github.getOctokit(process.env.GITHUB_TOKEN || _core.getInput('GITHUB_TOKEN'));
 
+  let { repoConfig = null } = options;
+  if (!repoConfig) {
+    ({ config: repoConfig } = await _resolveRepoConfig(octokit, owner, repo, baseRef, { core: _core }));
+  }
+
   let responseMessage = '';
   let terminalReaction = _REACTIONS.ROCKET;
 
@@ -731,6 +1310,36 @@ async function dispatchCommand(context, parseResult, apiKey, model, owner, repo,
     command 
   });
 
+  const quotaResult = await _checkCommandQuota(octokit, owner, repo, {
+    context,
+    pullNumber,
+    login: commenter?.login,
+    command,
+    quotaConfig: repoConfig.quota,
+  }, {
+    warn: message => logger.warn(message),
+  });
+  if (!quotaResult.allowed) {
+    logger.info({ exceeded: quotaResult.exceeded }, 'Command rejected by quota');
+    await _upsertComment(
+      octokit,
+      owner,
+      repo,
+      pullNumber,
+      `${formatQuotaExceededMessage(quotaResult.exceeded, commenter?.login)}\n\n${GUIDANCE_MARKER}`,
+      GUIDANCE_MARKER,
+      { replyToId: commentId, updateExisting: false, isReviewComment, pullNumber, replaceComment: progressComment }
+    );
+    if (commentId) {
+      try {
+        await _setReaction(octokit, owner, repo, commentId, _REACTIONS.X);
+      } catch (error) {
+        logger.warn({ error: error.message }, 'Failed to set quota reaction');
+      }
+    }
+    return { success: false, error: 'quota_exceeded', resetAt: quotaResult.exceeded.resetAt };
+  }
+
   let changedFiles = [];
   try {
     changedFiles = await _fetchChangedFiles(octokit, owner, repo, pullNumber);
@@ -738,6 +1347,17 @@ async function dispatchCommand(context, parseResult, apiKey, model, owner, repo,
     logger.warn({ error: error.message }, 'Failed to fetch changed files');
   }
 
+  // Stream partial model output into the progress comment while handlers wait
+  const progress = progressComment && repoConfig.streaming?.enabled !== false
+    ? createProgressUpdater(octokit, owner, repo, {
+      commentId: progressComment.id,
+      isReviewComment: progressComment.isReviewComment,
+      command,
+      intervalMs: repoConfig.streaming?.updateIntervalMs,
+      logger,
+    })
+    : null;
+
   const handlerContext = {
     octokit,
     owner,
@@ -745,11 +1365,12 @@ async function dispatchCommand(context, parseResult, apiKey, model, owner, repo,
     issueNumber: pullNumber,
     commentId,
     changedFiles,
-    apiClient: _createApiClient({ timeout: zaiTimeout }),
+    apiClient: withProgress(_createApiClient({ timeout: zaiTimeout, provider, usageTracker, usageLabel: command }), progress),
     apiKey,
     model,
     logger,
-    maxChars: DEFAULT_MAX_CHARS,
+    maxChars: repoConfig.maxChars || DEFAULT_MAX_CHARS,
+    repoConfig,
     continuityState,
     baseRef,
     headRef,
@@ -759,11 +1380,14 @@ async function dispatchCommand(context, parseResult, apiKey, model, owner, repo,
     commentDiffHunk,
     isReviewComment,
     pullNumber,
+    progressComment,
+    commenter,
+    provider,
   };
 
   switch (command) {
     case 'help':
-      responseMessage = `## Z.ai Help\n\nAvailable commands:\n- \`/zai ask <question>\` - Ask a question about the code\n- \`/zai review <path>\` - Request a code review for a specific file\n- \`/zai explain <lines>\` - Explain specific lines (e.g., 10-15)\n- \`/zai describe\` - Generate PR description from commits\n- \`/zai impact\` - Analyze the potential impact of changes\n- \`/zai help\` - Show this help message\n\n${_COMMENT_MARKER}`;
+      responseMessage = `## Z.ai Help\n\nAvailable commands:\n- \`/zai ask [--new] <question>\` - Ask a question about the code (\`--new\` starts a new conversation)\n- \`/zai review <path>\` - Request a code review for a specific file\n- \`/zai explain <lines>\` - Explain specific lines (e.g., 10-15)\n- \`/zai describe\` - Generate PR description from commits\n- \`/zai fix <path> [lines] [instruction]\` - Generate a fix and commit it to the PR branch\n- \`/zai test [path] [--pr]\` - Propose unit tests for changed functions\n- \`/zai changelog [from[..to]] [--release|--pr]\` - Build a changelog from merged PRs\n- \`/zai impact\` - Analyze the potential impact of changes\n- \`/zai help\` - Show this help message\n\n${_COMMENT_MARKER}`;
       break;
 
     case 'review':
@@ -854,6 +1478,63 @@ ${_COMMENT_MARKER}`;
       }
       break;
     }
+    case 'fix': {
+      logger.info({ args }, 'Dispatching to fix handler');
+
+      try {
+        const result = await _fixHandler.handleFixCommand(handlerContext, args);
+        if (result.success) {
+          logger.info({ success: true, commitSha: result.commitSha }, 'Fix command completed');
+          return { success: true, commitSha: result.commitSha };
+        }
+        logger.warn({ error: result.error }, 'Fix command failed');
+        return { success: false, error: result.error };
+      } catch (error) {
+        logger.error({ error: error.message }, 'Fix handler threw error');
+        terminalReaction = _REACTIONS.X;
+        responseMessage = `## Z.ai Fix\n\n**Error:** Failed to complete fix. Please try again later.\n\n${_COMMENT_MARKER}`;
+      }
+      break;
+    }
+
+    case 'test': {
+      logger.info({ args }, 'Dispatching to test handler');
+
+      try {
+        const result = await _testHandler.handleTestCommand(handlerContext, args);
+        if (result.success) {
+          logger.info({ success: true, prNumber: result.prNumber }, 'Test command completed');
+          return { success: true };
+        }
+        logger.warn({ error: result.error }, 'Test command failed');
+        return { success: false, error: result.error };
+      } catch (error) {
+        logger.error({ error: error.message }, 'Test handler threw error');
+        terminalReaction = _REACTIONS.X;
+        responseMessage = `## Z.ai Test\n\n**Error:** Failed to generate tests. Please try again later.\n\n${_COMMENT_MARKER}`;
+      }
+      break;
+    }
+
+    case 'changelog': {
+      logger.info({ args }, 'Dispatching to changelog handler');
+
+      try {
+        const result = await _changelogHandler.handleChangelogCommand(handlerContext, args);
+        if (result.success) {
+          logger.info({ success: true, prNumber: result.prNumber, releaseId: result.releaseId }, 'Changelog command completed');
+          return { success: true };
+        }
+        logger.warn({ error: result.error }, 'Changelog command failed');
+        return { success: false, error: result.error };
+      } catch (error) {
+        logger.error({ error: error.message }, 'Changelog handler threw error');
+        terminalReaction = _REACTIONS.X;
+        responseMessage = `## Z.ai Changelog\n\n**Error:** Failed to generate changelog. Please try again later.\n\n${_COMMENT_MARKER}`;
+      }
+      break;
+    }
+
     case 'describe': {
       logger.info({ args }, 'Dispatching to describe handler');
       
@@ -900,11 +1581,22 @@ ${_COMMENT_MARKER}`;
           commenter,
           args,
           continuityState,
+          progress,
+          progressComment,
           config: {
             apiKey,
             model,
             timeout: 30000,
             maxRetries: 3,
+            provider,
+            usageTracker,
+            ignore: repoConfig.ignore,
+            maxChars: repoConfig.maxChars,
+            promptInstructions: getPromptOverride(repoConfig, 'ask'),
+            promptTemplates: repoConfig.promptTemplates,
+            guidelines: repoConfig.guidelines,
+            baseRef,
+            changedPaths: partitionIgnoredFiles(changedFiles, repoConfig.ignore).files.map(file => file.filename),
           },
           logger,
         };
@@ -937,16 +1629,23 @@ ${_COMMENT_MARKER}`;
         repo,
         issueNumber: pullNumber,
         commentId,
-        changedFiles,
-        apiClient: createApiClient({ timeout: zaiTimeout }),
+        changedFiles: partitionIgnoredFiles(changedFiles, repoConfig.ignore).files,
+        // JSON answers are not streamed into the progress comment
+        apiClient: withProgress(
+          createApiClient({ timeout: zaiTimeout, provider, usageTracker, usageLabel: command }),
+          repoConfig.output?.format === 'json' ? null : progress
+        ),
         apiKey,
         model,
         logger,
-        maxChars: DEFAULT_MAX_CHARS,
+        maxChars: repoConfig.maxChars || DEFAULT_MAX_CHARS,
+        repoConfig,
         continuityState,
         baseRef,
         headRef,
         pullNumber,
+        progressComment,
+        sarifReport,
       };
 
       core.info('Processing impact command');
@@ -975,6 +1674,9 @@ ${_COMMENT_MARKER}`;
         
         const result = await handleUpdateAgentsTask({
           octokit,
+          apiKey,
+          model,
+          apiClient: _createApiClient({ timeout: zaiTimeout, provider, usageTracker, usageLabel: command }),
           owner,
           repo,
           task: {
@@ -1061,6 +1763,7 @@ ${_COMMENT_MARKER}`;
       updateExisting: false,
       isReviewComment,
       pullNumber,
+      replaceComment: progressComment,
     }
   );
   core.info(`Posted response for command: ${command}`);
@@ -1079,15 +1782,21 @@ module.exports = {
   buildPrompt,
   getChangedFiles,
   getReviewConfig,
+  callZaiApi,
   runLargePrReview,
   enforceCommandAuthorization,
+  enforceCommandEnabled,
+  resolveCommentRepoConfig,
   handlePullRequestEvent,
+  handlePullRequestTitle,
   dispatchCommand,
   GUIDANCE_MESSAGES,
   COMMENT_MARKER,
   GUIDANCE_MARKER,
   PROGRESS_MARKER,
-  AUTH_MARKER
+  AUTH_MARKER,
+  REVIEW_ERROR_MARKER,
+  TITLE_SUGGESTION_MARKER
 };
 
 run().catch(error => {
@@ -1,25 +1,30 @@
 /**
  * Hardened API client with timeout, retry, and error handling.
- * Provides reliability improvements for the Z.ai API calls.
+ * Provides reliability improvements for the LLM API calls.
  * 
  * Features:
  * - Progressive timeout reduction on retries
  * - Fallback prompt mechanism for early recovery
  * - Detailed timing logs for diagnostics
+ * - Optional streaming with partial-output callbacks
+ * - Provider adapters (Z.ai, OpenAI-compatible, Ollama) from providers.js
  */
 
+const http = require('http');
 const https = require('https');
+const { ZAI_API_URL, resolveProvider } = require('./providers');
 
 // Default configuration
 const DEFAULT_TIMEOUT_MS = 30000; // 30 seconds
 const DEFAULT_MAX_RETRIES = 3;
 const DEFAULT_BASE_DELAY_MS = 2000; // 2 seconds
 
+// System prompt used when a caller does not supply its own
+const DEFAULT_SYSTEM_PROMPT = 'You are an expert code reviewer. Review the provided code changes and give clear, actionable feedback.';
+
 // Progressive timeout multipliers (each retry gets shorter timeout)
 // 1st attempt: 100%, 2nd: 67%, 3rd: 50%, 4th: 33%
 const PROGRESSIVE_TIMEOUT_MULTIPLIERS = [1.0, 0.67, 0.5, 0.33];
-// API endpoint (matching existing implementation)
-const ZAI_API_URL = 'https://api.z.ai/api/coding/paas/v4/chat/completions';
 
 /**
  * Error categories for structured logging and handling.
@@ -32,6 +37,9 @@ const ZAI_API_URL = 'https://api.z.ai/api/coding/paas/v4/chat/completions';
  * @param {number} [config.timeout=30000] - Request timeout in milliseconds
  * @param {number} [config.maxRetries=3] - Maximum number of retry attempts
  * @param {number} [config.baseDelay=2000] - Base delay for exponential backoff in ms
+ * @param {Object} [config.provider] - Provider from providers.js (defaults to Z.ai)
+ * @param {Object} [config.usageTracker] - Tracker from usage.js that records tokens and latency per call
+ * @param {string} [config.usageLabel] - Label recorded with each call (e.g. the command name)
  * @returns {Object} API client with call method
  */
 function createApiClient(config = {}) {
@@ -39,6 +47,10 @@ function createApiClient(config = {}) {
   const maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
   const baseDelay = config.baseDelay ?? DEFAULT_BASE_DELAY_MS;
   const fallbackPrompt = config.fallbackPrompt ?? null; // Optional fallback prompt generator
+  const stream = config.stream ?? true; // Stream when the caller asks for partial output
+  const provider = config.provider ?? resolveProvider();
+  const usageTracker = config.usageTracker ?? null;
+  const usageLabel = config.usageLabel ?? 'api';
 
   return {
     /**
@@ -46,11 +58,33 @@ function createApiClient(config = {}) {
      * @param {Object} params - API call parameters
      * @param {string} params.apiKey - API authentication key
      * @param {string} params.model - Model identifier
-     * @param {string} params.prompt - Prompt content
+     * @param {string} [params.prompt] - Prompt content, sent as the last user message
+     * @param {Array<{role: string, content: string}>} [params.messages] - Chat messages sent before the prompt (see buildChatMessages)
+     * @param {string} [params.systemPrompt] - System prompt (defaults to the generic reviewer prompt)
+     * @param {number} [params.temperature] - Sampling temperature
+     * @param {number} [params.maxTokens] - Maximum completion tokens
+     * @param {number} [params.topP] - Nucleus sampling probability mass
+     * @param {string|string[]} [params.stop] - Stop sequences
      * @param {Function} [params.onFallback] - Optional callback when fallback is triggered
+     * @param {Function} [params.onProgress] - Receives the accumulated partial output while streaming
+     * @param {string} [params.usageLabel] - Overrides the client's usage label for this call
      * @returns {Promise<{success: boolean, data?: string, error?: Object, usedFallback?: boolean}>}
      */
-    async call({ apiKey, model, prompt, onFallback, fallbackPrompt: callFallbackPrompt }) {
+    async call({
+      apiKey,
+      model,
+      prompt,
+      messages,
+      systemPrompt,
+      temperature,
+      maxTokens,
+      topP,
+      stop,
+      onFallback,
+      onProgress,
+      fallbackPrompt: callFallbackPrompt,
+      usageLabel: callUsageLabel,
+    }) {
       const options = { 
         maxRetries, 
         baseDelay, 
@@ -61,7 +95,10 @@ function createApiClient(config = {}) {
         model
       };
 
-      return callWithRetry(
+      const sampling = buildSamplingOptions({ temperature, maxTokens, topP, stop });
+      const startedAt = Date.now();
+      let usage = null;
+      const result = await callWithRetry(
         (attempt, currentTimeout, fallbackData) => {
           // If fallbackData is provided, use it instead of original prompt
           const actualPrompt = fallbackData?.prompt || prompt;
@@ -69,14 +106,32 @@ function createApiClient(config = {}) {
           const actualModel = fallbackData?.model || model;
           
           return makeApiRequest({ 
+            provider,
             apiKey: actualApiKey, 
             model: actualModel, 
             prompt: actualPrompt, 
-            timeout: currentTimeout 
+            messages,
+            systemPrompt,
+            sampling,
+            timeout: currentTimeout,
+            stream: stream && typeof onProgress === 'function',
+            onProgress,
+            onUsage: reported => { usage = reported; }
           });
         },
         options
       );
+
+      usageTracker?.record({
+        label: callUsageLabel || usageLabel,
+        provider: provider.name,
+        model,
+        usage,
+        durationMs: Date.now() - startedAt,
+        success: result.success,
+      });
+
+      return result;
     },
 
     /**
@@ -90,12 +145,16 @@ function createApiClient(config = {}) {
         timeout,
         maxRetries,
         baseDelay,
+        stream,
+        provider,
+        usageTracker,
+        usageLabel,
         fallbackPrompt: fallbackFn
       });
     },
 
     // Expose config for testing/debugging
-    config: { timeout, maxRetries, baseDelay }
+    config: { timeout, maxRetries, baseDelay, stream, provider: provider.name }
   };
 }
 
@@ -199,7 +258,8 @@ async function callWithRetry(fn, options = {}) {
             message: sanitizeErrorMessage(error),
             retryable: categorized.retryable,
             attempts: attempt + 1,
-            totalDuration: finalTotalDuration
+            totalDuration: finalTotalDuration,
+            cause: error // raw provider error, for callers that match on it; never shown to users
           },
           usedFallback
         };
@@ -234,76 +294,176 @@ async function callWithRetry(fn, options = {}) {
 }
 
 /**
- * Makes the actual API request with timeout.
- * @private
+ * Creates an incremental parser for a streamed completion.
+ * Network chunks are split into lines and handed to the provider's
+ * `parseStreamLine`, whose deltas are appended to the answer.
+ * @param {Function} parseLine - Provider line parser returning {delta?, done?} or null
+ * @param {Function} [onText] - Receives the accumulated text after each content chunk
+ * @returns {{push: Function, end: Function, getText: Function, isDone: Function, getUsage: Function}}
  */
-function makeApiRequest({ apiKey, model, prompt, timeout }) {
+function createStreamParser(parseLine, onText) {
+  let buffer = '';
+  let text = '';
+  let done = false;
+  let usage = null;
+
+  function handleLine(rawLine) {
+    if (done) {
+      return;
+    }
+    const event = parseLine(rawLine.replace(/\r$/, ''));
+    if (!event) {
+      return;
+    }
+    if (event.usage) {
+      usage = event.usage;
+    }
+    if (event.delta) {
+      text += event.delta;
+      if (onText) {
+        onText(text);
+      }
+    }
+    if (event.done) {
+      done = true;
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    },
+    end() {
+      if (buffer) {
+        handleLine(buffer);
+        buffer = '';
+      }
+    },
+    getText: () => text,
+    isDone: () => done,
+    getUsage: () => usage,
+  };
+}
+
+/**
+ * Sends one chat request to a provider.
+ * When `stream` is set the provider is asked to stream and `onProgress`
+ * receives the accumulated text as chunks arrive. Providers that ignore the
+ * flag and answer with a regular JSON body are handled transparently.
+ * @param {Object} params - Request parameters
+ * @param {Object} [params.provider] - Provider from providers.js (defaults to Z.ai)
+ * @param {string} params.apiKey - API authentication key
+ * @param {string} params.model - Model identifier
+ * @param {Array<{role: string, content: string}>} params.messages - Chat messages
+ * @param {Object} [params.sampling] - From buildSamplingOptions
+ * @param {number} [params.timeout] - Socket idle timeout in milliseconds
+ * @param {boolean} [params.stream=false] - Request a streamed response
+ * @param {Function} [params.onProgress] - Receives accumulated partial output
+ * @param {Function} [params.onUsage] - Receives { promptTokens, completionTokens, totalTokens } when the provider reports usage
+ * @returns {Promise<string>} Completion text
+ */
+function sendChatRequest({ provider = resolveProvider(), apiKey, model, messages, sampling, timeout, stream = false, onProgress, onUsage }) {
   return new Promise((resolve, reject) => {
-    const body = JSON.stringify({
-      model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert code reviewer. Review the provided code changes and give clear, actionable feedback.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
+    const body = JSON.stringify(provider.buildBody({ model, messages, stream, sampling }));
+    const reportUsage = usage => {
+      try {
+        onUsage?.(usage || null);
+      } catch {
+        // usage accounting must never break the request
+      }
+    };
 
-    const url = new URL(ZAI_API_URL);
+    const url = new URL(provider.url);
+    const transport = url.protocol === 'http:' ? http : https;
     const options = {
       hostname: url.hostname,
-      path: url.pathname,
+      port: url.port || undefined,
+      path: `${url.pathname}${url.search}`,
       method: 'POST',
       timeout: timeout,
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Length': Buffer.byteLength(body)
+        ...provider.buildHeaders(apiKey),
+        'Content-Length': Buffer.byteLength(body),
+        ...(stream ? { 'Accept': `${provider.streamContentType}, application/json` } : {})
       }
     };
 
-    const req = https.request(options, res => {
+    const req = transport.request(options, res => {
+      const isSuccess = res.statusCode >= 200 && res.statusCode < 300;
+      const contentType = String(res.headers?.['content-type'] || '');
+
+      if (isSuccess && stream && contentType.includes(provider.streamContentType)) {
+        const parser = createStreamParser(line => provider.parseStreamLine(line), text => {
+          try {
+            onProgress?.(text);
+          } catch {
+            // progress reporting must never break the request
+          }
+        });
+        let failed = false;
+        const fail = error => {
+          if (!failed) {
+            failed = true;
+            res.destroy();
+            reject(error);
+          }
+        };
+
+        res.setEncoding?.('utf8');
+        res.on('data', chunk => {
+          try {
+            parser.push(chunk);
+          } catch (error) {
+            fail(error);
+          }
+        });
+        res.on('end', () => {
+          if (failed) {
+            return;
+          }
+          try {
+            parser.end();
+          } catch (error) {
+            fail(error);
+            return;
+          }
+          const content = parser.getText();
+          if (!content) {
+            reject(new Error(`${provider.label} API returned an empty response: stream contained no content`));
+          } else if (!parser.isDone()) {
+            // Connection closed before the end-of-stream event: the answer is incomplete, let the caller retry
+            reject(new Error(`${provider.label} API stream ended before completion`));
+          } else {
+            reportUsage(parser.getUsage());
+            resolve(content);
+          }
+        });
+        res.on('error', fail);
+        return;
+      }
+
       let data = '';
       res.on('data', chunk => (data += chunk));
       res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
+        if (isSuccess) {
           try {
             const parsed = JSON.parse(data);
-            const content = parsed.choices?.[0]?.message?.content;
+            const content = provider.parseResponse(parsed);
             if (!content) {
-              reject(new Error(`Z.ai API returned an empty response: ${data}`));
+              reject(new Error(`${provider.label} API returned an empty response: ${data}`));
             } else {
+              reportUsage(provider.parseUsage?.(parsed));
               resolve(content);
             }
           } catch (parseError) {
             reject(new Error(`Failed to parse API response: ${parseError.message}`));
           }
         } else {
-          // Try to extract meaningful error message from API response
-          let errorMsg = `Z.ai API error ${res.statusCode}`;
-          try {
-            const errorData = JSON.parse(data);
-            const apiMessage = errorData?.error?.message ||
-                               errorData?.error?.error?.message ||
-                               errorData?.message ||
-                               null;
-            if (apiMessage) {
-              errorMsg += `: ${apiMessage}`;
-            } else if (data.length < 200) {
-              // Include raw data only if short and no message found
-              errorMsg += `: ${data}`;
-            }
-          } catch {
-            // JSON parse failed, include raw data if short
-            if (data.length < 200) {
-              errorMsg += `: ${data}`;
-            }
-          }
-          reject(new Error(errorMsg));
+          reject(provider.mapError(res.statusCode, data));
         }
     });
     });
@@ -318,6 +478,66 @@ function makeApiRequest({ apiKey, model, prompt, timeout }) {
   });
 }
 
+/**
+ * Build the chat messages of one request: the system prompt, then the
+ * caller's messages, then the prompt as the final user message. When the
+ * caller's messages already start with a system message, no system prompt is
+ * added.
+ * @param {Object} params - { prompt, messages, systemPrompt }
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildChatMessages({ prompt, messages = [], systemPrompt } = {}) {
+  const chat = (messages || []).filter(message => message && typeof message.content === 'string');
+  if (chat[0]?.role !== 'system') {
+    chat.unshift({ role: 'system', content: systemPrompt || DEFAULT_SYSTEM_PROMPT });
+  }
+  if (typeof prompt === 'string' && prompt) {
+    chat.push({ role: 'user', content: prompt });
+  }
+  return chat;
+}
+
+/**
+ * Normalize per-call sampling options, dropping unset or invalid values.
+ * @param {Object} options - { temperature, maxTokens, topP, stop }
+ * @returns {Object} Sampling options accepted by provider.buildBody
+ */
+function buildSamplingOptions({ temperature, maxTokens, topP, stop } = {}) {
+  const sampling = {};
+  if (Number.isFinite(temperature) && temperature >= 0) {
+    sampling.temperature = temperature;
+  }
+  if (Number.isInteger(maxTokens) && maxTokens > 0) {
+    sampling.maxTokens = maxTokens;
+  }
+  if (Number.isFinite(topP) && topP > 0 && topP <= 1) {
+    sampling.topP = topP;
+  }
+  const stops = (Array.isArray(stop) ? stop : [stop]).filter(sequence => typeof sequence === 'string' && sequence);
+  if (stops.length > 0) {
+    sampling.stop = stops;
+  }
+  return sampling;
+}
+
+/**
+ * Makes the actual API request with timeout.
+ * @private
+ */
+function makeApiRequest({ provider, apiKey, model, prompt, messages, systemPrompt, sampling, timeout, stream = false, onProgress, onUsage }) {
+  return sendChatRequest({
+    provider,
+    apiKey,
+    model,
+    messages: buildChatMessages({ prompt, messages, systemPrompt }),
+    sampling,
+    timeout,
+    stream,
+    onProgress,
+    onUsage
+  });
+}
+
 /**
  * Categorizes an error to determine if it's retryable.
  * @param {Error} error - The error to categorize
@@ -365,6 +585,11 @@ function categorizeError(error) {
     return { category: 'provider', retryable: true };
   }
 
+  // Stream cut off before [DONE]
+  if (message.includes('stream ended before completion')) {
+    return { category: 'provider', retryable: true };
+  }
+
   // Default to internal/unknown
   return { category: 'internal', retryable: false };
 }
@@ -446,7 +671,12 @@ module.exports = {
   categorizeError,
   sanitizeErrorMessage,
   makeApiRequest,
+  buildChatMessages,
+  buildSamplingOptions,
+  sendChatRequest,
+  createStreamParser,
   ZAI_API_URL,
+  DEFAULT_SYSTEM_PROMPT,
   DEFAULT_TIMEOUT_MS,
   DEFAULT_MAX_RETRIES,
   DEFAULT_BASE_DELAY_MS
@@ -1,18 +1,48 @@
 /**
- * Authorization module for collaborator-based access control
- * 
- * Implements collaborator-only policy for all /zai commands
- * as defined in SECURITY.md
+ * Authorization module for role-based access control
+ *
+ * Implements the /zai command policy described in SECURITY.md: explicit
+ * allow/deny user and team lists, allowed author associations, and a
+ * per-command minimum repository permission, with stricter defaults on
+ * pull requests from forks. The policy is configured in the `authorization`
+ * section of the repository config.
  */
 
-// Valid permission levels that authorize command execution
-// According to SECURITY.md: admin, maintain, write, or read (any is authorized)
+// Repository permission levels, lowest to highest
+const PERMISSION_LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+// Permission levels a policy may require
+const POLICY_PERMISSIONS = PERMISSION_LEVELS.filter(level => level !== 'none');
+
+// Permission levels that make a user a collaborator for isCollaborator
 const AUTHORIZED_PERMISSIONS = new Set(['admin', 'maintain', 'write', 'read']);
-const AUTHORIZED_ASSOCIATIONS = new Set(['OWNER', 'MEMBER', 'COLLABORATOR', 'CONTRIBUTOR', 'NONE', 'FIRST_TIMER', 'FIRST_TIME_CONTRIBUTOR', 'MANNEQUIN']);
+
+// Author associations allowed to run commands by default
+const AUTHORIZED_ASSOCIATIONS = new Set(['OWNER', 'MEMBER', 'COLLABORATOR', 'CONTRIBUTOR']);
+
+// Every author association GitHub reports
+const KNOWN_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR', 'CONTRIBUTOR', 'FIRST_TIME_CONTRIBUTOR', 'FIRST_TIMER', 'MANNEQUIN', 'NONE'];
+
+// Policy applied when the repository does not configure one
+const DEFAULT_AUTHORIZATION_POLICY = Object.freeze({
+  minPermission: 'write',
+  commands: Object.freeze({ help: 'read', fix: 'write' }),
+  allowedAssociations: Object.freeze([...AUTHORIZED_ASSOCIATIONS]),
+  allowUsers: Object.freeze([]),
+  denyUsers: Object.freeze([]),
+  allowTeams: Object.freeze([]),
+  denyTeams: Object.freeze([]),
+  fork: Object.freeze({ minPermission: 'write', allowPrAuthor: false }),
+});
+
+const AUTH_CHECK_FAILED_REASON = 'Authorization check failed. Please try again later.';
 
 // Timeout for GitHub API calls (in milliseconds)
 const API_TIMEOUT_MS = 10000;
 
+// Permission and team lookups cached per Octokit client, i.e. per run
+const lookupCache = new WeakMap();
+
 function normalizeLogin(value) {
   return typeof value === 'string' ? value.trim().toLowerCase() : '';
 }
@@ -43,9 +73,9 @@ function getCommentAuthorAssociation(context, commenter) {
   return associationFromPayload;
 }
 
-function isTrustedCommentAuthor(context, commenter) {
+function isTrustedCommentAuthor(context, commenter, allowedAssociations = AUTHORIZED_ASSOCIATIONS) {
   const association = getCommentAuthorAssociation(context, commenter);
-  return AUTHORIZED_ASSOCIATIONS.has(association);
+  return new Set(allowedAssociations).has(association);
 }
 
 function getCommenter(context) {
@@ -60,6 +90,70 @@ function getCommenter(context) {
   );
 }
 
+function getPermissionRank(permission) {
+  return PERMISSION_LEVELS.indexOf(permission);
+}
+
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('GitHub API request timed out')), API_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function cachedLookup(octokit, key, lookup) {
+  if (!octokit || typeof octokit !== 'object') {
+    return lookup();
+  }
+  if (!lookupCache.has(octokit)) {
+    lookupCache.set(octokit, new Map());
+  }
+  const cache = lookupCache.get(octokit);
+  if (!cache.has(key)) {
+    // Failed lookups are not cached so a later command can retry
+    cache.set(key, lookup().catch((error) => {
+      cache.delete(key);
+      throw error;
+    }));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Get a user's permission on the repository. Results are cached per client.
+ * `role_name` is preferred so `maintain` and `triage` are distinguished.
+ *
+ * @param {object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} username - Username to check
+ * @returns {Promise<string|null>} One of PERMISSION_LEVELS, or null for non-collaborators
+ */
+async function getUserPermission(octokit, owner, repo, username) {
+  return cachedLookup(octokit, `permission:${owner}/${repo}/${normalizeLogin(username)}`, async () => {
+    try {
+      const response = await withTimeout(octokit.rest.repos.getCollaboratorPermission({
+        owner,
+        repo,
+        username,
+      }));
+
+      const { role_name: roleName, permission } = response.data;
+      if (PERMISSION_LEVELS.includes(roleName)) {
+        return roleName;
+      }
+      return PERMISSION_LEVELS.includes(permission) ? permission : 'none';
+    } catch (_error) {
+      // 404 means user is not a collaborator
+      if (_error.status === 404) {
+        return null;
+      }
+      throw _error;
+    }
+  });
+}
+
 /**
  * Check if a user is a collaborator with acceptable permission level
  * 
@@ -70,48 +164,104 @@ function getCommenter(context) {
  * @returns {Promise<{isCollaborator: boolean, permission: string|null}>}
  */
 async function isCollaborator(octokit, owner, repo, username) {
-  try {
-    const response = await Promise.race([
-      octokit.rest.repos.getCollaboratorPermission({
-        owner,
-        repo,
+  const permission = await getUserPermission(octokit, owner, repo, username);
+
+  return {
+    isCollaborator: AUTHORIZED_PERMISSIONS.has(permission),
+    permission,
+  };
+}
+
+/**
+ * Check whether a user is an active member of a team. Teams are written as
+ * `org/team-slug`, or `team-slug` for a team in the repository owner's org.
+ * Requires a token that can read org membership.
+ *
+ * @param {object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner (default org)
+ * @param {string} team - Team reference
+ * @param {string} username - Username to check
+ * @returns {Promise<boolean>}
+ */
+async function isTeamMember(octokit, owner, team, username) {
+  const [org, teamSlug] = team.includes('/') ? team.split('/', 2) : [owner, team];
+
+  return cachedLookup(octokit, `team:${normalizeLogin(org)}/${normalizeLogin(teamSlug)}/${normalizeLogin(username)}`, async () => {
+    try {
+      const response = await withTimeout(octokit.rest.teams.getMembershipForUserInOrg({
+        org,
+        team_slug: teamSlug,
         username,
-      }),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('GitHub API request timed out')), API_TIMEOUT_MS)
-      )
-    ]);
+      }));
+      return response.data.state === 'active';
+    } catch (_error) {
+      if (_error.status === 404) {
+        return false;
+      }
+      throw _error;
+    }
+  });
+}
+
+/**
+ * Minimum permission a command requires under a policy
+ *
+ * @param {object} policy - Normalized authorization policy
+ * @param {string|null} command - Command name
+ * @param {boolean} isFork - Whether the PR comes from a fork
+ * @returns {string} Required permission level
+ */
+function getRequiredPermission(policy, command, isFork = false) {
+  const commandPermission = (command && policy.commands?.[command]) || policy.minPermission || DEFAULT_AUTHORIZATION_POLICY.minPermission;
+  if (!isFork) {
+    return commandPermission;
+  }
 
-    const permission = response.data.permission;
-    const isAuthorized = AUTHORIZED_PERMISSIONS.has(permission);
+  const forkPermission = policy.fork?.minPermission || DEFAULT_AUTHORIZATION_POLICY.fork.minPermission;
+  return getPermissionRank(forkPermission) > getPermissionRank(commandPermission) ? forkPermission : commandPermission;
+}
 
-    return {
-      isCollaborator: isAuthorized,
-      permission,
-    };
-  } catch (_error) {
-    // 404 means user is not a collaborator
-    if (_error.status === 404) {
-      return {
-        isCollaborator: false,
-        permission: null,
-      };
+function getRepository(context) {
+  return {
+    owner: context?.repo?.owner || context?.payload?.repository?.owner?.login,
+    repo: context?.repo?.repo || context?.payload?.repository?.name,
+  };
+}
+
+function includesLogin(list, login) {
+  const normalized = normalizeLogin(login);
+  return (list || []).some(entry => normalizeLogin(entry) === normalized);
+}
+
+async function findTeamMembership(octokit, owner, teams, username, { failOnError }) {
+  for (const team of teams || []) {
+    try {
+      if (await isTeamMember(octokit, owner, team, username)) {
+        return team;
+      }
+    } catch (error) {
+      if (failOnError) {
+        throw error;
+      }
     }
-    
-    // Re-throw other errors (403 permission, network, timeout, etc.)
-    throw _error;
   }
+  return null;
 }
 
 /**
  * Check authorization for a commenter on a PR
+ *
+ * Evaluation order: deny lists, allow lists, repository owner, fork PR
+ * author (when allowed), author association, then minimum permission.
+ * Lookup failures deny access.
  * 
  * @param {object} octokit - GitHub Octokit instance
  * @param {object} context - GitHub context object
  * @param {object} commenter - Commenter object with login property
+ * @param {object} [options] - { command, policy, isFork, pullRequest }
  * @returns {Promise<{authorized: boolean, reason?: string}>}
  */
-async function checkAuthorization(octokit, context, commenter) {
+async function checkAuthorization(octokit, context, commenter, options = {}) {
   // If no commenter provided, reject
   if (!commenter || !commenter.login) {
     return {
@@ -119,14 +269,62 @@ async function checkAuthorization(octokit, context, commenter) {
       reason: 'Unable to identify commenter',
     };
   }
-  // IMMEDIATELY AUTHORIZE any identifiable user - no further checks needed
-  // This is a fully permissive policy for all /zai commands
-  return {
-    authorized: true,
-    reason: 'identifiable_user',
-  };
 
-  // Legacy code removed - permissive policy in effect
+  const { command = null, isFork = false, pullRequest = null } = options;
+  const policy = options.policy || DEFAULT_AUTHORIZATION_POLICY;
+  const { login } = commenter;
+  const { owner, repo } = getRepository(context);
+  const commandLabel = command ? `\`/zai ${command}\`` : '/zai commands';
+
+  try {
+    if (includesLogin(policy.denyUsers, login)) {
+      return { authorized: false, reason: `Authorization denied: @${login} is on this repository's deny list for /zai commands.` };
+    }
+
+    const deniedTeam = await findTeamMembership(octokit, owner, policy.denyTeams, login, { failOnError: true });
+    if (deniedTeam) {
+      return { authorized: false, reason: `Authorization denied: @${login} is a member of the denied team ${deniedTeam}.` };
+    }
+
+    if (includesLogin(policy.allowUsers, login)) {
+      return { authorized: true, reason: 'allowed_user' };
+    }
+
+    if (await findTeamMembership(octokit, owner, policy.allowTeams, login, { failOnError: false })) {
+      return { authorized: true, reason: 'allowed_team' };
+    }
+
+    if (isRepoOwner(context, login)) {
+      return { authorized: true, reason: 'repository_owner' };
+    }
+
+    if (isFork && policy.fork?.allowPrAuthor && normalizeLogin(pullRequest?.user?.login) === normalizeLogin(login)) {
+      return { authorized: true, reason: 'fork_pr_author' };
+    }
+
+    const association = getCommentAuthorAssociation(context, commenter);
+    const allowedAssociations = policy.allowedAssociations || [];
+    if (association && allowedAssociations.length > 0 && !isTrustedCommentAuthor(context, commenter, allowedAssociations)) {
+      return {
+        authorized: false,
+        reason: `Authorization denied (author_association: ${association}). Allowed associations: ${allowedAssociations.join(', ')}.`,
+      };
+    }
+
+    const required = getRequiredPermission(policy, command, isFork);
+    const permission = await getUserPermission(octokit, owner, repo, login);
+    if (getPermissionRank(permission) < getPermissionRank(required)) {
+      const scope = isFork ? ' on pull requests from forks' : '';
+      return {
+        authorized: false,
+        reason: `Authorization denied: ${commandLabel} requires ${required} permission${scope} (@${login} has ${permission || 'none'}).`,
+      };
+    }
+
+    return { authorized: true, reason: 'permission', permission };
+  } catch (_error) {
+    return { authorized: false, reason: AUTH_CHECK_FAILED_REASON };
+  }
 }
 
 /**
@@ -164,32 +362,34 @@ async function getPullRequestForAuthorization(octokit, context) {
 }
 
 /**
- * Check authorization for fork PR scenarios
- * According to SECURITY.md:
- * - Fork PR comment by non-collaborator: Block all /zai commands silently
- * - Fork PR comment by collaborator: Allow /zai commands
+ * Check authorization, applying the policy's fork restrictions when the PR
+ * comes from a fork. According to SECURITY.md:
+ * - Fork PRs require at least the policy's fork minimum permission
+ * - The fork PR author is only allowed when `fork.allow_pr_author` is set
+ * - Unidentifiable commenters on fork PRs are blocked silently
  * 
  * @param {object} octokit - GitHub Octokit instance
  * @param {object} context - GitHub context object
  * @param {object} commenter - Commenter object with login property
+ * @param {object} [options] - { command, policy }
  * @returns {Promise<{authorized: boolean, reason?: string}>}
  */
-async function checkForkAuthorization(octokit, context, commenter) {
+async function checkForkAuthorization(octokit, context, commenter, options = {}) {
   let pullRequest = null;
   try {
     pullRequest = await getPullRequestForAuthorization(octokit, context);
   } catch (_error) {
-    return checkAuthorization(octokit, context, commenter);
+    // Without the PR we cannot tell whether the fork restrictions apply
+    return { authorized: false, reason: AUTH_CHECK_FAILED_REASON };
   }
 
   const isFork = isForkPullRequest(pullRequest);
 
   // For non-fork PRs, use standard authorization
   if (!isFork) {
-    return checkAuthorization(octokit, context, commenter);
+    return checkAuthorization(octokit, context, commenter, options);
   }
 
-  // IMMEDIATELY AUTHORIZE any identifiable user - fully permissive policy
   if (!commenter || !commenter.login) {
     return {
       authorized: false,
@@ -197,19 +397,14 @@ async function checkForkAuthorization(octokit, context, commenter) {
     };
   }
 
-  // Permissive: allow any identifiable user regardless of fork status
-  return {
-    authorized: true,
-    reason: 'identifiable_user',
-  };
-
-  // Legacy code removed - permissive policy in effect
+  return checkAuthorization(octokit, context, commenter, { ...options, isFork: true, pullRequest });
 }
 
 /**
  * Get safe error message for unauthorized access
- * Never exposes internal details
+ * Never exposes internal details; policy denials are shown as-is
  * 
+ * @param {string} [reason] - Reason returned by checkAuthorization
  * @returns {string}
  */
 function getUnauthorizedMessage(reason) {
@@ -219,15 +414,19 @@ function getUnauthorizedMessage(reason) {
     return 'You are not authorized to use this command.';
   }
 
-  if (normalizedReason.startsWith('Authorization denied (author_association:')) {
-    return `${normalizedReason} Allowed associations: OWNER, MEMBER, COLLABORATOR, CONTRIBUTOR.`;
+  if (normalizedReason.startsWith('Authorization denied (author_association:') && !normalizedReason.includes('Allowed associations:')) {
+    return `${normalizedReason} Allowed associations: ${[...AUTHORIZED_ASSOCIATIONS].join(', ')}.`;
+  }
+
+  if (normalizedReason.startsWith('Authorization denied')) {
+    return normalizedReason;
   }
 
   if (normalizedReason === 'Unable to identify commenter') {
     return 'Unable to identify who authored this command comment. Please post a new /zai command comment and try again.';
   }
 
-  if (normalizedReason === 'Authorization check failed. Please try again later.') {
+  if (normalizedReason === AUTH_CHECK_FAILED_REASON) {
     return 'Authorization could not be verified due to a temporary GitHub permission check issue. Please try again.';
   }
 
@@ -245,6 +444,9 @@ function getUnknownCommandMessage() {
 
 module.exports = {
   isCollaborator,
+  getUserPermission,
+  isTeamMember,
+  getRequiredPermission,
   checkAuthorization,
   checkForkAuthorization,
   getPullRequestForAuthorization,
@@ -253,6 +455,10 @@ module.exports = {
   getUnknownCommandMessage,
   AUTHORIZED_PERMISSIONS,
   AUTHORIZED_ASSOCIATIONS,
+  KNOWN_ASSOCIATIONS,
+  PERMISSION_LEVELS,
+  POLICY_PERMISSIONS,
+  DEFAULT_AUTHORIZATION_POLICY,
   API_TIMEOUT_MS,
   isRepoOwner,
   normalizeLogin,
@@ -7,6 +7,10 @@ const DEFAULT_REVIEW_BATCH_CHARS = 120000;
 const DEFAULT_MAX_FILES_PER_BATCH = 40;
 const DEFAULT_MAX_PATCH_CHARS = 18000;
 const DEFAULT_SYNTHESIS_MAX_CHARS = 120000;
+// Per-request timeout for auto-review calls; whole-PR reviews take longer than commands
+const DEFAULT_AUTO_REVIEW_TIMEOUT_MS = 120000;
+// Ignored files named in coverage notes before the rest are summarized as a count
+const MAX_LISTED_EXCLUDED_FILES = 20;
 
 const HIGH_RISK_PATTERNS = [
   /(^|\/)(auth|security|permissions?|policy|policies)(\/|\.|$)/i,
@@ -199,6 +203,15 @@ function buildSynthesisPrompt(batchReviews, metadata = {}, options = {}) {
   return `${basePrompt.slice(0, maxChars)}\n\n...[truncated batch review synthesis input]`;
 }
 
+function buildExcludedFilesNote(excludedFiles = []) {
+  if (!excludedFiles || excludedFiles.length === 0) {
+    return null;
+  }
+  const listed = excludedFiles.slice(0, MAX_LISTED_EXCLUDED_FILES).map(file => `\`${file}\``).join(', ');
+  const remaining = excludedFiles.length - MAX_LISTED_EXCLUDED_FILES;
+  return `${excludedFiles.length} changed file(s) were not reviewed because they match ignore rules: ${listed}${remaining > 0 ? ` and ${remaining} more` : ''}.`;
+}
+
 function buildCoverageNotes(metadata = {}) {
   const notes = [];
   notes.push(`Reviewed ${metadata.reviewedFiles || 0} patchable file(s) across ${metadata.totalBatches || 0} batch(es).`);
@@ -211,6 +224,16 @@ function buildCoverageNotes(metadata = {}) {
     notes.push(`GitHub's changed-files API limit of ${MAX_PR_FILES_API_LIMIT} files was reached, so files beyond that platform limit could not be reviewed.`);
   }
 
+  const excludedNote = buildExcludedFilesNote(metadata.excludedFiles);
+  if (excludedNote) {
+    notes.push(excludedNote);
+  }
+
+  if (metadata.budgetStop) {
+    const { reviewedBatches, totalBatches, tokenBudget } = metadata.budgetStop;
+    notes.push(`The token budget of ${tokenBudget} tokens was reached after ${reviewedBatches} of ${totalBatches} batch(es); the remaining batches and the final synthesis were skipped.`);
+  }
+
   return notes;
 }
 
@@ -230,7 +253,8 @@ function isLargePr(files, options = {}) {
 }
 
 function isContextLimitError(error) {
-  const message = String(error?.message || '').toLowerCase();
+  // API client errors carry a sanitized message; the raw provider body is on `cause`
+  const message = `${error?.message || ''} ${error?.cause?.message || ''}`.toLowerCase();
   return message.includes('maximum context length')
     || message.includes('input tokens exceeds')
     || message.includes('code":413')
@@ -243,7 +267,9 @@ module.exports = {
   DEFAULT_MAX_FILES_PER_BATCH,
   DEFAULT_MAX_PATCH_CHARS,
   DEFAULT_SYNTHESIS_MAX_CHARS,
+  DEFAULT_AUTO_REVIEW_TIMEOUT_MS,
   buildCoverageNotes,
+  buildExcludedFilesNote,
   buildFallbackReview,
   buildPrompt,
   buildSynthesisPrompt,
@@ -0,0 +1,323 @@
+/**
+ * Changelog generation from merged pull requests
+ *
+ * Collects the pull requests merged into a branch between two refs (by
+ * default: since the latest release), sorts them into Keep a Changelog
+ * sections from their labels and conventional-commit title prefix, and
+ * renders or splices a `## [version] - date` section. Shared by the
+ * `/zai changelog` command and the `changelog` scheduled task.
+ */
+
+const KEEP_A_CHANGELOG_SECTIONS = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+// Conventional-commit types that land in a section; others (docs, chore, ci, test, ...) are omitted
+const TYPE_SECTIONS = {
+  feat: 'Added',
+  fix: 'Fixed',
+  perf: 'Changed',
+  refactor: 'Changed',
+  revert: 'Changed',
+  security: 'Security',
+  deprecate: 'Deprecated',
+  remove: 'Removed',
+};
+
+// Labels win over the title prefix
+const LABEL_SECTIONS = {
+  security: 'Security',
+  deprecated: 'Deprecated',
+  deprecation: 'Deprecated',
+  removed: 'Removed',
+  removal: 'Removed',
+  bug: 'Fixed',
+  fix: 'Fixed',
+  bugfix: 'Fixed',
+  enhancement: 'Added',
+  feature: 'Added',
+};
+
+// Pull requests carrying one of these labels are left out
+const SKIP_LABELS = new Set(['skip-changelog', 'no-changelog', 'changelog: skip']);
+
+const CONVENTIONAL_TITLE_PATTERN = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+
+// pulls.list pages scanned before giving up (100 pull requests each)
+const MAX_PULL_PAGES = 10;
+
+// listReleases pages scanned for an existing release (100 releases each)
+const MAX_RELEASE_PAGES = 10;
+
+const CHANGELOG_HEADER = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/).
+`;
+
+/**
+ * Resolve the range to collect. `from` defaults to the latest release tag;
+ * without `to` the range ends now and the section is "Unreleased".
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} [options] - { from, to, branch }
+ * @returns {Promise<{from: string|null, to: string|null, since: string|null, until: string, branch: string, version: string}>}
+ */
+async function resolveChangelogRange(octokit, owner, repo, options = {}) {
+  let from = options.from || null;
+  const to = options.to || null;
+
+  if (!from) {
+    try {
+      const { data } = await octokit.rest.repos.getLatestRelease({ owner, repo });
+      from = data.tag_name || null;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  const commitDate = async ref => {
+    const { data } = await octokit.rest.repos.getCommit({ owner, repo, ref });
+    return data.commit?.committer?.date || data.commit?.author?.date;
+  };
+
+  const since = from ? await commitDate(from) : null;
+  const until = to ? await commitDate(to) : new Date().toISOString();
+
+  let branch = options.branch;
+  if (!branch) {
+    const { data } = await octokit.rest.repos.get({ owner, repo });
+    branch = data.default_branch;
+  }
+
+  return { from, to, since, until, branch, version: to || 'Unreleased' };
+}
+
+/**
+ * List pull requests merged into a branch within (since, until].
+ * Pages through closed pull requests by last update; once a page's oldest
+ * update predates `since` no earlier merge can follow.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} range - { since, until, branch }
+ * @returns {Promise<{pulls: Array<Object>, limitReached: boolean}>}
+ */
+async function fetchMergedPullRequests(octokit, owner, repo, { since, until, branch }) {
+  const sinceTime = since ? Date.parse(since) : 0;
+  const untilTime = Date.parse(until);
+  const pulls = [];
+
+  for (let page = 1; page <= MAX_PULL_PAGES; page++) {
+    const { data } = await octokit.rest.pulls.list({
+      owner,
+      repo,
+      state: 'closed',
+      base: branch,
+      sort: 'updated',
+      direction: 'desc',
+      per_page: 100,
+      page,
+    });
+    const batch = Array.isArray(data) ? data : [];
+
+    for (const pull of batch) {
+      const mergedAt = pull.merged_at ? Date.parse(pull.merged_at) : null;
+      if (mergedAt && mergedAt > sinceTime && mergedAt <= untilTime) {
+        pulls.push(pull);
+      }
+    }
+
+    const oldestUpdate = batch.length ? Date.parse(batch[batch.length - 1].updated_at) : 0;
+    if (batch.length < 100 || oldestUpdate <= sinceTime) {
+      return { pulls: sortByMergeDate(pulls), limitReached: false };
+    }
+  }
+
+  return { pulls: sortByMergeDate(pulls), limitReached: true };
+}
+
+function sortByMergeDate(pulls) {
+  return [...pulls].sort((a, b) => Date.parse(a.merged_at) - Date.parse(b.merged_at));
+}
+
+function labelNames(pull) {
+  return (pull.labels || []).map(label => String(typeof label === 'string' ? label : label?.name || '').toLowerCase());
+}
+
+/**
+ * Classify one pull request.
+ * @param {Object} pull - Pull request from the REST API
+ * @returns {{section: string|null, text: string, breaking: boolean}} section is null when omitted
+ */
+function classifyPullRequest(pull) {
+  const title = String(pull.title || '').trim();
+  const match = title.match(CONVENTIONAL_TITLE_PATTERN);
+  const type = match ? match[1].toLowerCase() : null;
+  const subject = match ? match[4] : title;
+  const breaking = Boolean(match?.[3]) || /BREAKING[ -]CHANGE/.test(pull.body || '');
+  const text = subject.charAt(0).toUpperCase() + subject.slice(1);
+
+  const labels = labelNames(pull);
+  if (labels.some(label => SKIP_LABELS.has(label))) {
+    return { section: null, text, breaking };
+  }
+
+  const labelSection = labels.map(label => LABEL_SECTIONS[label]).find(Boolean);
+  const section = labelSection || (type ? TYPE_SECTIONS[type] : 'Changed') || (breaking ? 'Changed' : null);
+  return { section: section || null, text, breaking };
+}
+
+/**
+ * Group pull requests into Keep a Changelog sections.
+ * @param {Array<Object>} pulls - Merged pull requests
+ * @returns {{sections: Object<string, string[]>, omitted: Array<Object>}}
+ */
+function groupPullRequests(pulls) {
+  const sections = {};
+  const omitted = [];
+
+  for (const pull of pulls) {
+    const { section, text, breaking } = classifyPullRequest(pull);
+    if (!section) {
+      omitted.push(pull);
+      continue;
+    }
+    const author = pull.user?.login ? ` by @${pull.user.login}` : '';
+    const entry = `${breaking ? '**Breaking:** ' : ''}${text} (#${pull.number})${author}`;
+    (sections[section] = sections[section] || []).push(entry);
+  }
+
+  return { sections, omitted };
+}
+
+/**
+ * Render a Keep a Changelog section.
+ * @param {Object} params - { version, date, sections }
+ * @returns {string}
+ */
+function renderChangelogSection({ version, date, sections }) {
+  const heading = version === 'Unreleased' ? '## [Unreleased]' : `## [${version.replace(/^v(?=\d)/, '')}] - ${date}`;
+  const body = KEEP_A_CHANGELOG_SECTIONS
+    .filter(name => sections[name]?.length)
+    .map(name => `### ${name}\n\n${sections[name].map(entry => `- ${entry}`).join('\n')}`);
+  return [heading, ...(body.length ? body : ['_No notable changes._'])].join('\n\n');
+}
+
+/**
+ * Put a section into CHANGELOG.md content: replace the section with the same
+ * heading, otherwise insert it above the newest existing one.
+ * @param {string|null} existing - Current file content (null when missing)
+ * @param {string} section - From renderChangelogSection
+ * @returns {string}
+ */
+function insertChangelogSection(existing, section) {
+  const content = existing && existing.trim() ? existing : CHANGELOG_HEADER;
+  const heading = section.split('\n')[0].replace(/ - .*$/, '');
+  const lines = content.replace(/\s+$/, '').split('\n');
+
+  const start = lines.findIndex(line => line === heading || line.startsWith(`${heading} `));
+  if (start !== -1) {
+    const next = lines.findIndex((line, index) => index > start && line.startsWith('## '));
+    const end = next === -1 ? lines.length : next;
+    const after = lines.slice(end);
+    return [...lines.slice(0, start), section, ...(after.length ? ['', ...after] : [])].join('\n') + '\n';
+  }
+
+  // A new release goes below [Unreleased], anything else above the first section
+  const anchor = lines.findIndex(line => line.startsWith('## ') && !(heading !== '## [Unreleased]' && line.startsWith('## [Unreleased]')));
+  if (anchor === -1) {
+    return `${lines.join('\n')}\n\n${section}\n`;
+  }
+  return [...lines.slice(0, anchor), section, '', ...lines.slice(anchor)].join('\n') + '\n';
+}
+
+/**
+ * Find the release for a tag, drafts included. getReleaseByTag does not
+ * return drafts, so the release list is paged until the tag turns up.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Tag name
+ * @returns {Promise<Object|null>}
+ */
+async function findReleaseByTag(octokit, owner, repo, tag) {
+  for (let page = 1; page <= MAX_RELEASE_PAGES; page++) {
+    const { data } = await octokit.rest.repos.listReleases({ owner, repo, per_page: 100, page });
+    const releases = Array.isArray(data) ? data : [];
+    const match = releases.find(release => release.tag_name === tag);
+    if (match || releases.length < 100) {
+      return match || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a draft release for a tag, or refresh the draft already open for it.
+ * Published releases are never touched.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} params - { tag, target, section }
+ * @returns {Promise<{release: Object, updated: boolean}>}
+ */
+async function upsertDraftRelease(octokit, owner, repo, { tag, target, section }) {
+  // The release name carries the version, so the body starts at the first subsection
+  const body = section.split('\n').slice(2).join('\n');
+  const existing = await findReleaseByTag(octokit, owner, repo, tag);
+
+  if (existing && !existing.draft) {
+    throw new Error(`Release ${tag} is already published`);
+  }
+  if (existing) {
+    const { data } = await octokit.rest.repos.updateRelease({ owner, repo, release_id: existing.id, body });
+    return { release: data, updated: true };
+  }
+
+  const { data } = await octokit.rest.repos.createRelease({
+    owner,
+    repo,
+    tag_name: tag,
+    target_commitish: target,
+    name: tag,
+    body,
+    draft: true,
+  });
+  return { release: data, updated: false };
+}
+
+/**
+ * Collect, group and render the changelog for a range.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} [options] - { from, to, branch }
+ * @returns {Promise<Object>} { range, section, pulls, omitted, limitReached }
+ */
+async function generateChangelog(octokit, owner, repo, options = {}) {
+  const range = await resolveChangelogRange(octokit, owner, repo, options);
+  const { pulls, limitReached } = await fetchMergedPullRequests(octokit, owner, repo, range);
+  const { sections, omitted } = groupPullRequests(pulls);
+  const section = renderChangelogSection({
+    version: range.version,
+    date: range.until.slice(0, 10),
+    sections,
+  });
+  return { range, section, pulls, omitted, limitReached };
+}
+
+module.exports = {
+  KEEP_A_CHANGELOG_SECTIONS,
+  CHANGELOG_HEADER,
+  resolveChangelogRange,
+  fetchMergedPullRequests,
+  classifyPullRequest,
+  groupPullRequests,
+  renderChangelogSection,
+  insertChangelogSection,
+  upsertDraftRelease,
+  generateChangelog,
+};
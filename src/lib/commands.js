@@ -6,22 +6,30 @@
  */
 
 // Allowlisted commands
-const ALLOWED_COMMANDS = ['ask', 'describe', 'explain', 'help', 'impact', 'review', 'update-agents'];
+const ALLOWED_COMMANDS = ['ask', 'changelog', 'describe', 'explain', 'fix', 'help', 'impact', 'review', 'test', 'update-agents'];
 
 // Command metadata for help text
 const COMMAND_DESCRIPTIONS = {
   ask: {
-    usage: '/zai ask <question>',
+    usage: '/zai ask [--new] <question>',
     description: 'Ask a question about the code changes in this PR',
   },
+  changelog: {
+    usage: '/zai changelog [from[..to]] [--release|--pr]',
+    description: 'Build a changelog section from merged PRs since the last release (--release drafts a release, --pr updates CHANGELOG.md)',
+  },
   describe: {
     usage: '/zai describe',
-    description: 'Generate a PR description from commit messages',
+    description: 'Generate a PR description from all commits and the diff stats',
   },
   explain: {
     usage: '/zai explain <lines>',
     description: 'Explain selected lines (e.g., /zai explain 10-25)',
   },
+  fix: {
+    usage: '/zai fix <file> [lines] [instruction]',
+    description: 'Generate a fix and commit it to the PR branch (not available for forks)',
+  },
   help: {
     usage: '/zai help',
     description: 'Show this help message',
@@ -34,6 +42,10 @@ const COMMAND_DESCRIPTIONS = {
     usage: '/zai review [file]',
     description: 'Review specific files or all changed files',
   },
+  test: {
+    usage: '/zai test [file] [--pr]',
+    description: 'Propose unit tests for changed functions (--pr opens them as a pull request)',
+  },
   'update-agents': {
     usage: '/zai update-agents',
     description: 'Manually trigger AGENTS.md update from gist (collaborators only)',
@@ -15,9 +15,51 @@ async function findCommentByMarker(octokit, owner, repo, issueNumber, marker) {
   return comments.find(c => c.body.includes(marker)) || null;
 }
 
+async function updateCommentById(octokit, owner, repo, commentId, body, options = {}) {
+  const { isReviewComment = false } = options;
+
+  if (isReviewComment) {
+    const { data: updated } = await octokit.rest.pulls.updateReviewComment({
+      owner,
+      repo,
+      comment_id: commentId,
+      body,
+    });
+    return updated;
+  }
+
+  const { data: updated } = await octokit.rest.issues.updateComment({
+    owner,
+    repo,
+    comment_id: commentId,
+    body,
+  });
+  return updated;
+}
+
 async function upsertComment(octokit, owner, repo, issueNumber, body, marker, options = {}) {
-  const { replyToId = null, updateExisting = true, isReviewComment = false, pullNumber = null } = options;
-  
+  const {
+    replyToId = null,
+    updateExisting = true,
+    isReviewComment = false,
+    pullNumber = null,
+    replaceComment = null,
+  } = options;
+
+  // Replace a placeholder (e.g. the progress comment) in place; post normally if it is gone
+  if (replaceComment?.id) {
+    try {
+      const updated = await updateCommentById(octokit, owner, repo, replaceComment.id, body, {
+        isReviewComment: Boolean(replaceComment.isReviewComment),
+      });
+      return { action: 'updated', comment: updated };
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
   let existingComment = null;
   if (!replyToId && updateExisting) {
     existingComment = await findCommentByMarker(octokit, owner, repo, issueNumber, marker);
@@ -92,6 +134,7 @@ async function setReaction(octokit, owner, repo, commentId, reactionContent) {
 module.exports = {
   REACTIONS,
   findCommentByMarker,
+  updateCommentById,
   upsertComment,
   addReaction,
   updateReaction,
@@ -0,0 +1,1034 @@
+/**
+ * Repository Configuration Loader
+ *
+ * Loads and validates the `.zai.yml` file from a repository's base branch.
+ * The file tunes bot behavior per repository (auto-review, path filters,
+ * ignored paths, command enablement, authorization policy, quotas, prompt
+ * overrides, context budget, labels, streaming, PR title policy, review check
+ * run, output format) without editing workflows. Action inputs provide the
+ * defaults; any field set in the file overrides the corresponding input.
+ */
+
+const core = require('@actions/core');
+const yaml = require('yaml');
+const { DEFAULT_AUTHORIZATION_POLICY, KNOWN_ASSOCIATIONS, POLICY_PERMISSIONS } = require('../auth');
+const { ALLOWED_COMMANDS } = require('../commands');
+const { DEFAULT_MAX_CHARS } = require('../context');
+const { DEFAULT_PROGRESS_INTERVAL_MS } = require('../progress');
+const { DEFAULT_QUOTA_CONFIG, QUOTA_WINDOWS } = require('../quota');
+const { DEFAULT_EXCLUDE_PATHS, globToRegExp } = require('../repository-context');
+const { DEFAULT_TITLE_PATTERN, TITLE_MODES } = require('../pr-title');
+const { DEFAULT_CHECK_RUN_NAME, FAIL_ON_LEVELS } = require('../review-check');
+const { OUTPUT_FORMATS } = require('../structured-output');
+const { applyPromptOverride, loadPromptTemplates } = require('../prompts');
+const { DEFAULT_GUIDELINES_CHARS } = require('../guidelines');
+const { DEFAULT_CROSS_FILE_CHARS } = require('../cross-file-context');
+
+// Configuration schema version
+const REPO_CONFIG_VERSION = 1;
+
+const DEFAULT_REPO_CONFIG_PATH = '.zai.yml';
+
+// Commands that a repository may switch off. `help` always stays available.
+const CONFIGURABLE_COMMANDS = ALLOWED_COMMANDS.filter(command => command !== 'help');
+
+// Prompt slots that accept repository instructions.
+const PROMPT_KEYS = ['auto_review', 'review', 'explain', 'ask', 'describe', 'impact', 'fix', 'test'];
+
+const TOP_LEVEL_FIELDS = [
+  'version', 'auto_review', 'ignore', 'commands', 'authorization', 'quota', 'prompts', 'max_chars', 'labels', 'streaming', 'title', 'check_run', 'output', 'guidelines',
+  'cross_file_context',
+];
+
+// quota limit fields mapped to their normalized keys
+const QUOTA_LIMIT_FIELDS = {
+  per_user_per_pr: 'perUserPerPr',
+  per_repo: 'perRepo',
+};
+
+// authorization list fields mapped to their normalized keys
+const AUTHORIZATION_LIST_FIELDS = {
+  allow_users: 'allowUsers',
+  deny_users: 'denyUsers',
+  allow_teams: 'allowTeams',
+  deny_teams: 'denyTeams',
+};
+
+// auto_review batching fields mapped to the action inputs they override.
+const AUTO_REVIEW_LIMIT_FIELDS = {
+  large_pr_file_threshold: { key: 'largePrFileThreshold', input: 'ZAI_AUTO_REVIEW_LARGE_PR_FILE_THRESHOLD' },
+  max_batch_chars: { key: 'maxBatchChars', input: 'ZAI_AUTO_REVIEW_MAX_BATCH_CHARS' },
+  max_files_per_batch: { key: 'maxFilesPerBatch', input: 'ZAI_AUTO_REVIEW_MAX_FILES_PER_BATCH' },
+  max_patch_chars: { key: 'maxPatchChars', input: 'ZAI_AUTO_REVIEW_MAX_PATCH_CHARS' },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function parseBooleanInput(value, fallback) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (normalized === 'true') return true;
+  if (normalized === 'false') return false;
+  return fallback;
+}
+
+function parseListInput(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Build the effective configuration from action inputs alone.
+ * Batching limits are left to getReviewConfig, which already reads them.
+ * @param {Object} _core - @actions/core (injectable)
+ * @returns {Object} Normalized configuration
+ */
+function getActionDefaults(_core = core) {
+  const disabled = new Set(parseListInput(_core.getInput('ZAI_DISABLED_COMMANDS')));
+  const maxChars = Number.parseInt(_core.getInput('ZAI_MAX_CHARS'), 10);
+
+  const commands = {};
+  for (const command of CONFIGURABLE_COMMANDS) {
+    commands[command] = { enabled: !disabled.has(command) };
+  }
+
+  return {
+    version: REPO_CONFIG_VERSION,
+    autoReview: {
+      enabled: parseBooleanInput(_core.getInput('ZAI_AUTO_REVIEW_ENABLED'), true),
+      include: [],
+      exclude: [],
+    },
+    commands,
+    authorization: {
+      ...DEFAULT_AUTHORIZATION_POLICY,
+      commands: { ...DEFAULT_AUTHORIZATION_POLICY.commands },
+      fork: { ...DEFAULT_AUTHORIZATION_POLICY.fork },
+    },
+    quota: {
+      ...DEFAULT_QUOTA_CONFIG,
+      perUserPerPr: { ...DEFAULT_QUOTA_CONFIG.perUserPerPr },
+      perRepo: { ...DEFAULT_QUOTA_CONFIG.perRepo },
+      exemptUsers: [...DEFAULT_QUOTA_CONFIG.exemptUsers],
+    },
+    prompts: {},
+    promptTemplates: {},
+    maxChars: isPositiveInteger(maxChars) ? maxChars : DEFAULT_MAX_CHARS,
+    labels: {
+      enabled: parseBooleanInput(_core.getInput('ZAI_LABELS_ENABLED'), true),
+      allowed: [],
+    },
+    streaming: {
+      enabled: parseBooleanInput(_core.getInput('ZAI_STREAMING'), true),
+      updateIntervalMs: DEFAULT_PROGRESS_INTERVAL_MS,
+    },
+    ignore: {
+      paths: parseListInput(_core.getInput('ZAI_IGNORE_PATHS')),
+      useDefaults: true,
+    },
+    title: {
+      pattern: DEFAULT_TITLE_PATTERN,
+      mode: 'suggest',
+      onOpen: false,
+      check: false,
+    },
+    checkRun: {
+      enabled: false,
+      name: DEFAULT_CHECK_RUN_NAME,
+      failOn: 'critical',
+    },
+    output: {
+      format: 'markdown',
+    },
+    guidelines: {
+      enabled: true,
+      maxChars: DEFAULT_GUIDELINES_CHARS,
+    },
+    crossFileContext: {
+      enabled: true,
+      maxChars: DEFAULT_CROSS_FILE_CHARS,
+    },
+  };
+}
+
+/**
+ * Load repository configuration from the base branch.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [ref] - Base branch; omitted means the default branch
+ * @param {string} [configPath] - Path of the config file
+ * @returns {Promise<Object|null>} - Validated file configuration or null if not found
+ * @throws {Error} - If the file cannot be parsed or is invalid
+ */
+async function loadRepoConfig(octokit, owner, repo, ref, configPath = DEFAULT_REPO_CONFIG_PATH) {
+  let configContent;
+  try {
+    const params = { owner, repo, path: configPath };
+    if (ref) {
+      params.ref = ref;
+    }
+    ({ data: configContent } = await octokit.rest.repos.getContent(params));
+  } catch (error) {
+    if (error.status === 404) {
+      return null; // No repository config - action inputs apply unchanged
+    }
+    throw error;
+  }
+
+  const rawContent = Buffer.from(configContent.content || '', 'base64').toString('utf8');
+  let config;
+  try {
+    config = yaml.parse(rawContent);
+  } catch (error) {
+    throw new Error(`Failed to parse ${configPath}: ${error.message}`);
+  }
+
+  return validateAndNormalizeRepoConfig(config);
+}
+
+/**
+ * Validate repository configuration schema and normalize values.
+ * Only fields present in the file appear in the result so they can be
+ * layered over action-input defaults with mergeRepoConfig. Empty sections
+ * (e.g. `prompts:` with every entry commented out) are treated as unset.
+ * @param {Object} config - Raw configuration object
+ * @returns {Object} - Validated and normalized configuration
+ * @throws {Error} - If configuration is invalid
+ */
+function validateAndNormalizeRepoConfig(config) {
+  if (!isPlainObject(config)) {
+    throw new Error('Configuration missing required field: version');
+  }
+
+  if (!config.version) {
+    throw new Error('Configuration missing required field: version');
+  }
+
+  if (config.version !== REPO_CONFIG_VERSION) {
+    throw new Error(`Unsupported config version: ${config.version}. Expected: ${REPO_CONFIG_VERSION}`);
+  }
+
+  const unknown = Object.keys(config).find(key => !TOP_LEVEL_FIELDS.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown configuration field: ${unknown}. Allowed: ${TOP_LEVEL_FIELDS.join(', ')}`);
+  }
+
+  const normalized = { version: config.version };
+
+  if (config.auto_review !== undefined && config.auto_review !== null) {
+    normalized.autoReview = validateAutoReview(config.auto_review);
+  }
+  if (config.commands !== undefined && config.commands !== null) {
+    normalized.commands = validateCommands(config.commands);
+  }
+  if (config.authorization !== undefined && config.authorization !== null) {
+    normalized.authorization = validateAuthorization(config.authorization);
+  }
+  if (config.quota !== undefined && config.quota !== null) {
+    normalized.quota = validateQuota(config.quota);
+  }
+  if (config.prompts !== undefined && config.prompts !== null) {
+    normalized.prompts = validatePrompts(config.prompts);
+  }
+  if (config.max_chars !== undefined && config.max_chars !== null) {
+    if (!isPositiveInteger(config.max_chars)) {
+      throw new Error('max_chars has invalid value (must be a positive integer)');
+    }
+    normalized.maxChars = config.max_chars;
+  }
+  if (config.labels !== undefined && config.labels !== null) {
+    normalized.labels = validateLabels(config.labels);
+  }
+  if (config.streaming !== undefined && config.streaming !== null) {
+    normalized.streaming = validateStreaming(config.streaming);
+  }
+  if (config.ignore !== undefined && config.ignore !== null) {
+    normalized.ignore = validateIgnore(config.ignore);
+  }
+  if (config.title !== undefined && config.title !== null) {
+    normalized.title = validateTitle(config.title);
+  }
+  if (config.check_run !== undefined && config.check_run !== null) {
+    normalized.checkRun = validateCheckRun(config.check_run);
+  }
+  if (config.output !== undefined && config.output !== null) {
+    normalized.output = validateOutput(config.output);
+  }
+  if (config.guidelines !== undefined && config.guidelines !== null) {
+    normalized.guidelines = validateGuidelines(config.guidelines);
+  }
+  if (config.cross_file_context !== undefined && config.cross_file_context !== null) {
+    normalized.crossFileContext = validateCrossFileContext(config.cross_file_context);
+  }
+
+  return normalized;
+}
+
+function validateGlobList(value, field) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${field} has invalid value (must be array of glob strings)`);
+  }
+  if (value.some(entry => typeof entry !== 'string' || !entry.trim())) {
+    throw new Error(`${field} has non-string or empty entry`);
+  }
+  return value.map(entry => entry.trim());
+}
+
+/**
+ * Validate the auto_review section
+ * @param {Object} section - Raw auto_review section
+ * @returns {Object} - Normalized auto-review overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateAutoReview(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('auto_review must be a mapping');
+  }
+
+  const result = {};
+
+  if (section.enabled !== undefined) {
+    if (typeof section.enabled !== 'boolean') {
+      throw new Error('auto_review has invalid enabled value (must be boolean)');
+    }
+    result.enabled = section.enabled;
+  }
+
+  for (const field of ['include', 'exclude']) {
+    if (section[field] !== undefined) {
+      result[field] = validateGlobList(section[field], `auto_review.${field}`);
+    }
+  }
+
+  for (const [field, { key }] of Object.entries(AUTO_REVIEW_LIMIT_FIELDS)) {
+    if (section[field] !== undefined) {
+      if (!isPositiveInteger(section[field])) {
+        throw new Error(`auto_review has invalid ${field} value (must be a positive integer)`);
+      }
+      result[key] = section[field];
+    }
+  }
+
+  const known = ['enabled', 'include', 'exclude', ...Object.keys(AUTO_REVIEW_LIMIT_FIELDS)];
+  const unknown = Object.keys(section).find(key => !known.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field in auto_review: ${unknown}`);
+  }
+
+  return result;
+}
+
+/**
+ * Validate the commands section. Each command accepts either a boolean or a
+ * mapping with an `enabled` boolean.
+ * @param {Object} section - Raw commands section
+ * @returns {Object} - Map of command name to { enabled }
+ * @throws {Error} - If the section is invalid
+ */
+function validateCommands(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('commands must be a mapping of command name to settings');
+  }
+
+  const result = {};
+  for (const [name, value] of Object.entries(section)) {
+    if (name === 'help') {
+      throw new Error('Command help cannot be configured (it is always enabled)');
+    }
+    if (!CONFIGURABLE_COMMANDS.includes(name)) {
+      throw new Error(`Unknown command in commands: ${name}. Allowed: ${CONFIGURABLE_COMMANDS.join(', ')}`);
+    }
+
+    const enabled = isPlainObject(value) ? value.enabled : value;
+    if (typeof enabled !== 'boolean') {
+      throw new Error(`Command ${name} has invalid enabled value (must be boolean)`);
+    }
+    result[name] = { enabled };
+  }
+
+  return result;
+}
+
+function validatePermission(value, field) {
+  if (!POLICY_PERMISSIONS.includes(value)) {
+    throw new Error(`${field} has invalid permission: ${value}. Allowed: ${POLICY_PERMISSIONS.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Validate the authorization section
+ * @param {Object} section - Raw authorization section
+ * @returns {Object} - Normalized authorization policy overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateAuthorization(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('authorization must be a mapping');
+  }
+
+  const result = {};
+
+  if (section.min_permission !== undefined) {
+    result.minPermission = validatePermission(section.min_permission, 'authorization.min_permission');
+  }
+
+  if (section.commands !== undefined && section.commands !== null) {
+    if (!isPlainObject(section.commands)) {
+      throw new Error('authorization.commands must be a mapping of command name to permission');
+    }
+    result.commands = {};
+    for (const [name, permission] of Object.entries(section.commands)) {
+      if (!ALLOWED_COMMANDS.includes(name)) {
+        throw new Error(`Unknown command in authorization.commands: ${name}. Allowed: ${ALLOWED_COMMANDS.join(', ')}`);
+      }
+      result.commands[name] = validatePermission(permission, `authorization.commands.${name}`);
+    }
+  }
+
+  if (section.allowed_associations !== undefined) {
+    if (!Array.isArray(section.allowed_associations) || section.allowed_associations.some(entry => typeof entry !== 'string')) {
+      throw new Error('authorization has invalid allowed_associations value (must be array of strings)');
+    }
+    result.allowedAssociations = section.allowed_associations.map(entry => entry.trim().toUpperCase());
+    const unknown = result.allowedAssociations.find(entry => !KNOWN_ASSOCIATIONS.includes(entry));
+    if (unknown) {
+      throw new Error(`Unknown association in authorization.allowed_associations: ${unknown}. Allowed: ${KNOWN_ASSOCIATIONS.join(', ')}`);
+    }
+  }
+
+  for (const [field, key] of Object.entries(AUTHORIZATION_LIST_FIELDS)) {
+    if (section[field] !== undefined) {
+      if (!Array.isArray(section[field]) || section[field].some(entry => typeof entry !== 'string' || !entry.trim())) {
+        throw new Error(`authorization has invalid ${field} value (must be array of non-empty strings)`);
+      }
+      result[key] = section[field].map(entry => entry.trim().replace(/^@/, ''));
+    }
+  }
+
+  if (section.fork !== undefined && section.fork !== null) {
+    if (!isPlainObject(section.fork)) {
+      throw new Error('authorization.fork must be a mapping');
+    }
+    result.fork = {};
+    if (section.fork.min_permission !== undefined) {
+      result.fork.minPermission = validatePermission(section.fork.min_permission, 'authorization.fork.min_permission');
+    }
+    if (section.fork.allow_pr_author !== undefined) {
+      if (typeof section.fork.allow_pr_author !== 'boolean') {
+        throw new Error('authorization.fork has invalid allow_pr_author value (must be boolean)');
+      }
+      result.fork.allowPrAuthor = section.fork.allow_pr_author;
+    }
+    const unknownForkField = Object.keys(section.fork).find(key => !['min_permission', 'allow_pr_author'].includes(key));
+    if (unknownForkField) {
+      throw new Error(`Unknown field in authorization.fork: ${unknownForkField}`);
+    }
+  }
+
+  const known = ['min_permission', 'commands', 'allowed_associations', 'fork', ...Object.keys(AUTHORIZATION_LIST_FIELDS)];
+  const unknown = Object.keys(section).find(key => !known.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field in authorization: ${unknown}`);
+  }
+
+  return result;
+}
+
+/**
+ * Validate the quota section
+ * @param {Object} section - Raw quota section
+ * @returns {Object} - Normalized quota overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateQuota(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('quota must be a mapping');
+  }
+
+  const result = {};
+
+  if (section.enabled !== undefined) {
+    if (typeof section.enabled !== 'boolean') {
+      throw new Error('quota has invalid enabled value (must be boolean)');
+    }
+    result.enabled = section.enabled;
+  }
+
+  for (const [field, key] of Object.entries(QUOTA_LIMIT_FIELDS)) {
+    if (section[field] === undefined || section[field] === null) {
+      continue;
+    }
+    if (!isPlainObject(section[field])) {
+      throw new Error(`quota.${field} must be a mapping of window to limit`);
+    }
+    result[key] = {};
+    for (const [window, limit] of Object.entries(section[field])) {
+      if (!QUOTA_WINDOWS[window]) {
+        throw new Error(`Unknown window in quota.${field}: ${window}. Allowed: ${Object.keys(QUOTA_WINDOWS).join(', ')}`);
+      }
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`quota.${field} has invalid ${window} value (must be a non-negative integer, 0 = unlimited)`);
+      }
+      result[key][window] = limit;
+    }
+  }
+
+  if (section.ledger_issue !== undefined && section.ledger_issue !== null) {
+    if (!isPositiveInteger(section.ledger_issue)) {
+      throw new Error('quota has invalid ledger_issue value (must be an issue number)');
+    }
+    result.ledgerIssue = section.ledger_issue;
+  }
+
+  if (section.exempt_permission !== undefined) {
+    result.exemptPermission = section.exempt_permission === null
+      ? null
+      : validatePermission(section.exempt_permission, 'quota.exempt_permission');
+  }
+
+  if (section.exempt_users !== undefined) {
+    if (!Array.isArray(section.exempt_users) || section.exempt_users.some(entry => typeof entry !== 'string' || !entry.trim())) {
+      throw new Error('quota has invalid exempt_users value (must be array of non-empty strings)');
+    }
+    result.exemptUsers = section.exempt_users.map(entry => entry.trim().replace(/^@/, ''));
+  }
+
+  const known = ['enabled', 'ledger_issue', 'exempt_permission', 'exempt_users', ...Object.keys(QUOTA_LIMIT_FIELDS)];
+  const unknown = Object.keys(section).find(key => !known.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field in quota: ${unknown}`);
+  }
+
+  return result;
+}
+
+/**
+ * Validate the prompts section
+ * @param {Object} section - Raw prompts section
+ * @returns {Object} - Map of prompt slot to instruction text
+ * @throws {Error} - If the section is invalid
+ */
+function validatePrompts(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('prompts must be a mapping of prompt name to instructions');
+  }
+
+  const result = {};
+  for (const [name, value] of Object.entries(section)) {
+    if (!PROMPT_KEYS.includes(name)) {
+      throw new Error(`Unknown prompt in prompts: ${name}. Allowed: ${PROMPT_KEYS.join(', ')}`);
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`Prompt ${name} has invalid value (must be a string)`);
+    }
+    if (value.trim()) {
+      result[name] = value.trim();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate the labels section
+ * @param {Object} section - Raw labels section
+ * @returns {Object} - Normalized label behavior overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateLabels(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('labels must be a mapping');
+  }
+
+  const result = {};
+  if (section.enabled !== undefined) {
+    if (typeof section.enabled !== 'boolean') {
+      throw new Error('labels has invalid enabled value (must be boolean)');
+    }
+    result.enabled = section.enabled;
+  }
+  if (section.allowed !== undefined) {
+    if (!Array.isArray(section.allowed) || section.allowed.some(label => typeof label !== 'string')) {
+      throw new Error('labels has invalid allowed value (must be array of strings)');
+    }
+    result.allowed = section.allowed.map(label => label.trim()).filter(Boolean);
+  }
+
+  return result;
+}
+
+/**
+ * Validate the streaming section
+ * @param {Object} section - Raw streaming section
+ * @returns {Object} - Normalized streaming overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateStreaming(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('streaming must be a mapping');
+  }
+
+  const result = {};
+  if (section.enabled !== undefined) {
+    if (typeof section.enabled !== 'boolean') {
+      throw new Error('streaming has invalid enabled value (must be boolean)');
+    }
+    result.enabled = section.enabled;
+  }
+  if (section.update_interval_seconds !== undefined) {
+    if (!isPositiveInteger(section.update_interval_seconds)) {
+      throw new Error('streaming has invalid update_interval_seconds value (must be a positive integer)');
+    }
+    result.updateIntervalMs = section.update_interval_seconds * 1000;
+  }
+
+  return result;
+}
+
+/**
+ * Validate the guidelines section
+ * @param {Object} section - Raw guidelines section
+ * @returns {Object} - Normalized guidelines overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateGuidelines(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('guidelines must be a mapping');
+  }
+
+  const unknown = Object.keys(section).find(key => !['enabled', 'max_chars'].includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field in guidelines: ${unknown}`);
+  }
+
+  const result = {};
+  if (section.enabled !== undefined) {
+    if (typeof section.enabled !== 'boolean') {
+      throw new Error('guidelines has invalid enabled value (must be boolean)');
+    }
+    result.enabled = section.enabled;
+  }
+  if (section.max_chars !== undefined) {
+    if (!isPositiveInteger(section.max_chars)) {
+      throw new Error('guidelines has invalid max_chars value (must be a positive integer)');
+    }
+    result.maxChars = section.max_chars;
+  }
+
+  return result;
+}
+
+/**
+ * Validate the cross_file_context section
+ * @param {Object} section - Raw cross_file_context section
+ * @returns {Object} - Normalized cross-file context overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateCrossFileContext(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('cross_file_context must be a mapping');
+  }
+
+  const unknown = Object.keys(section).find(key => !['enabled', 'max_chars'].includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field in cross_file_context: ${unknown}`);
+  }
+
+  const result = {};
+  if (section.enabled !== undefined) {
+    if (typeof section.enabled !== 'boolean') {
+      throw new Error('cross_file_context has invalid enabled value (must be boolean)');
+    }
+    result.enabled = section.enabled;
+  }
+  if (section.max_chars !== undefined) {
+    if (!isPositiveInteger(section.max_chars)) {
+      throw new Error('cross_file_context has invalid max_chars value (must be a positive integer)');
+    }
+    result.maxChars = section.max_chars;
+  }
+
+  return result;
+}
+
+/**
+ * Validate the ignore section
+ * @param {Object} section - Raw ignore section
+ * @returns {Object} - Normalized ignore overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateIgnore(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('ignore must be a mapping');
+  }
+
+  const result = {};
+  if (section.paths !== undefined && section.paths !== null) {
+    result.paths = validateGlobList(section.paths, 'ignore.paths');
+  }
+  if (section.use_defaults !== undefined) {
+    if (typeof section.use_defaults !== 'boolean') {
+      throw new Error('ignore has invalid use_defaults value (must be boolean)');
+    }
+    result.useDefaults = section.use_defaults;
+  }
+
+  return result;
+}
+
+/**
+ * Validate the title section
+ * @param {Object} section - Raw title section
+ * @returns {Object} - Normalized title policy overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateTitle(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('title must be a mapping');
+  }
+
+  const result = {};
+  if (section.pattern !== undefined && section.pattern !== null) {
+    if (typeof section.pattern !== 'string' || !section.pattern.trim()) {
+      throw new Error('title has invalid pattern value (must be a non-empty string)');
+    }
+    try {
+      new RegExp(section.pattern);
+    } catch (error) {
+      throw new Error(`title has invalid pattern value: ${error.message}`);
+    }
+    result.pattern = section.pattern;
+  }
+  if (section.mode !== undefined) {
+    if (!TITLE_MODES.includes(section.mode)) {
+      throw new Error(`title has invalid mode value: ${section.mode}. Allowed: ${TITLE_MODES.join(', ')}`);
+    }
+    result.mode = section.mode;
+  }
+  for (const [field, key] of [['on_open', 'onOpen'], ['check', 'check']]) {
+    if (section[field] !== undefined) {
+      if (typeof section[field] !== 'boolean') {
+        throw new Error(`title has invalid ${field} value (must be boolean)`);
+      }
+      result[key] = section[field];
+    }
+  }
+
+  const unknown = Object.keys(section).find(key => !['pattern', 'mode', 'on_open', 'check'].includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field in title: ${unknown}`);
+  }
+
+  return result;
+}
+
+/**
+ * Validate the check_run section
+ * @param {Object} section - Raw check_run section
+ * @returns {Object} - Normalized check run overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateCheckRun(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('check_run must be a mapping');
+  }
+
+  const result = {};
+  if (section.enabled !== undefined) {
+    if (typeof section.enabled !== 'boolean') {
+      throw new Error('check_run has invalid enabled value (must be boolean)');
+    }
+    result.enabled = section.enabled;
+  }
+  if (section.name !== undefined) {
+    if (typeof section.name !== 'string' || !section.name.trim()) {
+      throw new Error('check_run has invalid name value (must be a non-empty string)');
+    }
+    result.name = section.name.trim();
+  }
+  if (section.fail_on !== undefined) {
+    if (!FAIL_ON_LEVELS.includes(section.fail_on)) {
+      throw new Error(`check_run has invalid fail_on value: ${section.fail_on}. Allowed: ${FAIL_ON_LEVELS.join(', ')}`);
+    }
+    result.failOn = section.fail_on;
+  }
+
+  const unknown = Object.keys(section).find(key => !['enabled', 'name', 'fail_on'].includes(key));
+  if (unknown) {
+    throw new Error(`Unknown field in check_run: ${unknown}`);
+  }
+
+  return result;
+}
+
+/**
+ * Validate the output section
+ * @param {Object} section - Raw output section
+ * @returns {Object} - Normalized output overrides
+ * @throws {Error} - If the section is invalid
+ */
+function validateOutput(section) {
+  if (!isPlainObject(section)) {
+    throw new Error('output must be a mapping');
+  }
+
+  const result = {};
+  if (section.format !== undefined) {
+    if (!OUTPUT_FORMATS.includes(section.format)) {
+      throw new Error(`output has invalid format value: ${section.format}. Allowed: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    result.format = section.format;
+  }
+
+  const unknown = Object.keys(section).find(key => key !== 'format');
+  if (unknown) {
+    throw new Error(`Unknown field in output: ${unknown}`);
+  }
+
+  return result;
+}
+
+/**
+ * Layer validated file configuration over action-input defaults.
+ * @param {Object} defaults - Result of getActionDefaults
+ * @param {Object|null} fileConfig - Result of validateAndNormalizeRepoConfig
+ * @returns {Object} - Effective configuration
+ */
+function mergeRepoConfig(defaults, fileConfig) {
+  if (!fileConfig) {
+    return defaults;
+  }
+
+  return {
+    ...defaults,
+    autoReview: { ...defaults.autoReview, ...fileConfig.autoReview },
+    commands: { ...defaults.commands, ...fileConfig.commands },
+    authorization: {
+      ...defaults.authorization,
+      ...fileConfig.authorization,
+      commands: { ...defaults.authorization.commands, ...fileConfig.authorization?.commands },
+      fork: { ...defaults.authorization.fork, ...fileConfig.authorization?.fork },
+    },
+    quota: {
+      ...defaults.quota,
+      ...fileConfig.quota,
+      perUserPerPr: { ...defaults.quota.perUserPerPr, ...fileConfig.quota?.perUserPerPr },
+      perRepo: { ...defaults.quota.perRepo, ...fileConfig.quota?.perRepo },
+    },
+    prompts: { ...defaults.prompts, ...fileConfig.prompts },
+    maxChars: fileConfig.maxChars ?? defaults.maxChars,
+    labels: { ...defaults.labels, ...fileConfig.labels },
+    streaming: { ...defaults.streaming, ...fileConfig.streaming },
+    ignore: { ...defaults.ignore, ...fileConfig.ignore },
+    title: { ...defaults.title, ...fileConfig.title },
+    checkRun: { ...defaults.checkRun, ...fileConfig.checkRun },
+    output: { ...defaults.output, ...fileConfig.output },
+    guidelines: { ...defaults.guidelines, ...fileConfig.guidelines },
+    crossFileContext: { ...defaults.crossFileContext, ...fileConfig.crossFileContext },
+  };
+}
+
+/**
+ * Resolve the effective configuration for a run. Never throws: an unreadable
+ * or invalid file is reported through `error` and the action defaults apply.
+ * Prompt template files are loaded either way; invalid ones are skipped with
+ * a warning.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [ref] - Base branch
+ * @param {Object} deps - { core, loadRepoConfig, loadPromptTemplates }
+ * @returns {Promise<{ config: Object, source: string, error: string|null }>}
+ */
+async function resolveRepoConfig(octokit, owner, repo, ref, deps = {}) {
+  const {
+    core: _core = core,
+    loadRepoConfig: _loadRepoConfig = loadRepoConfig,
+    loadPromptTemplates: _loadPromptTemplates = loadPromptTemplates,
+  } = deps;
+
+  const defaults = getActionDefaults(_core);
+  const configPath = _core.getInput('ZAI_CONFIG_PATH') || DEFAULT_REPO_CONFIG_PATH;
+  defaults.promptTemplates = await _loadPromptTemplates(octokit, owner, repo, ref, {
+    onWarning: message => _core.warning(`Prompt templates: ${message}`),
+  });
+
+  try {
+    const fileConfig = await _loadRepoConfig(octokit, owner, repo, ref, configPath);
+    return {
+      config: mergeRepoConfig(defaults, fileConfig),
+      source: fileConfig ? configPath : 'action inputs',
+      error: null,
+    };
+  } catch (error) {
+    return {
+      config: defaults,
+      source: 'action inputs',
+      error: `Failed to load ${configPath}: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Convert auto-review limits from the file into getReviewConfig overrides.
+ * @param {Object} config - Effective configuration
+ * @returns {Object} - Overrides keyed by action input name
+ */
+function getReviewConfigOverrides(config) {
+  const overrides = {};
+  for (const { key, input } of Object.values(AUTO_REVIEW_LIMIT_FIELDS)) {
+    if (config?.autoReview?.[key] !== undefined) {
+      overrides[input] = String(config.autoReview[key]);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Check whether a command is enabled for the repository
+ * @param {Object} config - Effective configuration
+ * @param {string} command - Command name
+ * @returns {boolean}
+ */
+function isCommandEnabled(config, command) {
+  if (command === 'help') {
+    return true;
+  }
+  return config?.commands?.[command]?.enabled !== false;
+}
+
+/**
+ * Test a path against a glob. Patterns without a slash also match the
+ * basename, so `*.snap` applies in every directory.
+ * @param {string} path - Repo-relative path
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function matchesGlob(path, pattern) {
+  const regex = globToRegExp(pattern);
+  if (regex.test(path)) {
+    return true;
+  }
+  return !pattern.includes('/') && regex.test(path.split('/').pop());
+}
+
+/**
+ * Apply auto_review include/exclude globs to a path
+ * @param {string} path - Repo-relative path
+ * @param {Object} autoReview - Effective auto-review configuration
+ * @returns {boolean} - True when the path should be reviewed
+ */
+function isPathIncluded(path, autoReview = {}) {
+  const include = autoReview.include || [];
+  const exclude = autoReview.exclude || [];
+
+  if (include.length > 0 && !include.some(pattern => matchesGlob(path, pattern))) {
+    return false;
+  }
+  return !exclude.some(pattern => matchesGlob(path, pattern));
+}
+
+/**
+ * Check a path against the ignore rules shared by auto-review and the
+ * diff context of commands: the built-in lockfile/vendored/generated
+ * patterns (unless `useDefaults` is false) plus the repository's own globs.
+ * @param {string} path - Repo-relative path
+ * @param {Object} ignore - Effective ignore configuration
+ * @returns {boolean} - True when the path should be left out
+ */
+function isPathIgnored(path, ignore = {}) {
+  const patterns = [
+    ...(ignore.useDefaults === false ? [] : DEFAULT_EXCLUDE_PATHS),
+    ...(ignore.paths || []),
+  ];
+  return patterns.some(pattern => matchesGlob(path, pattern));
+}
+
+/**
+ * Split changed files into those to send to the model and those ignored.
+ * @param {Array<Object>} files - Changed files ({ filename, ... })
+ * @param {Object} ignore - Effective ignore configuration
+ * @returns {{files: Array<Object>, ignored: Array<string>}}
+ */
+function partitionIgnoredFiles(files, ignore = {}) {
+  const kept = [];
+  const ignored = [];
+  for (const file of files || []) {
+    if (isPathIgnored(file.filename, ignore)) {
+      ignored.push(file.filename);
+    } else {
+      kept.push(file);
+    }
+  }
+  return { files: kept, ignored };
+}
+
+/**
+ * Get repository instructions for a prompt slot
+ * @param {Object} config - Effective configuration
+ * @param {string} name - Prompt slot name (see PROMPT_KEYS)
+ * @returns {string|null}
+ */
+function getPromptOverride(config, name) {
+  return config?.prompts?.[name] || null;
+}
+
+/**
+ * Filter suggested labels through the repository label policy
+ * @param {Array<string>} labels - Suggested labels
+ * @param {Object} labelsConfig - Effective labels configuration
+ * @returns {Array<string>} - Labels that may be applied
+ */
+function filterLabels(labels, labelsConfig = {}) {
+  if (labelsConfig.enabled === false) {
+    return [];
+  }
+  const allowed = (labelsConfig.allowed || []).map(label => label.toLowerCase());
+  if (allowed.length === 0) {
+    return labels;
+  }
+  return labels.filter(label => allowed.includes(label.toLowerCase()));
+}
+
+module.exports = {
+  REPO_CONFIG_VERSION,
+  DEFAULT_REPO_CONFIG_PATH,
+  CONFIGURABLE_COMMANDS,
+  PROMPT_KEYS,
+  getActionDefaults,
+  loadRepoConfig,
+  validateAndNormalizeRepoConfig,
+  validateAutoReview,
+  validateCommands,
+  validateAuthorization,
+  validateQuota,
+  validatePrompts,
+  validateLabels,
+  validateStreaming,
+  validateIgnore,
+  validateTitle,
+  validateCheckRun,
+  validateOutput,
+  validateGuidelines,
+  validateCrossFileContext,
+  mergeRepoConfig,
+  resolveRepoConfig,
+  getReviewConfigOverrides,
+  isCommandEnabled,
+  matchesGlob,
+  isPathIncluded,
+  isPathIgnored,
+  partitionIgnoredFiles,
+  getPromptOverride,
+  applyPromptOverride,
+  filterLabels,
+};
@@ -176,6 +176,10 @@ function validateAndNormalizeTask(task, index, defaults) {
   
   // Validate AGENTS.md upgrade scoping fields (all optional).
   validateAgentsConfig(task.id, normalized.config);
+
+  if (normalized.command === 'changelog') {
+    validateChangelogConfig(task.id, normalized.config);
+  }
   
   return normalized;
 }
@@ -221,6 +225,31 @@ function validateAgentsConfig(taskId, cfg) {
   }
 }
 
+/**
+ * Validate optional fields of a `changelog` task config.
+ * @param {string} taskId
+ * @param {Object} cfg - task config
+ * @throws {Error} on unsupported output or type mismatches
+ */
+function validateChangelogConfig(taskId, cfg) {
+  const label = `Task ${taskId}`;
+
+  if (cfg.output !== undefined && !['pr', 'release'].includes(cfg.output)) {
+    throw new Error(`${label} has invalid output value (must be "pr" or "release")`);
+  }
+
+  const strings = ['changelog_path', 'from', 'to', 'release_tag', 'pr_title', 'pr_body', 'commit_message'];
+  for (const key of strings) {
+    if (cfg[key] !== undefined && typeof cfg[key] !== 'string') {
+      throw new Error(`${label} has invalid ${key} value (must be a string)`);
+    }
+  }
+
+  if (cfg.output === 'release' && !cfg.release_tag && !cfg.to) {
+    throw new Error(`${label} with output "release" requires release_tag`);
+  }
+}
+
 /**
  * Get tasks that should run for this schedule event
  * @param {Object} config - Validated configuration
@@ -282,4 +311,5 @@ module.exports = {
   validateDefaults,
   validateAndNormalizeTask,
   validateAgentsConfig,
+  validateChangelogConfig,
 };
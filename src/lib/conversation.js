@@ -0,0 +1,276 @@
+/**
+ * Conversation memory for `/zai ask` threads
+ *
+ * Earlier answers in the same thread (the PR conversation, or one
+ * review-comment thread) are read back from the bot's ask replies, whose
+ * continuity state records the question, the conversation id and a rolling
+ * summary. Recent question/answer pairs are sent to the model as chat
+ * messages; once they exceed the history budget the oldest are folded into the
+ * summary by the model. `/zai ask --new <question>` starts a new conversation.
+ */
+
+const { MAX_STATE_SIZE, extractStateFromComment, CONTINUITY_MARKER, CONTINUITY_MARKER_END } = require('./continuity');
+const { stripUsageFooter } = require('./usage');
+
+const ASK_RESPONSE_MARKER = '<!-- ZAI-ASK-RESPONSE -->';
+const NEW_CONVERSATION_FLAG = '--new';
+
+// Stored in each answer's continuity state, which is capped at MAX_STATE_SIZE
+const MAX_STORED_QUESTION_CHARS = 300;
+const MAX_SUMMARY_CHARS = 1200;
+
+const MAX_COMMENT_PAGES = 10;
+
+/**
+ * Split `--new` off the ask arguments
+ * @param {string[]} args - Command arguments
+ * @returns {{question: string, startNew: boolean}}
+ */
+function parseAskArgs(args = []) {
+  const startNew = args.includes(NEW_CONVERSATION_FLAG);
+  const question = args.filter(arg => arg !== NEW_CONVERSATION_FLAG).join(' ').trim();
+  return { question, startNew };
+}
+
+/**
+ * Identify the thread a command comment belongs to
+ * @param {Object} githubContext - GitHub context
+ * @returns {string} 'issue' or 'review:<root comment id>'
+ */
+function getThreadKey(githubContext) {
+  const comment = githubContext?.payload?.comment;
+  const isReviewComment = githubContext?.eventName === 'pull_request_review_comment' || typeof comment?.diff_hunk === 'string';
+  if (isReviewComment && comment?.id) {
+    return `review:${comment.in_reply_to_id || comment.id}`;
+  }
+  return 'issue';
+}
+
+function stripMarkers(body) {
+  let text = stripUsageFooter(String(body || '')).replace(ASK_RESPONSE_MARKER, '');
+  const start = text.indexOf(CONTINUITY_MARKER);
+  if (start !== -1) {
+    const end = text.indexOf(CONTINUITY_MARKER_END, start + CONTINUITY_MARKER.length);
+    text = text.slice(0, start) + (end === -1 ? '' : text.slice(end + CONTINUITY_MARKER_END.length));
+  }
+  return text.trim();
+}
+
+/**
+ * Read one question/answer turn from a bot ask reply
+ * @param {Object} comment - Issue or review comment
+ * @returns {Object|null} { id, question, answer, conversationId, summary, summaryTurns }
+ */
+function parseAnswerComment(comment) {
+  const body = comment?.body;
+  if (typeof body !== 'string' || !body.includes(ASK_RESPONSE_MARKER)) {
+    return null;
+  }
+  const state = extractStateFromComment(body) || {};
+  const text = stripMarkers(body);
+  const heading = text.match(/^## Answer to: "([\s\S]*?)"\n/);
+  const answer = text
+    .replace(/^## Answer to: "[\s\S]*?"\n+/, '')
+    .replace(/\n*---\n\*Response from Z\.ai\*$/, '')
+    .trim();
+  const question = (state.lastCommand === 'ask' && state.lastArgs) || heading?.[1] || '';
+  if (!question || !answer) {
+    return null;
+  }
+  return {
+    id: comment.id,
+    question,
+    answer,
+    conversationId: state.conversationId ?? null,
+    summary: typeof state.summary === 'string' ? state.summary : '',
+    summaryTurns: Number.isInteger(state.summaryTurns) ? state.summaryTurns : 0,
+  };
+}
+
+/**
+ * Read every page of a GitHub list endpoint, up to MAX_COMMENT_PAGES pages of 100
+ * @param {Function} list - Octokit list method, e.g. octokit.rest.issues.listComments
+ * @param {Object} params - Request parameters without paging
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAllPages(list, params) {
+  const items = [];
+  for (let page = 1; page <= MAX_COMMENT_PAGES; page++) {
+    const { data } = await list({ ...params, per_page: 100, page });
+    const batch = Array.isArray(data) ? data : [];
+    items.push(...batch);
+    if (batch.length < 100) {
+      break;
+    }
+  }
+  return items;
+}
+
+/**
+ * Load the current conversation of a thread: the turns sharing the latest
+ * answer's conversation id, oldest first, and that answer's summary.
+ * Never throws; an unreadable thread gives an empty conversation.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {Object} params - { owner, repo, pullNumber, threadKey, logger }
+ * @returns {Promise<{conversationId: string|null, turns: Array<Object>, summary: string, summaryTurns: number}>}
+ */
+async function loadConversation(octokit, { owner, repo, pullNumber, threadKey = 'issue', logger }) {
+  const empty = { conversationId: null, turns: [], summary: '', summaryTurns: 0 };
+  try {
+    let comments;
+    if (threadKey.startsWith('review:')) {
+      const rootId = Number(threadKey.slice('review:'.length));
+      comments = (await listAllPages(octokit.rest.pulls.listReviewComments, { owner, repo, pull_number: pullNumber }))
+        .filter(comment => (comment.in_reply_to_id || comment.id) === rootId);
+    } else {
+      comments = await listAllPages(octokit.rest.issues.listComments, { owner, repo, issue_number: pullNumber });
+    }
+
+    const answers = comments
+      .slice()
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map(parseAnswerComment)
+      .filter(Boolean);
+    if (!answers.length) {
+      return empty;
+    }
+
+    const latest = answers[answers.length - 1];
+    const turns = answers.filter(answer => answer.conversationId === latest.conversationId);
+    return {
+      conversationId: latest.conversationId,
+      turns,
+      summary: latest.summary,
+      summaryTurns: Math.min(latest.summaryTurns, turns.length),
+    };
+  } catch (error) {
+    logger?.warn({ command: 'ask', threadKey }, `Failed to load conversation history: ${error.message}`);
+    return empty;
+  }
+}
+
+function turnSize(turn) {
+  return turn.question.length + turn.answer.length;
+}
+
+/**
+ * Choose the turns sent verbatim: the newest turns not yet summarized that
+ * fit the budget (always at least the latest one). Older ones overflow into
+ * the summary.
+ * @param {Object} conversation - From loadConversation
+ * @param {number} budgetChars - Character budget for summary plus turns
+ * @returns {{kept: Array<Object>, overflow: Array<Object>}}
+ */
+function planHistory(conversation, budgetChars) {
+  const pending = conversation.turns.slice(conversation.summaryTurns);
+  const kept = [];
+  let used = conversation.summary.length;
+  for (let index = pending.length - 1; index >= 0; index--) {
+    const size = turnSize(pending[index]);
+    if (kept.length && used + size > budgetChars) {
+      break;
+    }
+    kept.unshift(pending[index]);
+    used += size;
+  }
+  return { kept, overflow: pending.slice(0, pending.length - kept.length) };
+}
+
+/**
+ * Prompt asking the model to fold older turns into the running summary
+ * @param {string} previousSummary - Summary so far
+ * @param {Array<Object>} turns - Turns to add
+ * @returns {string}
+ */
+function buildSummaryPrompt(previousSummary, turns) {
+  const formatted = turns
+    .map(turn => `<turn>\n<question>\n${turn.question}\n</question>\n<answer>\n${turn.answer}\n</answer>\n</turn>`)
+    .join('\n');
+  return `Summarize the earlier part of a conversation between a developer and Zai Code Bot about a pull request, so that follow-up questions can still be answered.
+
+### Instructions:
+1. Merge the previous summary (if any) and the turns below into one summary.
+2. Keep the questions asked, the facts and conclusions given, the files, functions and line numbers referred to, and anything left open.
+3. Write plain prose or short bullets, at most ${MAX_SUMMARY_CHARS} characters. Output ONLY the summary.
+
+<previous_summary>
+${previousSummary || 'None'}
+</previous_summary>
+
+<turns>
+${formatted}
+</turns>`;
+}
+
+function truncateText(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, Math.max(0, maxChars - 15))}...[truncated]` : text;
+}
+
+/**
+ * Build the chat history for the next ask call, summarizing overflowing turns.
+ * When summarization fails the overflow is dropped for this call and retried
+ * on the next question.
+ * @param {Object} params - { conversation, budgetChars, summarize, logger }
+ * @param {Function} params.summarize - async prompt → summary text
+ * @returns {Promise<{history: Array<{role: string, content: string}>, summary: string, summaryTurns: number}>}
+ */
+async function prepareHistory({ conversation, budgetChars, summarize, logger }) {
+  const { kept, overflow } = planHistory(conversation, budgetChars);
+  let { summary, summaryTurns } = conversation;
+
+  if (overflow.length) {
+    try {
+      const text = String(await summarize(buildSummaryPrompt(summary, overflow)) || '').trim();
+      if (!text) {
+        throw new Error('empty summary');
+      }
+      summary = truncateText(text, MAX_SUMMARY_CHARS);
+      summaryTurns += overflow.length;
+    } catch (error) {
+      logger?.warn({ command: 'ask', turns: overflow.length }, `Failed to summarize earlier turns: ${error.message}`);
+    }
+  }
+
+  const turnBudget = Math.max(200, Math.floor(budgetChars / 2));
+  const history = kept.flatMap(turn => [
+    { role: 'user', content: truncateText(turn.question, turnBudget) },
+    { role: 'assistant', content: truncateText(turn.answer, turnBudget) },
+  ]);
+  return { history, summary, summaryTurns };
+}
+
+/**
+ * Conversation fields for the new answer's continuity state, shortened so the
+ * state stays within MAX_STATE_SIZE.
+ * @param {Object} baseState - Other state fields
+ * @param {Object} conversation - { question, conversationId, summary, summaryTurns }
+ * @returns {Object} State
+ */
+function buildConversationState(baseState, { question, conversationId, summary, summaryTurns }) {
+  const state = {
+    ...baseState,
+    lastArgs: truncateText(question, MAX_STORED_QUESTION_CHARS),
+    conversationId,
+    summary: summary || undefined,
+    summaryTurns: summary ? summaryTurns : undefined,
+  };
+  // Leave room for the version field added on encoding
+  while (state.summary && Buffer.byteLength(JSON.stringify(state), 'utf8') > MAX_STATE_SIZE - 16) {
+    state.summary = truncateText(state.summary, Math.floor(state.summary.length * 0.8));
+  }
+  return state;
+}
+
+module.exports = {
+  ASK_RESPONSE_MARKER,
+  NEW_CONVERSATION_FLAG,
+  parseAskArgs,
+  getThreadKey,
+  parseAnswerComment,
+  loadConversation,
+  planHistory,
+  buildSummaryPrompt,
+  prepareHistory,
+  buildConversationState,
+  listAllPages,
+};
@@ -0,0 +1,419 @@
+/**
+ * Cross-file context for reviews
+ *
+ * Review prompts carry patches (and for `/zai review`, one file), so the model
+ * otherwise guesses at the signatures of the functions changed code calls.
+ * This module reads the `require`/`import` statements of each changed
+ * JavaScript/TypeScript file, keeps the imported names the changed hunks
+ * use, resolves relative module paths against the repository tree at the PR
+ * head and attaches each definition, cut out with the block detection of
+ * code-scope.js, under one character budget.
+ */
+
+const { extractEnclosingBlock } = require('./code-scope');
+const { resolvePrRefs } = require('./pr-context');
+const { fetchFile } = require('./repository-context');
+
+const DEFAULT_CROSS_FILE_CHARS = 6000;
+
+// A definition that cannot get at least this much of the budget is left out
+const MIN_DEFINITION_CHARS = 200;
+
+// Content fetches per run (changed files and imported modules)
+const MAX_FILES_TO_FETCH = 20;
+
+// Longer definitions are cut; the signature and doc comment come first
+const MAX_DEFINITION_LINES = 80;
+
+const CODE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+// A namespace binding: `const x = require('...')` or `import * as x from '...'`
+const NAMESPACE = '*';
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+
+function isCodeFile(path) {
+  return CODE_EXTENSIONS.some(extension => path.endsWith(extension));
+}
+
+function dirname(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[$]/g, '\\$&');
+}
+
+/**
+ * Parse the bindings of a destructuring or named-import list
+ * @param {string} list - `a, b: c` or `a, b as c`, without braces
+ * @param {string} separator - ':' for destructuring, 'as' for imports
+ * @returns {Array<[string, string]>} [local, imported] pairs
+ */
+function parseBindingList(list, separator) {
+  const pattern = new RegExp(`^(?:type\\s+)?(${IDENTIFIER})(?:\\s*${separator === ':' ? ':' : '\\s+as\\s+'}\\s*(${IDENTIFIER}))?`);
+  return list.split(',')
+    .map(item => item.trim().match(pattern))
+    .filter(Boolean)
+    .map(([, imported, local]) => [local || imported, imported]);
+}
+
+/**
+ * Find the `require` and `import` statements of a source file
+ * @param {string} source - File content
+ * @returns {Array<{specifier: string, bindings: Map<string, string>}>} Local name → imported name ('*' for a namespace)
+ */
+function parseImports(source) {
+  const imports = [];
+  const text = String(source || '');
+
+  const requirePattern = new RegExp(`(?:const|let|var)\\s+(\\{[^}]*\\}|${IDENTIFIER})\\s*=\\s*require\\(\\s*['"]([^'"]+)['"]\\s*\\)`, 'g');
+  for (const [, target, specifier] of text.matchAll(requirePattern)) {
+    const bindings = target.startsWith('{')
+      ? new Map(parseBindingList(target.slice(1, -1), ':'))
+      : new Map([[target, NAMESPACE]]);
+    imports.push({ specifier, bindings });
+  }
+
+  const importPattern = /import\s+(?:type\s+)?([^'";]+?)\s+from\s+['"]([^'"]+)['"]/g;
+  for (const [, clause, specifier] of text.matchAll(importPattern)) {
+    const bindings = new Map();
+    const named = clause.match(/\{([^}]*)\}/);
+    if (named) {
+      parseBindingList(named[1], 'as').forEach(([local, imported]) => bindings.set(local, imported));
+    }
+    const namespace = clause.match(new RegExp(`\\*\\s+as\\s+(${IDENTIFIER})`));
+    if (namespace) {
+      bindings.set(namespace[1], NAMESPACE);
+    }
+    const defaultImport = clause.replace(/\{[^}]*\}/, '').match(new RegExp(`^\\s*(${IDENTIFIER})\\s*(?:,|$)`));
+    if (defaultImport) {
+      bindings.set(defaultImport[1], 'default');
+    }
+    imports.push({ specifier, bindings });
+  }
+
+  return imports;
+}
+
+/**
+ * Collect the identifiers and `object.member` pairs used on the added lines of a patch
+ * @param {string} patch - Unified diff of one file
+ * @returns {{identifiers: Set<string>, members: Array<[string, string]>}}
+ */
+function extractHunkReferences(patch) {
+  const identifiers = new Set();
+  const members = [];
+  const lines = String(patch || '').split('\n')
+    .filter(line => line.startsWith('+') && !line.startsWith('+++'))
+    .map(line => line.slice(1)
+      .replace(/(['"`])(?:\\.|(?!\1).)*\1/g, '""')
+      .replace(/\/\/.*$/, ''));
+
+  for (const line of lines) {
+    for (const [name] of line.matchAll(new RegExp(IDENTIFIER, 'g'))) {
+      identifiers.add(name);
+    }
+    for (const [, object, member] of line.matchAll(new RegExp(`(${IDENTIFIER})\\s*\\.\\s*(${IDENTIFIER})`, 'g'))) {
+      members.push([object, member]);
+    }
+  }
+  return { identifiers, members };
+}
+
+/**
+ * Resolve a relative module specifier to a file of the repository
+ * @param {string} fromPath - Importing file
+ * @param {string} specifier - Module specifier
+ * @param {Set<string>} available - Repository file paths
+ * @returns {string|null} Null for packages and unresolved paths
+ */
+function resolveModulePath(fromPath, specifier, available) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    return null;
+  }
+
+  const segments = [];
+  for (const segment of `${dirname(fromPath)}/${specifier}`.split('/')) {
+    if (segment === '..') {
+      if (segments.length === 0) {
+        return null;
+      }
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  }
+  const base = segments.join('/');
+  // TypeScript sources import their compiled `.js` names
+  const stem = base.replace(/\.(?:js|jsx|mjs|cjs)$/, '');
+  const candidates = [
+    base,
+    ...CODE_EXTENSIONS.map(extension => `${base}${extension}`),
+    ...CODE_EXTENSIONS.map(extension => `${stem}${extension}`),
+    ...CODE_EXTENSIONS.map(extension => `${base}/index${extension}`),
+  ];
+  return candidates.find(candidate => isCodeFile(candidate) && available.has(candidate)) || null;
+}
+
+/**
+ * Find the line declaring a top-level name
+ * @param {string} content - File content
+ * @param {string} name - Declared name, or 'default' for the default export
+ * @returns {number|null} 1-indexed line
+ */
+function findDefinitionLine(content, name) {
+  const id = escapeRegExp(name);
+  const patterns = name === 'default'
+    ? [/^\s*export\s+default\b/]
+    : [
+      new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:async\\s+)?function\\s*\\*?\\s*${id}\\s*[<(]`),
+      new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:abstract\\s+)?class\\s+${id}\\b`),
+      new RegExp(`^\\s*(?:export\\s+)?(?:const|let|var)\\s+${id}\\s*[:=]`),
+      new RegExp(`^\\s*(?:export\\s+)?(?:interface|type|enum)\\s+${id}\\b`),
+      new RegExp(`^\\s*(?:module\\.)?exports\\.${id}\\s*=`),
+    ];
+
+  const lines = content.split('\n');
+  for (const pattern of patterns) {
+    const index = lines.findIndex(line => pattern.test(line));
+    if (index !== -1) {
+      return index + 1;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the last line of a declaration that is not a function or class block,
+ * such as a constant spanning an array or object literal
+ * @param {string[]} lines - File lines
+ * @param {number} line - Declaration line (1-indexed)
+ * @returns {number} 1-indexed line where the brackets opened on `line` close
+ */
+function findStatementEnd(lines, line) {
+  const last = Math.min(lines.length, line + MAX_DEFINITION_LINES);
+  let depth = 0;
+  for (let current = line; current <= last; current++) {
+    const text = lines[current - 1];
+    depth += (text.match(/[[{(]/g) || []).length - (text.match(/[\]})]/g) || []).length;
+    if (depth <= 0) {
+      return current;
+    }
+  }
+  return last;
+}
+
+/**
+ * Cut a definition out of a file: its block plus the doc comment above it
+ * @param {string} content - File content
+ * @param {number} line - Declaration line (1-indexed)
+ * @returns {{startLine: number, endLine: number, content: string}}
+ */
+function extractDefinition(content, line) {
+  const lines = content.split('\n');
+  // Search for the block start on the declaration line only
+  const block = extractEnclosingBlock(content, line + 1, { maxSearchLines: 1 });
+
+  let startLine = line;
+  let endLine;
+  if (!block.fallback && block.bounds.start === line && block.bounds.end >= line) {
+    endLine = block.bounds.end;
+  } else {
+    endLine = findStatementEnd(lines, line);
+  }
+
+  while (startLine > 1 && /^\s*(?:\/\*\*?|\*|\/\/)/.test(lines[startLine - 2])) {
+    startLine--;
+  }
+
+  let selected = lines.slice(startLine - 1, endLine);
+  let truncated = false;
+  if (selected.length > MAX_DEFINITION_LINES) {
+    selected = selected.slice(0, MAX_DEFINITION_LINES);
+    truncated = true;
+  }
+  return {
+    startLine,
+    endLine: startLine + selected.length - 1,
+    content: `${selected.join('\n')}${truncated ? '\n... [truncated]' : ''}`,
+  };
+}
+
+/**
+ * Pick the imported names a changed file's hunks use, per module
+ * @param {string} source - Changed file content (or its patch when unavailable)
+ * @param {string} patch - Changed file patch
+ * @returns {Array<{specifier: string, symbols: string[]}>}
+ */
+function selectReferencedImports(source, patch) {
+  const { identifiers, members } = extractHunkReferences(patch);
+  return parseImports(source)
+    .map(({ specifier, bindings }) => {
+      const symbols = new Set();
+      for (const [local, imported] of bindings) {
+        if (imported !== NAMESPACE && identifiers.has(local)) {
+          symbols.add(imported);
+        }
+      }
+      for (const [object, member] of members) {
+        if (bindings.get(object) === NAMESPACE) {
+          symbols.add(member);
+        }
+      }
+      return { specifier, symbols: [...symbols] };
+    })
+    .filter(entry => entry.symbols.length > 0);
+}
+
+/**
+ * Collect the definitions of the imported symbols the changed hunks use.
+ * Never throws; unreadable files are left out and reported through onWarning.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {Object} params - { owner, repo, ref, files, maxChars, onWarning }
+ * @param {string} params.ref - PR head SHA
+ * @param {Array<{filename: string, patch?: string, status?: string, content?: string}>} params.files - Changed files; content is fetched at ref when missing
+ * @returns {Promise<Array<{path: string, symbol: string, startLine: number, endLine: number, content: string}>>}
+ */
+async function collectDefinitions(octokit, { owner, repo, ref, files = [], maxChars = DEFAULT_CROSS_FILE_CHARS, onWarning = () => {} }) {
+  const changedFiles = files.filter(file => file.patch && file.status !== 'removed' && isCodeFile(file.filename));
+  if (changedFiles.length === 0) {
+    return [];
+  }
+
+  let available;
+  try {
+    const { data } = await octokit.rest.git.getTree({ owner, repo, tree_sha: ref, recursive: 'true' });
+    // A truncated tree still resolves the modules it lists
+    available = new Set((Array.isArray(data?.tree) ? data.tree : [])
+      .filter(entry => entry.type === 'blob' && entry.path)
+      .map(entry => entry.path));
+  } catch (error) {
+    onWarning(`Failed to list the repository tree: ${error.message}`);
+    return [];
+  }
+
+  let fetches = 0;
+  const contents = new Map();
+  const read = async (path) => {
+    if (contents.has(path)) {
+      return contents.get(path);
+    }
+    if (fetches >= MAX_FILES_TO_FETCH) {
+      return null;
+    }
+    fetches++;
+    let content = null;
+    try {
+      content = await fetchFile(octokit, owner, repo, path, ref);
+    } catch (error) {
+      onWarning(`Failed to read ${path}: ${error.message}`);
+    }
+    contents.set(path, content);
+    return content;
+  };
+
+  const definitions = [];
+  const seen = new Set();
+  let remaining = maxChars;
+  for (const file of changedFiles) {
+    const source = file.content ?? await read(file.filename) ?? file.patch;
+    for (const { specifier, symbols } of selectReferencedImports(source, file.patch)) {
+      const modulePath = resolveModulePath(file.filename, specifier, available);
+      if (!modulePath) {
+        continue;
+      }
+      for (const symbol of symbols) {
+        const key = `${modulePath}#${symbol}`;
+        if (seen.has(key) || remaining < MIN_DEFINITION_CHARS) {
+          continue;
+        }
+        seen.add(key);
+        const content = await read(modulePath);
+        const line = content ? findDefinitionLine(content, symbol) : null;
+        if (!line) {
+          continue;
+        }
+        const definition = extractDefinition(content, line);
+        if (definition.content.length > remaining) {
+          definition.content = `${definition.content.slice(0, remaining)}\n... [truncated]`;
+        }
+        remaining -= definition.content.length;
+        definitions.push({ path: modulePath, symbol, ...definition });
+      }
+    }
+  }
+  return definitions;
+}
+
+/**
+ * Collect definitions for a review when the `cross_file_context` configuration enables them
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {Object} params - { owner, repo, ref, pullNumber, files, config, logger }
+ * @param {string} [params.ref] - PR head SHA; resolved from pullNumber when omitted
+ * @param {Object} [params.config] - Effective `crossFileContext` configuration
+ * @returns {Promise<Array<Object>>} See collectDefinitions
+ */
+async function resolveCrossFileContext(octokit, { config, logger, pullNumber, ref, ...params }) {
+  if (!config?.enabled) {
+    return [];
+  }
+  let headRef = ref;
+  if (!headRef) {
+    const refs = await resolvePrRefs(octokit, params.owner, params.repo, pullNumber);
+    if (!refs.success) {
+      logger?.warn({ operation: 'crossFileContext' }, `Failed to resolve the PR head: ${refs.error}`);
+      return [];
+    }
+    headRef = refs.data.head.sha;
+  }
+  return collectDefinitions(octokit, {
+    ...params,
+    ref: headRef,
+    maxChars: config.maxChars,
+    onWarning: message => logger?.warn({ operation: 'crossFileContext' }, message),
+  });
+}
+
+/**
+ * Render definitions as a prompt section
+ * @param {Array<Object>} definitions - From collectDefinitions
+ * @returns {string} Empty when there are no definitions
+ */
+function renderDefinitions(definitions) {
+  if (!definitions?.length) {
+    return '';
+  }
+  const blocks = definitions
+    .map(definition => `<definition symbol="${definition.symbol}" path="${definition.path}" lines="${definition.startLine}-${definition.endLine}">\n${definition.content}\n</definition>`)
+    .join('\n\n');
+  return `### Referenced Definitions:
+Definitions of symbols the changed code imports, read from the head of the pull request. Use them to check calls against the real signatures; they are context, not part of the change.
+
+${blocks}`;
+}
+
+/**
+ * Append rendered definitions to a prompt
+ * @param {string} prompt - Review prompt
+ * @param {Array<Object>} definitions - From collectDefinitions
+ * @returns {string}
+ */
+function appendDefinitions(prompt, definitions) {
+  const section = renderDefinitions(definitions);
+  return section ? `${prompt}\n\n${section}` : prompt;
+}
+
+module.exports = {
+  DEFAULT_CROSS_FILE_CHARS,
+  parseImports,
+  extractHunkReferences,
+  resolveModulePath,
+  findDefinitionLine,
+  extractDefinition,
+  collectDefinitions,
+  resolveCrossFileContext,
+  renderDefinitions,
+  appendDefinitions,
+};
@@ -0,0 +1,169 @@
+/**
+ * Repository coding guidelines for reviews and answers
+ *
+ * Loads the AGENTS.md files that apply to the paths under discussion (the
+ * root file plus, for each path, the nearest nested one, found in the ref's
+ * tree) and `.github/copilot-instructions.md`, and renders them as a system
+ * prompt section. The files share one character budget, which goes to the
+ * most specific files first.
+ */
+
+const { fetchFile, isAgentsFile } = require('./repository-context');
+
+const COPILOT_INSTRUCTIONS_PATH = '.github/copilot-instructions.md';
+const DEFAULT_GUIDELINES_CHARS = 6000;
+
+// A file that cannot get at least this much of the budget is left out
+const MIN_GUIDELINE_CHARS = 200;
+
+function dirname(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+function depth(path) {
+  return path.split('/').length;
+}
+
+/**
+ * Choose the AGENTS.md files that apply to a set of paths: the nearest nested
+ * one for each path, and the root one.
+ * @param {string[]} agentsFiles - AGENTS.md paths in the repository
+ * @param {string[]} paths - Paths under discussion
+ * @returns {string[]} Most specific first
+ */
+function selectAgentsFiles(agentsFiles, paths = []) {
+  const available = new Set(agentsFiles);
+  const selected = new Set();
+  for (const path of paths) {
+    for (let dir = dirname(path); dir; dir = dirname(dir)) {
+      if (available.has(`${dir}/AGENTS.md`)) {
+        selected.add(`${dir}/AGENTS.md`);
+        break;
+      }
+    }
+  }
+  if (available.has('AGENTS.md')) {
+    selected.add('AGENTS.md');
+  }
+  return [...selected].sort((a, b) => depth(b) - depth(a) || a.localeCompare(b));
+}
+
+/**
+ * Describe which files a guideline file covers
+ * @param {string} path - Guideline file path
+ * @returns {string}
+ */
+function guidelineScope(path) {
+  return path === 'AGENTS.md' || path === COPILOT_INSTRUCTIONS_PATH ? 'all files' : `${dirname(path)}/`;
+}
+
+/**
+ * Load the guidelines for a set of paths from a ref. Never throws; missing
+ * or unreadable files are left out and reported through onWarning.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {Object} params - { owner, repo, ref, paths, maxChars, onWarning }
+ * @param {string} [params.ref] - Base branch; omitted means the default branch
+ * @returns {Promise<Array<{path: string, scope: string, content: string}>>} General first, most specific last
+ */
+async function loadGuidelines(octokit, { owner, repo, ref, paths = [], maxChars = DEFAULT_GUIDELINES_CHARS, onWarning = () => {} }) {
+  let agentsFiles = ['AGENTS.md'];
+  try {
+    const { data } = await octokit.rest.git.getTree({ owner, repo, tree_sha: ref || 'HEAD', recursive: 'true' });
+    const listed = (Array.isArray(data?.tree) ? data.tree : [])
+      .filter(entry => entry.type === 'blob' && entry.path && isAgentsFile(entry.path))
+      .map(entry => entry.path);
+    // A truncated tree may miss files; the root one is still looked up directly
+    agentsFiles = data?.truncated ? [...new Set([...listed, 'AGENTS.md'])] : listed;
+  } catch (error) {
+    onWarning(`Failed to list AGENTS.md files: ${error.message}`);
+  }
+
+  const loaded = [];
+  let remaining = maxChars;
+  for (const path of [...selectAgentsFiles(agentsFiles, paths), COPILOT_INSTRUCTIONS_PATH]) {
+    if (remaining < MIN_GUIDELINE_CHARS) {
+      break;
+    }
+    let content;
+    try {
+      content = (await fetchFile(octokit, owner, repo, path, ref || undefined))?.trim();
+    } catch (error) {
+      onWarning(`Failed to read ${path}: ${error.message}`);
+      continue;
+    }
+    if (!content) {
+      continue;
+    }
+    if (content.length > remaining) {
+      content = `${content.slice(0, remaining)}\n... [truncated]`;
+    }
+    remaining -= content.length;
+    loaded.push({ path, scope: guidelineScope(path), content });
+  }
+  return loaded.reverse();
+}
+
+/**
+ * Load guidelines for a command when the `guidelines` configuration enables them
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {Object} params - { owner, repo, ref, paths, config, logger }
+ * @param {Object} [params.config] - Effective `guidelines` configuration
+ * @returns {Promise<Array<Object>>} See loadGuidelines
+ */
+async function resolveGuidelines(octokit, { config, logger, ...params }) {
+  if (!config?.enabled) {
+    return [];
+  }
+  return loadGuidelines(octokit, {
+    ...params,
+    maxChars: config.maxChars,
+    onWarning: message => logger?.warn({ operation: 'guidelines' }, message),
+  });
+}
+
+/**
+ * Render guidelines as a system prompt section
+ * @param {Array<Object>} guidelines - From loadGuidelines
+ * @param {Object} [options] - { findings }
+ * @param {boolean} [options.findings] - The answer reports findings that can cite a guideline
+ * @returns {string} Empty when there are no guidelines
+ */
+function renderGuidelines(guidelines, { findings = false } = {}) {
+  if (!guidelines?.length) {
+    return '';
+  }
+  const citation = findings
+    ? 'When a finding is based on one of these guidelines, set its "rule" to "guideline/" followed by a short kebab-case name for the guideline, and end its message with the file it comes from, e.g. "(see src/lib/AGENTS.md)".'
+    : 'When your answer relies on one of these guidelines, name the file it comes from.';
+  const files = guidelines
+    .map(guideline => `<guideline path="${guideline.path}" applies_to="${guideline.scope}">\n${guideline.content}\n</guideline>`)
+    .join('\n\n');
+  return `### Repository Guidelines:
+The repository documents the coding guidelines below. Apply the ones covering the code at hand; a file for a directory refines the files above it.
+${citation}
+
+${files}`;
+}
+
+/**
+ * Append rendered guidelines to a system prompt
+ * @param {string} prompt - System prompt
+ * @param {Array<Object>} guidelines - From loadGuidelines
+ * @param {Object} [options] - See renderGuidelines
+ * @returns {string}
+ */
+function appendGuidelines(prompt, guidelines, options) {
+  const section = renderGuidelines(guidelines, options);
+  return section ? `${prompt}\n\n${section}` : prompt;
+}
+
+module.exports = {
+  COPILOT_INSTRUCTIONS_PATH,
+  DEFAULT_GUIDELINES_CHARS,
+  selectAgentsFiles,
+  loadGuidelines,
+  resolveGuidelines,
+  renderGuidelines,
+  appendGuidelines,
+};
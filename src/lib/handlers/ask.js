@@ -1,8 +1,10 @@
 /**
  * Ask Command Handler
  * 
- * Handles `/zai ask <question>` command.
- * Answers questions about the codebase using Z.ai API.
+ * Handles `/zai ask [--new] <question>` command.
+ * Answers questions about the codebase using Z.ai API. Earlier questions and
+ * answers of the same thread are sent as chat history (see conversation.js);
+ * `--new` starts a fresh conversation.
  */
 
 const auth = require('../auth');
@@ -11,6 +13,11 @@ const comments = require('../comments');
 const context = require('../context');
 const logging = require('../logging');
 const continuity = require('../continuity');
+const conversation = require('../conversation');
+const { partitionIgnoredFiles } = require('../config/repo-config');
+const { renderPrompt } = require('../prompts');
+const { appendGuidelines, resolveGuidelines } = require('../guidelines');
+const { withProgress } = require('../progress');
 
 const { REACTIONS, setReaction } = require('../comments');
 
@@ -51,15 +58,15 @@ function validateArgs(args) {
   if (!args || args.length === 0) {
     return {
       valid: false,
-      error: 'Please provide a question. Usage: /zai ask <question>'
+      error: 'Please provide a question. Usage: /zai ask [--new] <question>'
     };
   }
 
-  const question = args.join(' ').trim();
+  const { question } = conversation.parseAskArgs(args);
   if (!question) {
     return {
       valid: false,
-      error: 'Please provide a question. Usage: /zai ask <question>'
+      error: 'Please provide a question. Usage: /zai ask [--new] <question>'
     };
   }
 
@@ -72,12 +79,14 @@ function validateArgs(args) {
  * @param {Object} params.octokit - GitHub Octokit instance
  * @param {Object} params.context - GitHub context object
  * @param {Object} params.commenter - Commenter object with login property
- * @param {string[]} params.args - Command arguments (the question)
+ * @param {string[]} params.args - Command arguments (the question, optionally with `--new`)
  * @param {Object} params.config - Configuration object with apiKey and model
  * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.progress] - Progress updater receiving streamed output
+ * @param {Object} [params.progressComment] - Progress comment to replace with the answer
  * @returns {Promise<{ success: boolean, message?: string, error?: string }>}
  */
-async function handleAskCommand({ octokit, context: githubContext, commenter, args, continuityState = null, config, logger }, deps = {}) {
+async function handleAskCommand({ octokit, context: githubContext, commenter, args, continuityState = null, config, logger, progress = null, progressComment = null }, deps = {}) {
   const {
     checkForkAuthorization: _checkForkAuthorization = auth.checkForkAuthorization,
     setReaction: _setReaction = setReaction,
@@ -87,6 +96,8 @@ async function handleAskCommand({ octokit, context: githubContext, commenter, ar
     buildContext: _buildContext = buildContext,
     mergeState: _mergeState = continuity.mergeState,
     createCommentWithState: _createCommentWithState = continuity.createCommentWithState,
+    loadConversation: _loadConversation = conversation.loadConversation,
+    resolveGuidelines: _resolveGuidelines = resolveGuidelines,
   } = deps;
   // Validate arguments
   const validation = validateArgs(args);
@@ -105,7 +116,7 @@ async function handleAskCommand({ octokit, context: githubContext, commenter, ar
     return { success: false, error: null };
   }
 
-  const question = args.join(' ').trim();
+  const { question, startNew } = conversation.parseAskArgs(args);
   const { owner, repo } = resolveRepoRef(githubContext);
   const issueNumber = resolveIssueNumber(githubContext);
 
@@ -126,27 +137,77 @@ async function handleAskCommand({ octokit, context: githubContext, commenter, ar
   // Get the comment ID for threading
   const commentId = githubContext.payload.comment?.id;
 
+  const maxChars = config.maxChars || context.DEFAULT_MAX_CHARS;
+  const threadKey = conversation.getThreadKey(githubContext);
+
   const contextualData = await _buildContext({
     octokit,
     githubContext,
     logger,
-    maxChars: context.DEFAULT_MAX_CHARS,
+    maxChars,
+    ignore: config.ignore,
   });
 
-  // Build the prompt
-  const prompt = buildPrompt(question, contextualData);
-
   // Add reaction to show we're processing (acknowledgment)
   if (commentId) {
     await _setReaction(octokit, owner, repo, commentId, REACTIONS.THINKING);
   }
 
+  const baseClient = _createApiClient({
+    timeout: config.timeout,
+    maxRetries: config.maxRetries,
+    provider: config.provider,
+    usageTracker: config.usageTracker,
+    usageLabel: 'ask',
+  });
+
+  // Earlier turns of this thread's conversation, oldest folded into a summary
+  const previous = startNew
+    ? { conversationId: null, turns: [], summary: '', summaryTurns: 0 }
+    : await _loadConversation(octokit, { owner, repo, pullNumber: issueNumber, threadKey, logger });
+  const memory = await conversation.prepareHistory({
+    conversation: previous,
+    budgetChars: Math.max(800, Math.floor(maxChars * 0.2)),
+    logger,
+    summarize: async summaryPrompt => {
+      const summaryResult = await baseClient.call({
+        apiKey: config.apiKey,
+        model: config.model,
+        prompt: summaryPrompt,
+        usageLabel: 'ask-summary',
+      });
+      if (!summaryResult.success) {
+        throw new Error(summaryResult.error.message);
+      }
+      return summaryResult.data;
+    },
+  });
+
+  // Build the prompt
+  const prompt = buildPrompt(question, { ...contextualData, conversationSummary: memory.summary });
+
+  // Guidelines for the file a review thread is on, otherwise for the changed files
+  const threadPath = githubContext.payload.comment?.path;
+  const guidelines = await _resolveGuidelines(octokit, {
+    owner,
+    repo,
+    ref: config.baseRef,
+    paths: threadPath ? [threadPath] : config.changedPaths,
+    config: config.guidelines,
+    logger,
+  });
+
   // Call the API
-  const apiClient = _createApiClient({ timeout: config.timeout, maxRetries: config.maxRetries });
+  const apiClient = withProgress(baseClient, progress);
   const result = await apiClient.call({
     apiKey: config.apiKey,
     model: config.model,
-    prompt
+    systemPrompt: appendGuidelines(
+      renderPrompt('ask', {}, { templates: config.promptTemplates, instructions: config.promptInstructions }),
+      guidelines
+    ),
+    messages: memory.history,
+    prompt,
   });
 
   if (!result.success) {
@@ -166,16 +227,23 @@ async function handleAskCommand({ octokit, context: githubContext, commenter, ar
 
   // Post the response as a threaded reply
   const responseBody = formatResponse(result.data, question);
-  const nextState = _mergeState(continuityState, {
+  const continuing = !startNew && previous.turns.length > 0;
+  const nextState = _mergeState(continuityState, conversation.buildConversationState({
     lastCommand: 'ask',
-    lastArgs: question,
     lastUser: commenter?.login || 'unknown',
     turnCount: (continuityState?.turnCount || 0) + 1,
     updatedAt: new Date().toISOString(),
-  });
+  }, {
+    question,
+    // The first question's comment id names the conversation
+    conversationId: continuing ? previous.conversationId : String(commentId || Date.now()),
+    summary: memory.summary,
+    summaryTurns: memory.summaryTurns,
+  }));
   const responseWithState = _createCommentWithState(responseBody, nextState);
   
-  const marker = '<!-- ZAI-ASK-RESPONSE -->';
+  const marker = conversation.ASK_RESPONSE_MARKER;
+  const isReviewThread = threadKey !== 'issue';
   const commentResult = await _upsertComment(
     octokit,
     owner,
@@ -183,7 +251,13 @@ async function handleAskCommand({ octokit, context: githubContext, commenter, ar
     issueNumber,
     `${responseWithState}\n\n${marker}`,
     marker,
-    { replyToId: commentId, updateExisting: false }
+    {
+      replyToId: commentId,
+      updateExisting: false,
+      replaceComment: progressComment,
+      isReviewComment: isReviewThread,
+      pullNumber: issueNumber,
+    }
   );
 
   if (commentResult.action === 'created' || commentResult.action === 'updated') {
@@ -204,7 +278,7 @@ async function handleAskCommand({ octokit, context: githubContext, commenter, ar
   return { success: false, error: 'Failed to post response' };
 }
 
-async function buildContext({ octokit, githubContext, logger, maxChars = context.DEFAULT_MAX_CHARS }) {
+async function buildContext({ octokit, githubContext, logger, maxChars = context.DEFAULT_MAX_CHARS, ignore }) {
   const pullRequest = githubContext.payload.pull_request || {};
   const prContext = [
     `PR #${pullRequest.number || githubContext.payload.issue?.number || 'unknown'}`,
@@ -223,11 +297,13 @@ async function buildContext({ octokit, githubContext, logger, maxChars = context
     smallDiffThresholdChars: SMALL_DIFF_THRESHOLD_CHARS,
     maxDiffFiles: MAX_DIFF_FILES,
     maxRawFileChars: MAX_RAW_FILE_CHARS,
+    ignore,
   });
 
+  // The remaining 20% is left for the ask conversation sent as chat history
   return {
     prContext: context.truncateContext(prContext, Math.max(200, Math.floor(maxChars * 0.2))).content,
-    conversationHistory: context.truncateContext(conversationHistory, Math.max(800, Math.floor(maxChars * 0.35))).content,
+    conversationHistory: context.truncateContext(conversationHistory, Math.max(400, Math.floor(maxChars * 0.15))).content,
     fileContext: context.truncateContext(fileContext, Math.max(1200, Math.floor(maxChars * 0.45))).content,
   };
 }
@@ -254,8 +330,9 @@ async function getThreadTranscript(octokit, githubContext, options = {}) {
       return 'No previous conversation found for this PR.';
     }
 
+    // Ask questions and answers are sent as chat history instead
     const transcript = commentsData
-      .slice()
+      .filter((comment) => !isAskTurnComment(comment))
       .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
       .slice(-limit)
       .map((comment) => formatTranscriptComment(comment))
@@ -278,6 +355,11 @@ async function getThreadTranscript(octokit, githubContext, options = {}) {
   }
 }
 
+function isAskTurnComment(comment) {
+  const body = String(comment?.body || '');
+  return body.includes(conversation.ASK_RESPONSE_MARKER) || /^\s*\/zai\s+ask\b/i.test(body);
+}
+
 function formatTranscriptComment(comment) {
   const login = comment?.user?.login || 'unknown';
   const role = isBotComment(comment) ? 'Bot' : 'User';
@@ -347,8 +429,12 @@ async function getRelevantFileContent(octokit, githubContext, options = {}) {
     return 'No changed files were found in this pull request.';
   }
 
-  const totalPatchChars = files.reduce((sum, file) => sum + (file.patch ? file.patch.length : 0), 0);
-  const includeAllDiffs = files.length <= maxDiffFiles && totalPatchChars <= smallDiffThresholdChars;
+  // Lockfiles, vendored and generated files only dilute the diff context;
+  // a file the thread is anchored on is still shown below.
+  const { files: diffFiles, ignored } = partitionIgnoredFiles(files, options.ignore);
+
+  const totalPatchChars = diffFiles.reduce((sum, file) => sum + (file.patch ? file.patch.length : 0), 0);
+  const includeAllDiffs = diffFiles.length <= maxDiffFiles && totalPatchChars <= smallDiffThresholdChars;
 
   const sections = [];
 
@@ -378,11 +464,14 @@ async function getRelevantFileContent(octokit, githubContext, options = {}) {
     }
   }
 
-  const targetFiles = includeAllDiffs ? files : files.slice(0, maxDiffFiles);
+  const targetFiles = includeAllDiffs ? diffFiles : diffFiles.slice(0, maxDiffFiles);
   const diffHeader = includeAllDiffs
     ? 'PR diff context (all changed files):'
-    : `PR diff context (first ${targetFiles.length} of ${files.length} files):`;
+    : `PR diff context (first ${targetFiles.length} of ${diffFiles.length} files):`;
   sections.push(diffHeader);
+  if (ignored.length > 0) {
+    sections.push(`${ignored.length} changed file(s) omitted by ignore rules: ${ignored.join(', ')}`);
+  }
 
   for (const file of targetFiles) {
     sections.push(
@@ -474,7 +563,7 @@ function isRateLimitError(error) {
 }
 
 /**
- * Build prompt for the API
+ * Build the user prompt for the API; the persona is the `ask` system prompt
  * @param {string} question - User's question
  * @param {string} contextContent - Context from PR
  * @returns {string} Full prompt
@@ -487,15 +576,17 @@ function buildPrompt(question, contextContent) {
   const prContext = contextContent?.prContext || 'PR context unavailable.';
   const fileContext = contextContent?.fileContext || 'File context unavailable.';
   const conversationHistory = contextContent?.conversationHistory || 'Conversation history unavailable.';
+  const conversationSummary = contextContent?.conversationSummary
+    ? `<earlier_conversation_summary>\n${contextContent.conversationSummary}\n</earlier_conversation_summary>`
+    : null;
 
   return [
-    'You are Zai Code Bot, an expert pull request assistant.',
-    'Answer using the available PR diff and conversation context. If context is missing, explicitly state assumptions.',
     `<pr_context>\n${prContext}\n</pr_context>`,
     `<file_context>\n${fileContext}\n</file_context>`,
     `<conversation_history>\n${conversationHistory}\n</conversation_history>`,
+    conversationSummary,
     `<user_query>\n${question}\n</user_query>`,
-  ].join('\n\n');
+  ].filter(Boolean).join('\n\n');
 }
 
 /**
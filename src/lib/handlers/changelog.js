@@ -0,0 +1,184 @@
+/**
+ * Changelog command handler for /zai changelog
+ *
+ * Builds a Keep a Changelog section from the pull requests merged between two
+ * refs (default: since the latest release) and posts it as a comment, saves it
+ * as a draft GitHub release (`--release`), or opens a pull request updating
+ * CHANGELOG.md through the scheduled-task PR machinery (`--pr`).
+ */
+
+const { REACTIONS, upsertComment, setReaction } = require('../comments');
+const { createLogger, generateCorrelationId } = require('../logging');
+const { generateChangelog, insertChangelogSection, upsertDraftRelease } = require('../changelog');
+const { createPR, fetchFileContent } = require('./scheduled');
+
+const CHANGELOG_MARKER = '<!-- ZAI_CHANGELOG_COMMAND -->';
+
+const CHANGELOG_USAGE = '/zai changelog [from[..to]] [--release|--pr]';
+
+const CHANGELOG_PATH = 'CHANGELOG.md';
+
+const REF_PATTERN = /^[\w./-]+$/;
+
+/**
+ * Parse `/zai changelog` arguments. The range is `from..to`, `from to` or
+ * just `from`; either end may be omitted.
+ * @param {string[]} args - Command arguments
+ * @returns {{ from: string|null, to: string|null, output: 'comment'|'release'|'pr', error?: string }}
+ */
+function parseChangelogArgs(args) {
+  const tokens = Array.isArray(args) ? args : [];
+  const release = tokens.includes('--release');
+  const pr = tokens.includes('--pr');
+  const output = release ? 'release' : pr ? 'pr' : 'comment';
+  const positional = tokens.filter(token => token !== '--release' && token !== '--pr');
+
+  if (release && pr) {
+    return { from: null, to: null, output, error: 'Use either --release or --pr, not both.' };
+  }
+  const unknownFlag = positional.find(token => token.startsWith('--'));
+  if (unknownFlag) {
+    return { from: null, to: null, output, error: `Unknown option ${unknownFlag}. Usage: ${CHANGELOG_USAGE}` };
+  }
+
+  let refs = positional;
+  if (positional.length === 1 && positional[0].includes('..')) {
+    refs = positional[0].split(/\.{2,3}/);
+  }
+  if (refs.length > 2) {
+    return { from: null, to: null, output, error: `Too many arguments. Usage: ${CHANGELOG_USAGE}` };
+  }
+
+  const [from = null, to = null] = refs.map(ref => ref || null);
+  const invalid = [from, to].find(ref => ref && (!REF_PATTERN.test(ref) || ref.includes('..')));
+  if (invalid) {
+    return { from: null, to: null, output, error: `Invalid ref \`${invalid}\`.` };
+  }
+  if (output === 'release' && !to) {
+    return { from, to, output, error: 'A draft release needs the tag to release, e.g. `/zai changelog v1.1.0..v1.2.0 --release`.' };
+  }
+  return { from, to, output };
+}
+
+/**
+ * Summary line under the rendered section
+ * @param {Object} result - From generateChangelog
+ * @returns {string}
+ */
+function formatChangelogStats(result) {
+  const { range, pulls, omitted, limitReached } = result;
+  const listed = pulls.length - omitted.length;
+  const parts = [
+    `${listed} merged PR(s) into \`${range.branch}\` from ${range.from ? `\`${range.from}\`` : 'the first merge'} to ${range.to ? `\`${range.to}\`` : 'now'}`,
+  ];
+  if (omitted.length) {
+    parts.push(`${omitted.length} skipped (docs, chores and unlabeled types)`);
+  }
+  if (limitReached) {
+    parts.push('older pull requests beyond the scan limit were not included');
+  }
+  return `_${parts.join(' · ')}_`;
+}
+
+async function handleChangelogCommand(context, args, deps = {}) {
+  const {
+    upsertComment: _upsertComment = upsertComment,
+    setReaction: _setReaction = setReaction,
+    generateChangelog: _generateChangelog = generateChangelog,
+    upsertDraftRelease: _upsertDraftRelease = upsertDraftRelease,
+    fetchFileContent: _fetchFileContent = fetchFileContent,
+    createPR: _createPR = createPR,
+    createLogger: _createLogger = createLogger,
+    generateCorrelationId: _generateCorrelationId = generateCorrelationId,
+  } = deps;
+
+  const { octokit, owner, repo, issueNumber, commentId } = context;
+  const logger = context.logger || _createLogger(_generateCorrelationId(), { command: 'changelog' });
+  const commentOptions = {
+    replyToId: commentId,
+    updateExisting: false,
+    isReviewComment: Boolean(context.isReviewComment),
+    pullNumber: context.pullNumber || issueNumber,
+    replaceComment: context.progressComment || null,
+  };
+
+  const reply = async (body, reaction) => {
+    await _upsertComment(octokit, owner, repo, issueNumber, body, CHANGELOG_MARKER, commentOptions);
+    if (commentId) {
+      await _setReaction(octokit, owner, repo, commentId, reaction);
+    }
+  };
+  const fail = async (message, logMessage = message) => {
+    logger.warn({ error: logMessage }, 'Changelog command failed');
+    await reply(`**Error:** ${message}`, REACTIONS.X);
+    return { success: false, error: logMessage };
+  };
+
+  const parsed = parseChangelogArgs(args);
+  if (parsed.error) {
+    return fail(parsed.error);
+  }
+
+  let result;
+  try {
+    result = await _generateChangelog(octokit, owner, repo, { from: parsed.from, to: parsed.to });
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) {
+      return fail(`Could not resolve \`${parsed.to || parsed.from}\` to a commit.`, error.message);
+    }
+    logger.error({ error: error.message }, 'Changelog generation failed');
+    return fail('Failed to collect merged pull requests. Please try again later.', error.message);
+  }
+
+  const { range, section } = result;
+  const stats = formatChangelogStats(result);
+  logger.info({ from: range.from, to: range.to, pulls: result.pulls.length, output: parsed.output }, 'Changelog generated');
+
+  try {
+    if (parsed.output === 'release') {
+      const { release, updated } = await _upsertDraftRelease(octokit, owner, repo, {
+        tag: range.to,
+        target: range.branch,
+        section,
+      });
+      const link = release.html_url ? `[${range.to}](${release.html_url})` : `\`${range.to}\``;
+      await reply(`## 📝 Changelog\n\n${updated ? 'Updated' : 'Created'} draft release ${link}.\n\n${section}\n\n${stats}`, REACTIONS.ROCKET);
+      return { success: true, releaseId: release.id };
+    }
+
+    if (parsed.output === 'pr') {
+      const current = await _fetchFileContent(octokit, owner, repo, CHANGELOG_PATH, range.branch);
+      const updated = insertChangelogSection(current, section);
+      if (current === updated) {
+        await reply(`## 📝 Changelog\n\n\`${CHANGELOG_PATH}\` on \`${range.branch}\` is already up to date.\n\n${stats}`, REACTIONS.ROCKET);
+        return { success: true };
+      }
+      const slug = range.version.toLowerCase().replace(/[^\w.-]+/g, '-');
+      const pr = await _createPR(octokit, owner, repo, {
+        title: `docs: update ${CHANGELOG_PATH} for ${range.version}`,
+        body: `Changelog section generated by \`/zai changelog\` (requested in #${issueNumber}).\n\n${section}\n\n${stats}`,
+        base: range.branch,
+        files: [{ path: CHANGELOG_PATH, content: updated }],
+        commitMessage: `docs: update ${CHANGELOG_PATH} for ${range.version}`,
+        branchName: `zai-changelog/${slug}-${range.until.slice(0, 10)}`,
+      }, logger);
+      await reply(`## 📝 Changelog\n\nOpened #${pr.number} updating \`${CHANGELOG_PATH}\` on \`${range.branch}\`.\n\n${stats}`, REACTIONS.ROCKET);
+      return { success: true, prNumber: pr.number };
+    }
+
+    await reply(`## 📝 Changelog\n\n${section}\n\n${stats}`, REACTIONS.ROCKET);
+    return { success: true };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Changelog output failed');
+    const target = parsed.output === 'release' ? 'the draft release' : 'the changelog pull request';
+    return fail(`Failed to create ${target}. Please try again later.`, error.message);
+  }
+}
+
+module.exports = {
+  handleChangelogCommand,
+  parseChangelogArgs,
+  formatChangelogStats,
+  CHANGELOG_MARKER,
+  CHANGELOG_PATH,
+};
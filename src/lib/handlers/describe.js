@@ -1,45 +1,201 @@
 const { upsertComment, setReaction, REACTIONS } = require('../comments');
-const { truncateContext, DEFAULT_MAX_CHARS } = require('../context');
+const { truncateContext } = require('../context');
+const { fetchAllChangedFiles } = require('../changed-files');
+const { partitionIgnoredFiles } = require('../config/repo-config');
+const { renderPrompt, getPromptOptions } = require('../prompts');
+const { findPullRequestTemplate, planTemplateFill, parseFilledSections, composeTemplateBody } = require('../pr-template');
+const { DEFAULT_TITLE_PATTERN, isTitleValid, suggestTitle, setTitleStatus } = require('../pr-title');
 
 const DESCRIBE_MARKER = '<!-- ZAI_DESCRIBE_COMMAND -->';
 const AI_DESCRIPTION_START = '\n\n---\n<!-- ZAI_DESCRIPTION_START -->\n🤖 **Z.ai Auto-generated Description:**\n\n';
 const AI_DESCRIPTION_END = '\n<!-- ZAI_DESCRIPTION_END -->';
 
-async function handleDescribeCommand(context, args) {
-  const { octokit, owner, repo, issueNumber, commentId, apiClient, apiKey, model, logger } = context;
+// Commit text sent in one prompt; longer histories are summarized in parts first
+const COMMIT_BUDGET_CHARS = 8000;
+const MAX_COMMIT_CHUNKS = 8;
 
-  try {
-    // 1. Fetch commits (max 30 to prevent API timeouts)
-    const commitsResponse = await octokit.rest.pulls.listCommits({
+// pulls.listCommits returns at most 250 commits
+const COMMITS_PER_PAGE = 100;
+const MAX_LISTED_COMMITS = 250;
+
+const MAX_STAT_AREAS = 12;
+const MAX_STAT_FILES = 15;
+
+/**
+ * Fetch every commit GitHub lists for the pull request.
+ * @returns {Promise<{commits: Array<Object>, limitReached: boolean}>}
+ */
+async function fetchAllCommits(octokit, owner, repo, pullNumber) {
+  const commits = [];
+  for (let page = 1; commits.length < MAX_LISTED_COMMITS; page++) {
+    const { data } = await octokit.rest.pulls.listCommits({
       owner,
       repo,
-      pull_number: issueNumber,
-      per_page: 30
+      pull_number: pullNumber,
+      per_page: COMMITS_PER_PAGE,
+      page,
     });
-    
-    // 2. Extract and truncate commit messages
-    const allMessages = commitsResponse.data
-      .map(c => c.commit.message)
-      .join('\n\n');
-    
-    const commitMessages = truncateContext(allMessages, 8000).content;
-    
-    if (!commitMessages) {
-      await upsertComment(octokit, owner, repo, issueNumber,
-        `## Z.ai Describe\n\nNo commits found in this PR.\n\n${DESCRIBE_MARKER}`,
-        DESCRIBE_MARKER, { replyToId: commentId });
-      return { success: true };
+    const batch = Array.isArray(data) ? data : [];
+    commits.push(...batch);
+    if (batch.length < COMMITS_PER_PAGE) {
+      return { commits, limitReached: false };
     }
-    
-    // 3. Build LLM prompt (as string, not array)
-    const prompt = `You are an expert Staff Engineer and Technical Writer. Your task is to analyze the provided Git commit messages and synthesize a clear, comprehensive, and well-structured Pull Request description.
+  }
+  return { commits, limitReached: true };
+}
+
+function formatCommit(commit, subjectOnly = false) {
+  const sha = commit.sha ? `${commit.sha.slice(0, 7)} ` : '';
+  const message = String(commit.commit?.message || '').trim();
+  const text = subjectOnly ? message.split('\n')[0] : message;
+  return `${sha}${truncateContext(text, COMMIT_BUDGET_CHARS).content}`;
+}
+
+/**
+ * Split commit entries into prompt-sized chunks. Falls back to subject lines
+ * when full messages need more than MAX_COMMIT_CHUNKS chunks, and drops the
+ * newest commits if even that is too much.
+ * @param {Array<Object>} commits - Commits from pulls.listCommits
+ * @returns {{chunks: string[], subjectOnly: boolean, omitted: number}}
+ */
+function chunkCommitMessages(commits) {
+  const build = subjectOnly => {
+    const chunks = [];
+    const counts = [];
+    let current = [];
+    let length = 0;
+    for (const commit of commits) {
+      const entry = formatCommit(commit, subjectOnly);
+      if (current.length && length + entry.length + 2 > COMMIT_BUDGET_CHARS) {
+        chunks.push(current.join('\n\n'));
+        counts.push(current.length);
+        current = [];
+        length = 0;
+      }
+      current.push(entry);
+      length += entry.length + 2;
+    }
+    if (current.length) {
+      chunks.push(current.join('\n\n'));
+      counts.push(current.length);
+    }
+    return { chunks, counts };
+  };
+
+  let subjectOnly = false;
+  let { chunks, counts } = build(false);
+  if (chunks.length > MAX_COMMIT_CHUNKS) {
+    subjectOnly = true;
+    ({ chunks, counts } = build(true));
+  }
+  const omitted = counts.slice(MAX_COMMIT_CHUNKS).reduce((sum, count) => sum + count, 0);
+  return { chunks: chunks.slice(0, MAX_COMMIT_CHUNKS), subjectOnly, omitted };
+}
+
+function buildCommitSummaryPrompt(chunk, part, total) {
+  return `Summarize part ${part} of ${total} of the commit history.
+
+<commit_messages part="${part}" total="${total}">
+${chunk}
+</commit_messages>`;
+}
+
+/**
+ * Aggregate changed files into totals, per-area churn and the largest files.
+ * An area is the file's directory, cut to its first two segments.
+ * @param {Array<Object>} files - Changed files from pulls.listFiles
+ * @returns {Object} { totalFiles, additions, deletions, added, removed, renamed, areas, topFiles }
+ */
+function computeDiffStats(files) {
+  const stats = { totalFiles: 0, additions: 0, deletions: 0, added: 0, removed: 0, renamed: 0, areas: [], topFiles: [] };
+  const areas = new Map();
+
+  for (const file of files || []) {
+    const additions = file.additions || 0;
+    const deletions = file.deletions || 0;
+    stats.totalFiles += 1;
+    stats.additions += additions;
+    stats.deletions += deletions;
+    if (file.status === 'added' || file.status === 'removed' || file.status === 'renamed') {
+      stats[file.status] += 1;
+    }
+
+    const segments = file.filename.split('/');
+    const area = segments.length === 1 ? '(root)' : segments.slice(0, Math.min(2, segments.length - 1)).join('/');
+    const entry = areas.get(area) || { area, files: 0, additions: 0, deletions: 0 };
+    entry.files += 1;
+    entry.additions += additions;
+    entry.deletions += deletions;
+    areas.set(area, entry);
+  }
+
+  const churn = item => item.additions + item.deletions;
+  stats.areas = [...areas.values()].sort((a, b) => churn(b) - churn(a));
+  stats.topFiles = [...(files || [])]
+    .map(file => ({ filename: file.filename, status: file.status, additions: file.additions || 0, deletions: file.deletions || 0 }))
+    .sort((a, b) => churn(b) - churn(a))
+    .slice(0, MAX_STAT_FILES);
+  return stats;
+}
+
+/**
+ * Render diff stats for the prompt
+ * @param {Object} stats - From computeDiffStats
+ * @param {Object} [notes] - { limitReached, ignored }
+ * @returns {string}
+ */
+function formatDiffStats(stats, notes = {}) {
+  const statuses = ['added', 'removed', 'renamed'].filter(status => stats[status]).map(status => `${stats[status]} ${status}`);
+  const lines = [
+    `Files changed: ${stats.totalFiles} (+${stats.additions} / -${stats.deletions})${statuses.length ? `; ${statuses.join(', ')}` : ''}`,
+  ];
+  if (notes.limitReached) {
+    lines.push('GitHub listed only the first 3000 changed files; totals cover those.');
+  }
+  if (notes.ignored) {
+    lines.push(`${notes.ignored} file(s) matching the repository ignore rules are not counted.`);
+  }
+
+  lines.push('', 'By area (files, +additions / -deletions):');
+  const shown = stats.areas.slice(0, MAX_STAT_AREAS);
+  for (const area of shown) {
+    lines.push(`- ${area.area}: ${area.files}, +${area.additions} / -${area.deletions}`);
+  }
+  const rest = stats.areas.slice(MAX_STAT_AREAS);
+  if (rest.length) {
+    const sum = key => rest.reduce((total, area) => total + area[key], 0);
+    lines.push(`- ${rest.length} other area(s): ${sum('files')}, +${sum('additions')} / -${sum('deletions')}`);
+  }
+
+  lines.push('', 'Largest changes:');
+  for (const file of stats.topFiles) {
+    lines.push(`- ${file.filename} (${file.status}, +${file.additions} / -${file.deletions})`);
+  }
+  return lines.join('\n');
+}
 
-### Instructions:
-1. **Analyze and Consolidate:** Do not simply repeat the commit messages. Group related changes, ignore trivial or redundant commits (e.g., "fix typo", "wip", "merge"), and deduce the overall intent of the Pull Request.
-2. **Tone and Style:** Use a professional, objective tone. Write in the imperative mood for bullet points (e.g., "Add user authentication" instead of "Added user authentication").
-3. **Strict Formatting:** Output ONLY the requested Markdown structure. Do not include any conversational filler, greetings, or introductory phrases. If a specific category has no relevant commits, **omit that section entirely**.
+/**
+ * Remove the block a previous run appended (between markers, or from the start
+ * marker to the end when the end marker was lost)
+ * @param {string} body - PR body
+ * @returns {string}
+ */
+function stripAiDescription(body) {
+  const startMarker = '<!-- ZAI_DESCRIPTION_START -->';
+  const endMarker = '<!-- ZAI_DESCRIPTION_END -->';
+  const startIndex = body.indexOf(startMarker);
+  if (startIndex === -1) {
+    return body;
+  }
+  // Drop the separator AI_DESCRIPTION_START put in front of the marker
+  const blockStart = body.lastIndexOf('\n---\n', startIndex) === startIndex - 5 ? startIndex - 5 : startIndex;
+  const endIndex = body.indexOf(endMarker, startIndex);
+  return endIndex !== -1
+    ? body.substring(0, blockStart) + body.substring(endIndex + endMarker.length)
+    : body.substring(0, blockStart);
+}
 
-### Required PR Description Structure:
+const DEFAULT_STRUCTURE = `### Required PR Description Structure:
 
 **## 🚀 Overview**
 [Provide a concise 1-2 sentence summary of the primary purpose and value of this Pull Request based on the commits.]
@@ -54,76 +210,254 @@ async function handleDescribeCommand(context, args) {
 * [Bullet points covering code restructuring, technical debt removal, or style changes]
 
 **## ⚙️ Infrastructure & Tooling**
-* [Bullet points regarding CI/CD updates, dependency bumps, or configuration changes]
+* [Bullet points regarding CI/CD updates, dependency bumps, or configuration changes]`;
 
----
-### Input Data:
-<commit_messages>
-${commitMessages}
-</commit_messages>`;
+/**
+ * Instructions for filling the repository's PR template
+ * @param {Object} template - { path, content }
+ * @param {Object} plan - From planTemplateFill
+ * @returns {string}
+ */
+function buildTemplateInstructions(template, plan) {
+  const whole = plan.toFill.length === 1 && plan.toFill[0].key === '';
+  const layout = whole
+    ? '2. **Output:** Return the whole template filled in, keeping its structure and checklist items.'
+    : '2. **Output:** Start each section with its exact heading line as listed in <sections_to_fill>, followed by its content. Do not output any other section and do not add headings of your own.';
+  const preserved = plan.preserved.length
+    ? `\n\n<already_filled_by_author>\n${plan.preserved.map(section => section.heading).join('\n')}\n</already_filled_by_author>`
+    : '';
+  const sectionsToFill = whole
+    ? ''
+    : `\n\n<sections_to_fill>\n${plan.toFill.map(section => section.heading).join('\n')}\n</sections_to_fill>`;
+
+  return `### Repository PR Template:
+This repository requires the Pull Request template below. Fill it in instead of using a structure of your own.
+1. **Guidance:** Follow what the template asks for in each section, including its HTML comments, but do not copy the guidance text itself.
+${layout}
+3. **Checklists:** Keep checklist items. Tick a box (\`[x]\`) only when the commits or diff clearly show it applies; leave boxes that confirm manual steps (testing, reviews, sign-offs) unticked.
+4. **Unknowns:** Write "N/A" when a section cannot be answered from the input.
+
+<pr_template path="${template.path}">
+${template.content.trim()}
+</pr_template>${sectionsToFill}${preserved}`;
+}
+
+/**
+ * System prompt for the description: the `describe` template filled with the
+ * inputs and the layout (the repository's PR template or the default structure)
+ * @param {Object} params - { withDiffStats, template, plan }
+ * @param {Object} [promptOptions] - Repository template files and instructions
+ * @returns {string}
+ */
+function buildDescribeSystemPrompt({ withDiffStats = false, template = null, plan = null } = {}, promptOptions = {}) {
+  return renderPrompt('describe', {
+    inputs: withDiffStats ? 'Git commit messages and diff stats' : 'Git commit messages',
+    diff_stats_note: withDiffStats ? '\n   Commit messages are often vague; use the diff stats (areas and files touched, lines added and removed) to decide what the Pull Request actually changes and how much weight each change deserves.' : '',
+    empty_sections_note: template ? '' : ' If a specific category has no relevant commits, **omit that section entirely**.',
+    structure: template ? buildTemplateInstructions(template, plan) : DEFAULT_STRUCTURE,
+  }, promptOptions);
+}
+
+async function handleDescribeCommand(context, args, deps = {}) {
+  const {
+    fetchAllChangedFiles: _fetchAllChangedFiles = fetchAllChangedFiles,
+    findPullRequestTemplate: _findPullRequestTemplate = findPullRequestTemplate,
+    suggestTitle: _suggestTitle = suggestTitle,
+    setTitleStatus: _setTitleStatus = setTitleStatus,
+  } = deps;
+  const { octokit, owner, repo, issueNumber, commentId, apiClient, apiKey, model, logger, progressComment = null } = context;
+
+  const reply = async (body, reaction) => {
+    await upsertComment(octokit, owner, repo, issueNumber, `${body}\n\n${DESCRIBE_MARKER}`,
+      DESCRIBE_MARKER, { replyToId: commentId, replaceComment: progressComment });
+    if (reaction) {
+      await setReaction(octokit, owner, repo, commentId, reaction);
+    }
+  };
+  const failDescribe = async (error) => {
+    logger.error({ error }, 'LLM call failed for describe command');
+    await reply('## Z.ai Describe\n\n❌ Failed to generate description. Please try again later.', REACTIONS.X);
+    return { success: false, error };
+  };
+
+  try {
+    // 1. Fetch the current PR body, without the block a previous run appended
+    const prResponse = await octokit.rest.pulls.get({ owner, repo, pull_number: issueNumber });
+    const authorBody = stripAiDescription(prResponse.data.body || '');
+
+    // 2. Look for the repository's PR template on the base branch
+    let template = null;
+    let plan = null;
+    try {
+      template = await _findPullRequestTemplate(octokit, owner, repo, { ref: prResponse.data.base?.ref, body: authorBody });
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to look up the PR template; using the default structure');
+    }
+    if (template) {
+      plan = planTemplateFill(template.content, authorBody);
+      if (plan.toFill.length === 0) {
+        await reply(`## Z.ai Describe\n\nEvery section of the PR template (\`${template.path}\`) is already filled in, so the description was left unchanged.`, REACTIONS.ROCKET);
+        return { success: true };
+      }
+    }
 
+    // 3. Fetch all commits GitHub lists for the PR
+    const { commits, limitReached: commitLimitReached } = await fetchAllCommits(octokit, owner, repo, issueNumber);
+    
+    if (commits.length === 0) {
+      await reply('## Z.ai Describe\n\nNo commits found in this PR.');
+      return { success: true };
+    }
     
-    // 4. Call LLM
-    const llmResult = await apiClient.call({ apiKey, model, prompt });
+    // 4. Summarize commit messages in parts when they exceed one prompt
+    const { chunks, subjectOnly, omitted } = chunkCommitMessages(commits);
+    let commitSection;
+    if (chunks.length === 1) {
+      commitSection = `<commit_messages>\n${chunks[0]}\n</commit_messages>`;
+    } else {
+      logger.info({ commits: commits.length, parts: chunks.length, subjectOnly }, 'Summarizing commits in parts');
+      const summaries = [];
+      for (const [index, chunk] of chunks.entries()) {
+        const partResult = await apiClient.call({
+          apiKey,
+          model,
+          systemPrompt: renderPrompt('commit_summary', {}, getPromptOptions(context.repoConfig, 'commit_summary')),
+          prompt: buildCommitSummaryPrompt(chunk, index + 1, chunks.length),
+        });
+        if (!partResult.success) {
+          return failDescribe(partResult.error);
+        }
+        summaries.push(`<commit_summary part="${index + 1}">\n${partResult.data}\n</commit_summary>`);
+      }
+      commitSection = `<commit_summaries total_commits="${commits.length}">\n${summaries.join('\n')}\n</commit_summaries>`;
+    }
+    const historyNotes = [
+      commitLimitReached ? `GitHub lists only the first ${MAX_LISTED_COMMITS} commits of a pull request.` : null,
+      omitted ? `The ${omitted} most recent commit(s) did not fit and are not included.` : null,
+    ].filter(Boolean);
+
+    // 5. Collect diff stats so the description reflects the code, not only commit messages
+    let diffStats = null;
+    try {
+      const { files, limitReached } = await _fetchAllChangedFiles(octokit, owner, repo, issueNumber);
+      const { files: counted, ignored } = partitionIgnoredFiles(files, context.repoConfig?.ignore);
+      const stats = computeDiffStats(counted);
+      diffStats = { stats, text: formatDiffStats(stats, { limitReached, ignored: ignored.length }) };
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to fetch changed files for describe; continuing without diff stats');
+    }
+
+    // 6. Build LLM prompt: layout rules as the system role, commits and stats as input
+    const prompt = `### Input Data:
+${commitSection}${historyNotes.length ? `\n\nNote: ${historyNotes.join(' ')}` : ''}${diffStats ? `\n\n<diff_stats>\n${diffStats.text}\n</diff_stats>` : ''}`;
+
+    // 7. Call LLM
+    const llmResult = await apiClient.call({
+      apiKey,
+      model,
+      systemPrompt: buildDescribeSystemPrompt(
+        { withDiffStats: Boolean(diffStats), template, plan },
+        getPromptOptions(context.repoConfig, 'describe')
+      ),
+      prompt,
+    });
     
     if (!llmResult.success) {
-      logger.error({ error: llmResult.error }, 'LLM call failed for describe command');
-      await upsertComment(octokit, owner, repo, issueNumber,
-        `## Z.ai Describe\n\n❌ Failed to generate description. Please try again later.\n\n${DESCRIBE_MARKER}`,
-        DESCRIBE_MARKER, { replyToId: commentId });
-      await setReaction(octokit, owner, repo, commentId, REACTIONS.X);
-      return { success: false, error: llmResult.error };
+      return failDescribe(llmResult.error);
     }
     
     const generatedDescription = llmResult.data;
     
-    // 5. Fetch current PR body
-    const prResponse = await octokit.rest.pulls.get({ owner, repo, pull_number: issueNumber });
-    let currentBody = prResponse.data.body || '';
-    
-    // 6. Remove existing AI section (between markers or from AI_DESCRIPTION_START to end)
-    const startMarker = '<!-- ZAI_DESCRIPTION_START -->';
-    const endMarker = '<!-- ZAI_DESCRIPTION_END -->';
-    const startIndex = currentBody.indexOf(startMarker);
-    
-    if (startIndex !== -1) {
-      // Remove from start marker to end marker (or to end if no end marker)
-      const endIndex = currentBody.indexOf(endMarker, startIndex);
-      if (endIndex !== -1) {
-        currentBody = currentBody.substring(0, startIndex) + currentBody.substring(endIndex + endMarker.length);
-      } else {
-        currentBody = currentBody.substring(0, startIndex);
+    // 8. Build new body: the filled template, or the author's body plus the generated block
+    let newBody;
+    if (template) {
+      const generated = parseFilledSections(generatedDescription, plan.toFill);
+      if (generated.size === 0) {
+        logger.warn({ template: template.path }, 'Generated description did not contain any template section');
+        await reply(`## Z.ai Describe\n\n❌ The generated description did not follow the PR template (\`${template.path}\`), so the description was left unchanged. Please try again.`, REACTIONS.X);
+        return { success: false, error: 'template_mismatch' };
       }
+      newBody = composeTemplateBody({ templateContent: template.content, authorBody, generated });
+    } else {
+      newBody = authorBody.trimEnd() + AI_DESCRIPTION_START + generatedDescription + AI_DESCRIPTION_END;
     }
-    
-    // 7. Build new body
-    const newBody = currentBody.trimEnd() + AI_DESCRIPTION_START + generatedDescription + AI_DESCRIPTION_END;
-    
-    // 8. Update PR
+
+    // 9. Propose a title when the current one does not match the repository's title pattern
+    const titleConfig = context.repoConfig?.title || {};
+    const titlePattern = titleConfig.pattern || DEFAULT_TITLE_PATTERN;
+    const currentTitle = prResponse.data.title || '';
+    let suggestedTitle = null;
+    if (currentTitle && !isTitleValid(currentTitle, titlePattern)) {
+      const suggestion = await _suggestTitle({
+        title: currentTitle,
+        commits,
+        diffStats: diffStats?.text,
+        pattern: titlePattern,
+        logger,
+        callModel: async (titlePrompt) => {
+          const titleResult = await apiClient.call({ apiKey, model, prompt: titlePrompt });
+          if (!titleResult.success) {
+            throw new Error(titleResult.error?.message || 'Failed to suggest a title');
+          }
+          return titleResult.data;
+        },
+      });
+      suggestedTitle = suggestion?.title || null;
+    }
+    const applyTitle = Boolean(suggestedTitle) && titleConfig.mode === 'apply';
+
+    // 10. Update PR
     await octokit.rest.pulls.update({
       owner,
       repo,
       pull_number: issueNumber,
-      body: newBody
+      body: newBody,
+      ...(applyTitle ? { title: suggestedTitle } : {}),
     });
+
+    // Title edits made with GITHUB_TOKEN do not trigger another run, so settle the check here
+    if (applyTitle && titleConfig.check && prResponse.data.head?.sha) {
+      try {
+        await _setTitleStatus(octokit, owner, repo, prResponse.data.head.sha, { valid: true });
+      } catch (error) {
+        logger.warn({ error: error.message }, 'Failed to update the title status');
+      }
+    }
     
-    // 9. Post success reply
-    await upsertComment(octokit, owner, repo, issueNumber,
-      `✅ I have successfully updated the PR description based on your commits!\n\n${DESCRIBE_MARKER}`,
-      DESCRIBE_MARKER, { replyToId: commentId });
-    
-    await setReaction(octokit, owner, repo, commentId, REACTIONS.ROCKET);
+    // 11. Post success reply
+    const basis = [
+      `${commits.length}${commitLimitReached ? '+' : ''} commit(s)`,
+      diffStats ? `${diffStats.stats.totalFiles} changed file(s)` : null,
+      chunks.length > 1 ? `commits summarized in ${chunks.length} parts` : null,
+    ].filter(Boolean).join(' · ');
+    const message = template
+      ? `✅ I have filled in the PR template (\`${template.path}\`) based on your commits!${plan.preserved.length ? ` Kept ${plan.preserved.length} section(s) you had already filled in.` : ''}`
+      : '✅ I have successfully updated the PR description based on your commits!';
+    const titleNote = !suggestedTitle
+      ? ''
+      : applyTitle
+        ? `\n\n✏️ Renamed the PR to \`${suggestedTitle}\` to match the required title format.`
+        : `\n\n💡 The PR title does not match the required format. Suggested title: \`${suggestedTitle}\``;
+    await reply(`${message}${titleNote}\n\n_Based on ${basis}_`, REACTIONS.ROCKET);
     
     return { success: true };
     
   } catch (error) {
     logger.error({ error: error.message }, 'Describe command failed');
-    await upsertComment(octokit, owner, repo, issueNumber,
-      `## Z.ai Describe\n\n❌ An error occurred: ${error.message}\n\n${DESCRIBE_MARKER}`,
-      DESCRIBE_MARKER, { replyToId: commentId });
-    await setReaction(octokit, owner, repo, commentId, REACTIONS.X);
+    await reply(`## Z.ai Describe\n\n❌ An error occurred: ${error.message}`, REACTIONS.X);
     return { success: false, error: error.message };
   }
 }
 
-module.exports = { handleDescribeCommand, DESCRIBE_MARKER, AI_DESCRIPTION_START };
+module.exports = {
+  handleDescribeCommand,
+  fetchAllCommits,
+  chunkCommitMessages,
+  buildCommitSummaryPrompt,
+  buildDescribeSystemPrompt,
+  computeDiffStats,
+  formatDiffStats,
+  stripAiDescription,
+  DESCRIBE_MARKER,
+  AI_DESCRIPTION_START,
+};
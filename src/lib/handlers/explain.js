@@ -10,6 +10,8 @@ const { fetchFileAtPrHead } = require('../pr-context');
 const { extractWindow } = require('../code-scope');
 const { REACTIONS, upsertComment, setReaction } = require('../comments');
 const { createLogger, generateCorrelationId } = require('../logging');
+const { renderPrompt, getPromptOptions } = require('../prompts');
+const { appendGuidelines, resolveGuidelines } = require('../guidelines');
 
 const EXPLAIN_MARKER = '<!-- ZAI_EXPLAIN_COMMAND -->';
 
@@ -114,6 +116,7 @@ async function handleExplainCommand(context, args, deps = {}) {
     createLogger: _createLogger = createLogger,
     generateCorrelationId: _generateCorrelationId = generateCorrelationId,
     validateRange: _validateRange = validateRange,
+    resolveGuidelines: _resolveGuidelines = resolveGuidelines,
   } = deps;
   
   const { octokit, owner, repo, issueNumber, commentPath, filename, changedFiles, apiClient, apiKey, model, commentId } = context;
@@ -123,6 +126,7 @@ async function handleExplainCommand(context, args, deps = {}) {
     updateExisting: false,
     isReviewComment: Boolean(context.isReviewComment),
     pullNumber: context.pullNumber || issueNumber,
+    replaceComment: context.progressComment || null,
   };
 
   if (!args || args.length === 0) {
@@ -245,8 +249,16 @@ async function handleExplainCommand(context, args, deps = {}) {
     surroundingLines: scopeResult.surrounding.length 
   }, 'Extracted target and surrounding context');
 
-  // Step 6: Build prompt with scope result
-  const { prompt, truncated } = buildExplainPrompt(resolvedPath, scopeResult, startLine, endLine);
+  // Step 6: Build prompt with scope result and load the guidelines covering the file
+  const { prompt, truncated } = buildExplainPrompt(resolvedPath, scopeResult, startLine, endLine, context.maxChars || DEFAULT_MAX_CHARS);
+  const guidelines = await _resolveGuidelines(octokit, {
+    owner,
+    repo,
+    ref: context.baseRef,
+    paths: [resolvedPath],
+    config: context.repoConfig?.guidelines,
+    logger,
+  });
 
   try {
     // Step 7: Call Z.ai API with fallback prompt generator
@@ -268,6 +280,7 @@ async function handleExplainCommand(context, args, deps = {}) {
     const result = await apiClient.call({
       apiKey,
       model,
+      systemPrompt: appendGuidelines(renderPrompt('explain', {}, getPromptOptions(context.repoConfig, 'explain')), guidelines),
       prompt,
       onFallback: (info) => {
         logger.info({ 
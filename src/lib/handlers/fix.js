@@ -0,0 +1,544 @@
+/**
+ * Fix command handler for /zai fix
+ *
+ * Asks the model for a unified diff against one changed file, checks that the
+ * diff applies cleanly to the file at the PR head and commits the result to
+ * the PR branch. Pull requests from forks are refused because the workflow
+ * token cannot push to them.
+ */
+
+const { DEFAULT_MAX_CHARS } = require('../context');
+const { fetchFileAtPrHead, resolvePrRefs } = require('../pr-context');
+const { REACTIONS, upsertComment, setReaction } = require('../comments');
+const { createLogger, generateCorrelationId } = require('../logging');
+const { resolveProvider } = require('../providers');
+const { renderPrompt, getPromptOptions } = require('../prompts');
+const { commitFilesToBranch } = require('./scheduled');
+const { validateFileInPr } = require('./review');
+
+const FIX_MARKER = '<!-- ZAI_FIX_COMMAND -->';
+
+const FIX_USAGE = '/zai fix <file> [start-end] [instruction]';
+
+// Reply emitted by the model when nothing needs to change
+const NO_CHANGES_TOKEN = 'NO_CHANGES';
+
+// Same separators as /zai explain, plus a single line number
+const RANGE_PATTERN = /^(\d+)(?:([-:]|[.]{1,2})(\d+))?$/;
+
+// Longest commit subject taken from the user's instruction
+const MAX_SUBJECT_CHARS = 72;
+
+/**
+ * Parse `/zai fix` arguments. In a review-comment thread the file and line
+ * range default to the comment's anchor, so `/zai fix use a Set here` works.
+ * @param {string[]} args - Command arguments
+ * @param {Object} [options] - { changedFiles, commentPath, commentLine, commentStartLine }
+ * @returns {{ filePath?: string, file?: Object, startLine: number|null, endLine: number|null, instruction: string, error?: string }}
+ */
+function parseFixArgs(args, options = {}) {
+  const { changedFiles = [], commentPath = null, commentLine = null, commentStartLine = null } = options;
+  const tokens = Array.isArray(args) ? [...args] : [];
+  const result = { startLine: null, endLine: null, instruction: '' };
+
+  let filePath = null;
+  if (tokens.length > 0 && !RANGE_PATTERN.test(tokens[0])) {
+    const candidate = validateFileInPr(tokens[0], changedFiles);
+    if (candidate.valid || !commentPath) {
+      filePath = tokens.shift();
+    }
+  }
+
+  const fromAnchor = !filePath && Boolean(commentPath);
+  filePath = filePath || commentPath;
+  if (!filePath) {
+    return { ...result, error: `No file path provided. Usage: ${FIX_USAGE}` };
+  }
+  if (filePath.includes('..') || filePath.startsWith('/')) {
+    return { ...result, error: 'Invalid file path. Path traversal is not allowed.' };
+  }
+
+  const validation = validateFileInPr(filePath, changedFiles);
+  if (!validation.valid) {
+    return { ...result, error: validation.error };
+  }
+
+  const rangeMatch = tokens.length > 0 ? tokens[0].match(RANGE_PATTERN) : null;
+  if (rangeMatch) {
+    tokens.shift();
+    result.startLine = parseInt(rangeMatch[1], 10);
+    result.endLine = rangeMatch[3] ? parseInt(rangeMatch[3], 10) : result.startLine;
+    if (result.startLine < 1 || result.startLine > result.endLine) {
+      return { ...result, error: `Invalid line range: ${result.startLine}-${result.endLine}` };
+    }
+  } else if (fromAnchor && Number.isInteger(commentLine)) {
+    const anchorStart = Number.isInteger(commentStartLine) ? commentStartLine : commentLine;
+    result.startLine = Math.min(anchorStart, commentLine);
+    result.endLine = Math.max(anchorStart, commentLine);
+  }
+
+  return {
+    ...result,
+    filePath: validation.file.filename,
+    file: validation.file,
+    instruction: tokens.join(' ').trim(),
+  };
+}
+
+/**
+ * Build the prompt asking for a unified diff against the file. When only an
+ * excerpt of a long file is sent, `excerptStart` is the line number of its
+ * first line and the model may only change the requested lines.
+ * @param {string} filePath - File to change
+ * @param {string} content - File content at the PR head, or the excerpt
+ * @param {Object} request - { startLine, endLine, instruction, patch, excerptStart }
+ * @returns {string}
+ */
+function buildFixPrompt(filePath, content, { startLine = null, endLine = null, instruction = '', patch = null, excerptStart = null } = {}) {
+  let prompt = `Context:\n<file_path>${filePath}</file_path>\n`;
+  if (excerptStart) {
+    const excerptEnd = excerptStart + content.split('\n').length - 1;
+    prompt += `<file_excerpt lines="${excerptStart}-${excerptEnd}">\n${content}\n</file_excerpt>\n`;
+  } else {
+    prompt += `<file_content>\n${content}\n</file_content>\n`;
+  }
+
+  if (patch) {
+    prompt += `<changes_in_this_pr>\n${patch}\n</changes_in_this_pr>\n`;
+  }
+
+  let scope = startLine
+    ? `Only change lines ${startLine}-${endLine} of the file (plus the minimum needed elsewhere in the same file to keep it working).`
+    : 'Only change lines touched by this pull request unless the fix requires otherwise.';
+  if (excerptStart) {
+    scope = `The file is too long to show in full. Only change lines ${startLine}-${endLine}, and number the hunk headers with the line numbers of the full file.`;
+  }
+  const task = instruction
+    ? `Apply this change: ${instruction}`
+    : 'Fix the most important bug, security issue or correctness problem.';
+
+  prompt += `\nTask: ${task}\n${scope}\n`;
+  prompt += `Use "--- a/${filePath}" and "+++ b/${filePath}" as the diff headers.`;
+
+  return prompt;
+}
+
+/**
+ * Cut the requested lines plus as many surrounding lines as fit in
+ * `maxChars`, growing the window evenly above and below the range.
+ * @param {string} content - Full file content
+ * @param {number} startLine - First requested line
+ * @param {number} endLine - Last requested line
+ * @param {number} maxChars - Character budget for the excerpt
+ * @returns {{ content: string, startLine: number, endLine: number }|null} null when the range itself does not fit
+ */
+function selectFixWindow(content, startLine, endLine, maxChars) {
+  const lines = content.split('\n');
+  if (startLine > lines.length) {
+    return null;
+  }
+
+  let first = startLine;
+  let last = Math.min(endLine, lines.length);
+  let size = lines.slice(first - 1, last).join('\n').length;
+  if (size > maxChars) {
+    return null;
+  }
+
+  let grown = true;
+  while (grown) {
+    grown = false;
+    if (first > 1 && size + lines[first - 2].length + 1 <= maxChars) {
+      first--;
+      size += lines[first - 1].length + 1;
+      grown = true;
+    }
+    if (last < lines.length && size + lines[last].length + 1 <= maxChars) {
+      last++;
+      size += lines[last - 1].length + 1;
+      grown = true;
+    }
+  }
+
+  return { content: lines.slice(first - 1, last).join('\n'), startLine: first, endLine: last };
+}
+
+/**
+ * Split a model response into its explanation and diff.
+ * @param {string} response - Model output
+ * @returns {{ summary: string, patch: string|null, noChanges: boolean }}
+ */
+function extractPatch(response) {
+  const text = typeof response === 'string' ? response : '';
+  const fence = text.match(/```(?:diff|patch|udiff)?[ \t]*\r?\n([\s\S]*?)```/);
+  let patch = fence ? fence[1] : null;
+  let summary = fence ? text.replace(fence[0], '') : text;
+
+  if (!patch) {
+    const start = text.search(/^(---|@@) /m);
+    if (start !== -1) {
+      patch = text.slice(start);
+      summary = text.slice(0, start);
+    }
+  }
+
+  summary = summary.replace(NO_CHANGES_TOKEN, '').trim();
+  const noChanges = !patch && text.includes(NO_CHANGES_TOKEN);
+  return { summary, patch: patch && /^@@ /m.test(patch) ? patch.replace(/\s+$/, '') : null, noChanges };
+}
+
+/**
+ * Parse a single-file unified diff. Hunk line counts are not trusted (models
+ * often get them wrong); a hunk ends at the next hunk header or the end.
+ * @param {string} patch - Unified diff
+ * @returns {{ oldPath: string|null, newPath: string|null, hunks: Array<Object>, error?: string }}
+ */
+function parseUnifiedDiff(patch) {
+  const result = { oldPath: null, newPath: null, hunks: [] };
+  let hunk = null;
+  const lines = String(patch || '').split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    // A file header is a "---" line directly followed by "+++"; anything else
+    // starting with "---" is a removed line that begins with "--"
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      if (result.oldPath !== null) {
+        return { ...result, error: 'The patch changes more than one file' };
+      }
+      result.oldPath = line.slice(4).trim().replace(/^a\//, '');
+      result.newPath = lines[i + 1].slice(4).trim().replace(/^b\//, '');
+      hunk = null;
+      i++;
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (header) {
+      hunk = { oldStart: parseInt(header[1], 10), newStart: parseInt(header[2], 10), lines: [] };
+      result.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk || line.startsWith('diff --git') || line.startsWith('index ') || line.startsWith('\\')) {
+      continue;
+    }
+
+    const type = line[0];
+    if (type === '+' || type === '-' || type === ' ') {
+      hunk.lines.push({ type, text: line.slice(1) });
+    } else if (line === '') {
+      // Blank context lines often lose their leading space
+      hunk.lines.push({ type: ' ', text: '' });
+    } else {
+      return { ...result, error: `Unexpected line in hunk: ${line.slice(0, 80)}` };
+    }
+  }
+
+  // Trailing blank "context" lines are usually just the end of the fence
+  for (const parsedHunk of result.hunks) {
+    while (parsedHunk.lines.length > 0 && parsedHunk.lines.at(-1).type === ' ' && parsedHunk.lines.at(-1).text === '') {
+      parsedHunk.lines.pop();
+    }
+  }
+
+  if (result.hunks.length === 0 || result.hunks.every(h => !h.lines.some(l => l.type !== ' '))) {
+    return { ...result, error: 'The patch contains no changes' };
+  }
+  return result;
+}
+
+// How far a hunk may drift from the line its header names
+const MAX_HUNK_OFFSET = 50;
+
+function matchesAt(lines, expected, index) {
+  if (index < 0 || index + expected.length > lines.length) {
+    return false;
+  }
+  return expected.every((text, offset) => lines[index + offset] === text);
+}
+
+/**
+ * Apply a unified diff to file content. Every context and removed line must
+ * match exactly; a hunk may sit up to MAX_HUNK_OFFSET lines away from its
+ * header, like `git apply`, but hunks may not overlap.
+ * @param {string} content - Original file content
+ * @param {string} patch - Unified diff for this file
+ * @param {string} [filePath] - Reject diffs whose headers name another file
+ * @param {Object} [options] - { lineOffset } lines before `content` when it is an excerpt
+ * @returns {{ success: boolean, content?: string, error?: string }}
+ */
+function applyUnifiedDiff(content, patch, filePath = null, { lineOffset = 0 } = {}) {
+  const parsed = parseUnifiedDiff(patch);
+  if (parsed.error) {
+    return { success: false, error: parsed.error };
+  }
+  if (filePath && [parsed.oldPath, parsed.newPath].some(path => path && path !== filePath)) {
+    return { success: false, error: `The patch targets ${parsed.newPath || parsed.oldPath} instead of ${filePath}` };
+  }
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const trailingNewline = content.endsWith('\n');
+  const lines = content.split(/\r?\n/);
+  if (trailingNewline) {
+    lines.pop();
+  }
+
+  const output = [];
+  let cursor = 0;
+  for (const [index, hunk] of parsed.hunks.entries()) {
+    const expected = hunk.lines.filter(line => line.type !== '+').map(line => line.text);
+    const replacement = hunk.lines.filter(line => line.type !== '-').map(line => line.text);
+    const target = Math.max(0, hunk.oldStart - 1 - lineOffset + (expected.length === 0 ? 1 : 0));
+
+    let position = -1;
+    for (let offset = 0; offset <= MAX_HUNK_OFFSET && position === -1; offset++) {
+      if (target - offset >= cursor && matchesAt(lines, expected, target - offset)) {
+        position = target - offset;
+      } else if (offset > 0 && target + offset >= cursor && matchesAt(lines, expected, target + offset)) {
+        position = target + offset;
+      }
+    }
+    if (position === -1) {
+      return { success: false, error: `Hunk ${index + 1} (line ${hunk.oldStart}) does not match the file content` };
+    }
+
+    output.push(...lines.slice(cursor, position), ...replacement);
+    cursor = position + expected.length;
+  }
+  output.push(...lines.slice(cursor));
+
+  const updated = output.join(eol) + (trailingNewline ? eol : '');
+  if (updated === content) {
+    return { success: false, error: 'The patch does not change the file' };
+  }
+  return { success: true, content: updated };
+}
+
+/**
+ * Apply a diff made against an excerpt and splice the result back into the
+ * file, so lines outside the excerpt cannot change.
+ * @param {string} content - Full file content
+ * @param {Object} excerpt - From selectFixWindow
+ * @param {string} patch - Unified diff numbered by full-file lines
+ * @param {string} filePath - Changed file
+ * @returns {{ success: boolean, content?: string, error?: string }}
+ */
+function applyToExcerpt(content, excerpt, patch, filePath) {
+  const applied = applyUnifiedDiff(excerpt.content, patch, filePath, { lineOffset: excerpt.startLine - 1 });
+  if (!applied.success) {
+    return applied;
+  }
+  const lines = content.split('\n');
+  const updated = [
+    ...lines.slice(0, excerpt.startLine - 1),
+    applied.content,
+    ...lines.slice(excerpt.endLine),
+  ].join('\n');
+  return { success: true, content: updated };
+}
+
+/**
+ * Build the commit message for a fix.
+ * @param {string} filePath - Changed file
+ * @param {string} instruction - User instruction, if any
+ * @param {number} pullNumber - PR number
+ * @param {string|null} login - Requesting user
+ * @returns {string}
+ */
+function buildCommitMessage(filePath, instruction, pullNumber, login) {
+  const base = instruction ? `fix: ${instruction}` : `fix: apply /zai fix to ${filePath}`;
+  const subject = base.length > MAX_SUBJECT_CHARS ? `${base.slice(0, MAX_SUBJECT_CHARS - 3)}...` : base;
+  const requester = login ? ` by @${login}` : '';
+  return `${subject}\n\nGenerated by /zai fix for ${filePath}, requested${requester} in #${pullNumber}.`;
+}
+
+function describeCommitError(error, branch) {
+  if (error.code === 'stale_head') {
+    return `The branch \`${branch}\` was updated while the fix was being generated. Nothing was committed; please run \`/zai fix\` again.`;
+  }
+  if ([403, 404, 409, 422].includes(error.status)) {
+    return `Could not push to \`${branch}\`. The workflow token needs \`contents: write\` permission and the branch must not be protected against direct pushes.`;
+  }
+  return 'Failed to commit the fix. Please try again later.';
+}
+
+async function handleFixCommand(context, args, deps = {}) {
+  const {
+    upsertComment: _upsertComment = upsertComment,
+    setReaction: _setReaction = setReaction,
+    resolvePrRefs: _resolvePrRefs = resolvePrRefs,
+    fetchFileAtPrHead: _fetchFileAtPrHead = fetchFileAtPrHead,
+    commitFilesToBranch: _commitFilesToBranch = commitFilesToBranch,
+    createLogger: _createLogger = createLogger,
+    generateCorrelationId: _generateCorrelationId = generateCorrelationId,
+  } = deps;
+
+  const { octokit, owner, repo, issueNumber, changedFiles, apiClient, apiKey, model, commentId, provider = resolveProvider() } = context;
+  const logger = context.logger || _createLogger(_generateCorrelationId(), { command: 'fix' });
+  const pullNumber = context.pullNumber || issueNumber;
+  const commentOptions = {
+    replyToId: commentId,
+    updateExisting: false,
+    isReviewComment: Boolean(context.isReviewComment),
+    pullNumber,
+    replaceComment: context.progressComment || null,
+  };
+
+  const react = async (reaction) => {
+    if (!commentId) {
+      return;
+    }
+    try {
+      await _setReaction(octokit, owner, repo, commentId, reaction);
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to set fix reaction');
+    }
+  };
+  const fail = async (message, logMessage = message) => {
+    logger.warn({ error: logMessage }, 'Fix command failed');
+    try {
+      await _upsertComment(octokit, owner, repo, issueNumber, `**Error:** ${message}`, FIX_MARKER, commentOptions);
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to post fix error comment');
+    }
+    await react(REACTIONS.X);
+    return { success: false, error: logMessage };
+  };
+
+  const parsed = parseFixArgs(args, {
+    changedFiles,
+    commentPath: context.commentPath,
+    commentLine: context.commentLine,
+    commentStartLine: context.commentStartLine,
+  });
+  if (parsed.error) {
+    return fail(parsed.error);
+  }
+
+  const { filePath, file, startLine, endLine, instruction } = parsed;
+  if (file.status === 'removed') {
+    return fail(`\`${filePath}\` is deleted in this pull request and cannot be fixed.`);
+  }
+
+  try {
+    const refs = await _resolvePrRefs(octokit, owner, repo, pullNumber);
+    if (!refs.success) {
+      return fail(refs.fallback || 'Unable to resolve the pull request branch.', refs.error);
+    }
+    const head = refs.data.head;
+    if (head.repo !== `${owner}/${repo}`) {
+      return fail(
+        '`/zai fix` cannot push to pull requests from forks. Apply the change locally or ask a maintainer to push it.',
+        'fork_pr'
+      );
+    }
+
+    logger.info({ filePath, startLine, endLine, branch: head.ref }, 'Fetching file at PR head for fix');
+    const fileResult = await _fetchFileAtPrHead(octokit, owner, repo, filePath, pullNumber, {
+      maxFileSize: Number.MAX_SAFE_INTEGER,
+      maxFileLines: Number.MAX_SAFE_INTEGER,
+    });
+    if (!fileResult.success) {
+      return fail(fileResult.fallback || `Unable to read \`${filePath}\` at the PR head.`, fileResult.error);
+    }
+    if (fileResult.truncated || fileResult.scoped) {
+      return fail(`\`${filePath}\` is too large to fix safely.`);
+    }
+
+    const maxChars = context.maxChars || DEFAULT_MAX_CHARS;
+    const request = { startLine, endLine, instruction, patch: file.patch || null };
+    let basePrompt = buildFixPrompt(filePath, fileResult.data, request);
+    if (basePrompt.length > maxChars && request.patch) {
+      // The whole file matters more than the PR diff
+      request.patch = null;
+      basePrompt = buildFixPrompt(filePath, fileResult.data, request);
+    }
+    let excerpt = null;
+    if (basePrompt.length > maxChars) {
+      if (!startLine) {
+        return fail(`\`${filePath}\` is too large to send in full (the prompt would exceed ${maxChars} characters). Name a line range to fix part of it: \`${FIX_USAGE}\`.`);
+      }
+      // Send the requested lines with as much surrounding code as fits
+      const overhead = buildFixPrompt(filePath, '', { ...request, excerptStart: startLine }).length + 20;
+      excerpt = selectFixWindow(fileResult.data, startLine, endLine, maxChars - overhead);
+      if (!excerpt) {
+        return fail(`Lines ${startLine}-${endLine} of \`${filePath}\` do not fit in the prompt (${maxChars} characters). Choose a smaller range.`);
+      }
+      basePrompt = buildFixPrompt(filePath, excerpt.content, { ...request, excerptStart: excerpt.startLine });
+      logger.info({ filePath, excerptStart: excerpt.startLine, excerptEnd: excerpt.endLine }, 'Sending an excerpt of the file for fix');
+    }
+    logger.info({ filePath }, `Calling ${provider.label} API for fix`);
+    const result = await apiClient.call({
+      apiKey,
+      model,
+      systemPrompt: renderPrompt('fix', { no_changes_token: NO_CHANGES_TOKEN }, getPromptOptions(context.repoConfig, 'fix')),
+      prompt: basePrompt,
+    });
+    if (!result.success) {
+      return fail(result.error?.message || 'Failed to generate a fix');
+    }
+
+    const { summary, patch, noChanges } = extractPatch(result.data);
+    if (!patch) {
+      const reason = noChanges ? (summary || 'No change is needed.') : 'The model did not return a patch.';
+      await _upsertComment(
+        octokit, owner, repo, issueNumber,
+        `## 🔧 Fix: ${filePath}\n\nNothing was committed. ${reason}`,
+        FIX_MARKER,
+        commentOptions
+      );
+      await react(noChanges ? REACTIONS.ROCKET : REACTIONS.X);
+      return { success: noChanges, error: noChanges ? undefined : 'no_patch' };
+    }
+
+    const applied = excerpt
+      ? applyToExcerpt(fileResult.data, excerpt, patch, filePath)
+      : applyUnifiedDiff(fileResult.data, patch, filePath);
+    if (!applied.success) {
+      return fail(
+        `The generated patch does not apply cleanly to \`${filePath}\` at \`${head.sha.slice(0, 7)}\` (${applied.error}). Nothing was committed.\n\n<details><summary>Rejected patch</summary>\n\n\`\`\`diff\n${patch}\n\`\`\`\n</details>`,
+        applied.error
+      );
+    }
+
+    let commit;
+    try {
+      commit = await _commitFilesToBranch(octokit, owner, repo, {
+        branch: head.ref,
+        files: [{ path: filePath, content: applied.content }],
+        message: buildCommitMessage(filePath, instruction, pullNumber, context.commenter?.login || null),
+        expectedHeadSha: head.sha,
+      });
+    } catch (error) {
+      return fail(describeCommitError(error, head.ref), error.message);
+    }
+
+    logger.info({ filePath, commitSha: commit.sha, branch: head.ref }, 'Fix committed to PR branch');
+
+    const response = [
+      `## 🔧 Fix: ${filePath}`,
+      `Committed ${commit.sha} to \`${head.ref}\`.`,
+      summary,
+      `<details><summary>Patch</summary>\n\n\`\`\`diff\n${patch}\n\`\`\`\n</details>`,
+    ].filter(Boolean).join('\n\n');
+
+    await _upsertComment(octokit, owner, repo, issueNumber, response, FIX_MARKER, commentOptions);
+    await react(REACTIONS.ROCKET);
+    return { success: true, commitSha: commit.sha };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Fix command failed');
+    return fail('Failed to complete fix. Please try again later.', error.message);
+  }
+}
+
+module.exports = {
+  handleFixCommand,
+  parseFixArgs,
+  buildFixPrompt,
+  selectFixWindow,
+  extractPatch,
+  parseUnifiedDiff,
+  applyUnifiedDiff,
+  buildCommitMessage,
+  FIX_MARKER,
+};
@@ -9,26 +9,26 @@
  * 3. Post LLM response as threaded comment
  * 4. Extract suggested labels from response
  * 5. Apply labels to the PR (best-effort, non-blocking)
+ *
+ * With `output.format: json` the model answers with a validated JSON object
+ * (repaired once if malformed) and the comment and labels come from it.
+ * When a SARIF export is configured, the structured findings are recorded on
+ * the run's SARIF report.
  */
 
 const { upsertComment, setReaction, REACTIONS } = require('../comments');
 const { truncateContext, DEFAULT_MAX_CHARS } = require('../context');
+const { filterLabels } = require('../config/repo-config');
+const { renderPrompt, getPromptOptions } = require('../prompts');
+const { FINDINGS_INSTRUCTIONS, extractFindings } = require('../review-findings');
+const { buildStructuredInstructions, requestStructuredOutput, renderImpactMarkdown } = require('../structured-output');
+const { attachSourceText } = require('../sarif');
 
 // Marker for idempotent comment upsert
 const IMPACT_MARKER = '<!-- ZAI_IMPACT_COMMAND -->';
 
-// System prompt for impact analysis
-const IMPACT_SYSTEM_PROMPT = `You are an expert Technical Lead and Security Auditor reviewing a Pull Request. Your task is to perform an Impact and Risk Analysis based on the provided code diff, file names, and PR description.
-
-Evaluate the "blast radius" of these changes and warn human reviewers if specific parts of the code require rigorous manual inspection.
-
-Categorize the overall risk of the PR into one of four levels:
-- 🟢 Low Risk: Cosmetic changes, documentation, simple pure HTML markup updates, or isolated CSS/Tailwind utility class adjustments.
-- 🟡 Medium Risk: Standard feature additions, isolated bug fixes, or non-critical UI/frontend logic changes.
-- 🟠 High Risk: Changes to server-side routing, database schema/migrations (e.g., PostgreSQL), edge computing scripts (e.g., Cloudflare Workers), or core backend logic.
-- 🔴 Critical Risk: Modifications to authentication/authorization (e.g., JWT middleware, session management), security policies, payment processing, or heavy structural architecture shifts.
-
-Respond STRICTLY in the following Markdown format. Keep your analysis concise, objective, and directly related to the provided diff.
+// Output format of the `impact` system prompt
+const IMPACT_OUTPUT_FORMAT = `Respond STRICTLY in the following Markdown format. Keep your analysis concise, objective, and directly related to the provided diff.
 
 **Risk Level:** [Insert 🟢 Low / 🟡 Medium / 🟠 High / 🔴 Critical]
 
@@ -43,6 +43,15 @@ Respond STRICTLY in the following Markdown format. Keep your analysis concise, o
 **Suggested Labels:**
 [Provide a comma-separated list of 2-4 short labels that the bot could automatically apply to the PR, each wrapped in backticks, e.g., \`risk: high\`, \`area: auth\`, \`area: styles\`]`;
 
+// Output format in the JSON output mode
+const IMPACT_STRUCTURED_OUTPUT_FORMAT = `${buildStructuredInstructions({
+  summary: '1-2 sentences on which areas of the application the PR affects, naming the domains specifically.',
+  risk: '"level" is the risk category above ("low", "medium", "high" or "critical"); "reason" names what drives it.',
+  labels: '2-4 short labels the bot could apply to the PR, e.g. "risk: high", "area: auth".',
+})}
+
+Use "findings" for the most sensitive files or logic blocks modified that require careful review.`;
+
 /**
  * Format changed files list for the prompt
  * @param {Array} changedFiles - Array of {filename, status, patch} objects
@@ -208,6 +217,7 @@ async function handleImpactCommand(context, args, deps = {}) {
     upsertComment: _upsertComment = upsertComment,
     setReaction: _setReaction = setReaction,
     applySuggestedLabels: _applySuggestedLabels = applySuggestedLabels,
+    attachSourceText: _attachSourceText = attachSourceText,
   } = deps;
   
   const { 
@@ -221,7 +231,9 @@ async function handleImpactCommand(context, args, deps = {}) {
     model, 
     logger,
     changedFiles,
-    maxChars = DEFAULT_MAX_CHARS 
+    maxChars = DEFAULT_MAX_CHARS,
+    progressComment = null,
+    sarifReport = null
   } = context;
 
   try {
@@ -238,7 +250,8 @@ async function handleImpactCommand(context, args, deps = {}) {
       });
       prData = {
         title: prResponse.data.title,
-        body: prResponse.data.body
+        body: prResponse.data.body,
+        headSha: prResponse.data.head?.sha || null
       };
     } catch (error) {
       logger.error({ error: error.message }, 'Failed to fetch PR metadata');
@@ -246,7 +259,7 @@ async function handleImpactCommand(context, args, deps = {}) {
         octokit, owner, repo, issueNumber,
         `## Z.ai Impact Analysis\n\n❌ Failed to fetch PR metadata: ${error.message}\n\n${IMPACT_MARKER}`,
         IMPACT_MARKER,
-        { replyToId: commentId }
+        { replyToId: commentId, replaceComment: progressComment }
       );
       await _setReaction(octokit, owner, repo, commentId, REACTIONS.X);
       return { success: false, error: 'Failed to fetch PR metadata' };
@@ -262,11 +275,54 @@ async function handleImpactCommand(context, args, deps = {}) {
     }, 'Built impact analysis prompt');
 
     // 4. Call LLM API
-    const llmResult = await apiClient.call({ 
-      apiKey, 
-      model, 
-      prompt: `System instructions:\n${IMPACT_SYSTEM_PROMPT}\n\n---\n\n${prompt}`
-    });
+    const buildSystemPrompt = outputFormat => renderPrompt('impact', { output_format: outputFormat }, getPromptOptions(context.repoConfig, 'impact'));
+
+    let structured = null;
+    if (context.repoConfig?.output?.format === 'json') {
+      let llmError = null;
+      structured = await requestStructuredOutput({
+        prompt,
+        callModel: async structuredPrompt => {
+          const result = await apiClient.call({
+            apiKey,
+            model,
+            systemPrompt: buildSystemPrompt(IMPACT_STRUCTURED_OUTPUT_FORMAT),
+            prompt: structuredPrompt,
+          });
+          if (!result.success) {
+            llmError = result.error;
+            throw new Error(result.error?.message || 'LLM call failed');
+          }
+          return result.data;
+        },
+        logger,
+      }).catch(error => ({ success: false, error: error.message, llmError }));
+
+      if (structured.llmError) {
+        logger.error({ error: structured.llmError }, 'LLM call failed for impact command');
+        await _upsertComment(
+          octokit, owner, repo, issueNumber,
+          `## Z.ai Impact Analysis\n\n❌ Failed to analyze PR. Please try again later.\n\n${IMPACT_MARKER}`,
+          IMPACT_MARKER,
+          { replyToId: commentId, replaceComment: progressComment }
+        );
+        await _setReaction(octokit, owner, repo, commentId, REACTIONS.X);
+        return { success: false, error: structured.llmError };
+      }
+      if (!structured.success) {
+        logger.warn({ error: structured.error }, 'Falling back to the markdown impact prompt');
+        structured = null;
+      }
+    }
+
+    const llmResult = structured
+      ? { success: true, data: renderImpactMarkdown(structured.value) }
+      : await apiClient.call({
+        apiKey,
+        model,
+        systemPrompt: buildSystemPrompt(sarifReport?.enabled ? `${IMPACT_OUTPUT_FORMAT}\n\n${FINDINGS_INSTRUCTIONS}` : IMPACT_OUTPUT_FORMAT),
+        prompt,
+      });
 
     if (!llmResult.success) {
       logger.error({ error: llmResult.error }, 'LLM call failed for impact command');
@@ -274,13 +330,23 @@ async function handleImpactCommand(context, args, deps = {}) {
         octokit, owner, repo, issueNumber,
         `## Z.ai Impact Analysis\n\n❌ Failed to analyze PR. Please try again later.\n\n${IMPACT_MARKER}`,
         IMPACT_MARKER,
-        { replyToId: commentId }
+        { replyToId: commentId, replaceComment: progressComment }
       );
       await _setReaction(octokit, owner, repo, commentId, REACTIONS.X);
       return { success: false, error: llmResult.error };
     }
 
-    const analysis = llmResult.data;
+    let analysis = llmResult.data;
+    if (sarifReport?.enabled) {
+      let findings = structured?.value.findings;
+      if (!structured) {
+        const extracted = extractFindings(analysis);
+        analysis = extracted.body;
+        findings = extracted.findings;
+      }
+      sarifReport.add(await _attachSourceText(octokit, { owner, repo, ref: prData.headSha, findings }), 'impact');
+      logger.info({ findings: findings.length }, 'Recorded impact findings for SARIF export');
+    }
 
     // 5. Post analysis as comment
     const commentBody = `## Z.ai Impact & Risk Analysis\n\n${analysis}\n\n${IMPACT_MARKER}`;
@@ -289,11 +355,15 @@ async function handleImpactCommand(context, args, deps = {}) {
       octokit, owner, repo, issueNumber,
       commentBody,
       IMPACT_MARKER,
-      { replyToId: commentId }
+      { replyToId: commentId, replaceComment: progressComment }
     );
 
     // 6. Extract and apply suggested labels (best-effort, non-blocking)
-    const suggestedLabels = extractSuggestedLabels(analysis);
+    const extractedLabels = structured ? structured.value.labels : extractSuggestedLabels(analysis);
+    const suggestedLabels = filterLabels(extractedLabels, context.repoConfig?.labels);
+    if (suggestedLabels.length < extractedLabels.length) {
+      logger.info({ extractedLabels, suggestedLabels }, 'Suggested labels filtered by repository label policy');
+    }
     
     if (suggestedLabels.length > 0) {
       logger.info({ suggestedLabels, issueNumber }, 'Extracted suggested labels');
@@ -315,7 +385,7 @@ async function handleImpactCommand(context, args, deps = {}) {
         octokit, owner, repo, issueNumber,
         `## Z.ai Impact Analysis\n\n❌ An unexpected error occurred: ${error.message}\n\n${IMPACT_MARKER}`,
         IMPACT_MARKER,
-        { replyToId: commentId }
+        { replyToId: commentId, replaceComment: progressComment }
       );
       await _setReaction(octokit, owner, repo, commentId, REACTIONS.X);
     } catch (commentError) {
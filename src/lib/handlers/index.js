@@ -4,6 +4,9 @@ const reviewHandler = require('./review');
 const explainHandler = require('./explain');
 const impactHandler = require('./impact');
 const describeHandler = require('./describe');
+const fixHandler = require('./fix');
+const testHandler = require('./test');
+const changelogHandler = require('./changelog');
 const scheduledHandler = require('./scheduled');
 
 const HANDLERS = {
@@ -13,6 +16,9 @@ const HANDLERS = {
   explain: explainHandler.handleExplainCommand,
   impact: impactHandler.handleImpactCommand,
   describe: describeHandler.handleDescribeCommand,
+  fix: fixHandler.handleFixCommand,
+  test: testHandler.handleTestCommand,
+  changelog: changelogHandler.handleChangelogCommand,
 };
 
 function getHandler(command) {
@@ -38,5 +44,8 @@ module.exports = {
   explain: explainHandler,
   impact: impactHandler,
   describe: describeHandler,
+  fix: fixHandler,
+  test: testHandler,
+  changelog: changelogHandler,
   scheduled: scheduledHandler,
 };
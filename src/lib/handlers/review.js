@@ -8,6 +8,15 @@ const { truncateContext, DEFAULT_MAX_CHARS } = require('../context');
 const { fetchFileAtPrHead } = require('../pr-context');
 const { REACTIONS, upsertComment, setReaction } = require('../comments');
 const { createLogger, generateCorrelationId } = require('../logging');
+const {
+  FINDINGS_INSTRUCTIONS,
+  buildUnanchoredSection,
+  extractFindings,
+  publishInlineFindings,
+} = require('../review-findings');
+const { renderPrompt, getPromptOptions } = require('../prompts');
+const { appendGuidelines, resolveGuidelines } = require('../guidelines');
+const { appendDefinitions, resolveCrossFileContext } = require('../cross-file-context');
 
 const REVIEW_MARKER = '<!-- ZAI_REVIEW_COMMAND -->';
 
@@ -49,11 +58,19 @@ function validateFileInPr(filePath, changedFiles) {
   return { valid: true, file: foundFile };
 }
 
+/**
+ * Build the review prompt. The file and patch are truncated to fit maxChars;
+ * the task follows them untruncated, and the findings format is sent in the
+ * system prompt so large files cannot cut it off.
+ */
 function buildReviewPrompt(filePath, fullContent, patch, maxChars = DEFAULT_MAX_CHARS) {
-  let content = `You are a Senior Code Reviewer.\nContext:\n<file_path>${filePath}</file_path>\n`;
+  const task = `\n\nTask: Review the changes to ${filePath}. Use "${filePath}" as the path of every finding.`;
+  let content = `Context:\n<file_path>${filePath}</file_path>\n`;
+  let partTruncated = false;
 
   if (fullContent) {
     const truncatedFullCode = truncateContext(fullContent, Math.floor(maxChars * 0.6));
+    partTruncated = truncatedFullCode.truncated;
     content += `<full_code>\n${truncatedFullCode.content}\n</full_code>\n`;
   } else {
     content += `<full_code>\n[Full file content unavailable: file not found, binary, or too large]\n</full_code>\n`;
@@ -61,15 +78,14 @@ function buildReviewPrompt(filePath, fullContent, patch, maxChars = DEFAULT_MAX_
 
   if (patch) {
     const truncatedPatch = truncateContext(patch, Math.floor(maxChars * 0.35));
+    partTruncated = partTruncated || truncatedPatch.truncated;
     content += `<changes_in_this_pr>\n${truncatedPatch.content}\n</changes_in_this_pr>\n`;
   } else {
     content += `<changes_in_this_pr>\n[No diff available - file may be binary, too large, or unchanged]\n</changes_in_this_pr>\n`;
   }
 
-  content += `\nTask: Review the changes in the context of the whole file. Look for logic errors, security vulnerabilities, and architectural mismatches. Focus on how the new changes interact with existing code.`;
-
-  const truncated = truncateContext(content, maxChars);
-  return { prompt: truncated.content, truncated: truncated.truncated };
+  const truncated = truncateContext(content.trimEnd(), Math.max(1, maxChars - task.length));
+  return { prompt: `${truncated.content}${task}`, truncated: partTruncated || truncated.truncated };
 }
 
 async function handleReviewCommand(context, args, deps = {}) {
@@ -79,6 +95,9 @@ async function handleReviewCommand(context, args, deps = {}) {
     fetchFileAtPrHead: _fetchFileAtPrHead = fetchFileAtPrHead,
     createLogger: _createLogger = createLogger,
     generateCorrelationId: _generateCorrelationId = generateCorrelationId,
+    publishInlineFindings: _publishInlineFindings = publishInlineFindings,
+    resolveGuidelines: _resolveGuidelines = resolveGuidelines,
+    resolveCrossFileContext: _resolveCrossFileContext = resolveCrossFileContext,
   } = deps;
   
   const { octokit, owner, repo, issueNumber, changedFiles, apiClient, apiKey, model, commentId } = context;
@@ -88,6 +107,7 @@ async function handleReviewCommand(context, args, deps = {}) {
     updateExisting: false,
     isReviewComment: Boolean(context.isReviewComment),
     pullNumber: context.pullNumber || issueNumber,
+    replaceComment: context.progressComment || null,
   };
   
   const parsed = parseFilePath(args);
@@ -144,6 +164,22 @@ async function handleReviewCommand(context, args, deps = {}) {
 
   const maxChars = context.maxChars || DEFAULT_MAX_CHARS;
   const { prompt, truncated } = buildReviewPrompt(filePath, fullContent, patch, maxChars);
+  const guidelines = await _resolveGuidelines(octokit, {
+    owner,
+    repo,
+    ref: context.baseRef,
+    paths: [filePath],
+    config: context.repoConfig?.guidelines,
+    logger,
+  });
+  const definitions = await _resolveCrossFileContext(octokit, {
+    owner,
+    repo,
+    pullNumber,
+    files: [{ ...targetFile, content: fullContent }],
+    config: context.repoConfig?.crossFileContext,
+    logger,
+  });
   
   try {
     logger.info({ filePath }, 'Calling Z.ai API for review');
@@ -151,7 +187,12 @@ async function handleReviewCommand(context, args, deps = {}) {
     const result = await apiClient.call({
       apiKey,
       model,
-      prompt
+      systemPrompt: appendGuidelines(
+        `${renderPrompt('review', {}, getPromptOptions(context.repoConfig, 'review'))}\n\n${FINDINGS_INSTRUCTIONS}`,
+        guidelines,
+        { findings: true }
+      ),
+      prompt: appendDefinitions(prompt, definitions),
     });
     
     if (!result.success) {
@@ -169,7 +210,28 @@ async function handleReviewCommand(context, args, deps = {}) {
       return { success: false, error: errorMsg };
     }
     
-    let response = result.data;
+    const { body: reviewBody, findings } = extractFindings(result.data);
+    let response = reviewBody;
+
+    if (findings.length > 0) {
+      const targetFindings = findings.map(finding => (
+        finding.path !== targetFile.filename && targetFile.filename.endsWith(`/${finding.path}`)
+          ? { ...finding, path: targetFile.filename }
+          : finding
+      ));
+      const inlineResult = await _publishInlineFindings(
+        octokit, owner, repo, pullNumber, targetFindings, [targetFile],
+        { warn: message => logger.warn?.(message) }
+      );
+      const unanchoredSection = buildUnanchoredSection(inlineResult.unanchored);
+      if (unanchoredSection) {
+        response += `\n\n${unanchoredSection}`;
+      }
+      if (inlineResult.posted > 0) {
+        response += `\n\n_Posted ${inlineResult.posted} inline comment(s) on the changed lines; local fixes can be applied with "Commit suggestion"._`;
+      }
+      logger.info({ filePath, inline: inlineResult.posted, unanchored: inlineResult.unanchored.length }, 'Review findings published');
+    }
     
     if (truncated) {
       response += '\n\n_(Note: Context was truncated due to size limits)_';
@@ -14,6 +14,10 @@ const {
   renderRepositoryContext,
 } = require('../repository-context');
 const { validateGeneratedAgentFiles } = require('../agents-validation');
+const { generateChangelog, insertChangelogSection, upsertDraftRelease } = require('../changelog');
+const { createApiClient } = require('../api');
+const { resolveProviderFromInputs } = require('../providers');
+const { renderPrompt, loadPromptTemplates } = require('../prompts');
 const core = require('@actions/core');
 
 // Module-level fallback logger so module-scoped helpers (e.g. fetchFromUrl)
@@ -22,9 +26,13 @@ const moduleLogger = createLogger(generateCorrelationId(), {
   eventName: 'schedule',
 });
 
+// System prompt for the plain AGENTS.md content generation calls
+const AGENTS_WRITER_SYSTEM_PROMPT = 'You are an AI assistant helping to generate AGENTS.md files for a repository.';
+
 // Handler registry for scheduled commands
 const SCHEDULED_HANDLERS = {
   'update-agents': handleUpdateAgentsTask,
+  changelog: handleChangelogTask,
 };
 
 /**
@@ -34,9 +42,11 @@ const SCHEDULED_HANDLERS = {
  * @param {string} model - Z.ai model
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
+ * @param {Object} [options] - { provider, usageTracker, timeout } shared with the rest of the run
  * @returns {Promise<Object>} - Execution result
  */
-async function handleScheduledEvent(context, apiKey, model, owner, repo) {
+async function handleScheduledEvent(context, apiKey, model, owner, repo, options = {}) {
+  const { provider = resolveProviderFromInputs(core), usageTracker = null, timeout } = options;
   const github = require('@actions/github');
   const octokit = github.getOctokit(process.env.GITHUB_TOKEN || core.getInput('GITHUB_TOKEN'));
   const logger = createLogger(generateCorrelationId(), {
@@ -95,6 +105,7 @@ async function handleScheduledEvent(context, apiKey, model, owner, repo) {
         config,
         logger,
         context,
+        apiClient: createApiClient({ timeout, provider, usageTracker, usageLabel: task.command }),
       });
       
       results.push(result);
@@ -146,10 +157,11 @@ async function handleScheduledEvent(context, apiKey, model, owner, repo) {
  * @param {Object} params.config - Full configuration
  * @param {Object} params.logger - Logger instance
  * @param {Object} params.context - GitHub actions context
+ * @param {Object} [params.apiClient] - API client from createApiClient for the task's model calls
  * @returns {Promise<Object>} - Task execution result
  */
 async function executeScheduledTask(params) {
-  const { octokit, apiKey, model, owner, repo, task, config, logger, context } = params;
+  const { octokit, apiKey, model, owner, repo, task, config, logger, context, apiClient } = params;
   
   try {
     // Get handler for this command
@@ -177,6 +189,7 @@ async function executeScheduledTask(params) {
       config,
       logger,
       context,
+      apiClient,
     });
     
     // Execute handler
@@ -212,7 +225,7 @@ async function executeScheduledTask(params) {
  * @returns {Object} - Execution context
  */
 function buildExecutionContext(params) {
-  const { octokit, apiKey, model, owner, repo, task, config, logger, context } = params;
+  const { octokit, apiKey, model, owner, repo, task, config, logger, context, apiClient = null } = params;
   
   const targetBranch = task.config?.branch || config.defaults?.branch || 'main';
   
@@ -220,6 +233,7 @@ function buildExecutionContext(params) {
     octokit,
     apiKey,
     model,
+    apiClient,
     owner,
     repo,
     task,
@@ -278,6 +292,7 @@ async function handleUpdateAgentsTask(context) {
     octokit, 
     apiKey,
     model,
+    apiClient,
     owner, 
     repo, 
     task, 
@@ -370,6 +385,7 @@ async function handleUpdateAgentsTask(context) {
       targetBranch,
       repositoryContext,
       logger,
+      apiClient,
     });
     
     if (!fileUpdates || fileUpdates.length === 0) {
@@ -472,6 +488,85 @@ async function handleUpdateAgentsTask(context) {
   }
 }
 
+/**
+ * Handle changelog task
+ * Collects pull requests merged since the latest release (or config.from) and
+ * either opens a PR updating CHANGELOG.md or refreshes a draft release
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} - Result with PR or release information
+ */
+async function handleChangelogTask(context) {
+  const { octokit, owner, repo, task, logger, targetBranch, fetchFile, createPullRequest } = context;
+  const cfg = task.config || {};
+  const output = cfg.output || 'pr';
+  const changelogPath = cfg.changelog_path || 'CHANGELOG.md';
+
+  if (output === 'release' && !cfg.release_tag && !cfg.to) {
+    return {
+      success: false,
+      error: 'Missing release_tag configuration',
+      message: 'changelog task with output: release requires release_tag (or to)',
+    };
+  }
+
+  try {
+    const result = await generateChangelog(octokit, owner, repo, {
+      from: cfg.from,
+      to: cfg.to,
+      branch: targetBranch,
+    });
+    const { range, section, pulls, omitted } = result;
+    logger.info({ from: range.from, to: range.to, pulls: pulls.length, omitted: omitted.length }, 'Changelog generated');
+
+    if (output === 'release') {
+      const tag = cfg.release_tag || range.to;
+      const { release, updated } = await upsertDraftRelease(octokit, owner, repo, { tag, target: targetBranch, section });
+      return {
+        success: true,
+        prCreated: false,
+        releaseId: release.id,
+        releaseUrl: release.html_url,
+        message: `${updated ? 'Updated' : 'Created'} draft release ${tag} with ${pulls.length - omitted.length} entr${pulls.length - omitted.length === 1 ? 'y' : 'ies'}`,
+      };
+    }
+
+    const current = await fetchFile(changelogPath);
+    const updated = insertChangelogSection(current, section);
+    if (current === updated) {
+      return {
+        success: true,
+        prCreated: false,
+        message: `No updates needed - ${changelogPath} is current`,
+      };
+    }
+
+    const slug = range.version.toLowerCase().replace(/[^\w.-]+/g, '-');
+    const prResult = await createPullRequest({
+      title: cfg.pr_title || `docs: update ${changelogPath} for ${range.version}`,
+      body: `${cfg.pr_body || `Automated changelog update from scheduled task \`${task.id}\`.`}\n\n${section}`,
+      base: targetBranch,
+      files: [{ path: changelogPath, content: updated }],
+      commitMessage: cfg.commit_message || `docs: update ${changelogPath}`,
+      branchName: `zai-changelog/${slug}-${range.until.slice(0, 10)}`,
+    });
+
+    return {
+      success: true,
+      prCreated: true,
+      prNumber: prResult?.number,
+      prUrl: prResult?.html_url,
+      message: `Created PR #${prResult?.number} updating ${changelogPath}`,
+    };
+  } catch (error) {
+    logger.error({ error: error.message, stack: error.stack }, 'Changelog task failed');
+    return {
+      success: false,
+      error: error.message,
+      message: `Changelog task failed: ${error.message}`,
+    };
+  }
+}
+
 /**
  * Execute a command and get structured file updates (for auto-discovery mode)
  * The command should return a JSON structure with file paths and their contents
@@ -484,10 +579,11 @@ async function handleUpdateAgentsTask(context) {
  * @param {string} params.repo - Repository name
  * @param {string} params.targetBranch - Target branch
  * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.apiClient] - API client from createApiClient
  * @returns {Promise<Array<Object>>} - Array of {file, oldContent, newContent, changed, isNew} objects
  */
 async function executeCommandAndGetFileUpdates(params) {
-  const { commandText, octokit, apiKey, model, owner, repo, targetBranch, repositoryContext, logger } = params;
+  const { commandText, octokit, apiKey, model, owner, repo, targetBranch, repositoryContext, logger, apiClient } = params;
   
   if (!commandText || commandText.trim() === '') {
     logger.warn('Command text is empty, cannot execute');
@@ -500,6 +596,9 @@ async function executeCommandAndGetFileUpdates(params) {
     
     // Build a GROUNDED prompt using the collected repository context.
     // Without real context the model hallucinates a project from the repo name.
+    const promptTemplates = await loadPromptTemplates(octokit, owner, repo, targetBranch, {
+      onWarning: message => logger.warn(`Prompt templates: ${message}`),
+    });
     const prompt = buildAgentsUpgradePrompt({
       commandText,
       owner,
@@ -507,10 +606,11 @@ async function executeCommandAndGetFileUpdates(params) {
       branch: targetBranch,
       repositoryContext,
     });
+    const systemPrompt = renderPrompt('agents', { owner, repo, branch: targetBranch }, { templates: promptTemplates });
     
-    // Call Z.ai API to execute the command (test-seam: __callZaiForTest hook).
+    // Call the model to execute the command (test-seam: __callZaiForTest hook).
     const zaiCaller = module.exports.__callZaiForTest || callZaiApiWithRetry;
-    const response = await zaiCaller(apiKey, model, prompt, logger);
+    const response = await zaiCaller(apiKey, model, prompt, logger, { apiClient, systemPrompt });
     
     if (!response || !response.content) {
       logger.warn('Z.ai API returned empty content');
@@ -534,38 +634,24 @@ async function executeCommandAndGetFileUpdates(params) {
  * Build a GROUNDED prompt for AGENTS.md generation.
  *
  * The model is given the REAL repository context (file tree, existing AGENTS.md
- * files, and key file contents) and is explicitly told it has NO live repo
- * access and must not invent files/languages/frameworks. This is the fix for
- * the PR #15 hallucination bug where the model fabricated a Python Telegram
- * bot for a JavaScript GitHub Action.
+ * files, and key file contents), and the `agents` system prompt tells it that
+ * it has NO live repo access and must not invent files/languages/frameworks.
+ * This is the fix for the PR #15 hallucination bug where the model fabricated
+ * a Python Telegram bot for a JavaScript GitHub Action.
  *
  * @param {Object} params
  * @param {string} params.commandText - The gist command text
- * @param {string} params.owner - Repository owner
- * @param {string} params.repo - Repository name
- * @param {string} params.branch - Target branch
  * @param {Object} params.repositoryContext - Collected context (see repository-context.js)
- * @returns {string} Formatted prompt
+ * @returns {string} Formatted user prompt
  */
-function buildAgentsUpgradePrompt({ commandText, owner, repo, branch, repositoryContext }) {
+function buildAgentsUpgradePrompt({ commandText, repositoryContext }) {
   const contextBlock = renderRepositoryContext(repositoryContext);
   const existingCount = repositoryContext?.existingAgentsFiles?.length || 0;
   const scopedNote = repositoryContext?.targetPaths?.length
     ? `\nYou may ONLY write AGENTS.md at the repository root and under these target paths: ${repositoryContext.targetPaths.join(', ')}. Do not propose AGENTS.md anywhere else.`
     : '';
 
-  return `You are a Staff-level software engineer generating and updating AGENTS.md files.
-
-Repository: ${owner}/${repo}
-Branch: ${branch}
-
-CRITICAL CONSTRAINTS:
-- You do NOT have live repository access. Use ONLY the repository context below.
-- Do NOT invent files, directories, languages, frameworks, or services that are not present in the provided context.
-- Every fact in an AGENTS.md file must be grounded in the observable repository evidence below.
-- If the context is insufficient to describe a file accurately, return an empty files array instead of guessing.
-
-The repository context below contains: the real file tree, the list of EXISTING AGENTS.md files (auto-discovered), and the contents of key files. Ground all output in these facts.
+  return `The repository context below contains: the real file tree, the list of EXISTING AGENTS.md files (auto-discovered), and the contents of key files. Ground all output in these facts.
 
 ${contextBlock}
 
@@ -797,10 +883,11 @@ function buildPrBody(baseBody, updatedFiles, taskId, repositoryContext) {
  * @param {string} params.repo - Repository name
  * @param {string} params.targetBranch - Target branch
  * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.apiClient] - API client from createApiClient
  * @returns {Promise<string>} - Generated content
  */
 async function executeCommandAndGetContent(params) {
-  const { commandText, apiKey, model, owner, repo, targetBranch, logger } = params;
+  const { commandText, apiKey, model, owner, repo, targetBranch, logger, apiClient } = params;
   
   // If command text is empty, return empty
   if (!commandText || commandText.trim() === '') {
@@ -820,7 +907,7 @@ async function executeCommandAndGetContent(params) {
       const prompt = buildCommandPrompt(commandText, owner, repo, targetBranch);
       
       // Call Z.ai API to execute the command
-      const response = await callZaiApiWithRetry(apiKey, model, prompt, logger);
+      const response = await callZaiApiWithRetry(apiKey, model, prompt, logger, { apiClient, systemPrompt: AGENTS_WRITER_SYSTEM_PROMPT });
       
       if (response && response.content) {
         return response.content;
@@ -836,7 +923,7 @@ async function executeCommandAndGetContent(params) {
       const prompt = buildAgentsGenerationPrompt(commandText, owner, repo);
       
       // Call Z.ai API
-      const response = await callZaiApiWithRetry(apiKey, model, prompt, logger);
+      const response = await callZaiApiWithRetry(apiKey, model, prompt, logger, { apiClient, systemPrompt: AGENTS_WRITER_SYSTEM_PROMPT });
       
       if (response && response.content) {
         return response.content;
@@ -877,9 +964,7 @@ Return only the generated content (AGENTS.md file content), without any explanat
  * @returns {string} - Formatted prompt
  */
 function buildAgentsGenerationPrompt(promptText, owner, repo) {
-  return `You are an AI assistant helping to generate AGENTS.md files for a repository.
-
-Repository: ${owner}/${repo}
+  return `Repository: ${owner}/${repo}
 
 Task: Generate comprehensive AGENTS.md content based on the following instructions:
 
@@ -889,81 +974,31 @@ Return ONLY the generated AGENTS.md file content. Do not include any explanation
 }
 
 /**
- * Call Z.ai API with retry logic
- * @param {string} apiKey - Z.ai API key
+ * Call the configured LLM provider through an API client, so scheduled calls
+ * get the same retries, timeout and usage accounting as PR commands
+ * @param {string} apiKey - Provider API key
  * @param {string} model - Model to use
- * @param {string} prompt - Prompt to send
+ * @param {string} prompt - User prompt
  * @param {Object} logger - Logger instance
- * @param {number} retries - Number of retries (default: 3)
- * @returns {Promise<Object>} - API response
+ * @param {Object} [options] - { apiClient, systemPrompt }; a default client is created when none is given
+ * @returns {Promise<{content: string}>} Empty content when the provider answered with nothing
  */
-async function callZaiApiWithRetry(apiKey, model, prompt, logger, retries = 3) {
-  const https = require('node:https');
-  const ZAI_API_URL = 'https://api.z.ai/api/coding/paas/v4/chat/completions';
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const body = JSON.stringify({
-        model,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-      });
-      
-      const parsedUrl = new URL(ZAI_API_URL);
-      const options = {
-        hostname: parsedUrl.hostname,
-        path: parsedUrl.pathname,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Length': Buffer.byteLength(body),
-        },
-      };
-      
-      const response = await new Promise((resolve, reject) => {
-        const req = https.request(options, res => {
-          let data = '';
-          res.on('data', chunk => (data += chunk));
-          res.on('end', () => {
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              try {
-                const parsed = JSON.parse(data);
-                resolve(parsed);
-              } catch (e) {
-                reject(new Error(`Failed to parse response: ${e.message}`));
-              }
-            } else {
-              reject(new Error(`API error ${res.statusCode}: ${data.substring(0, 200)}`));
-            }
-          });
-        });
-        
-        req.on('error', reject);
-        req.write(body);
-        req.end();
-      });
-      
-      return {
-        content: response.choices?.[0]?.message?.content || '',
-        fullResponse: response,
-      };
-    } catch (error) {
-      logger.warn({ error: error.message, attempt }, `Z.ai API call failed, attempt ${attempt} of ${retries}`);
-      
-      if (attempt === retries) {
-        throw error;
-      }
-      
-      // Exponential backoff
-      const delay = Math.pow(2, attempt) * 1000;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+async function callZaiApiWithRetry(apiKey, model, prompt, logger, options = {}) {
+  const {
+    apiClient = createApiClient({ provider: resolveProviderFromInputs(core), usageLabel: 'scheduled' }),
+    systemPrompt,
+  } = options;
+
+  const result = await apiClient.call({ apiKey, model, prompt, systemPrompt });
+  if (result.success) {
+    return { content: result.data };
+  }
+  if (result.error?.message?.includes('returned an empty response')) {
+    return { content: '' };
   }
+
+  logger.warn({ error: result.error?.message, attempts: result.error?.attempts }, 'Scheduled LLM call failed');
+  throw new Error(result.error?.message || 'LLM call failed');
 }
 
 // ============================================================================
@@ -1095,6 +1130,84 @@ async function updateFileInRepo(octokit, owner, repo, path, content, ref, commit
   return response.data;
 }
 
+/**
+ * Commit one or more files to an existing branch as a single commit using the
+ * Git Data API (tree + commit + ref update). The ref is moved without force,
+ * so a branch that gained commits in the meantime is never overwritten.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} params - Commit parameters
+ * @param {string} params.branch - Branch to commit to
+ * @param {Array<Object>} params.files - Files to write (each with path, content and optional mode)
+ * @param {string} params.message - Commit message
+ * @param {string} [params.expectedHeadSha] - Refuse to commit unless the branch still points here
+ * @returns {Promise<{sha: string, url: string|null, parentSha: string}>}
+ * @throws {Error} - With code 'stale_head' when the branch moved past expectedHeadSha
+ */
+async function commitFilesToBranch(octokit, owner, repo, { branch, files, message, expectedHeadSha }) {
+  const { data: ref } = await octokit.rest.git.getRef({
+    owner,
+    repo,
+    ref: `heads/${branch}`,
+  });
+  const parentSha = ref.object.sha;
+
+  if (expectedHeadSha && parentSha !== expectedHeadSha) {
+    const error = new Error(`Branch ${branch} moved from ${expectedHeadSha} to ${parentSha}`);
+    error.code = 'stale_head';
+    throw error;
+  }
+
+  const { data: parentCommit } = await octokit.rest.git.getCommit({
+    owner,
+    repo,
+    commit_sha: parentSha,
+  });
+
+  // Keep the existing mode (e.g. executable scripts) of files being replaced
+  let modes = new Map();
+  if (files.some(file => !file.mode)) {
+    const { data: tree } = await octokit.rest.git.getTree({
+      owner,
+      repo,
+      tree_sha: parentCommit.tree.sha,
+      recursive: 'true',
+    });
+    modes = new Map((tree.tree || []).map(entry => [entry.path, entry.mode]));
+  }
+
+  const { data: newTree } = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    base_tree: parentCommit.tree.sha,
+    tree: files.map(file => ({
+      path: file.path,
+      mode: file.mode || modes.get(file.path) || '100644',
+      type: 'blob',
+      content: file.content,
+    })),
+  });
+
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner,
+    repo,
+    message,
+    tree: newTree.sha,
+    parents: [parentSha],
+  });
+
+  await octokit.rest.git.updateRef({
+    owner,
+    repo,
+    ref: `heads/${branch}`,
+    sha: commit.sha,
+    force: false,
+  });
+
+  return { sha: commit.sha, url: commit.html_url || null, parentSha };
+}
+
 /**
  * Create a pull request with file changes
  * @param {Object} octokit - GitHub Octokit instance
@@ -1106,16 +1219,17 @@ async function updateFileInRepo(octokit, owner, repo, path, content, ref, commit
  * @param {string} params.base - Base branch
  * @param {Array<Object>} params.files - Files to update (each with path and content)
  * @param {string} params.commitMessage - Commit message
+ * @param {string} [params.branchName] - Head branch to create (default: timestamped zai-scheduled/ branch)
  * @returns {Promise<Object>} - PR creation result
  */
-async function createPR(octokit, owner, repo, { title, body, base, files, commitMessage }, logger = moduleLogger) {
+async function createPR(octokit, owner, repo, { title, body, base, files, commitMessage, branchName: requestedBranch }, logger = moduleLogger) {
   const now = new Date();
   const year = now.getFullYear();
   const month = String(now.getMonth() + 1).padStart(2, '0');
   const day = String(now.getDate()).padStart(2, '0');
   const hours = String(now.getHours()).padStart(2, '0');
   const minutes = String(now.getMinutes()).padStart(2, '0');
-  const branchName = `zai-scheduled/${year}.${month}.${day}_${hours}.${minutes}`;
+  const branchName = requestedBranch || `zai-scheduled/${year}.${month}.${day}_${hours}.${minutes}`;
   
   logger.info(`Creating branch ${branchName} from ${base}`);
   
@@ -1199,11 +1313,13 @@ module.exports = {
   registerScheduledHandler,
   getAllScheduledHandlers,
   handleUpdateAgentsTask,
+  handleChangelogTask,
   // Export utility functions for testing and manual command integration
   fetchFromUrl,
   fetchFileContent,
   getFileSha,
   updateFileInRepo,
+  commitFilesToBranch,
   createPR,
   buildExecutionContext,
   buildAgentsUpgradePrompt,
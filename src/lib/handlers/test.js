@@ -0,0 +1,454 @@
+/**
+ * Test command handler for /zai test
+ *
+ * Finds the functions touched by the PR (block detection from code-scope.js),
+ * detects the repository's test framework and test file naming from the tree
+ * at the PR head, and asks the model for tests. The proposal is posted as a
+ * comment, or with `--pr` opened as a follow-up pull request that targets the
+ * PR branch.
+ */
+
+const { truncateContext, DEFAULT_MAX_CHARS } = require('../context');
+const { extractEnclosingBlock } = require('../code-scope');
+const { resolvePrRefs } = require('../pr-context');
+const { REACTIONS, upsertComment, setReaction } = require('../comments');
+const { createLogger, generateCorrelationId } = require('../logging');
+const { collectRepositoryContext, fetchFile } = require('../repository-context');
+const { isPathIgnored } = require('../config/repo-config');
+const { renderPrompt, getPromptOptions } = require('../prompts');
+const { createPR } = require('./scheduled');
+const { validateFileInPr } = require('./review');
+
+const TEST_MARKER = '<!-- ZAI_TEST_COMMAND -->';
+
+const TEST_USAGE = '/zai test [file] [--pr]';
+
+// Source files worth writing unit tests for
+const SOURCE_FILE_PATTERN = /\.(js|mjs|cjs|ts|tsx|jsx|py|go|rs|java|rb|php|cs)$/i;
+
+// Test files by directory (tests/, __tests__/, spec/) or by name (foo.test.js, foo_test.go, test_foo.py)
+const TEST_DIR_PATTERN = /(^|\/)(tests?|__tests__|specs?)\//;
+const TEST_NAME_PATTERN = /(\.(test|spec)\.[a-z]+|_test\.[a-z]+|_spec\.rb|Tests?\.(java|cs))$|(^|\/)test_[^/]+\.py$/;
+
+// Keep prompts and follow-up PRs reviewable
+const MAX_SOURCE_FILES = 5;
+const MAX_FUNCTIONS_PER_FILE = 6;
+
+// Share of the prompt budget for existing test files, split between them.
+// `--pr` replaces those files with the model output, so they must be shown whole.
+const EXISTING_TESTS_SHARE = 0.4;
+
+// JavaScript test runners, checked in order against package.json dependencies
+const JS_FRAMEWORKS = ['vitest', 'jest', 'mocha', 'ava', 'jasmine', 'tap'];
+
+/**
+ * @param {string[]} args - Command arguments
+ * @returns {{ filePath: string|null, openPr: boolean, error?: string }}
+ */
+function parseTestArgs(args) {
+  const tokens = Array.isArray(args) ? args : [];
+  const openPr = tokens.includes('--pr');
+  const rest = tokens.filter(token => token !== '--pr');
+  if (rest.length > 1) {
+    return { filePath: null, openPr, error: `Too many arguments. Usage: ${TEST_USAGE}` };
+  }
+  const filePath = rest[0] || null;
+  if (filePath && (filePath.includes('..') || filePath.startsWith('/'))) {
+    return { filePath: null, openPr, error: 'Invalid file path. Path traversal is not allowed.' };
+  }
+  return { filePath, openPr };
+}
+
+function isTestFile(path) {
+  return TEST_DIR_PATTERN.test(path) || TEST_NAME_PATTERN.test(path);
+}
+
+/**
+ * Detect the test framework from package.json, Python/Go/Rust manifests and
+ * config files in the tree.
+ * @param {Object} repoContext - Result of collectRepositoryContext
+ * @returns {{ name: string, language: string }|null}
+ */
+function detectTestFramework(repoContext) {
+  const tree = repoContext?.tree || [];
+  const contents = repoContext?.fileContents || {};
+  const hasFile = pattern => tree.some(path => pattern.test(path));
+
+  let pkg = null;
+  try {
+    pkg = contents['package.json'] ? JSON.parse(contents['package.json']) : null;
+  } catch {
+    pkg = null;
+  }
+  if (pkg) {
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const found = JS_FRAMEWORKS.find(name => deps[name]);
+    if (found) {
+      return { name: found, language: 'javascript' };
+    }
+    if (/node\s+(--test|.*\s--test)/.test(pkg.scripts?.test || '')) {
+      return { name: 'node:test', language: 'javascript' };
+    }
+  }
+  if (hasFile(/(^|\/)vitest\.config\.[cm]?[jt]s$/)) {
+    return { name: 'vitest', language: 'javascript' };
+  }
+  if (hasFile(/(^|\/)jest\.config\.[cm]?[jt]s$/)) {
+    return { name: 'jest', language: 'javascript' };
+  }
+
+  const python = `${contents['pyproject.toml'] || ''}\n${contents['requirements.txt'] || ''}`;
+  if (/pytest/.test(python) || hasFile(/(^|\/)(pytest\.ini|conftest\.py)$/)) {
+    return { name: 'pytest', language: 'python' };
+  }
+  if (tree.includes('go.mod')) {
+    return { name: 'go test', language: 'go' };
+  }
+  if (tree.includes('Cargo.toml')) {
+    return { name: 'cargo test', language: 'rust' };
+  }
+  return null;
+}
+
+function splitPath(path) {
+  const index = path.lastIndexOf('/');
+  const dir = index === -1 ? '' : path.slice(0, index);
+  const name = index === -1 ? path : path.slice(index + 1);
+  const dot = name.indexOf('.');
+  return { dir, stem: dot === -1 ? name : name.slice(0, dot), ext: dot === -1 ? '' : name.slice(name.lastIndexOf('.')) };
+}
+
+/**
+ * Suggest where the tests for a source file belong, following the tree's
+ * existing convention. An existing test file for the same module wins;
+ * otherwise the most common layout (test directory vs. next to the source)
+ * and suffix among test files with the same extension are used.
+ * @param {string} sourcePath - Changed source file
+ * @param {string[]} testFiles - Test files in the tree
+ * @returns {{ path: string, existing: boolean }}
+ */
+function suggestTestPath(sourcePath, testFiles) {
+  const source = splitPath(sourcePath);
+  const sameExt = testFiles.filter(path => path.endsWith(source.ext));
+
+  const parent = source.dir.slice(source.dir.lastIndexOf('/') + 1);
+  const matches = sameExt.filter(path => {
+    const test = splitPath(path);
+    return test.stem === source.stem || test.stem === `test_${source.stem}` || test.stem === `${source.stem}_test`;
+  });
+  // Several modules can share a name (index.js); prefer the test next to or mirroring the source directory
+  const existing = matches.find(path => parent && path.includes(`${parent}/`)) || matches[0];
+  if (existing) {
+    return { path: existing, existing: true };
+  }
+
+  const suffixes = {};
+  const layouts = {};
+  for (const path of sameExt) {
+    const name = path.slice(path.lastIndexOf('/') + 1);
+    const typed = name.match(/\.(test|spec)\.[a-z]+$/);
+    const suffix = typed ? `.${typed[1]}` : name.startsWith('test_') ? 'test_' : name.match(/(_test|_spec)\.[a-z]+$/)?.[1] || null;
+    if (suffix) {
+      suffixes[suffix] = (suffixes[suffix] || 0) + 1;
+    }
+    const dirMatch = path.match(TEST_DIR_PATTERN);
+    const layout = dirMatch ? path.slice(0, dirMatch.index + dirMatch[0].length - 1) : '';
+    layouts[layout] = (layouts[layout] || 0) + 1;
+  }
+
+  const mostCommon = counts => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+  const defaultSuffix = { '.py': 'test_', '.go': '_test', '.rb': '_spec' }[source.ext.toLowerCase()] || '.test';
+  const suffix = mostCommon(suffixes) || defaultSuffix;
+  const name = suffix === 'test_' ? `test_${source.stem}${source.ext}` : `${source.stem}${suffix}${source.ext}`;
+
+  // Go tests must live next to the package; so do tests in repos without a test directory
+  const testDir = source.ext === '.go' ? '' : mostCommon(layouts);
+  if (!testDir) {
+    return { path: source.dir ? `${source.dir}/${name}` : name, existing: false };
+  }
+  if (testDir.endsWith('__tests__')) {
+    return { path: source.dir ? `${source.dir}/__tests__/${name}` : `__tests__/${name}`, existing: false };
+  }
+
+  // Mirror the source's parent directory when the test directory already does (tests/handlers/...)
+  const mirrored = parent && sameExt.some(path => path.startsWith(`${testDir}/${parent}/`));
+  return { path: mirrored ? `${testDir}/${parent}/${name}` : `${testDir}/${name}`, existing: false };
+}
+
+/**
+ * New-side line numbers added by a patch.
+ * @param {string} patch - Unified diff hunk(s) from the PR files API
+ * @returns {number[]}
+ */
+function getAddedLines(patch) {
+  const added = [];
+  let line = 0;
+  for (const text of String(patch || '').split('\n')) {
+    const header = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (header) {
+      line = parseInt(header[1], 10);
+      continue;
+    }
+    if (!line || text.startsWith('\\')) {
+      continue;
+    }
+    if (text.startsWith('+')) {
+      added.push(line);
+      line += 1;
+    } else if (!text.startsWith('-')) {
+      line += 1;
+    }
+  }
+  return added;
+}
+
+/**
+ * Find the functions/classes that contain changed lines.
+ * @param {string} content - File content at the PR head
+ * @param {string} patch - PR patch for the file
+ * @returns {Array<{startLine: number, endLine: number, code: string}>}
+ */
+function collectChangedFunctions(content, patch) {
+  const blocks = [];
+  for (const line of getAddedLines(patch)) {
+    if (blocks.length >= MAX_FUNCTIONS_PER_FILE) {
+      break;
+    }
+    if (blocks.some(block => line >= block.startLine && line <= block.endLine)) {
+      continue;
+    }
+    const block = extractEnclosingBlock(content, line);
+    if (block.fallback) {
+      continue; // top-level statements, imports, etc.
+    }
+    blocks.push({ startLine: block.bounds.start, endLine: block.bounds.end, code: block.target.join('\n') });
+  }
+  return blocks.sort((a, b) => a.startLine - b.startLine);
+}
+
+/**
+ * Build the test prompt. Each existing test file gets its own share of the
+ * budget, and the task always follows the context, which is truncated alone.
+ * @param {Object} params - { framework, targets, example, maxChars }
+ * @returns {{ prompt: string, truncated: boolean, truncatedTests: string[] }} truncatedTests lists the existing test files not shown in full
+ */
+function buildTestPrompt({ framework, targets, example = null, maxChars = DEFAULT_MAX_CHARS }) {
+  const task = '\n\nTask: Write unit tests for the changed functions above. Use exactly the test_file paths given above.';
+  const existingCount = targets.filter(target => target.existingTest).length;
+  const testBudget = Math.max(1, Math.floor((maxChars * EXISTING_TESTS_SHARE) / Math.max(1, existingCount)));
+  const truncatedTests = [];
+
+  let content = `Test framework: ${framework ? framework.name : 'unknown (infer it from the example and the code)'}\n`;
+
+  if (example) {
+    content += `<example_test path="${example.path}">\n${truncateContext(example.content, Math.floor(maxChars * 0.2)).content}\n</example_test>\n`;
+  }
+
+  for (const target of targets) {
+    content += `<source_file path="${target.sourcePath}" test_file="${target.testPath}">\n`;
+    for (const fn of target.functions) {
+      content += `<changed_function lines="${fn.startLine}-${fn.endLine}">\n${fn.code}\n</changed_function>\n`;
+    }
+    if (target.existingTest) {
+      const existing = truncateContext(target.existingTest, testBudget);
+      if (existing.truncated) {
+        truncatedTests.push(target.testPath);
+      }
+      content += `<existing_tests path="${target.testPath}">\n${existing.content}\n</existing_tests>\n`;
+    }
+    content += '</source_file>\n';
+  }
+
+  const truncated = truncateContext(content.trimEnd(), Math.max(1, maxChars - task.length));
+  if (truncated.truncated) {
+    // The cut may fall inside any of the existing test files
+    targets
+      .filter(target => target.existingTest && !truncatedTests.includes(target.testPath))
+      .forEach(target => truncatedTests.push(target.testPath));
+  }
+  return { prompt: `${truncated.content}${task}`, truncated: truncated.truncated || truncatedTests.length > 0, truncatedTests };
+}
+
+/**
+ * Pull the proposed test files out of the model response.
+ * @param {string} response - Model output
+ * @param {string[]} allowedPaths - Test file paths the prompt asked for
+ * @returns {Array<{path: string, content: string}>}
+ */
+function parseProposedTestFiles(response, allowedPaths) {
+  const files = [];
+  const pattern = /^#{2,4}\s+`?([^`\n]+?)`?\s*\n+```[^\n]*\n([\s\S]*?)```/gm;
+  let match = pattern.exec(String(response || ''));
+  while (match !== null) {
+    const path = match[1].trim();
+    if (allowedPaths.includes(path) && !files.some(file => file.path === path)) {
+      files.push({ path, content: match[2].endsWith('\n') ? match[2] : `${match[2]}\n` });
+    }
+    match = pattern.exec(String(response || ''));
+  }
+  return files;
+}
+
+async function handleTestCommand(context, args, deps = {}) {
+  const {
+    upsertComment: _upsertComment = upsertComment,
+    setReaction: _setReaction = setReaction,
+    resolvePrRefs: _resolvePrRefs = resolvePrRefs,
+    collectRepositoryContext: _collectRepositoryContext = collectRepositoryContext,
+    fetchFile: _fetchFile = fetchFile,
+    createPR: _createPR = createPR,
+    createLogger: _createLogger = createLogger,
+    generateCorrelationId: _generateCorrelationId = generateCorrelationId,
+    now: _now = Date.now,
+  } = deps;
+
+  const { octokit, owner, repo, issueNumber, changedFiles, apiClient, apiKey, model, commentId } = context;
+  const logger = context.logger || _createLogger(_generateCorrelationId(), { command: 'test' });
+  const pullNumber = context.pullNumber || issueNumber;
+  const commentOptions = {
+    replyToId: commentId,
+    updateExisting: false,
+    isReviewComment: Boolean(context.isReviewComment),
+    pullNumber,
+    replaceComment: context.progressComment || null,
+  };
+
+  const reply = async (body, reaction) => {
+    await _upsertComment(octokit, owner, repo, issueNumber, body, TEST_MARKER, commentOptions);
+    if (commentId) {
+      await _setReaction(octokit, owner, repo, commentId, reaction);
+    }
+  };
+  const fail = async (message, logMessage = message) => {
+    logger.warn({ error: logMessage }, 'Test command failed');
+    await reply(`**Error:** ${message}`, REACTIONS.X);
+    return { success: false, error: logMessage };
+  };
+
+  const parsed = parseTestArgs(args);
+  if (parsed.error) {
+    return fail(parsed.error);
+  }
+
+  let sources;
+  if (parsed.filePath) {
+    const validation = validateFileInPr(parsed.filePath, changedFiles);
+    if (!validation.valid) {
+      return fail(validation.error);
+    }
+    sources = [validation.file];
+  } else {
+    sources = (changedFiles || [])
+      .filter(file => SOURCE_FILE_PATTERN.test(file.filename) && !isTestFile(file.filename))
+      .filter(file => !isPathIgnored(file.filename, context.repoConfig?.ignore))
+      .sort((a, b) => (b.additions || 0) - (a.additions || 0));
+  }
+  sources = sources.filter(file => file.status !== 'removed' && file.patch).slice(0, MAX_SOURCE_FILES);
+  if (sources.length === 0) {
+    return fail('No changed source files to write tests for.');
+  }
+
+  try {
+    const refs = await _resolvePrRefs(octokit, owner, repo, pullNumber);
+    if (!refs.success) {
+      return fail(refs.fallback || 'Unable to resolve the pull request branch.', refs.error);
+    }
+    const head = refs.data.head;
+    const isFork = head.repo !== `${owner}/${repo}`;
+
+    const repoContext = await _collectRepositoryContext({
+      octokit, owner, repo, branch: head.sha, maxFilesToFetch: 10, maxContextChars: 40000, logger,
+    });
+    const framework = detectTestFramework(repoContext);
+    const testFiles = (repoContext.tree || []).filter(isTestFile);
+
+    const targets = [];
+    for (const file of sources) {
+      const content = await _fetchFile(octokit, owner, repo, file.filename, head.sha);
+      const functions = content ? collectChangedFunctions(content, file.patch) : [];
+      if (functions.length === 0) {
+        continue;
+      }
+      const suggestion = suggestTestPath(file.filename, testFiles);
+      const existingTest = suggestion.existing
+        ? await _fetchFile(octokit, owner, repo, suggestion.path, head.sha)
+        : null;
+      targets.push({ sourcePath: file.filename, testPath: suggestion.path, functions, existingTest });
+    }
+    if (targets.length === 0) {
+      return fail('No changed functions found in the selected files.');
+    }
+
+    // Existing tests already show the repository's style
+    let example = null;
+    if (!targets.some(target => target.existingTest)) {
+      const ext = splitPath(targets[0].sourcePath).ext;
+      const examplePath = testFiles.find(path => path.endsWith(ext));
+      const exampleContent = examplePath ? await _fetchFile(octokit, owner, repo, examplePath, head.sha) : null;
+      example = exampleContent ? { path: examplePath, content: exampleContent } : null;
+    }
+
+    const maxChars = context.maxChars || DEFAULT_MAX_CHARS;
+    const { prompt, truncated, truncatedTests } = buildTestPrompt({ framework, targets, example, maxChars });
+
+    logger.info({ files: targets.map(t => t.testPath), framework: framework?.name || null }, 'Calling Z.ai API for tests');
+    const result = await apiClient.call({
+      apiKey,
+      model,
+      systemPrompt: renderPrompt('test', {}, getPromptOptions(context.repoConfig, 'test')),
+      prompt,
+    });
+    if (!result.success) {
+      return fail(result.error?.message || 'Failed to generate tests');
+    }
+
+    const frameworkNote = `_Framework: ${framework ? framework.name : 'not detected'} · ${targets.length} file(s)${truncated ? ' · context truncated' : ''}_`;
+    const files = parseProposedTestFiles(result.data, targets.map(target => target.testPath));
+
+    // The PR replaces each test file with the model output, which would drop the tests the model never saw
+    const replacesUnseenTests = files.some(file => truncatedTests.includes(file.path));
+
+    if (parsed.openPr && files.length > 0 && !isFork && !replacesUnseenTests) {
+      const pr = await _createPR(octokit, owner, repo, {
+        title: `test: add tests for #${pullNumber}`,
+        body: `Tests proposed by \`/zai test\` for the changes in #${pullNumber}. Review them before merging into \`${head.ref}\`.\n\n${files.map(file => `- \`${file.path}\``).join('\n')}`,
+        base: head.ref,
+        files,
+        commitMessage: `test: add tests for #${pullNumber}`,
+        // Unique per run, so a re-run on the same head does not collide with the earlier branch
+        branchName: `zai-tests/pr-${pullNumber}-${head.sha.slice(0, 7)}-${_now().toString(36)}`,
+      }, logger);
+      await reply(`## 🧪 Proposed Tests\n\nOpened #${pr.number} against \`${head.ref}\` with ${files.length} test file(s).\n\n${frameworkNote}`, REACTIONS.ROCKET);
+      return { success: true, prNumber: pr.number };
+    }
+
+    let body = `## 🧪 Proposed Tests\n\n${result.data}\n\n${frameworkNote}`;
+    if (parsed.openPr && replacesUnseenTests) {
+      body += `\n\n_No pull request was opened: ${truncatedTests.map(path => `\`${path}\``).join(', ')} did not fit in the prompt, so the proposal would drop existing tests. Add the new tests to the file by hand._`;
+    } else if (parsed.openPr && isFork) {
+      body += '\n\n_A follow-up pull request cannot be opened for a fork; copy the tests above instead._';
+    } else if (parsed.openPr) {
+      body += '\n\n_No test files could be extracted from the response, so no pull request was opened._';
+    } else if (!isFork && files.length > 0 && !replacesUnseenTests) {
+      body += '\n\n_Run `/zai test --pr` to open these tests as a pull request against this branch._';
+    }
+    await reply(body, REACTIONS.ROCKET);
+    return { success: true };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Test command failed');
+    return fail('Failed to generate tests. Please try again later.', error.message);
+  }
+}
+
+module.exports = {
+  handleTestCommand,
+  parseTestArgs,
+  isTestFile,
+  detectTestFramework,
+  suggestTestPath,
+  getAddedLines,
+  collectChangedFunctions,
+  buildTestPrompt,
+  parseProposedTestFiles,
+  TEST_MARKER,
+};
@@ -0,0 +1,179 @@
+/**
+ * Incremental PR auto-review.
+ *
+ * The auto-review comment carries a hidden marker recording the head SHA it
+ * reviewed. A dedicated marker is used instead of continuity state so that
+ * command conversations never pick up auto-review state. On the next
+ * `synchronize` event only the compare diff between that SHA and the new head
+ * is reviewed, and the result is appended to the existing review as an
+ * "Updates since last review" section. When history was rewritten (force-push)
+ * or the compare diff cannot be trusted, callers fall back to a full review.
+ */
+
+// GitHub's compare endpoint returns at most this many files per response.
+const COMPARE_FILES_LIMIT = 300;
+
+const UPDATE_SECTION_MARKER = '<!-- zai-review-update -->';
+const REVIEWED_SHA_MARKER_PREFIX = '<!-- zai-reviewed-head:';
+
+// GitHub rejects comment bodies above 65536 characters; leave room for markers and state.
+const MAX_REVIEW_BODY_CHARS = 60000;
+
+function shortSha(sha) {
+  return typeof sha === 'string' ? sha.slice(0, 7) : 'unknown';
+}
+
+/**
+ * Build the hidden marker recording the reviewed head SHA.
+ * @param {string} sha - Reviewed head SHA
+ * @returns {string} Marker, or empty string when no SHA is known
+ */
+function buildReviewedShaMarker(sha) {
+  return typeof sha === 'string' && /^[0-9a-f]{7,64}$/i.test(sha) ? `${REVIEWED_SHA_MARKER_PREFIX} ${sha} -->` : '';
+}
+
+/**
+ * Read the last reviewed head SHA from an auto-review comment.
+ * @param {string} body - Existing auto-review comment body
+ * @returns {string|null} Reviewed head SHA or null if not recorded
+ */
+function getLastReviewedSha(body) {
+  if (typeof body !== 'string') {
+    return null;
+  }
+  const match = body.match(/<!-- zai-reviewed-head: ([0-9a-f]{7,64}) -->/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Decide whether a pull_request event can be reviewed incrementally and, if so,
+ * fetch the compare diff since the last reviewed SHA.
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - { action, lastReviewedSha, headSha }
+ * @returns {Promise<Object>} { mode: 'full'|'incremental'|'unchanged', reason, files?, baseSha?, headSha? }
+ */
+async function resolveIncrementalDiff(octokit, owner, repo, options = {}) {
+  const { action, lastReviewedSha, headSha } = options;
+
+  if (action !== 'synchronize') {
+    return { mode: 'full', reason: `event action "${action || 'unknown'}" always gets a full review` };
+  }
+  if (!lastReviewedSha || !headSha) {
+    return { mode: 'full', reason: 'no previously reviewed head SHA recorded' };
+  }
+  if (lastReviewedSha === headSha) {
+    return { mode: 'unchanged', reason: `head ${shortSha(headSha)} was already reviewed` };
+  }
+
+  let comparison;
+  try {
+    ({ data: comparison } = await octokit.rest.repos.compareCommits({
+      owner,
+      repo,
+      base: lastReviewedSha,
+      head: headSha,
+    }));
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) {
+      return { mode: 'full', reason: `last reviewed commit ${shortSha(lastReviewedSha)} is no longer reachable` };
+    }
+    throw error;
+  }
+
+  if (comparison.status !== 'ahead') {
+    // 'diverged' / 'behind': the previously reviewed commit is not an ancestor
+    // of the new head, so history was rewritten.
+    return { mode: 'full', reason: `history was rewritten since ${shortSha(lastReviewedSha)} (compare status: ${comparison.status})` };
+  }
+
+  const files = Array.isArray(comparison.files) ? comparison.files : [];
+  if (files.length >= COMPARE_FILES_LIMIT) {
+    return { mode: 'full', reason: `compare diff lists ${files.length} files and may be truncated` };
+  }
+
+  return {
+    mode: 'incremental',
+    reason: `${comparison.total_commits ?? comparison.commits?.length ?? 0} new commit(s) since ${shortSha(lastReviewedSha)}`,
+    baseSha: lastReviewedSha,
+    headSha,
+    files,
+  };
+}
+
+/**
+ * Restrict compare-diff files to those that are part of the PR. A compare
+ * range can include changes merged in from the base branch, which are not the
+ * author's and should not be reviewed again.
+ * @param {Array<Object>} compareFiles - Files from the compare API
+ * @param {Array<Object>} prFiles - Files from the PR changed-files API
+ * @returns {Array<Object>} Compare files that also appear in the PR
+ */
+function selectIncrementalFiles(compareFiles, prFiles) {
+  const prFilenames = new Set((prFiles || []).map(file => file.filename));
+  return (compareFiles || []).filter(file => prFilenames.has(file.filename));
+}
+
+/**
+ * Preface for the incremental review prompt.
+ * @param {string} baseSha - Last reviewed head SHA
+ * @param {string} headSha - New head SHA
+ * @returns {string}
+ */
+function buildIncrementalPreface(baseSha, headSha) {
+  return `This pull request was already reviewed at commit ${shortSha(baseSha)}. The diff below contains ONLY the changes pushed since then (${shortSha(baseSha)}..${shortSha(headSha)}). Review these new changes; do not repeat feedback about code that is not part of this diff. Line numbers refer to the files at ${shortSha(headSha)}.`;
+}
+
+/**
+ * Recover the review content of an existing auto-review comment, without the
+ * trailing comment and reviewed-SHA markers.
+ * @param {string} body - Existing comment body
+ * @param {string} marker - Auto-review comment marker
+ * @returns {string}
+ */
+function getPreviousReviewContent(body, marker) {
+  if (typeof body !== 'string') {
+    return '';
+  }
+  const markerIndex = body.lastIndexOf(marker);
+  return (markerIndex === -1 ? body : body.slice(0, markerIndex)).trim();
+}
+
+/**
+ * Append an "Updates since last review" section to previous review content,
+ * dropping the oldest update sections if the comment would grow too large.
+ * @param {string} previousContent - Existing review content
+ * @param {string} update - Incremental review output
+ * @param {Object} options - { baseSha, headSha, maxChars }
+ * @returns {string}
+ */
+function appendUpdateSection(previousContent, update, options = {}) {
+  const { baseSha, headSha, maxChars = MAX_REVIEW_BODY_CHARS } = options;
+  const section = `${UPDATE_SECTION_MARKER}\n## 🔄 Updates since last review (\`${shortSha(baseSha)}\` → \`${shortSha(headSha)}\`)\n\n${update.trim()}`;
+
+  const [original, ...updates] = previousContent.split(UPDATE_SECTION_MARKER);
+  const sections = [...updates.map(part => `${UPDATE_SECTION_MARKER}${part.trimEnd()}`), section];
+
+  let combined = [original.trim(), ...sections].join('\n\n');
+  while (combined.length > maxChars && sections.length > 1) {
+    sections.shift();
+    combined = [original.trim(), ...sections].join('\n\n');
+  }
+
+  return combined;
+}
+
+module.exports = {
+  COMPARE_FILES_LIMIT,
+  UPDATE_SECTION_MARKER,
+  REVIEWED_SHA_MARKER_PREFIX,
+  MAX_REVIEW_BODY_CHARS,
+  buildReviewedShaMarker,
+  getLastReviewedSha,
+  resolveIncrementalDiff,
+  selectIncrementalFiles,
+  buildIncrementalPreface,
+  getPreviousReviewContent,
+  appendUpdateSection,
+};
@@ -218,12 +218,14 @@ function createLogger(correlationId, context = {}) {
 
 /**
  * Maps internal errors to user-safe messages
- * @param {string} category - Error category from ERROR_CATEGORIES
+ * @param {string} category - Error category from ERROR_CATEGORIES, or the API client's
+ *   lowercase form (e.g. 'rate-limit')
  * @param {Error} [internalError] - Original error (not exposed to users)
  * @returns {string} User-safe message
  */
 function getUserMessage(category, internalError = null) {
-  const message = USER_MESSAGES[category] || USER_MESSAGES[ERROR_CATEGORIES.INTERNAL];
+  const key = String(category || '').toUpperCase().replace(/-/g, '_');
+  const message = USER_MESSAGES[key] || USER_MESSAGES[ERROR_CATEGORIES.INTERNAL];
   
   // Log the internal error details separately for debugging
   if (internalError) {
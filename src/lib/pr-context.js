@@ -336,7 +336,7 @@ async function fetchFileAtRef(octokit, owner, repo, path, ref, options = {}) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {number} pullNumber - PR number
- * @returns {Promise<{success: boolean, data?: {base: {ref: string, sha: string}, head: {ref: string, sha: string}}, error?: string, fallback?: string}>}
+ * @returns {Promise<{success: boolean, data?: {base: {ref: string, sha: string, repo: string|null}, head: {ref: string, sha: string, repo: string|null}}, error?: string, fallback?: string}>}
  */
 async function resolvePrRefs(octokit, owner, repo, pullNumber) {
   if (!pullNumber) {
@@ -370,8 +370,8 @@ async function resolvePrRefs(octokit, owner, repo, pullNumber) {
     return {
       success: true,
       data: {
-        base: { ref: baseRef, sha: baseSha },
-        head: { ref: headRef, sha: headSha }
+        base: { ref: baseRef, sha: baseSha, repo: data.base?.repo?.full_name || null },
+        head: { ref: headRef, sha: headSha, repo: data.head?.repo?.full_name || null }
       }
     };
   } catch (error) {
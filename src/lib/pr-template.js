@@ -0,0 +1,314 @@
+/**
+ * Pull request template support for /zai describe
+ *
+ * Finds the repository's PR template (`pull_request_template.md` or a
+ * `PULL_REQUEST_TEMPLATE/` directory in `.github/`, the root or `docs/`),
+ * splits it into heading sections, works out which sections the author has
+ * already filled in, and merges generated content into the rest. Generated
+ * section bodies are wrapped in hidden markers carrying a content hash, so a
+ * later run regenerates them unless the author has edited them since.
+ */
+
+const crypto = require('node:crypto');
+
+const TEMPLATE_DIRS = ['.github', '', 'docs'];
+const TEMPLATE_FILE_NAME = 'pull_request_template.md';
+const TEMPLATE_DIR_NAME = 'pull_request_template';
+
+// Templates read from a PULL_REQUEST_TEMPLATE/ directory
+const MAX_DIRECTORY_TEMPLATES = 10;
+
+const GENERATED_START_PATTERN = /<!-- ZAI_SECTION_START ([0-9a-f]+) -->\n?([\s\S]*?)\n?<!-- ZAI_SECTION_END -->/;
+const GENERATED_END = '<!-- ZAI_SECTION_END -->';
+
+async function listDirectory(octokit, owner, repo, path, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref });
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function readTemplate(octokit, owner, repo, path, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref });
+    if (!data || Array.isArray(data) || typeof data.content !== 'string') {
+      return null;
+    }
+    const content = Buffer.from(data.content, 'base64').toString('utf8');
+    return content.trim() ? { path, content } : null;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the PR template on a ref. From a PULL_REQUEST_TEMPLATE/ directory the
+ * template sharing the most headings with the current body is used, so a body
+ * GitHub pre-filled from one of them keeps matching it.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} [options] - { ref, body }
+ * @returns {Promise<{path: string, content: string}|null>}
+ */
+async function findPullRequestTemplate(octokit, owner, repo, { ref, body = '' } = {}) {
+  for (const dir of TEMPLATE_DIRS) {
+    const entries = await listDirectory(octokit, owner, repo, dir, ref);
+
+    const file = entries.find(entry => entry.type === 'file' && entry.name.toLowerCase() === TEMPLATE_FILE_NAME);
+    if (file) {
+      const template = await readTemplate(octokit, owner, repo, file.path, ref);
+      if (template) {
+        return template;
+      }
+    }
+
+    const folder = entries.find(entry => entry.type === 'dir' && entry.name.toLowerCase() === TEMPLATE_DIR_NAME);
+    if (folder) {
+      const files = (await listDirectory(octokit, owner, repo, folder.path, ref))
+        .filter(entry => entry.type === 'file' && /\.md$/i.test(entry.name))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .slice(0, MAX_DIRECTORY_TEMPLATES);
+      const templates = [];
+      for (const entry of files) {
+        const template = await readTemplate(octokit, owner, repo, entry.path, ref);
+        if (template) {
+          templates.push(template);
+        }
+      }
+      if (templates.length) {
+        return pickTemplate(templates, body);
+      }
+    }
+  }
+  return null;
+}
+
+function pickTemplate(templates, body) {
+  const bodyKeys = new Set(parseMarkdownSections(body).sections.map(section => section.key));
+  let best = templates[0];
+  let bestScore = -1;
+  for (const template of templates) {
+    const score = parseMarkdownSections(template.content).sections.filter(section => bodyKeys.has(section.key)).length;
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function headingKey(line) {
+  return line.replace(/^\s*#+\s*/, '').replace(/[\s#:]+$/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Split markdown into the text before the first heading and heading sections.
+ * Headings inside fenced code blocks are ignored.
+ * @param {string} text - Markdown
+ * @returns {{preamble: string, sections: Array<{heading: string, key: string, content: string}>}}
+ */
+function parseMarkdownSections(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const result = { preamble: '', sections: [] };
+  let current = null;
+  let buffer = [];
+  let fence = null;
+
+  const flush = () => {
+    const content = buffer.join('\n');
+    if (current) {
+      current.content = content;
+    } else {
+      result.preamble = content;
+    }
+    buffer = [];
+  };
+
+  for (const line of lines) {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fenceMatch) {
+      fence = fence === null ? fenceMatch[1] : fence === fenceMatch[1] ? null : fence;
+    } else if (fence === null && /^#{1,6}\s+\S/.test(line)) {
+      flush();
+      current = { heading: line.trim(), key: headingKey(line), content: '' };
+      result.sections.push(current);
+      continue;
+    }
+    buffer.push(line);
+  }
+  flush();
+  return result;
+}
+
+// Templates without headings are handled as one untitled section
+function toSections(parsed) {
+  if (parsed.sections.length) {
+    return { preamble: parsed.preamble, sections: parsed.sections };
+  }
+  return { preamble: '', sections: [{ heading: '', key: '', content: parsed.preamble }] };
+}
+
+// Section text without HTML comments (template guidance) and whitespace differences
+function meaningfulText(content) {
+  return String(content || '').replace(/<!--[\s\S]*?-->/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content.trim()).digest('hex').slice(0, 12);
+}
+
+function wrapGenerated(content) {
+  const text = content.trim();
+  return `<!-- ZAI_SECTION_START ${hashContent(text)} -->\n${text}\n${GENERATED_END}`;
+}
+
+/**
+ * Decide whether the author's version of a template section is theirs to keep.
+ * Generated blocks the author has not edited are regenerated; an edited block
+ * becomes the author's content and loses its markers.
+ * @param {Object|undefined} own - Section from the current body
+ * @param {Object} template - Section from the template
+ * @returns {{filled: boolean, content: string}}
+ */
+function classifySection(own, template) {
+  if (!own) {
+    return { filled: false, content: template.content };
+  }
+  const match = own.content.match(GENERATED_START_PATTERN);
+  if (match) {
+    const outside = own.content.replace(match[0], '');
+    if (hashContent(match[2]) !== match[1]) {
+      return { filled: true, content: own.content.replace(match[0], match[2].trim()) };
+    }
+    const authorText = meaningfulText(outside);
+    return authorText && authorText !== meaningfulText(template.content)
+      ? { filled: true, content: own.content }
+      : { filled: false, content: outside };
+  }
+  const text = meaningfulText(own.content);
+  return { filled: Boolean(text) && text !== meaningfulText(template.content), content: own.content };
+}
+
+/**
+ * Work out which template sections still need content.
+ * @param {string} templateContent - Template markdown
+ * @param {string} authorBody - Current PR body (without the legacy AI block)
+ * @returns {{toFill: Array<Object>, preserved: Array<Object>}}
+ */
+function planTemplateFill(templateContent, authorBody) {
+  const template = toSections(parseMarkdownSections(templateContent));
+  const author = parseMarkdownSections(authorBody);
+  const ownByKey = new Map(toSections(author).sections.map(section => [section.key, section]));
+  const toFill = [];
+  const preserved = [];
+  for (const section of template.sections) {
+    (classifySection(ownByKey.get(section.key), section).filled ? preserved : toFill).push(section);
+  }
+  return { toFill, preserved };
+}
+
+/**
+ * Read generated sections from the model output. Only the requested headings
+ * split the output, so subheadings inside a section stay part of it.
+ * @param {string} output - Model response
+ * @param {Array<Object>} sections - Sections that were requested
+ * @returns {Map<string, string>} heading key → content
+ */
+function parseFilledSections(output, sections) {
+  let text = String(output || '').trim();
+  const wrapped = text.match(/^```(?:markdown|md)?\n([\s\S]*)\n```$/);
+  if (wrapped) {
+    text = wrapped[1];
+  }
+
+  const filled = new Map();
+  if (sections.length === 1 && sections[0].key === '') {
+    if (text) {
+      filled.set('', text);
+    }
+    return filled;
+  }
+
+  const wanted = new Set(sections.map(section => section.key));
+  let currentKey = null;
+  let buffer = [];
+  const flush = () => {
+    const content = buffer.join('\n').trim();
+    if (currentKey !== null && content && !filled.has(currentKey)) {
+      filled.set(currentKey, content);
+    }
+    buffer = [];
+  };
+  for (const line of text.split('\n')) {
+    if (/^#{1,6}\s+\S/.test(line) && wanted.has(headingKey(line))) {
+      flush();
+      currentKey = headingKey(line);
+      continue;
+    }
+    buffer.push(line);
+  }
+  flush();
+  return filled;
+}
+
+/**
+ * Build the new PR body: the template's sections in order, with the author's
+ * filled sections kept verbatim, generated content in the others, and any
+ * extra author sections or intro text preserved.
+ * @param {Object} params - { templateContent, authorBody, generated }
+ * @returns {string}
+ */
+function composeTemplateBody({ templateContent, authorBody, generated }) {
+  const template = toSections(parseMarkdownSections(templateContent));
+  const authorParsed = parseMarkdownSections(authorBody);
+  const author = toSections(authorParsed);
+  const ownByKey = new Map(author.sections.map(section => [section.key, section]));
+  const templateKeys = new Set(template.sections.map(section => section.key));
+  const parts = [];
+
+  // Free text an author wrote instead of the template leads the body
+  const intro = authorParsed.sections.length || !template.sections.some(section => section.key === '')
+    ? (meaningfulText(authorParsed.preamble) ? authorParsed.preamble : template.preamble)
+    : '';
+  if (intro.trim()) {
+    parts.push(intro.trim());
+  }
+
+  for (const section of template.sections) {
+    const state = classifySection(ownByKey.get(section.key), section);
+    let content;
+    if (state.filled) {
+      content = state.content.trim();
+    } else if (generated.has(section.key)) {
+      content = wrapGenerated(generated.get(section.key));
+    } else {
+      content = (ownByKey.get(section.key)?.content ?? section.content).trim();
+    }
+    parts.push([section.heading, content].filter(Boolean).join('\n\n'));
+  }
+
+  for (const section of author.sections) {
+    if (!templateKeys.has(section.key) && section.key !== '') {
+      parts.push([section.heading, section.content.trim()].filter(Boolean).join('\n\n'));
+    }
+  }
+
+  return parts.filter(part => part.trim()).join('\n\n');
+}
+
+module.exports = {
+  findPullRequestTemplate,
+  parseMarkdownSections,
+  planTemplateFill,
+  parseFilledSections,
+  composeTemplateBody,
+};
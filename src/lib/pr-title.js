@@ -0,0 +1,184 @@
+/**
+ * Pull request title policy
+ *
+ * Checks PR titles against the repository's title pattern (conventional
+ * commits by default), asks the model for a conforming title derived from the
+ * commits and diff stats, and reports the result as a commit status whose
+ * description carries the suggested fix.
+ */
+
+const TITLE_STATUS_CONTEXT = 'zai/pr-title';
+
+const CONVENTIONAL_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+
+const DEFAULT_TITLE_PATTERN = `^(${CONVENTIONAL_TYPES.join('|')})(\\([\\w./-]+\\))?!?: \\S.*$`;
+
+const TITLE_MODES = ['suggest', 'apply'];
+
+// GitHub rejects commit status descriptions longer than 140 characters
+const MAX_STATUS_DESCRIPTION = 140;
+
+const MAX_TITLE_LENGTH = 100;
+
+// Commit subjects sent to the model; the diff stats carry the rest
+const MAX_TITLE_COMMITS = 50;
+
+const CONVENTIONAL_PREFIX = /^(\w+)(\([^)]*\))?!?:\s*/;
+
+/**
+ * Test a title against the configured pattern
+ * @param {string} title - Pull request title
+ * @param {string} [pattern] - Regular expression source
+ * @returns {boolean}
+ */
+function isTitleValid(title, pattern = DEFAULT_TITLE_PATTERN) {
+  return new RegExp(pattern).test(String(title || '').trim());
+}
+
+/**
+ * Build the prompt asking for a single conforming title
+ * @param {Object} params - { title, commits, diffStats, pattern }
+ * @returns {string}
+ */
+function buildTitlePrompt({ title, commits = [], diffStats = null, pattern = DEFAULT_TITLE_PATTERN }) {
+  const subjects = commits
+    .slice(0, MAX_TITLE_COMMITS)
+    .map(commit => `- ${String(commit.commit?.message || '').split('\n')[0].trim()}`)
+    .join('\n');
+  const omitted = commits.length > MAX_TITLE_COMMITS ? `\n(${commits.length - MAX_TITLE_COMMITS} more commit(s) not listed)` : '';
+  const conventional = pattern === DEFAULT_TITLE_PATTERN
+    ? `Use the Conventional Commits format \`type(scope): summary\` with one of these types: ${CONVENTIONAL_TYPES.join(', ')}. Add \`!\` after the type or scope only for breaking changes. The scope is optional.`
+    : 'Follow the format required by the pattern exactly.';
+
+  return `You are writing the title of a Pull Request. The current title does not match the format this repository requires.
+
+### Instructions:
+1. ${conventional}
+2. Base the title on what the commits and diff stats show the Pull Request changes as a whole, not on a single commit.
+3. Write the summary in the imperative mood, lower case, without a trailing period, and keep the whole title under ${MAX_TITLE_LENGTH} characters.
+4. Output ONLY the title on a single line.
+
+<title_pattern>${pattern}</title_pattern>
+
+<current_title>${String(title || '').trim()}</current_title>
+
+<commit_subjects>
+${subjects}${omitted}
+</commit_subjects>${diffStats ? `\n\n<diff_stats>\n${diffStats}\n</diff_stats>` : ''}`;
+}
+
+/**
+ * Read the title from the model output
+ * @param {string} output - Model response
+ * @returns {string|null}
+ */
+function parseSuggestedTitle(output) {
+  const line = String(output || '')
+    .split('\n')
+    .map(entry => entry.trim())
+    .find(entry => entry && !entry.startsWith('```'));
+  if (!line) {
+    return null;
+  }
+  const title = line
+    .replace(/^(?:\*\*)?(?:suggested\s+)?title(?:\*\*)?:\s*/i, '')
+    .replace(/^(["'`])(.*)\1$/, '$2')
+    .replace(/\.$/, '')
+    .trim();
+  return title && title.length <= MAX_TITLE_LENGTH ? title : null;
+}
+
+/**
+ * Derive a conventional title without the model: the most common
+ * conventional type among the commit subjects, applied to the current title.
+ * @param {string} title - Current title
+ * @param {Array<Object>} commits - Commits from pulls.listCommits
+ * @returns {string|null}
+ */
+function inferConventionalTitle(title, commits = []) {
+  const counts = new Map();
+  for (const commit of commits) {
+    const match = String(commit.commit?.message || '').match(CONVENTIONAL_PREFIX);
+    const type = match?.[1].toLowerCase();
+    if (CONVENTIONAL_TYPES.includes(type)) {
+      counts.set(type, (counts.get(type) || 0) + 1);
+    }
+  }
+  const type = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 'chore';
+  const summary = String(title || '').trim().replace(CONVENTIONAL_PREFIX, '').replace(/\.$/, '');
+  if (!summary) {
+    return null;
+  }
+  return `${type}: ${summary.charAt(0).toLowerCase()}${summary.slice(1)}`;
+}
+
+/**
+ * Suggest a title matching the pattern. The model is asked first; its answer
+ * is only used when it matches, otherwise the commit-type heuristic applies.
+ * @param {Object} params - { title, commits, diffStats, pattern, callModel, logger }
+ * @param {Function} [params.callModel] - async prompt → text; errors fall back to the heuristic
+ * @returns {Promise<{title: string, source: 'model'|'commits'}|null>}
+ */
+async function suggestTitle({ title, commits = [], diffStats = null, pattern = DEFAULT_TITLE_PATTERN, callModel, logger }) {
+  if (callModel) {
+    try {
+      const suggested = parseSuggestedTitle(await callModel(buildTitlePrompt({ title, commits, diffStats, pattern })));
+      if (suggested && isTitleValid(suggested, pattern)) {
+        return { title: suggested, source: 'model' };
+      }
+      logger?.warn({ suggested }, 'Suggested title does not match the title pattern');
+    } catch (error) {
+      logger?.warn({ error: error.message }, 'Title suggestion failed; deriving it from the commits');
+    }
+  }
+  const inferred = inferConventionalTitle(title, commits);
+  return inferred && isTitleValid(inferred, pattern) ? { title: inferred, source: 'commits' } : null;
+}
+
+/**
+ * Status description for a failing title, with the suggested fix
+ * @param {string|null} suggestion - Suggested title
+ * @returns {string}
+ */
+function formatTitleStatusDescription(suggestion) {
+  const description = suggestion
+    ? `Title does not match the required format. Suggested: ${suggestion}`
+    : 'Title does not match the required format.';
+  return description.length > MAX_STATUS_DESCRIPTION
+    ? `${description.slice(0, MAX_STATUS_DESCRIPTION - 1)}…`
+    : description;
+}
+
+/**
+ * Post the title check as a commit status on the PR head
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Head commit SHA
+ * @param {Object} result - { valid, suggestion }
+ * @returns {Promise<void>}
+ */
+async function setTitleStatus(octokit, owner, repo, sha, { valid, suggestion = null }) {
+  await octokit.rest.repos.createCommitStatus({
+    owner,
+    repo,
+    sha,
+    state: valid ? 'success' : 'failure',
+    context: TITLE_STATUS_CONTEXT,
+    description: valid ? 'Title matches the required format.' : formatTitleStatusDescription(suggestion),
+  });
+}
+
+module.exports = {
+  TITLE_STATUS_CONTEXT,
+  CONVENTIONAL_TYPES,
+  DEFAULT_TITLE_PATTERN,
+  TITLE_MODES,
+  isTitleValid,
+  buildTitlePrompt,
+  parseSuggestedTitle,
+  inferConventionalTitle,
+  suggestTitle,
+  formatTitleStatusDescription,
+  setTitleStatus,
+};
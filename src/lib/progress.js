@@ -0,0 +1,146 @@
+/**
+ * Live progress comments
+ *
+ * Every command first posts a placeholder comment under PROGRESS_MARKER.
+ * While the model streams its answer, the placeholder is edited with the
+ * partial output. Edits are throttled so that a long answer costs a handful of
+ * GitHub API calls rather than one per token. When the handler has the final
+ * answer it replaces the same comment (see `replaceComment` in upsertComment).
+ */
+
+const { updateCommentById } = require('./comments');
+
+const PROGRESS_MARKER = '<!-- zai-progress -->';
+
+const DEFAULT_PROGRESS_INTERVAL_MS = 3000;
+
+// Keep partial bodies well under GitHub's 65536-character comment limit
+const MAX_PROGRESS_CHARS = 60000;
+
+/**
+ * Build the body of the progress comment.
+ * @param {string} command - Command being processed
+ * @param {string} [partialText] - Partial model output received so far
+ * @returns {string}
+ */
+function buildProgressBody(command, partialText = '') {
+  const header = `🤖 Reviewing \`/zai ${command}\`...`;
+  if (!partialText) {
+    return `${header}\n\n${PROGRESS_MARKER}`;
+  }
+
+  let text = partialText.length > MAX_PROGRESS_CHARS
+    ? `…${partialText.slice(-MAX_PROGRESS_CHARS)}`
+    : partialText;
+  // Close a code fence left open mid-stream so the marker stays hidden
+  if (((text.match(/^\s*```/gm) || []).length % 2) === 1) {
+    text += '\n```';
+  }
+
+  return `${header} _(streaming partial output)_\n\n${text}\n\n${PROGRESS_MARKER}`;
+}
+
+/**
+ * Create a throttled updater for a progress comment.
+ * `update` may be called for every streamed chunk; at most one edit is made
+ * per interval and the latest text always wins. `stop` cancels a pending edit
+ * and waits for an in-flight one, so the final answer is never overwritten by
+ * a late partial update. Errors are logged and otherwise ignored.
+ *
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - { commentId, isReviewComment, command, intervalMs, logger }
+ * @returns {{update: Function, stop: Function, comment: Object|null}}
+ */
+function createProgressUpdater(octokit, owner, repo, options = {}) {
+  const {
+    commentId = null,
+    isReviewComment = false,
+    command = 'command',
+    intervalMs = DEFAULT_PROGRESS_INTERVAL_MS,
+    logger = null,
+  } = options;
+
+  let latest = '';
+  let written = '';
+  let lastWriteAt = 0;
+  let timer = null;
+  let inFlight = Promise.resolve();
+
+  function write() {
+    timer = null;
+    if (latest === written) {
+      return;
+    }
+    const text = latest;
+    written = text;
+    lastWriteAt = Date.now();
+    inFlight = inFlight
+      .then(() => updateCommentById(octokit, owner, repo, commentId, buildProgressBody(command, text), { isReviewComment }))
+      .catch(error => {
+        logger?.warn?.({ error: error.message }, 'Failed to update progress comment');
+      });
+  }
+
+  return {
+    comment: commentId ? { id: commentId, isReviewComment } : null,
+
+    update(text) {
+      if (!commentId || typeof text !== 'string') {
+        return;
+      }
+      latest = text;
+      if (timer) {
+        return;
+      }
+      const wait = lastWriteAt + intervalMs - Date.now();
+      if (wait <= 0) {
+        write();
+      } else {
+        timer = setTimeout(write, wait);
+      }
+    },
+
+    async stop() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      await inFlight;
+    },
+  };
+}
+
+/**
+ * Wrap an API client so every call streams into a progress updater.
+ * The updater is stopped before the result is returned to the handler.
+ * @param {Object} apiClient - Client from createApiClient
+ * @param {Object|null} progress - Updater from createProgressUpdater
+ * @returns {Object} API client
+ */
+function withProgress(apiClient, progress) {
+  if (!progress) {
+    return apiClient;
+  }
+
+  return {
+    ...apiClient,
+    async call(params) {
+      try {
+        return await apiClient.call({ ...params, onProgress: text => progress.update(text) });
+      } finally {
+        await progress.stop();
+      }
+    },
+  };
+}
+
+module.exports = {
+  PROGRESS_MARKER,
+  DEFAULT_PROGRESS_INTERVAL_MS,
+  MAX_PROGRESS_CHARS,
+  buildProgressBody,
+  createProgressUpdater,
+  withProgress,
+};
@@ -0,0 +1,331 @@
+/**
+ * Prompt template registry
+ *
+ * The system prompts of the auto-review and every command are named, versioned
+ * templates with `{{variable}}` placeholders. A repository can change any of
+ * them with a `.github/zai/prompts/<name>.md` file on its base branch:
+ *
+ *   ---
+ *   mode: extend    # extend (default) appends the file to the built-in prompt
+ *   version: 1      # optional, the built-in version the file was written for
+ *   ---
+ *   We use Result types and never throw from library code.
+ *
+ * `mode: replace` swaps the built-in text for the file; it must keep the
+ * template's required placeholders (e.g. the output format the bot parses).
+ * A template's version is bumped whenever its text or variables change, so a
+ * file written for an older version is reported for review. Instructions from
+ * the `prompts:` section of `.zai.yml` are still appended last.
+ */
+
+const yaml = require('yaml');
+
+const PROMPT_TEMPLATES_DIR = '.github/zai/prompts';
+const OVERRIDE_MODES = ['extend', 'replace'];
+const MAX_TEMPLATE_FILE_CHARS = 8000;
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_][a-z0-9_]*)\s*\}\}/gi;
+
+/**
+ * Built-in templates: { version, variables, required, template }.
+ * `variables` are the placeholders filled in by the caller; `required` ones
+ * must survive a replacing override.
+ */
+const PROMPT_TEMPLATES = {
+  auto_review: {
+    version: 1,
+    variables: ['output_format'],
+    required: ['output_format'],
+    template: `You are an Elite Staff Engineer and meticulous Code Reviewer. Your objective is to thoroughly analyze Pull Request diffs, identify potential bugs, security vulnerabilities, and architectural flaws, and provide constructive, actionable feedback.
+
+### Core Instructions:
+1. **Focus on Impact:** Prioritize logic errors, security risks (e.g., injections, unvalidated input), performance bottlenecks, and bad practices.
+2. **Ignore Trivialities:** Do not comment on minor styling or formatting issues that a linter should catch (e.g., trailing spaces, missing semicolons) unless they affect readability significantly.
+3. **Be Actionable:** If you point out a problem, briefly explain *why* it is a problem and provide a short code snippet demonstrating the fix. When the fix is local to the reported lines, also put the exact replacement code in the finding's \`suggestion\` field so it can be applied with one click.
+4. **Tone:** Maintain a professional, objective, and encouraging tone.
+
+{{output_format}}`,
+  },
+  review: {
+    version: 1,
+    variables: [],
+    required: [],
+    template: 'You are a Senior Code Reviewer. Review the changes a pull request makes to one file in the context of the whole file. Look for logic errors, security vulnerabilities, and architectural mismatches. Focus on how the new changes interact with existing code.',
+  },
+  explain: {
+    version: 1,
+    variables: [],
+    required: [],
+    template: 'You are a Senior Software Engineer explaining code from a pull request to a colleague. Be precise and concise, refer to the identifiers in the code, and do not review or rewrite it unless asked.',
+  },
+  ask: {
+    version: 1,
+    variables: [],
+    required: [],
+    template: `You are Zai Code Bot, an expert pull request assistant.
+Answer using the available PR diff and conversation context. If context is missing, explicitly state assumptions.`,
+  },
+  describe: {
+    version: 1,
+    variables: ['inputs', 'diff_stats_note', 'empty_sections_note', 'structure'],
+    required: ['structure'],
+    template: `You are an expert Staff Engineer and Technical Writer. Your task is to analyze the provided {{inputs}} and synthesize a clear, comprehensive, and well-structured Pull Request description.
+
+### Instructions:
+1. **Analyze and Consolidate:** Do not simply repeat the commit messages. Group related changes, ignore trivial or redundant commits (e.g., "fix typo", "wip", "merge"), and deduce the overall intent of the Pull Request.{{diff_stats_note}}
+2. **Tone and Style:** Use a professional, objective tone. Write in the imperative mood for bullet points (e.g., "Add user authentication" instead of "Added user authentication").
+3. **Strict Formatting:** Output ONLY the requested Markdown structure. Do not include any conversational filler, greetings, or introductory phrases.{{empty_sections_note}}
+
+{{structure}}`,
+  },
+  commit_summary: {
+    version: 1,
+    variables: [],
+    required: [],
+    template: 'You are summarizing the commit history of one Pull Request, one part at a time. List the concrete changes the given commits make as terse bullet points in the imperative mood. Merge related commits, skip merge and "wip"/"fix typo" noise, and keep notable details such as feature names, fixed bugs and breaking changes. Output only the bullet points.',
+  },
+  impact: {
+    version: 1,
+    variables: ['output_format'],
+    required: ['output_format'],
+    template: `You are an expert Technical Lead and Security Auditor reviewing a Pull Request. Your task is to perform an Impact and Risk Analysis based on the provided code diff, file names, and PR description.
+
+Evaluate the "blast radius" of these changes and warn human reviewers if specific parts of the code require rigorous manual inspection.
+
+Categorize the overall risk of the PR into one of four levels:
+- 🟢 Low Risk: Cosmetic changes, documentation, simple pure HTML markup updates, or isolated CSS/Tailwind utility class adjustments.
+- 🟡 Medium Risk: Standard feature additions, isolated bug fixes, or non-critical UI/frontend logic changes.
+- 🟠 High Risk: Changes to server-side routing, database schema/migrations (e.g., PostgreSQL), edge computing scripts (e.g., Cloudflare Workers), or core backend logic.
+- 🔴 Critical Risk: Modifications to authentication/authorization (e.g., JWT middleware, session management), security policies, payment processing, or heavy structural architecture shifts.
+
+{{output_format}}`,
+  },
+  fix: {
+    version: 1,
+    variables: ['no_changes_token'],
+    required: ['no_changes_token'],
+    template: [
+      'You are a Senior Software Engineer making a small, focused fix to one file of a pull request.',
+      'Reply with one or two sentences describing the change, followed by a single unified diff in a ```diff fenced block.',
+      'Use standard "@@ -start,count +start,count @@" hunk headers and at least three unchanged context lines around every change.',
+      'Context and removed lines must match the file content exactly, including indentation. Do not change any other file.',
+      'If no change is needed, reply with {{no_changes_token}} and a short reason.',
+    ].join(' '),
+  },
+  test: {
+    version: 1,
+    variables: [],
+    required: [],
+    template: [
+      'You are a Senior Software Engineer writing unit tests for code changed in a pull request.',
+      'Write focused unit tests for the changed functions: the main behavior, edge cases and error handling.',
+      'Match the example\'s imports, structure and assertion style, and mock network and GitHub calls.',
+      'For every source file output the complete test file, introduced by a line `### <test_file path>` and followed by one fenced code block.',
+      'When existing tests are shown, keep them and add the new tests to that file.',
+    ].join(' '),
+  },
+  agents: {
+    version: 1,
+    variables: ['owner', 'repo', 'branch'],
+    required: [],
+    template: `You are a Staff-level software engineer generating and updating AGENTS.md files.
+
+Repository: {{owner}}/{{repo}}
+Branch: {{branch}}
+
+CRITICAL CONSTRAINTS:
+- You do NOT have live repository access. Use ONLY the repository context below.
+- Do NOT invent files, directories, languages, frameworks, or services that are not present in the provided context.
+- Every fact in an AGENTS.md file must be grounded in the observable repository evidence below.
+- If the context is insufficient to describe a file accurately, return an empty files array instead of guessing.`,
+  },
+};
+
+const PROMPT_TEMPLATE_NAMES = Object.keys(PROMPT_TEMPLATES);
+
+/**
+ * Fill `{{name}}` placeholders. Declared variables the caller leaves out
+ * become empty; any other placeholder is kept as written.
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by placeholder name
+ * @param {string[]} [declared] - Placeholders the template declares
+ * @returns {string}
+ */
+function interpolate(text, variables = {}, declared = []) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name) && variables[name] != null) {
+      return String(variables[name]);
+    }
+    return declared.includes(name) ? '' : match;
+  });
+}
+
+/**
+ * Append repository instructions to a prompt
+ * @param {string} prompt - Base prompt
+ * @param {string|null} instructions - Repository instructions
+ * @returns {string}
+ */
+function applyPromptOverride(prompt, instructions) {
+  if (!instructions) {
+    return prompt;
+  }
+  return `${prompt}\n\n### Repository Instructions (take precedence over the defaults above):\n${instructions}`;
+}
+
+/**
+ * Parse a `.github/zai/prompts/<name>.md` file
+ * @param {string} name - Template name
+ * @param {string} content - File content
+ * @returns {{mode: string, version: number|null, body: string}}
+ * @throws {Error} - If the file is invalid
+ */
+function parsePromptTemplateFile(name, content) {
+  const template = PROMPT_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name}. Allowed: ${PROMPT_TEMPLATE_NAMES.join(', ')}`);
+  }
+
+  let options = {};
+  let body = String(content || '');
+  const frontMatter = body.match(FRONT_MATTER_PATTERN);
+  if (frontMatter) {
+    try {
+      options = yaml.parse(frontMatter[1]) || {};
+    } catch (error) {
+      throw new Error(`Failed to parse front matter: ${error.message}`);
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('front matter must be a mapping');
+    }
+    body = body.slice(frontMatter[0].length);
+  }
+
+  for (const field of Object.keys(options)) {
+    if (field !== 'mode' && field !== 'version') {
+      throw new Error(`Unknown front matter field: ${field}. Allowed: mode, version`);
+    }
+  }
+  const mode = options.mode ?? 'extend';
+  if (!OVERRIDE_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${OVERRIDE_MODES.join(', ')}`);
+  }
+  const version = options.version ?? null;
+  if (version !== null && (!Number.isInteger(version) || version < 1)) {
+    throw new Error('version must be a positive integer');
+  }
+
+  body = body.trim();
+  if (!body) {
+    throw new Error('file is empty');
+  }
+  if (body.length > MAX_TEMPLATE_FILE_CHARS) {
+    throw new Error(`file is longer than ${MAX_TEMPLATE_FILE_CHARS} characters`);
+  }
+  if (mode === 'replace') {
+    const used = new Set(Array.from(body.matchAll(PLACEHOLDER_PATTERN), match => match[1]));
+    const missing = template.required.filter(variable => !used.has(variable));
+    if (missing.length) {
+      throw new Error(`a replacing template must keep ${missing.map(variable => `{{${variable}}}`).join(', ')}`);
+    }
+  }
+
+  return { mode, version, body };
+}
+
+async function listDirectory(octokit, owner, repo, path, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref });
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load the repository's prompt template files from a ref. Never throws;
+ * unreadable or invalid files are skipped and reported through onWarning.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [ref] - Base branch; omitted means the default branch
+ * @param {Object} [options] - { onWarning }
+ * @returns {Promise<Object>} - Parsed files by template name
+ */
+async function loadPromptTemplates(octokit, owner, repo, ref, { onWarning = () => {} } = {}) {
+  let entries;
+  try {
+    entries = await listDirectory(octokit, owner, repo, PROMPT_TEMPLATES_DIR, ref);
+  } catch (error) {
+    onWarning(`Failed to list ${PROMPT_TEMPLATES_DIR}: ${error.message}`);
+    return {};
+  }
+
+  const templates = {};
+  for (const entry of entries) {
+    if (entry.type !== 'file' || !/\.md$/i.test(entry.name)) {
+      continue;
+    }
+    const name = entry.name.slice(0, -3);
+    try {
+      const { data } = await octokit.rest.repos.getContent({ owner, repo, path: entry.path, ref });
+      const override = parsePromptTemplateFile(name, Buffer.from(data?.content || '', 'base64').toString('utf8'));
+      const { version } = PROMPT_TEMPLATES[name];
+      if (override.version !== null && override.version !== version) {
+        onWarning(`${entry.path} was written for version ${override.version} of the ${name} prompt; the built-in prompt is now version ${version}. Review the file.`);
+      }
+      templates[name] = override;
+    } catch (error) {
+      onWarning(`Ignoring ${entry.path}: ${error.message}`);
+    }
+  }
+  return templates;
+}
+
+/**
+ * Render a named prompt with the repository's template file and instructions
+ * @param {string} name - Template name
+ * @param {Object} [variables] - Placeholder values
+ * @param {Object} [options] - { templates, instructions } (see getPromptOptions)
+ * @returns {string}
+ * @throws {Error} - If the template name is unknown
+ */
+function renderPrompt(name, variables = {}, { templates = null, instructions = null } = {}) {
+  const template = PROMPT_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+  const override = templates?.[name] || null;
+  const text = interpolate(override?.mode === 'replace' ? override.body : template.template, variables, template.variables);
+  const extensions = [override?.mode === 'extend' ? override.body : null, instructions].filter(Boolean);
+  return applyPromptOverride(text, extensions.join('\n\n'));
+}
+
+/**
+ * Rendering options for a prompt from the effective configuration
+ * @param {Object} config - Effective configuration
+ * @param {string} name - Template name
+ * @returns {{templates: Object|null, instructions: string|null}}
+ */
+function getPromptOptions(config, name) {
+  return {
+    templates: config?.promptTemplates || null,
+    instructions: config?.prompts?.[name] || null,
+  };
+}
+
+module.exports = {
+  PROMPT_TEMPLATES_DIR,
+  PROMPT_TEMPLATES,
+  PROMPT_TEMPLATE_NAMES,
+  interpolate,
+  applyPromptOverride,
+  parsePromptTemplateFile,
+  loadPromptTemplates,
+  renderPrompt,
+  getPromptOptions,
+};
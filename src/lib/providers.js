@@ -0,0 +1,294 @@
+/**
+ * LLM provider adapters
+ *
+ * A provider describes how to talk to one chat-completions style API:
+ * endpoint, auth header, request body, response and stream parsing, and error
+ * mapping. The transport in api.js is provider-agnostic. The provider is
+ * selected with the ZAI_PROVIDER action input and ZAI_API_URL overrides its
+ * endpoint, e.g. to point at a self-hosted model or a local mock server.
+ */
+
+const core = require('@actions/core');
+
+const ZAI_API_URL = 'https://api.z.ai/api/coding/paas/v4/chat/completions';
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+const OLLAMA_API_URL = 'http://localhost:11434/api/chat';
+
+const DEFAULT_PROVIDER = 'zai';
+
+/**
+ * Normalize token counts into { promptTokens, completionTokens, totalTokens }.
+ * @returns {Object|null} null when the provider reported nothing
+ */
+function toUsage(promptTokens, completionTokens) {
+  if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) {
+    return null;
+  }
+  const prompt = Number.isFinite(promptTokens) ? promptTokens : 0;
+  const completion = Number.isFinite(completionTokens) ? completionTokens : 0;
+  return { promptTokens: prompt, completionTokens: completion, totalTokens: prompt + completion };
+}
+
+// Raw error bodies are kept (truncated) so callers can match provider error codes
+const MAX_ERROR_BODY_CHARS = 1000;
+
+/**
+ * Build an Error for a non-2xx response.
+ * The message keeps the `<label> API error <status>` prefix that
+ * categorizeError relies on; sanitizeErrorMessage extracts the provider
+ * message from the raw body before anything is shown to users.
+ * @param {string} label - Provider display name
+ * @param {number} statusCode - HTTP status code
+ * @param {string} data - Raw response body
+ * @returns {Error}
+ */
+function mapHttpError(label, statusCode, data) {
+  const body = String(data || '').trim();
+  const detail = body.length > MAX_ERROR_BODY_CHARS ? `${body.slice(0, MAX_ERROR_BODY_CHARS)}...` : body;
+  const error = new Error(`${label} API error ${statusCode}${detail ? `: ${detail}` : ''}`);
+  error.status = statusCode;
+  return error;
+}
+
+/**
+ * Create an adapter for OpenAI-style `/chat/completions` endpoints
+ * (Z.ai coding endpoint, OpenAI, vLLM, LM Studio, LiteLLM, ...).
+ * Streaming uses server-sent events terminated by `data: [DONE]`.
+ * @param {Object} definition - { name, label, url, requiresApiKey }
+ * @returns {Object} Provider
+ */
+function createOpenAiCompatibleProvider({ name, label, url, requiresApiKey }) {
+  const parseUsage = parsed => toUsage(parsed?.usage?.prompt_tokens, parsed?.usage?.completion_tokens);
+
+  return {
+    name,
+    label,
+    url,
+    requiresApiKey,
+    streamContentType: 'text/event-stream',
+
+    buildHeaders(apiKey) {
+      return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    },
+
+    /**
+     * @param {Object} params - { model, messages, stream, sampling }
+     * @param {Object} [params.sampling] - { temperature, maxTokens, topP, stop } from api.buildSamplingOptions
+     * @returns {Object} Request body
+     */
+    buildBody({ model, messages, stream = false, sampling = {} }) {
+      const body = { model, messages };
+      if (stream) {
+        body.stream = true;
+        // Without this, OpenAI-style servers omit usage from streamed responses
+        body.stream_options = { include_usage: true };
+      }
+      if (sampling.temperature !== undefined) {
+        body.temperature = sampling.temperature;
+      }
+      if (sampling.maxTokens !== undefined) {
+        body.max_tokens = sampling.maxTokens;
+      }
+      if (sampling.topP !== undefined) {
+        body.top_p = sampling.topP;
+      }
+      if (sampling.stop) {
+        body.stop = sampling.stop;
+      }
+      return body;
+    },
+
+    parseResponse(parsed) {
+      return parsed?.choices?.[0]?.message?.content;
+    },
+
+    parseUsage,
+
+    /**
+     * @param {string} line - One line of the SSE stream
+     * @returns {{delta?: string, done?: boolean, usage?: Object}|null} null for lines without content
+     */
+    parseStreamLine(line) {
+      if (!line.startsWith('data:')) {
+        return null; // comments (": keep-alive"), event/id fields and blank separators
+      }
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') {
+        return { done: true };
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(payload);
+      } catch {
+        return null; // ignore malformed keep-alive payloads
+      }
+      if (chunk?.error) {
+        throw new Error(`${label} API stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+      }
+
+      const choice = chunk?.choices?.[0];
+      const event = { delta: choice?.delta?.content ?? choice?.message?.content ?? '' };
+      // Servers that report usage while streaming put it on the final chunk
+      const usage = parseUsage(chunk);
+      if (usage) {
+        event.usage = usage;
+      }
+      return event;
+    },
+
+    mapError(statusCode, data) {
+      return mapHttpError(label, statusCode, data);
+    },
+  };
+}
+
+/**
+ * Adapter for Ollama's native `/api/chat` endpoint.
+ * Ollama streams by default and uses newline-delimited JSON instead of SSE.
+ * @param {Object} definition - { name, label, url }
+ * @returns {Object} Provider
+ */
+function createOllamaProvider({ name, label, url }) {
+  const parseUsage = parsed => toUsage(parsed?.prompt_eval_count, parsed?.eval_count);
+
+  return {
+    name,
+    label,
+    url,
+    requiresApiKey: false,
+    streamContentType: 'application/x-ndjson',
+
+    buildHeaders(apiKey) {
+      // Ollama itself is unauthenticated; a key is forwarded for auth proxies in front of it
+      return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    },
+
+    buildBody({ model, messages, stream = false, sampling = {} }) {
+      const body = { model, messages, stream: Boolean(stream) };
+      // Ollama takes sampling parameters under `options`, with its own names
+      const options = {};
+      if (sampling.temperature !== undefined) {
+        options.temperature = sampling.temperature;
+      }
+      if (sampling.maxTokens !== undefined) {
+        options.num_predict = sampling.maxTokens;
+      }
+      if (sampling.topP !== undefined) {
+        options.top_p = sampling.topP;
+      }
+      if (sampling.stop) {
+        options.stop = sampling.stop;
+      }
+      if (Object.keys(options).length > 0) {
+        body.options = options;
+      }
+      return body;
+    },
+
+    parseResponse(parsed) {
+      return parsed?.message?.content;
+    },
+
+    parseUsage,
+
+    parseStreamLine(line) {
+      if (!line.trim()) {
+        return null;
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(line);
+      } catch {
+        return null;
+      }
+      if (chunk?.error) {
+        throw new Error(`${label} API stream error: ${chunk.error}`);
+      }
+
+      const event = { delta: chunk?.message?.content ?? '', done: chunk?.done === true };
+      const usage = parseUsage(chunk);
+      if (usage) {
+        event.usage = usage;
+      }
+      return event;
+    },
+
+    mapError(statusCode, data) {
+      return mapHttpError(label, statusCode, data);
+    },
+  };
+}
+
+const PROVIDERS = {
+  zai: createOpenAiCompatibleProvider({ name: 'zai', label: 'Z.ai', url: ZAI_API_URL, requiresApiKey: true }),
+  'openai-compatible': createOpenAiCompatibleProvider({
+    name: 'openai-compatible',
+    label: 'OpenAI-compatible',
+    url: OPENAI_API_URL,
+    requiresApiKey: false,
+  }),
+  ollama: createOllamaProvider({ name: 'ollama', label: 'Ollama', url: OLLAMA_API_URL }),
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Resolve a provider by name, optionally overriding its endpoint.
+ * @param {string} [name='zai'] - Provider name
+ * @param {Object} [options] - { url }
+ * @returns {Object} Provider
+ * @throws {Error} - If the provider is unknown or the URL is invalid
+ */
+function resolveProvider(name = DEFAULT_PROVIDER, options = {}) {
+  const key = String(name || DEFAULT_PROVIDER).trim().toLowerCase();
+  const provider = PROVIDERS[key];
+  if (!provider) {
+    throw new Error(`Unknown provider: ${name}. Allowed: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  const url = String(options.url || '').trim();
+  if (!url) {
+    return provider;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid API URL for provider ${key}: ${url}`);
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error(`Invalid API URL for provider ${key}: only http and https are supported`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new Error(`Invalid API URL for provider ${key}: credentials must be passed via ZAI_API_KEY`);
+  }
+
+  return { ...provider, url: parsed.toString() };
+}
+
+/**
+ * Resolve the provider configured by the ZAI_PROVIDER and ZAI_API_URL inputs.
+ * @param {Object} _core - @actions/core (injectable)
+ * @returns {Object} Provider
+ */
+function resolveProviderFromInputs(_core = core) {
+  return resolveProvider(_core.getInput('ZAI_PROVIDER') || DEFAULT_PROVIDER, {
+    url: _core.getInput('ZAI_API_URL'),
+  });
+}
+
+module.exports = {
+  ZAI_API_URL,
+  OPENAI_API_URL,
+  OLLAMA_API_URL,
+  DEFAULT_PROVIDER,
+  PROVIDERS,
+  PROVIDER_NAMES,
+  createOpenAiCompatibleProvider,
+  createOllamaProvider,
+  resolveProvider,
+  resolveProviderFromInputs,
+};
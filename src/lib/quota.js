@@ -0,0 +1,264 @@
+/**
+ * Command quotas
+ *
+ * Limits /zai commands per user per PR and per repository per hour/day.
+ * Usage is persisted in hidden ledger comments so no external storage is
+ * needed: one ledger comment on each PR for per-user counters, and one on a
+ * configured ledger issue for repository-wide counters. Updates are
+ * read-modify-write, so concurrent runs may occasionally under-count.
+ */
+
+const { getUserPermission, isRepoOwner, normalizeLogin, PERMISSION_LEVELS } = require('./auth');
+const { listAllPages } = require('./conversation');
+const { isBotComment } = require('./events');
+
+const QUOTA_MARKER = '<!-- zai-quota -->';
+const QUOTA_STATE_PATTERN = /<!-- zai-quota-state: ([A-Za-z0-9_-]*) -->/;
+const QUOTA_STATE_VERSION = 1;
+
+// Window length in seconds for each configurable limit
+const QUOTA_WINDOWS = {
+  hour: 3600,
+  day: 86400,
+};
+
+// Key under which repository-wide usage is stored in the ledger
+const REPO_KEY = '*';
+
+const DEFAULT_QUOTA_CONFIG = Object.freeze({
+  enabled: true,
+  perUserPerPr: Object.freeze({ hour: 10, day: 30 }),
+  perRepo: Object.freeze({ hour: 0, day: 0 }),
+  ledgerIssue: null,
+  exemptPermission: 'maintain',
+  exemptUsers: Object.freeze([]),
+});
+
+// Commands that never call the model and are not counted
+const UNMETERED_COMMANDS = new Set(['help']);
+
+/**
+ * Decode quota state from a ledger comment body
+ * @param {string} body - Comment body
+ * @returns {{v: number, events: Object<string, number[]>}} State (empty if missing or corrupt)
+ */
+function parseQuotaState(body) {
+  const empty = { v: QUOTA_STATE_VERSION, events: {} };
+  const match = typeof body === 'string' ? body.match(QUOTA_STATE_PATTERN) : null;
+  if (!match) {
+    return empty;
+  }
+
+  try {
+    const parsed = JSON.parse(Buffer.from(match[1], 'base64url').toString('utf8'));
+    if (parsed?.v !== QUOTA_STATE_VERSION || !parsed.events || typeof parsed.events !== 'object') {
+      return empty;
+    }
+    const events = {};
+    for (const [key, timestamps] of Object.entries(parsed.events)) {
+      if (Array.isArray(timestamps)) {
+        events[key] = timestamps.filter(Number.isFinite);
+      }
+    }
+    return { v: QUOTA_STATE_VERSION, events };
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * Build a ledger comment body embedding quota state
+ * @param {Object} state - Quota state
+ * @returns {string} Comment body
+ */
+function buildLedgerBody(state) {
+  const encoded = Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+  return `_Z.ai command usage ledger for rate limiting. Please do not edit or delete this comment._\n\n${QUOTA_MARKER}\n<!-- zai-quota-state: ${encoded} -->`;
+}
+
+/**
+ * Drop events older than the longest window
+ * @param {Object} state - Quota state
+ * @param {number} now - Current time in epoch seconds
+ * @returns {Object} Pruned state
+ */
+function pruneQuotaState(state, now) {
+  const cutoff = now - QUOTA_WINDOWS.day;
+  const events = {};
+  for (const [key, timestamps] of Object.entries(state.events)) {
+    const recent = timestamps.filter(t => t > cutoff);
+    if (recent.length > 0) {
+      events[key] = recent;
+    }
+  }
+  return { v: QUOTA_STATE_VERSION, events };
+}
+
+/**
+ * Find the first exceeded limit for a list of usage timestamps
+ * @param {number[]} timestamps - Usage timestamps (epoch seconds)
+ * @param {Object} limits - { hour, day }; 0 or missing means unlimited
+ * @param {number} now - Current time in epoch seconds
+ * @param {string} scope - 'user' or 'repo'
+ * @returns {Object|null} { scope, window, limit, used, resetAt } or null when within limits
+ */
+function findExceededLimit(timestamps, limits, now, scope) {
+  for (const [window, seconds] of Object.entries(QUOTA_WINDOWS)) {
+    const limit = limits?.[window];
+    if (!limit) {
+      continue;
+    }
+    const inWindow = timestamps.filter(t => t > now - seconds).sort((a, b) => a - b);
+    if (inWindow.length >= limit) {
+      // A slot frees up once enough of the oldest events age out of the window
+      const resetAt = inWindow[inWindow.length - limit] + seconds;
+      return { scope, window, limit, used: inWindow.length, resetAt };
+    }
+  }
+  return null;
+}
+
+async function loadLedger(octokit, owner, repo, issueNumber) {
+  // The ledger is usually far down a busy thread
+  const comments = await listAllPages(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+  });
+  // Anyone can post the marker; only the bot's own comment is the ledger
+  const comment = comments.find(c => isBotComment(c) && c.body?.includes(QUOTA_MARKER)) || null;
+  return { comment, state: parseQuotaState(comment?.body) };
+}
+
+async function saveLedger(octokit, owner, repo, issueNumber, comment, state) {
+  const body = buildLedgerBody(state);
+  if (comment) {
+    await octokit.rest.issues.updateComment({ owner, repo, comment_id: comment.id, body });
+  } else {
+    await octokit.rest.issues.createComment({ owner, repo, issue_number: issueNumber, body });
+  }
+}
+
+/**
+ * Check whether a user is exempt from quotas
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {Object} context - GitHub context object
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} login - User login
+ * @param {Object} quotaConfig - Effective quota configuration
+ * @returns {Promise<boolean>}
+ */
+async function isQuotaExempt(octokit, context, owner, repo, login, quotaConfig) {
+  if ((quotaConfig.exemptUsers || []).some(user => normalizeLogin(user) === normalizeLogin(login))) {
+    return true;
+  }
+  if (isRepoOwner(context, login)) {
+    return true;
+  }
+  if (!quotaConfig.exemptPermission) {
+    return false;
+  }
+
+  const permission = await getUserPermission(octokit, owner, repo, login);
+  return PERMISSION_LEVELS.indexOf(permission) >= PERMISSION_LEVELS.indexOf(quotaConfig.exemptPermission);
+}
+
+/**
+ * Check command quotas and record the invocation when allowed.
+ * Never throws: bookkeeping failures are reported through `warn` and the
+ * command is allowed.
+ *
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - { context, pullNumber, login, command, quotaConfig, now }
+ * @param {Object} deps - { warn }
+ * @returns {Promise<Object>} { allowed, exempt?, exceeded? }
+ */
+async function checkCommandQuota(octokit, owner, repo, options = {}, deps = {}) {
+  const { context, pullNumber, login, command, now = Math.floor(Date.now() / 1000) } = options;
+  const { warn = () => {} } = deps;
+  const quotaConfig = { ...DEFAULT_QUOTA_CONFIG, ...options.quotaConfig };
+
+  if (!quotaConfig.enabled || UNMETERED_COMMANDS.has(command) || !login || !pullNumber) {
+    return { allowed: true };
+  }
+
+  try {
+    if (await isQuotaExempt(octokit, context, owner, repo, login, quotaConfig)) {
+      return { allowed: true, exempt: true };
+    }
+  } catch (error) {
+    warn(`Failed to check quota exemption for ${login}: ${error.message}`);
+  }
+
+  const userKey = normalizeLogin(login);
+  const repoLimited = Boolean(quotaConfig.perRepo?.hour || quotaConfig.perRepo?.day);
+  if (repoLimited && !quotaConfig.ledgerIssue) {
+    warn('quota.per_repo is set but quota.ledger_issue is not; repository-wide limits are not enforced.');
+  }
+
+  try {
+    const prLedger = await loadLedger(octokit, owner, repo, pullNumber);
+    const prState = pruneQuotaState(prLedger.state, now);
+    const userExceeded = findExceededLimit(prState.events[userKey] || [], quotaConfig.perUserPerPr, now, 'user');
+    if (userExceeded) {
+      return { allowed: false, exceeded: userExceeded };
+    }
+
+    let repoLedger = null;
+    let repoState = null;
+    if (repoLimited && quotaConfig.ledgerIssue) {
+      repoLedger = await loadLedger(octokit, owner, repo, quotaConfig.ledgerIssue);
+      repoState = pruneQuotaState(repoLedger.state, now);
+      const repoExceeded = findExceededLimit(repoState.events[REPO_KEY] || [], quotaConfig.perRepo, now, 'repo');
+      if (repoExceeded) {
+        return { allowed: false, exceeded: repoExceeded };
+      }
+    }
+
+    prState.events[userKey] = [...(prState.events[userKey] || []), now];
+    await saveLedger(octokit, owner, repo, pullNumber, prLedger.comment, prState);
+
+    if (repoLedger) {
+      repoState.events[REPO_KEY] = [...(repoState.events[REPO_KEY] || []), now];
+      await saveLedger(octokit, owner, repo, quotaConfig.ledgerIssue, repoLedger.comment, repoState);
+    }
+  } catch (error) {
+    warn(`Failed to update command quota ledger: ${error.message}`);
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Build the reply for a command rejected by quota
+ * @param {Object} exceeded - Result of findExceededLimit
+ * @param {string} login - User login
+ * @param {number} now - Current time in epoch seconds
+ * @returns {string}
+ */
+function formatQuotaExceededMessage(exceeded, login, now = Math.floor(Date.now() / 1000)) {
+  const windowLabel = exceeded.window === 'hour' ? 'hour' : '24 hours';
+  const subject = exceeded.scope === 'repo'
+    ? `This repository has used ${exceeded.used}/${exceeded.limit} \`/zai\` commands in the last ${windowLabel}.`
+    : `@${login} has used ${exceeded.used}/${exceeded.limit} \`/zai\` commands on this pull request in the last ${windowLabel}.`;
+  const minutes = Math.max(1, Math.ceil((exceeded.resetAt - now) / 60));
+  const resetIso = new Date(exceeded.resetAt * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  return `## Z.ai Quota\n\n⏳ ${subject} The quota resets at ${resetIso} (in ${minutes} min).`;
+}
+
+module.exports = {
+  QUOTA_MARKER,
+  QUOTA_WINDOWS,
+  DEFAULT_QUOTA_CONFIG,
+  parseQuotaState,
+  buildLedgerBody,
+  pruneQuotaState,
+  findExceededLimit,
+  isQuotaExempt,
+  checkCommandQuota,
+  formatQuotaExceededMessage,
+};
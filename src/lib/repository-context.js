@@ -139,6 +139,15 @@ function isUnderPrefix(path, prefixes) {
   });
 }
 
+/**
+ * Whether a path is an AGENTS.md file (root or nested).
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isAgentsFile(path) {
+  return path === 'AGENTS.md' || path.endsWith('/AGENTS.md');
+}
+
 /**
  * Fetch a single file's text content from the repository.
  * Returns null for missing files (404) instead of throwing.
@@ -231,9 +240,7 @@ async function collectRepositoryContext(params) {
     .filter(p => !isExcluded(p, excludeRegexes));
 
   // Detect existing AGENTS.md files (auto-discovery). Root + any nested.
-  const existingAgentsFiles = allFiles.filter(
-    p => p === 'AGENTS.md' || p.endsWith('/AGENTS.md')
-  );
+  const existingAgentsFiles = allFiles.filter(isAgentsFile);
 
   // ---- Step 2: select files whose CONTENT to fetch ----
   const contextScopedFiles = contextPaths.length
@@ -392,6 +399,7 @@ module.exports = {
   collectRepositoryContext,
   renderRepositoryContext,
   fetchFile,
+  isAgentsFile,
   globToRegExp,
   isExcluded,
   isUnderPrefix,
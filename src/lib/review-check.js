@@ -0,0 +1,222 @@
+/**
+ * Review outcome as a GitHub Check Run.
+ *
+ * Maps the auto-review's Final Assessment rating and finding severities to a
+ * check conclusion, gated by the repository's `check_run.fail_on` threshold so
+ * branch protection can require it, and attaches findings as line annotations.
+ * Re-running a review on the same head commit updates the existing check.
+ */
+
+const { SEVERITY_LABELS } = require('./review-findings');
+const { listAllPages } = require('./conversation');
+
+const DEFAULT_CHECK_RUN_NAME = 'Z.ai Code Review';
+
+// Lowest outcome that fails the check, from most to least lenient
+const FAIL_ON_LEVELS = ['never', 'very_bad', 'critical', 'warning'];
+
+const RATINGS = {
+  good: 'Good',
+  normal: 'Normal',
+  very_bad: 'Very Bad',
+};
+
+const ANNOTATION_LEVELS = {
+  critical: 'failure',
+  warning: 'warning',
+  suggestion: 'notice',
+};
+
+// checks.create/update accept 50 annotations per request
+const ANNOTATIONS_PER_REQUEST = 50;
+const MAX_ANNOTATIONS = 200;
+
+// GitHub limit for output.summary and output.text
+const MAX_OUTPUT_CHARS = 65535;
+
+const RATING_PATTERN = /Rating:?\**:?\s*\**\s*(Good|Normal|Very Bad)\b/i;
+
+/**
+ * Read the Final Assessment rating from a review
+ * @param {string} review - Review markdown
+ * @returns {'good'|'normal'|'very_bad'|null}
+ */
+function extractRating(review) {
+  const match = String(review || '').match(RATING_PATTERN);
+  return match ? match[1].toLowerCase().replace(' ', '_') : null;
+}
+
+/**
+ * Count findings per severity
+ * @param {Array<Object>} findings - Normalized findings
+ * @returns {{critical: number, warning: number, suggestion: number}}
+ */
+function countFindings(findings) {
+  const counts = { critical: 0, warning: 0, suggestion: 0 };
+  for (const finding of findings || []) {
+    counts[finding.severity] = (counts[finding.severity] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Map the rating and severity counts to a check conclusion. The check fails
+ * only when the outcome reaches the `failOn` threshold; below it, critical
+ * or warning findings and a Very Bad rating give `neutral`.
+ * @param {Object} outcome - { rating, counts }
+ * @param {string} [failOn] - One of FAIL_ON_LEVELS
+ * @returns {'success'|'neutral'|'failure'}
+ */
+function resolveConclusion({ rating, counts }, failOn = 'critical') {
+  const veryBad = rating === 'very_bad';
+  const failed = {
+    never: false,
+    very_bad: veryBad,
+    critical: veryBad || counts.critical > 0,
+    warning: veryBad || counts.critical > 0 || counts.warning > 0,
+  }[failOn];
+  if (failed) {
+    return 'failure';
+  }
+  return veryBad || counts.critical > 0 || counts.warning > 0 ? 'neutral' : 'success';
+}
+
+/**
+ * Build check annotations for findings that point at a line
+ * @param {Array<Object>} findings - Normalized findings
+ * @returns {Array<Object>}
+ */
+function buildAnnotations(findings) {
+  return (findings || [])
+    .filter(finding => finding.line)
+    .slice(0, MAX_ANNOTATIONS)
+    .map(finding => ({
+      path: finding.path,
+      start_line: finding.startLine || finding.line,
+      end_line: finding.line,
+      annotation_level: ANNOTATION_LEVELS[finding.severity] || 'notice',
+      title: SEVERITY_LABELS[finding.severity],
+      message: finding.message,
+    }));
+}
+
+function truncateOutput(text) {
+  return text.length > MAX_OUTPUT_CHARS ? `${text.slice(0, MAX_OUTPUT_CHARS - 20)}\n\n_(truncated)_` : text;
+}
+
+/**
+ * Title and summary for the check output
+ * @param {Object} outcome - { rating, counts, conclusion, failOn, annotations }
+ * @returns {{title: string, summary: string}}
+ */
+function buildCheckOutput({ rating, counts, conclusion, failOn, annotations }) {
+  const severities = ['critical', 'warning', 'suggestion']
+    .filter(severity => counts[severity])
+    .map(severity => `${counts[severity]} ${severity}`);
+  const title = [
+    rating ? `Rating: ${RATINGS[rating]}` : null,
+    severities.length ? severities.join(', ') : 'no line-level findings',
+  ].filter(Boolean).join(' · ');
+
+  const gate = failOn === 'never'
+    ? 'This check is informational and never fails (`check_run.fail_on: never`).'
+    : `The check fails on \`${failOn}\` (\`check_run.fail_on\`).`;
+  const result = {
+    success: 'No blocking issues found.',
+    neutral: 'Issues were found below the failure threshold.',
+    failure: 'Issues at or above the failure threshold were found.',
+  }[conclusion];
+  const summary = [
+    `${result} ${gate}`,
+    `| Severity | Findings |\n|---|---|\n| ${SEVERITY_LABELS.critical} | ${counts.critical} |\n| ${SEVERITY_LABELS.warning} | ${counts.warning} |\n| ${SEVERITY_LABELS.suggestion} | ${counts.suggestion} |`,
+    annotations ? `${annotations} finding(s) are annotated on the changed files.` : null,
+  ].filter(Boolean).join('\n\n');
+
+  return { title, summary };
+}
+
+function annotationKey(annotation) {
+  return `${annotation.path}\n${annotation.start_line}\n${annotation.end_line}\n${annotation.message}`;
+}
+
+/**
+ * Create or update the review check run on the head commit. Annotations are
+ * sent in batches of 50; when updating, annotations the check already has
+ * are not sent again, because GitHub appends rather than replaces them.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} params - { headSha, name, review, findings, failOn }
+ * @returns {Promise<{checkRunId: number, conclusion: string, annotations: number, updated: boolean}>}
+ */
+async function publishReviewCheck(octokit, owner, repo, { headSha, name = DEFAULT_CHECK_RUN_NAME, review, findings, failOn = 'critical' }) {
+  const rating = extractRating(review);
+  const counts = countFindings(findings);
+  const conclusion = resolveConclusion({ rating, counts }, failOn);
+  let annotations = buildAnnotations(findings);
+
+  const { data: existingRuns } = await octokit.rest.checks.listForRef({
+    owner,
+    repo,
+    ref: headSha,
+    check_name: name,
+    filter: 'latest',
+  });
+  const existing = existingRuns?.check_runs?.[0] || null;
+
+  if (existing) {
+    const previous = await listAllPages(octokit.rest.checks.listAnnotations, {
+      owner,
+      repo,
+      check_run_id: existing.id,
+    });
+    const known = new Set(previous.map(annotationKey));
+    annotations = annotations.filter(annotation => !known.has(annotationKey(annotation)));
+  }
+
+  const { title, summary } = buildCheckOutput({ rating, counts, conclusion, failOn, annotations: buildAnnotations(findings).length });
+  const output = {
+    title,
+    summary: truncateOutput(summary),
+    text: truncateOutput(String(review || '')),
+  };
+  const batches = [];
+  for (let index = 0; index < annotations.length; index += ANNOTATIONS_PER_REQUEST) {
+    batches.push(annotations.slice(index, index + ANNOTATIONS_PER_REQUEST));
+  }
+
+  const params = {
+    owner,
+    repo,
+    name,
+    status: 'completed',
+    conclusion,
+    completed_at: new Date().toISOString(),
+    output: { ...output, annotations: batches[0] || [] },
+  };
+  let checkRunId;
+  if (existing) {
+    await octokit.rest.checks.update({ ...params, check_run_id: existing.id });
+    checkRunId = existing.id;
+  } else {
+    const { data } = await octokit.rest.checks.create({ ...params, head_sha: headSha });
+    checkRunId = data.id;
+  }
+
+  for (const batch of batches.slice(1)) {
+    await octokit.rest.checks.update({ owner, repo, check_run_id: checkRunId, output: { ...output, annotations: batch } });
+  }
+
+  return { checkRunId, conclusion, annotations: annotations.length, updated: Boolean(existing) };
+}
+
+module.exports = {
+  DEFAULT_CHECK_RUN_NAME,
+  FAIL_ON_LEVELS,
+  extractRating,
+  countFindings,
+  resolveConclusion,
+  buildAnnotations,
+  buildCheckOutput,
+  publishReviewCheck,
+};
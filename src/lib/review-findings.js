@@ -0,0 +1,416 @@
+/**
+ * Structured review findings for PR auto-review.
+ *
+ * The model is asked to append a machine-readable findings block to its
+ * markdown review. This module extracts that block, validates each finding
+ * against the new-side hunks of the PR patches, and turns anchored findings
+ * into inline review comments. Findings that do not land on a changed line are
+ * kept and rendered into the summary comment instead of being dropped.
+ */
+
+const crypto = require('node:crypto');
+const { parsePatchLineRanges } = require('./pr-context');
+
+const FINDINGS_FENCE = 'zai-findings';
+const FINDING_MARKER_PREFIX = '<!-- zai-finding:';
+const MAX_INLINE_COMMENTS = 30;
+const MAX_MESSAGE_CHARS = 2000;
+const MAX_SUGGESTION_CHARS = 4000;
+
+const SEVERITIES = ['critical', 'warning', 'suggestion'];
+
+const SEVERITY_LABELS = {
+  critical: '🚨 Critical',
+  warning: '⚠️ Warning',
+  suggestion: '💡 Suggestion',
+};
+
+const FINDINGS_INSTRUCTIONS = `### Machine-Readable Findings:
+After the markdown review, append ONE fenced code block with the info string \`${FINDINGS_FENCE}\` containing a JSON array of the concrete issues you reported. Each element MUST have:
+- "path": the file name exactly as given in the diff
+- "line": the line number in the NEW version of the file the issue refers to (must be a line inside a diff hunk)
+- "severity": one of "critical", "warning", "suggestion"
+- "message": a concise, self-contained explanation of the issue and the fix
+Optional fields:
+- "start_line": first line of a multi-line range ending at "line" (same diff hunk)
+- "suggestion": when the fix is local, the exact replacement text for lines "start_line".."line" (or just "line") in the new file, with original indentation and without code fences. Omit it when the fix spans other lines or files.
+- "rule": a short kebab-case identifier for the kind of issue, e.g. "null-dereference" or "missing-await"; prefix security issues with "security/", e.g. "security/sql-injection"
+If there are no concrete line-level findings, emit an empty array. Example:
+\`\`\`${FINDINGS_FENCE}
+[{"path": "src/app.js", "line": 42, "severity": "critical", "message": "User input reaches the SQL query unescaped; use a parameterized query.", "suggestion": "  const rows = await db.query('SELECT * FROM users WHERE id = $1', [id]);"}]
+\`\`\``;
+
+const FINDINGS_BLOCK_REGEX = new RegExp('```' + FINDINGS_FENCE + '[^\\n]*\\n([\\s\\S]*?)```', 'g');
+
+function normalizeSeverity(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (SEVERITIES.includes(normalized)) {
+    return normalized;
+  }
+  if (['high', 'error', 'bug', 'security', 'blocker'].includes(normalized)) {
+    return 'critical';
+  }
+  if (['medium', 'major', 'moderate'].includes(normalized)) {
+    return 'warning';
+  }
+  return 'suggestion';
+}
+
+/**
+ * Validates and normalizes a single raw finding object.
+ * @param {Object} raw - Finding as emitted by the model
+ * @returns {Object|null} Normalized finding or null when unusable
+ */
+function normalizeFinding(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const path = typeof (raw.path || raw.file) === 'string' ? (raw.path || raw.file).trim().replace(/^\/+/, '') : '';
+  const message = typeof raw.message === 'string' ? raw.message.trim() : '';
+  if (!path || !message) {
+    return null;
+  }
+
+  const line = Number.parseInt(raw.line, 10);
+  const startLine = Number.parseInt(raw.start_line ?? raw.startLine, 10);
+
+  const finding = {
+    path,
+    line: Number.isInteger(line) && line > 0 ? line : null,
+    startLine: Number.isInteger(startLine) && startLine > 0 && Number.isInteger(line) && startLine < line ? startLine : null,
+    severity: normalizeSeverity(raw.severity),
+    message: message.length > MAX_MESSAGE_CHARS ? `${message.slice(0, MAX_MESSAGE_CHARS)}...` : message,
+  };
+
+  const suggestion = normalizeSuggestion(raw.suggestion);
+  if (suggestion !== null && finding.line) {
+    finding.suggestion = suggestion;
+  }
+
+  const rule = normalizeRule(raw.rule);
+  if (rule) {
+    finding.rule = rule;
+  }
+
+  return finding;
+}
+
+/**
+ * Normalizes a rule identifier to lower-case kebab-case segments joined by "/".
+ * @param {*} value - Raw rule value
+ * @returns {string|null} Rule identifier or null when unusable
+ */
+function normalizeRule(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const rule = value
+    .trim()
+    .toLowerCase()
+    .split('/')
+    .map(segment => segment.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .join('/')
+    .slice(0, 64);
+  return rule || null;
+}
+
+/**
+ * Normalizes replacement text for a suggested change. Models sometimes wrap
+ * the code in a fence despite instructions; the fence is stripped so the
+ * text can be embedded in a ```suggestion block.
+ * @param {*} value - Raw suggestion value
+ * @returns {string|null} Replacement text or null when unusable
+ */
+function normalizeSuggestion(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let text = value.replace(/\r\n/g, '\n');
+  const fenced = text.match(/^\s*```[^\n]*\n([\s\S]*?)\n?```\s*$/);
+  if (fenced) {
+    text = fenced[1];
+  }
+  text = text.replace(/\n+$/, '');
+
+  if (text.includes('```') || text.length > MAX_SUGGESTION_CHARS) {
+    return null;
+  }
+
+  return text;
+}
+
+/**
+ * Extracts all findings blocks from a review and strips them from the markdown.
+ * Multiple blocks are merged (batched reviews may concatenate several).
+ * @param {string} review - Raw model review text
+ * @returns {{ body: string, findings: Array<Object> }}
+ */
+function extractFindings(review) {
+  if (typeof review !== 'string' || !review) {
+    return { body: typeof review === 'string' ? review : '', findings: [] };
+  }
+
+  const findings = [];
+  const body = review.replace(FINDINGS_BLOCK_REGEX, (_match, json) => {
+    try {
+      const parsed = JSON.parse(json.trim() || '[]');
+      const items = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.findings) ? parsed.findings : []);
+      for (const item of items) {
+        const finding = normalizeFinding(item);
+        if (finding) {
+          findings.push(finding);
+        }
+      }
+    } catch {
+      // Malformed findings block: drop it from the body, keep the prose review.
+    }
+    return '';
+  }).replace(/\n{3,}/g, '\n\n').trim();
+
+  return { body, findings: dedupeFindings(findings) };
+}
+
+function dedupeFindings(findings) {
+  const seen = new Set();
+  return findings.filter((finding) => {
+    const key = getFindingFingerprint(finding);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Stable fingerprint for a finding, used to avoid re-posting identical
+ * inline comments on subsequent pushes.
+ * @param {Object} finding - Normalized finding
+ * @returns {string} Short hex digest
+ */
+function getFindingFingerprint(finding) {
+  return crypto
+    .createHash('sha1')
+    .update(`${finding.path}\n${finding.line || ''}\n${finding.message}`)
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Checks whether a line lies inside one of the new-side hunks of a patch.
+ * @param {string} patch - Unified diff patch for a file
+ * @param {number} line - New-side line number
+ * @returns {boolean}
+ */
+function isLineInPatch(patch, line) {
+  if (!Number.isInteger(line) || line < 1) {
+    return false;
+  }
+  return parsePatchLineRanges(patch, 'new').some(range => line >= range.start && line <= range.end);
+}
+
+/**
+ * Checks whether a line range lies entirely inside a single new-side hunk.
+ * GitHub only accepts multi-line comments and suggestions within one hunk.
+ * @param {string} patch - Unified diff patch for a file
+ * @param {number} startLine - First new-side line of the range
+ * @param {number} endLine - Last new-side line of the range
+ * @returns {boolean}
+ */
+function isRangeInPatch(patch, startLine, endLine) {
+  if (!Number.isInteger(startLine) || !Number.isInteger(endLine) || startLine < 1 || startLine > endLine) {
+    return false;
+  }
+  return parsePatchLineRanges(patch, 'new')
+    .some(range => startLine >= range.start && endLine <= range.end);
+}
+
+/**
+ * Splits findings into those that can be anchored to a changed line and
+ * those that must fall back into the summary.
+ * @param {Array<Object>} findings - Normalized findings
+ * @param {Array<Object>} files - Changed files with `filename` and `patch`
+ * @returns {{ anchored: Array<Object>, unanchored: Array<Object> }}
+ */
+function partitionFindings(findings, files) {
+  const patches = new Map();
+  for (const file of files || []) {
+    if (file?.filename && typeof file.patch === 'string') {
+      patches.set(file.filename, file.patch);
+    }
+  }
+
+  const anchored = [];
+  const unanchored = [];
+
+  for (const finding of findings || []) {
+    const patch = patches.get(finding.path);
+    if (patch && isLineInPatch(patch, finding.line) && anchored.length < MAX_INLINE_COMMENTS) {
+      const rangeValid = !finding.startLine || isRangeInPatch(patch, finding.startLine, finding.line);
+      const entry = { ...finding, startLine: rangeValid ? finding.startLine : null };
+      if (!rangeValid) {
+        // The replacement text covers the rejected range; applying it to a
+        // single line would corrupt the file, so keep the prose only.
+        delete entry.suggestion;
+      }
+      anchored.push(entry);
+    } else {
+      unanchored.push(finding);
+    }
+  }
+
+  return { anchored, unanchored };
+}
+
+function formatFindingBody(finding) {
+  const suggestion = typeof finding.suggestion === 'string'
+    ? `\n\n\`\`\`suggestion\n${finding.suggestion}\n\`\`\``
+    : '';
+  return `**${SEVERITY_LABELS[finding.severity]}**\n\n${finding.message}${suggestion}\n\n${FINDING_MARKER_PREFIX}${getFindingFingerprint(finding)} -->`;
+}
+
+/**
+ * Builds the `comments` payload for pulls.createReview.
+ * @param {Array<Object>} anchored - Findings anchored to changed lines
+ * @returns {Array<Object>} Review comment drafts
+ */
+function buildReviewComments(anchored) {
+  return anchored.map((finding) => {
+    const comment = {
+      path: finding.path,
+      line: finding.line,
+      side: 'RIGHT',
+      body: formatFindingBody(finding),
+    };
+    if (finding.startLine) {
+      comment.start_line = finding.startLine;
+      comment.start_side = 'RIGHT';
+    }
+    return comment;
+  });
+}
+
+/**
+ * Renders findings that could not be anchored as a markdown section.
+ * @param {Array<Object>} unanchored - Findings outside the diff
+ * @returns {string} Markdown section, or empty string when nothing to show
+ */
+function buildUnanchoredSection(unanchored) {
+  if (!unanchored || unanchored.length === 0) {
+    return '';
+  }
+
+  const items = unanchored.map((finding) => {
+    const location = finding.line ? `${finding.path}:${finding.line}` : finding.path;
+    return `* **${SEVERITY_LABELS[finding.severity]}** \`${location}\`: ${finding.message}`;
+  });
+
+  return `## 📌 Findings Outside Changed Lines\n${items.join('\n')}`;
+}
+
+/**
+ * Collects fingerprints of inline findings already posted on the PR.
+ * @param {Array<Object>} reviewComments - Existing PR review comments
+ * @returns {Set<string>} Fingerprints present in earlier bot comments
+ */
+function collectPostedFingerprints(reviewComments) {
+  const fingerprints = new Set();
+  for (const comment of reviewComments || []) {
+    const body = comment?.body || '';
+    const index = body.indexOf(FINDING_MARKER_PREFIX);
+    if (index === -1) {
+      continue;
+    }
+    const end = body.indexOf(' -->', index);
+    if (end !== -1) {
+      fingerprints.add(body.slice(index + FINDING_MARKER_PREFIX.length, end).trim());
+    }
+  }
+  return fingerprints;
+}
+
+/**
+ * Publishes anchored findings as a single PR review with inline comments.
+ * Findings already posted on an earlier run are skipped. If GitHub rejects the
+ * review (e.g. a line no longer resolves against the head commit), every
+ * anchored finding is returned as unanchored so it still reaches the summary.
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - Pull request number
+ * @param {Array<Object>} findings - Normalized findings
+ * @param {Array<Object>} files - Changed files with patches
+ * @param {Object} options - { commitId, warn }
+ * @returns {Promise<{ posted: number, skipped: number, unanchored: Array<Object>, reviewId: number|null }>}
+ */
+async function publishInlineFindings(octokit, owner, repo, pullNumber, findings, files, options = {}) {
+  const { commitId, warn } = options;
+  const { anchored, unanchored } = partitionFindings(findings, files);
+
+  if (anchored.length === 0) {
+    return { posted: 0, skipped: 0, unanchored, reviewId: null };
+  }
+
+  let postedFingerprints = new Set();
+  try {
+    const listFn = octokit.rest.pulls.listReviewComments;
+    const existing = typeof octokit.paginate === 'function'
+      ? await octokit.paginate(listFn, { owner, repo, pull_number: pullNumber, per_page: 100 })
+      : (await listFn({ owner, repo, pull_number: pullNumber, per_page: 100 })).data;
+    postedFingerprints = collectPostedFingerprints(existing);
+  } catch (error) {
+    warn?.(`Failed to list existing review comments, inline findings may be duplicated: ${error.message}`);
+  }
+
+  const fresh = anchored.filter(finding => !postedFingerprints.has(getFindingFingerprint(finding)));
+  const skipped = anchored.length - fresh.length;
+
+  if (fresh.length === 0) {
+    return { posted: 0, skipped, unanchored, reviewId: null };
+  }
+
+  const request = {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    event: 'COMMENT',
+    body: `Z.ai left ${fresh.length} inline finding(s) on changed lines. See the summary comment for the full review.`,
+    comments: buildReviewComments(fresh),
+  };
+  if (commitId) {
+    request.commit_id = commitId;
+  }
+
+  try {
+    const { data } = await octokit.rest.pulls.createReview(request);
+    return { posted: fresh.length, skipped, unanchored, reviewId: data?.id ?? null };
+  } catch (error) {
+    warn?.(`Failed to publish inline review comments, falling back to summary: ${error.message}`);
+    return { posted: 0, skipped, unanchored: [...fresh, ...unanchored], reviewId: null };
+  }
+}
+
+module.exports = {
+  FINDINGS_FENCE,
+  FINDINGS_INSTRUCTIONS,
+  FINDING_MARKER_PREFIX,
+  MAX_INLINE_COMMENTS,
+  SEVERITIES,
+  SEVERITY_LABELS,
+  normalizeSeverity,
+  normalizeFinding,
+  normalizeRule,
+  normalizeSuggestion,
+  extractFindings,
+  getFindingFingerprint,
+  isLineInPatch,
+  isRangeInPatch,
+  partitionFindings,
+  buildReviewComments,
+  buildUnanchoredSection,
+  collectPostedFingerprints,
+  publishInlineFindings,
+};
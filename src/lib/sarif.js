@@ -0,0 +1,296 @@
+/**
+ * SARIF export of review findings
+ *
+ * One report lives for the whole action run. Auto-review and `/zai impact`
+ * add their structured findings to it; at the end of the run the report is
+ * written as a SARIF 2.1.0 file into the workspace, ready for
+ * `github/codeql-action/upload-sarif`, and its path is exposed as the
+ * `sarif_path` output. Fingerprints are derived from the rule, file and
+ * flagged source lines rather than the model's wording, which changes from
+ * run to run, so finding the issue again on a later commit keeps its alert.
+ * Each flow is written as its own run with `automationDetails.id` set to
+ * `zai-code-bot/<flow>/`, so code scanning keeps their alerts apart.
+ */
+
+const fs = require('node:fs');
+const nodePath = require('node:path');
+const crypto = require('node:crypto');
+const core = require('@actions/core');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const SARIF_TOOL_NAME = 'Zai Code Bot';
+const SARIF_TOOL_URI = 'https://github.com/AndreiDrang/zai-code-bot';
+const SARIF_FINGERPRINT_KEY = 'zaiFindingHash/v2';
+// Each producing flow gets its own code-scanning category, so one flow's
+// upload never closes the alerts of the other
+const SARIF_CATEGORY_PREFIX = 'zai-code-bot';
+
+// Findings without a model-supplied rule share this one
+const DEFAULT_RULE = 'general';
+const SECURITY_RULE_PREFIX = 'security/';
+
+const LEVELS = {
+  critical: 'error',
+  warning: 'warning',
+  suggestion: 'note',
+};
+
+// GitHub code scanning maps these to critical / high / medium / low
+const SECURITY_SEVERITIES = {
+  critical: '9.0',
+  warning: '6.0',
+  suggestion: '3.0',
+};
+
+const SEVERITY_ORDER = ['suggestion', 'warning', 'critical'];
+
+// Longest flagged range whose source text goes into the fingerprint
+const MAX_FINGERPRINT_LINES = 20;
+
+/**
+ * Create a run-wide SARIF report.
+ * @param {Object} [options] - { path } (an empty path disables the export)
+ * @returns {Object} Report with add, getEntries and the enabled/analyzed flags
+ */
+function createSarifReport(options = {}) {
+  const path = typeof options.path === 'string' ? options.path.trim() : '';
+  const entries = [];
+  const sources = new Set();
+
+  return {
+    path,
+    enabled: Boolean(path),
+    // Whether any analysis finished; a report without one is never written
+    analyzed: false,
+
+    /**
+     * Record the findings of one finished analysis (possibly none).
+     * @param {Array<Object>} findings - Normalized findings
+     * @param {string} source - Producing flow, e.g. 'auto-review' or 'impact'
+     */
+    add(findings, source) {
+      this.analyzed = true;
+      sources.add(source);
+      for (const finding of findings || []) {
+        entries.push({ finding, source });
+      }
+    },
+
+    /**
+     * @returns {Array<{finding: Object, source: string}>} Recorded findings in order
+     */
+    getEntries() {
+      return [...entries];
+    },
+
+    /**
+     * @returns {Array<string>} Flows that finished an analysis, in order
+     */
+    getSources() {
+      return [...sources];
+    },
+  };
+}
+
+function getRuleId(finding) {
+  return `zai/${finding.rule || DEFAULT_RULE}`;
+}
+
+function isSecurityRule(ruleId) {
+  return ruleId.startsWith(`zai/${SECURITY_RULE_PREFIX}`);
+}
+
+function normalizeWhitespace(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Stable fingerprint for a finding: rule, file and the whitespace-normalized
+ * source of the flagged lines (`sourceText`, see attachSourceText). Line
+ * numbers are left out so the alert survives code moving. Findings without
+ * source text, such as file-level ones, fall back to the message.
+ * @param {Object} finding - Normalized finding
+ * @returns {string} sha256 hex digest
+ */
+function getSarifFingerprint(finding) {
+  const source = normalizeWhitespace(finding.sourceText);
+  const anchor = source ? `source:${source}` : `message:${normalizeWhitespace(finding.message).toLowerCase()}`;
+  return crypto.createHash('sha256').update(`${getRuleId(finding)}\n${finding.path}\n${anchor}`).digest('hex');
+}
+
+async function readFileLines(octokit, owner, repo, path, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref });
+    if (!data || Array.isArray(data) || typeof data.content !== 'string') {
+      return null;
+    }
+    return Buffer.from(data.content, 'base64').toString('utf8').split(/\r?\n/);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Attach the flagged source lines at `ref` to each line-level finding as
+ * `sourceText`. Each file is read once; findings in files that cannot be
+ * read are returned unchanged.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {Object} params - { owner, repo, ref, findings }
+ * @returns {Promise<Array<Object>>} Findings with `sourceText` where available
+ */
+async function attachSourceText(octokit, { owner, repo, ref, findings }) {
+  const files = new Map();
+  const result = [];
+  for (const finding of findings || []) {
+    if (!ref || !finding.line) {
+      result.push(finding);
+      continue;
+    }
+    if (!files.has(finding.path)) {
+      files.set(finding.path, await readFileLines(octokit, owner, repo, finding.path, ref));
+    }
+    const lines = files.get(finding.path);
+    const startLine = finding.startLine || finding.line;
+    const endLine = Math.min(finding.line, startLine + MAX_FINGERPRINT_LINES - 1);
+    const sourceText = lines ? lines.slice(startLine - 1, endLine).join('\n') : '';
+    result.push(sourceText.trim() ? { ...finding, sourceText } : finding);
+  }
+  return result;
+}
+
+function toArtifactUri(path) {
+  return String(path).replace(/\\/g, '/').replace(/^\/+/, '').split('/').map(encodeURIComponent).join('/');
+}
+
+function ruleName(ruleId) {
+  return ruleId
+    .replace(/^zai\//, '')
+    .split(/[/-]/)
+    .filter(Boolean)
+    .map(word => `${word.charAt(0).toUpperCase()}${word.slice(1)}`)
+    .join('');
+}
+
+function maxSeverity(a, b) {
+  return SEVERITY_ORDER.indexOf(a) >= SEVERITY_ORDER.indexOf(b) ? a : b;
+}
+
+/**
+ * Build the SARIF run for one producing flow. Identical findings (same
+ * fingerprint and line) are emitted once; the same issue on several lines of
+ * a file gets an occurrence suffix so each keeps its own alert.
+ * @param {Array<{finding: Object, source: string}>} entries - Findings of this flow
+ * @param {string} source - Producing flow, e.g. 'auto-review' or 'impact'
+ * @returns {Object} SARIF run
+ */
+function buildSarifRun(entries, source) {
+  const rules = new Map();
+  const results = [];
+  const seen = new Set();
+  const occurrences = new Map();
+
+  for (const { finding } of entries) {
+    const ruleId = getRuleId(finding);
+    const hash = getSarifFingerprint(finding);
+    const startLine = finding.startLine || finding.line || 1;
+    const endLine = finding.line || startLine;
+    const key = `${hash}:${startLine}:${endLine}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    const occurrence = (occurrences.get(hash) || 0) + 1;
+    occurrences.set(hash, occurrence);
+
+    const rule = rules.get(ruleId) || { id: ruleId, severity: finding.severity, index: rules.size };
+    rule.severity = maxSeverity(rule.severity, finding.severity);
+    rules.set(ruleId, rule);
+
+    results.push({
+      ruleId,
+      ruleIndex: rule.index,
+      level: LEVELS[finding.severity] || 'note',
+      message: { text: finding.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: toArtifactUri(finding.path), uriBaseId: '%SRCROOT%' },
+          region: { startLine, endLine },
+        },
+      }],
+      partialFingerprints: {
+        [SARIF_FINGERPRINT_KEY]: occurrence === 1 ? hash : `${hash}:${occurrence}`,
+      },
+      properties: { source, severity: finding.severity },
+    });
+  }
+
+  const driverRules = [...rules.values()].map(rule => {
+    const security = isSecurityRule(rule.id);
+    return {
+      id: rule.id,
+      name: ruleName(rule.id),
+      shortDescription: { text: `${security ? 'Security issue' : 'Issue'} reported by Z.ai review: ${rule.id.replace(/^zai\//, '')}` },
+      defaultConfiguration: { level: LEVELS[rule.severity] || 'note' },
+      properties: security
+        ? { tags: ['security'], 'security-severity': SECURITY_SEVERITIES[rule.severity] }
+        : { tags: ['maintainability'] },
+    };
+  });
+
+  return {
+    tool: { driver: { name: SARIF_TOOL_NAME, informationUri: SARIF_TOOL_URI, rules: driverRules } },
+    automationDetails: { id: `${SARIF_CATEGORY_PREFIX}/${source}/` },
+    results,
+  };
+}
+
+/**
+ * Build a SARIF 2.1.0 log from recorded findings, with one run per flow.
+ * A flow that finished without findings still gets an empty run, which
+ * closes its fixed alerts.
+ * @param {Array<{finding: Object, source: string}>} entries - From report.getEntries()
+ * @param {Array<string>} [sources] - From report.getSources(); defaults to the entries' sources
+ * @returns {Object} SARIF log
+ */
+function buildSarifLog(entries, sources = null) {
+  const recorded = entries || [];
+  const flows = sources || [...new Set(recorded.map(entry => entry.source))];
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: flows.map(source => buildSarifRun(recorded.filter(entry => entry.source === source), source)),
+  };
+}
+
+/**
+ * Write the report and set the `sarif_path` output. Nothing is written when
+ * the export is disabled or no analysis finished in this run, so an upload
+ * step never receives an empty file that would close existing alerts.
+ * @param {Object} report - SARIF report
+ * @param {Object} [_core] - @actions/core (injectable)
+ * @returns {string|null} Absolute path of the written file
+ */
+function writeSarifReport(report, _core = core) {
+  if (!report?.enabled || !report.analyzed) {
+    return null;
+  }
+  const target = nodePath.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), report.path);
+  fs.mkdirSync(nodePath.dirname(target), { recursive: true });
+  const log = buildSarifLog(report.getEntries(), report.getSources());
+  fs.writeFileSync(target, `${JSON.stringify(log, null, 2)}\n`);
+  _core.setOutput('sarif_path', target);
+  const results = log.runs.reduce((total, run) => total + run.results.length, 0);
+  _core.info(`Wrote ${results} finding(s) to SARIF report ${target}.`);
+  return target;
+}
+
+module.exports = {
+  SARIF_FINGERPRINT_KEY,
+  SARIF_CATEGORY_PREFIX,
+  createSarifReport,
+  getSarifFingerprint,
+  attachSourceText,
+  buildSarifLog,
+  writeSarifReport,
+};
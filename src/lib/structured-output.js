@@ -0,0 +1,311 @@
+/**
+ * Structured (JSON) model output
+ *
+ * In the opt-in `output.format: json` mode, auto-review and `/zai impact` ask
+ * the model for a single JSON object following STRUCTURED_OUTPUT_SCHEMA
+ * instead of free-form markdown. The answer is parsed and validated; when it
+ * does not conform, the model gets one repair round-trip with the validation
+ * errors. Comments are then rendered from the validated object, and labels,
+ * findings and the review rating are read from it directly rather than
+ * scraped from markdown.
+ */
+
+const { SEVERITIES, normalizeFinding } = require('./review-findings');
+
+const OUTPUT_FORMATS = ['markdown', 'json'];
+
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const RISK_LABELS = {
+  low: '🟢 Low',
+  medium: '🟡 Medium',
+  high: '🟠 High',
+  critical: '🔴 Critical',
+};
+
+// Final Assessment rating rendered for a risk level, read by the review check
+const RISK_RATINGS = {
+  low: 'Good',
+  medium: 'Normal',
+  high: 'Very Bad',
+  critical: 'Very Bad',
+};
+
+const MAX_LABELS = 5;
+const MAX_LABEL_CHARS = 50;
+
+// Invalid output echoed back in the repair prompt
+const MAX_REPAIR_OUTPUT_CHARS = 12000;
+
+/**
+ * JSON Schema (draft 2020-12) of the structured answer
+ */
+const STRUCTURED_OUTPUT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object',
+  required: ['summary', 'findings', 'risk', 'labels'],
+  additionalProperties: false,
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'line', 'severity', 'message'],
+        properties: {
+          path: { type: 'string' },
+          line: { type: 'integer', minimum: 1 },
+          start_line: { type: 'integer', minimum: 1 },
+          severity: { enum: SEVERITIES },
+          message: { type: 'string', minLength: 1 },
+          suggestion: { type: 'string' },
+          rule: { type: 'string' },
+        },
+      },
+    },
+    risk: {
+      type: 'object',
+      required: ['level', 'reason'],
+      properties: {
+        level: { enum: RISK_LEVELS },
+        reason: { type: 'string', minLength: 1 },
+      },
+    },
+    labels: {
+      type: 'array',
+      maxItems: MAX_LABELS,
+      items: { type: 'string', minLength: 1, maxLength: MAX_LABEL_CHARS },
+    },
+  },
+};
+
+/**
+ * Output instructions for the JSON mode, replacing a markdown format section
+ * @param {Object} [hints] - { summary, risk, labels } field descriptions for the task
+ * @returns {string}
+ */
+function buildStructuredInstructions(hints = {}) {
+  return `### Required Output Format:
+Respond with ONE JSON object and nothing else (no markdown, no code fences) that conforms to this JSON Schema:
+${JSON.stringify(STRUCTURED_OUTPUT_SCHEMA)}
+
+Field guidance:
+- "summary": ${hints.summary || '1-3 sentences summarizing the changes and their overall quality.'}
+- "findings": the concrete issues, each pointing at a line in the NEW version of a file from the diff ("line", and "start_line" for a range). "suggestion" is the exact replacement text for those lines when the fix is local. "rule" is a short kebab-case identifier for the kind of issue, prefixed with "security/" for security issues. Use an empty array when there are none.
+- "risk": ${hints.risk || '"level" is how risky it is to merge the changes as they are; "reason" justifies it in 1-2 sentences.'}
+- "labels": ${hints.labels || 'an empty array.'}`;
+}
+
+/**
+ * Parse the JSON object from a model answer. Code fences and text around the
+ * outermost braces are tolerated.
+ * @param {string} output - Model response
+ * @returns {{value: *, error: string|null}}
+ */
+function parseStructuredOutput(output) {
+  const text = String(output || '').trim();
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/);
+  const candidate = fenced ? fenced[1].trim() : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return { value: null, error: 'response does not contain a JSON object' };
+  }
+  try {
+    return { value: JSON.parse(candidate.slice(start, end + 1)), error: null };
+  } catch (error) {
+    return { value: null, error: `invalid JSON: ${error.message}` };
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateLabels(labels, errors) {
+  if (!Array.isArray(labels)) {
+    errors.push('labels must be an array of strings');
+    return [];
+  }
+  if (labels.length > MAX_LABELS) {
+    errors.push(`labels must have at most ${MAX_LABELS} items`);
+  }
+  labels.forEach((label, index) => {
+    if (typeof label !== 'string' || !label.trim()) {
+      errors.push(`labels[${index}] must be a non-empty string`);
+    } else if (label.trim().length > MAX_LABEL_CHARS) {
+      errors.push(`labels[${index}] must be at most ${MAX_LABEL_CHARS} characters`);
+    }
+  });
+  return [...new Set(labels.filter(label => typeof label === 'string').map(label => label.trim()))];
+}
+
+/**
+ * Validate a parsed answer against the schema and normalize it. Every schema
+ * violation is reported so the repair round-trip can name it.
+ * @param {*} value - Parsed JSON
+ * @returns {{valid: boolean, errors: Array<string>, value: Object|null}}
+ */
+function validateStructuredOutput(value) {
+  if (!isPlainObject(value)) {
+    return { valid: false, errors: ['root must be an object'], value: null };
+  }
+
+  const errors = [];
+  const allowed = Object.keys(STRUCTURED_OUTPUT_SCHEMA.properties);
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      errors.push(`unexpected property "${key}"`);
+    }
+  }
+
+  const summary = typeof value.summary === 'string' ? value.summary.trim() : '';
+  if (!summary) {
+    errors.push('summary must be a non-empty string');
+  }
+
+  const findings = [];
+  if (!Array.isArray(value.findings)) {
+    errors.push('findings must be an array');
+  } else {
+    value.findings.forEach((raw, index) => {
+      const finding = normalizeFinding(raw);
+      const severity = typeof raw?.severity === 'string' ? raw.severity.trim().toLowerCase() : '';
+      if (!finding) {
+        errors.push(`findings[${index}] must be an object with "path" and "message"`);
+      } else if (!finding.line) {
+        errors.push(`findings[${index}].line must be a positive integer`);
+      } else if (!SEVERITIES.includes(severity)) {
+        errors.push(`findings[${index}].severity must be one of: ${SEVERITIES.join(', ')}`);
+      } else {
+        findings.push(finding);
+      }
+    });
+  }
+
+  const level = typeof value.risk?.level === 'string' ? value.risk.level.trim().toLowerCase() : '';
+  const reason = typeof value.risk?.reason === 'string' ? value.risk.reason.trim() : '';
+  if (!isPlainObject(value.risk)) {
+    errors.push('risk must be an object');
+  } else {
+    if (!RISK_LEVELS.includes(level)) {
+      errors.push(`risk.level must be one of: ${RISK_LEVELS.join(', ')}`);
+    }
+    if (!reason) {
+      errors.push('risk.reason must be a non-empty string');
+    }
+  }
+
+  const labels = validateLabels(value.labels, errors);
+
+  if (errors.length) {
+    return { valid: false, errors, value: null };
+  }
+  return { valid: true, errors: [], value: { summary, findings, risk: { level, reason }, labels } };
+}
+
+/**
+ * Prompt asking the model to fix its previous answer
+ * @param {string} output - Invalid model response
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string}
+ */
+function buildRepairPrompt(output, errors) {
+  const previous = String(output || '');
+  const shown = previous.length > MAX_REPAIR_OUTPUT_CHARS
+    ? `${previous.slice(0, MAX_REPAIR_OUTPUT_CHARS)}\n... [truncated]`
+    : previous;
+  return `Your previous answer did not conform to the required JSON Schema.
+
+<validation_errors>
+${errors.map(error => `- ${error}`).join('\n')}
+</validation_errors>
+
+<previous_answer>
+${shown}
+</previous_answer>
+
+Return the corrected answer as ONE JSON object conforming to this schema, with no other text:
+${JSON.stringify(STRUCTURED_OUTPUT_SCHEMA)}`;
+}
+
+function checkOutput(output) {
+  const parsed = parseStructuredOutput(output);
+  return parsed.error ? { valid: false, errors: [parsed.error], value: null } : validateStructuredOutput(parsed.value);
+}
+
+/**
+ * Ask for a structured answer, with one repair round-trip when it is invalid.
+ * @param {Object} params - { prompt, callModel, logger }
+ * @param {Function} params.callModel - async prompt → text; errors propagate
+ * @returns {Promise<{success: boolean, value?: Object, repaired?: boolean, error?: string}>}
+ */
+async function requestStructuredOutput({ prompt, callModel, logger }) {
+  const output = await callModel(prompt);
+  const first = checkOutput(output);
+  if (first.valid) {
+    return { success: true, value: first.value, repaired: false };
+  }
+
+  logger?.warn({ errors: first.errors }, 'Structured output failed validation; asking the model to repair it');
+  const repaired = checkOutput(await callModel(`${prompt}\n\n${buildRepairPrompt(output, first.errors)}`));
+  if (repaired.valid) {
+    return { success: true, value: repaired.value, repaired: true };
+  }
+  return { success: false, error: `Structured output is invalid after repair: ${repaired.errors.join('; ')}` };
+}
+
+function formatFindingLine(finding) {
+  const location = finding.startLine ? `${finding.startLine}-${finding.line}` : finding.line;
+  return `* \`${finding.path}:${location}\`: ${finding.message}`;
+}
+
+function formatFindingList(findings) {
+  return findings.length ? findings.map(formatFindingLine).join('\n') : 'None detected.';
+}
+
+/**
+ * Render a validated auto-review answer in the markdown review layout. The
+ * Final Assessment rating is derived from the risk level.
+ * @param {Object} value - Validated structured answer
+ * @returns {string}
+ */
+function renderReviewMarkdown(value) {
+  const issues = value.findings.filter(finding => finding.severity !== 'suggestion');
+  const suggestions = value.findings.filter(finding => finding.severity === 'suggestion');
+  return [
+    `### 🔍 Review Summary\n${value.summary}`,
+    `### 🚨 Critical Issues & Bugs\n${formatFindingList(issues)}`,
+    `### 💡 Suggestions & Best Practices\n${formatFindingList(suggestions)}`,
+    `### 📊 Final Assessment\n* **Rating:** **${RISK_RATINGS[value.risk.level]}**\n* **Reason:** ${value.risk.reason}`,
+  ].join('\n\n');
+}
+
+/**
+ * Render a validated impact answer in the markdown impact layout
+ * @param {Object} value - Validated structured answer
+ * @returns {string}
+ */
+function renderImpactMarkdown(value) {
+  const labels = value.labels.length ? value.labels.map(label => `\`${label}\``).join(', ') : 'None';
+  return [
+    `**Risk Level:** ${RISK_LABELS[value.risk.level]}`,
+    `**Impact Summary:**\n${value.summary}`,
+    `**Risk Reason:**\n${value.risk.reason}`,
+    `**Critical Areas Touched:**\n${formatFindingList(value.findings)}`,
+    `**Suggested Labels:**\n${labels}`,
+  ].join('\n\n');
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  RISK_LEVELS,
+  STRUCTURED_OUTPUT_SCHEMA,
+  buildStructuredInstructions,
+  parseStructuredOutput,
+  validateStructuredOutput,
+  buildRepairPrompt,
+  requestStructuredOutput,
+  renderReviewMarkdown,
+  renderImpactMarkdown,
+};
@@ -0,0 +1,239 @@
+/**
+ * Token usage and latency accounting
+ *
+ * One tracker lives for the whole action run. The API client records every
+ * model call on it (label, tokens reported by the provider, wall-clock time
+ * including retries). At the end of the run the totals are written to the job
+ * summary and exposed as action outputs; bot comments can carry a compact
+ * footer. An optional token budget lets long-running flows such as batched
+ * auto-review stop before spending more.
+ */
+
+const core = require('@actions/core');
+const { updateCommentById } = require('./comments');
+
+const USAGE_FOOTER_MARKER = '<!-- zai-usage -->';
+
+const USAGE_OUTPUTS = ['prompt_tokens', 'completion_tokens', 'total_tokens', 'llm_calls', 'llm_latency_ms'];
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, durationMs: 0, unreportedCalls: 0 };
+}
+
+function addCall(totals, call) {
+  totals.calls += 1;
+  totals.promptTokens += call.promptTokens;
+  totals.completionTokens += call.completionTokens;
+  totals.totalTokens += call.totalTokens;
+  totals.durationMs += call.durationMs;
+  if (!call.reported) {
+    totals.unreportedCalls += 1;
+  }
+  return totals;
+}
+
+/**
+ * Create a run-wide usage tracker.
+ * @param {Object} [options] - { tokenBudget, footer } (a budget of 0 disables it)
+ * @returns {Object} Tracker with record, getTotals, getTotalsByLabel, isBudgetExceeded
+ */
+function createUsageTracker(options = {}) {
+  const tokenBudget = Number.isInteger(options.tokenBudget) && options.tokenBudget > 0 ? options.tokenBudget : 0;
+  const calls = [];
+
+  return {
+    tokenBudget,
+    // Whether bot comments should carry the usage footer
+    footer: Boolean(options.footer),
+
+    /**
+     * Record one model call. Calls whose provider reported no usage still
+     * count towards latency and are flagged as unreported.
+     * @param {Object} entry - { label, provider, model, usage, durationMs, success }
+     */
+    record({ label = 'api', provider = null, model = null, usage = null, durationMs = 0, success = true } = {}) {
+      calls.push({
+        label,
+        provider,
+        model,
+        promptTokens: usage?.promptTokens || 0,
+        completionTokens: usage?.completionTokens || 0,
+        totalTokens: usage?.totalTokens || 0,
+        durationMs: Math.max(0, durationMs || 0),
+        reported: Boolean(usage),
+        success,
+      });
+    },
+
+    /**
+     * @param {string} [label] - Only count calls with this label
+     * @returns {Object} { calls, promptTokens, completionTokens, totalTokens, durationMs, unreportedCalls }
+     */
+    getTotals(label) {
+      return calls
+        .filter(call => label === undefined || call.label === label)
+        .reduce(addCall, emptyTotals());
+    },
+
+    /**
+     * @returns {Array<Object>} Totals per label, in first-seen order
+     */
+    getTotalsByLabel() {
+      const byLabel = new Map();
+      for (const call of calls) {
+        if (!byLabel.has(call.label)) {
+          byLabel.set(call.label, { label: call.label, ...emptyTotals() });
+        }
+        addCall(byLabel.get(call.label), call);
+      }
+      return [...byLabel.values()];
+    },
+
+    isBudgetExceeded() {
+      return tokenBudget > 0 && this.getTotals().totalTokens >= tokenBudget;
+    },
+  };
+}
+
+function formatNumber(value) {
+  return Number(value || 0).toLocaleString('en-US');
+}
+
+function formatDuration(ms) {
+  return `${(Number(ms || 0) / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Build the compact footer appended to bot comments.
+ * @param {Object} totals - From tracker.getTotals()
+ * @returns {string} Footer ending with USAGE_FOOTER_MARKER, or '' when nothing was called
+ */
+function formatUsageFooter(totals) {
+  if (!totals?.calls) {
+    return '';
+  }
+  const tokens = totals.unreportedCalls === totals.calls
+    ? 'tokens not reported'
+    : `${formatNumber(totals.promptTokens)} prompt + ${formatNumber(totals.completionTokens)} completion tokens`;
+  const calls = `${totals.calls} call${totals.calls === 1 ? '' : 's'}`;
+  return `<sub>${tokens} · ${calls} · ${formatDuration(totals.durationMs)}</sub>\n${USAGE_FOOTER_MARKER}`;
+}
+
+/**
+ * Remove a usage footer written by a previous run.
+ * @param {string} body - Comment content
+ * @returns {string}
+ */
+function stripUsageFooter(body) {
+  if (typeof body !== 'string') {
+    return '';
+  }
+  return body.replace(/\n*<sub>[^\n]*<\/sub>\n<!-- zai-usage -->/g, '');
+}
+
+/**
+ * Insert the footer before the hidden markers at the end of a comment body,
+ * replacing an older footer if present.
+ * @param {string} body - Comment body
+ * @param {string} footer - From formatUsageFooter
+ * @returns {string}
+ */
+function appendUsageFooter(body, footer) {
+  const clean = stripUsageFooter(body);
+  if (!footer) {
+    return clean;
+  }
+  const markerIndex = clean.search(/\n*(<!-- [^>]*-->\s*)+$/);
+  if (markerIndex === -1) {
+    return `${clean}\n\n${footer}`;
+  }
+  return `${clean.slice(0, markerIndex)}\n\n${footer}\n\n${clean.slice(markerIndex).replace(/^\n+/, '')}`;
+}
+
+/**
+ * Append the usage footer to a comment that a handler has already posted.
+ * @param {Object} octokit - GitHub Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object|null} comment - { id, isReviewComment }
+ * @param {string} footer - From formatUsageFooter
+ * @returns {Promise<boolean>} Whether the comment was updated
+ */
+async function appendUsageFooterToComment(octokit, owner, repo, comment, footer) {
+  if (!comment?.id || !footer) {
+    return false;
+  }
+  const { data } = comment.isReviewComment
+    ? await octokit.rest.pulls.getReviewComment({ owner, repo, comment_id: comment.id })
+    : await octokit.rest.issues.getComment({ owner, repo, comment_id: comment.id });
+  await updateCommentById(octokit, owner, repo, comment.id, appendUsageFooter(data.body, footer), {
+    isReviewComment: comment.isReviewComment,
+  });
+  return true;
+}
+
+/**
+ * Set the usage action outputs.
+ * @param {Object} tracker - Usage tracker
+ * @param {Object} [_core] - @actions/core (injectable)
+ */
+function setUsageOutputs(tracker, _core = core) {
+  const totals = tracker.getTotals();
+  const values = [totals.promptTokens, totals.completionTokens, totals.totalTokens, totals.calls, totals.durationMs];
+  USAGE_OUTPUTS.forEach((name, index) => _core.setOutput(name, String(values[index])));
+}
+
+/**
+ * Write a usage table to the job summary. Does nothing when no model call was made.
+ * @param {Object} tracker - Usage tracker
+ * @param {Object} [_core] - @actions/core (injectable)
+ * @returns {Promise<void>}
+ */
+async function writeUsageSummary(tracker, _core = core) {
+  const totals = tracker.getTotals();
+  if (!totals.calls) {
+    return;
+  }
+
+  const row = (name, entry) => [
+    name,
+    String(entry.calls),
+    formatNumber(entry.promptTokens),
+    formatNumber(entry.completionTokens),
+    formatNumber(entry.totalTokens),
+    formatDuration(entry.durationMs),
+  ];
+  const rows = [
+    [
+      { data: 'Label', header: true },
+      { data: 'Calls', header: true },
+      { data: 'Prompt tokens', header: true },
+      { data: 'Completion tokens', header: true },
+      { data: 'Total tokens', header: true },
+      { data: 'Latency', header: true },
+    ],
+    ...tracker.getTotalsByLabel().map(entry => row(entry.label, entry)),
+    row('Total', totals),
+  ];
+
+  let summary = _core.summary.addHeading('Z.ai usage', 3).addTable(rows);
+  if (totals.unreportedCalls) {
+    summary = summary.addRaw(`${totals.unreportedCalls} call(s) did not report token usage.`, true);
+  }
+  if (tracker.tokenBudget) {
+    summary = summary.addRaw(`Token budget: ${formatNumber(totals.totalTokens)} / ${formatNumber(tracker.tokenBudget)}.`, true);
+  }
+  await summary.write();
+}
+
+module.exports = {
+  USAGE_FOOTER_MARKER,
+  USAGE_OUTPUTS,
+  createUsageTracker,
+  formatUsageFooter,
+  stripUsageFooter,
+  appendUsageFooter,
+  appendUsageFooterToComment,
+  setUsageOutputs,
+  writeUsageSummary,
+};
@@ -1,9 +1,12 @@
-import { test, describe, expect, mock } from 'vitest';
+import { test, describe, expect, mock, vi, afterEach } from 'vitest';
 const {
   createApiClient,
   callWithRetry,
   categorizeError,
   sanitizeErrorMessage,
+  buildChatMessages,
+  buildSamplingOptions,
+  DEFAULT_SYSTEM_PROMPT,
   DEFAULT_TIMEOUT_MS,
   DEFAULT_MAX_RETRIES,
   DEFAULT_BASE_DELAY_MS,
@@ -601,6 +604,210 @@ describe('makeApiRequest transport', () => {
   });
 });
 
+describe('createStreamParser', () => {
+  const { createStreamParser } = require('../src/lib/api');
+  const { PROVIDERS } = require('../src/lib/providers');
+  const createSseParser = onText => createStreamParser(PROVIDERS.zai.parseStreamLine, onText);
+  const chunk = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+  test('accumulates delta content and reports progress', () => {
+    const seen = [];
+    const parser = createSseParser(text => seen.push(text));
+    parser.push(chunk('Hello') + chunk(', world'));
+    parser.push('data: [DONE]\n\n');
+
+    expect(parser.getText()).toBe('Hello, world');
+    expect(parser.isDone()).toBe(true);
+    expect(seen).toEqual(['Hello', 'Hello, world']);
+  });
+
+  test('handles lines split across network chunks', () => {
+    const parser = createSseParser();
+    const line = chunk('split');
+    parser.push(line.slice(0, 12));
+    expect(parser.getText()).toBe('');
+    parser.push(line.slice(12));
+    expect(parser.getText()).toBe('split');
+  });
+
+  test('ignores comments, CRLF endings and malformed payloads', () => {
+    const parser = createSseParser();
+    parser.push(': keep-alive\r\n\r\ndata: not-json\r\n\r\n');
+    parser.push(chunk('ok').replace(/\n/g, '\r\n'));
+    parser.push('data: [DONE]');
+    parser.end();
+
+    expect(parser.getText()).toBe('ok');
+    expect(parser.isDone()).toBe(true);
+  });
+
+  test('throws on an error event', () => {
+    const parser = createSseParser();
+    expect(() => parser.push('data: {"error":{"message":"overloaded"}}\n'))
+      .toThrow('Z.ai API stream error: overloaded');
+  });
+});
+
+describe('makeApiRequest streaming', () => {
+  const https = require('https');
+  const { EventEmitter } = require('events');
+  const { makeApiRequest } = require('../src/lib/api');
+
+  function stubResponse({ statusCode = 200, contentType, chunks }) {
+    const written = [];
+    const spy = vi.spyOn(https, 'request').mockImplementation((options, callback) => {
+      const req = new EventEmitter();
+      req.write = body => written.push(body);
+      req.destroy = () => {};
+      req.end = () => {
+        const res = new EventEmitter();
+        res.statusCode = statusCode;
+        res.headers = { 'content-type': contentType };
+        res.destroy = () => {};
+        callback(res);
+        for (const data of chunks) {
+          res.emit('data', data);
+        }
+        res.emit('end');
+      };
+      return req;
+    });
+    return { spy, written };
+  }
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('requests SSE and resolves with the streamed answer', async () => {
+    const { spy, written } = stubResponse({
+      contentType: 'text/event-stream; charset=utf-8',
+      chunks: [
+        'data: {"choices":[{"delta":{"content":"Looks "}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"good"}}]}\n\ndata: [DONE]\n\n',
+      ],
+    });
+    const progress = [];
+
+    const result = await makeApiRequest({
+      apiKey: 'k', model: 'm', prompt: 'p', timeout: 1000, stream: true, onProgress: text => progress.push(text),
+    });
+
+    expect(result).toBe('Looks good');
+    expect(progress).toEqual(['Looks ', 'Looks good']);
+    expect(JSON.parse(written[0]).stream).toBe(true);
+    expect(spy.mock.calls[0][0].headers.Accept).toContain('text/event-stream');
+  });
+
+  test('asks for usage in the stream and records it from the final chunk', async () => {
+    const { written } = stubResponse({
+      contentType: 'text/event-stream',
+      chunks: [
+        'data: {"choices":[{"delta":{"content":"ok"}}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":40,"completion_tokens":2}}\n\ndata: [DONE]\n\n',
+      ],
+    });
+    const onUsage = vi.fn();
+
+    const result = await makeApiRequest({
+      apiKey: 'k', model: 'm', prompt: 'p', timeout: 1000, stream: true, onProgress: () => {}, onUsage,
+    });
+
+    expect(result).toBe('ok');
+    expect(JSON.parse(written[0]).stream_options).toEqual({ include_usage: true });
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 40, completionTokens: 2, totalTokens: 42 });
+  });
+
+  test('falls back to a JSON body when the provider does not stream', async () => {
+    stubResponse({
+      contentType: 'application/json',
+      chunks: ['{"choices":[{"message":{"content":"full answer"}}]}'],
+    });
+    const onProgress = vi.fn();
+
+    const result = await makeApiRequest({
+      apiKey: 'k', model: 'm', prompt: 'p', timeout: 1000, stream: true, onProgress,
+    });
+
+    expect(result).toBe('full answer');
+    expect(onProgress).not.toHaveBeenCalled();
+  });
+
+  test('rejects a stream that ends before [DONE] as retryable', async () => {
+    stubResponse({
+      contentType: 'text/event-stream',
+      chunks: ['data: {"choices":[{"delta":{"content":"partial"}}]}\n\n'],
+    });
+
+    const error = await makeApiRequest({
+      apiKey: 'k', model: 'm', prompt: 'p', timeout: 1000, stream: true, onProgress: () => {},
+    }).catch(err => err);
+
+    expect(error.message).toContain('stream ended before completion');
+    expect(categorizeError(error)).toEqual({ category: 'provider', retryable: true });
+  });
+
+  test('does not request streaming by default', async () => {
+    const { written } = stubResponse({
+      contentType: 'application/json',
+      chunks: ['{"choices":[{"message":{"content":"ok"}}]}'],
+    });
+
+    await makeApiRequest({ apiKey: 'k', model: 'm', prompt: 'p', timeout: 1000 });
+
+    expect(JSON.parse(written[0]).stream).toBeUndefined();
+  });
+
+  test('sends the system prompt, the chat messages and the prompt in order', async () => {
+    const { written } = stubResponse({
+      contentType: 'application/json',
+      chunks: ['{"choices":[{"message":{"content":"ok"}}]}'],
+    });
+
+    await makeApiRequest({
+      apiKey: 'k',
+      model: 'm',
+      prompt: 'And now?',
+      systemPrompt: 's',
+      messages: [{ role: 'user', content: 'Why?' }, { role: 'assistant', content: 'Because.' }],
+      sampling: { temperature: 0.1, stop: ['END'] },
+      timeout: 1000,
+    });
+
+    const body = JSON.parse(written[0]);
+    expect(body.messages).toEqual([
+      { role: 'system', content: 's' },
+      { role: 'user', content: 'Why?' },
+      { role: 'assistant', content: 'Because.' },
+      { role: 'user', content: 'And now?' },
+    ]);
+    expect(body).toMatchObject({ temperature: 0.1, stop: ['END'] });
+  });
+});
+
+describe('buildChatMessages', () => {
+  test('adds the default system prompt unless the messages carry one', () => {
+    expect(buildChatMessages({ prompt: 'p' })).toEqual([
+      { role: 'system', content: DEFAULT_SYSTEM_PROMPT },
+      { role: 'user', content: 'p' },
+    ]);
+    expect(buildChatMessages({ messages: [{ role: 'system', content: 'own' }, { role: 'user', content: 'u' }], systemPrompt: 'ignored' }))
+      .toEqual([{ role: 'system', content: 'own' }, { role: 'user', content: 'u' }]);
+  });
+});
+
+describe('buildSamplingOptions', () => {
+  test('keeps valid values and normalizes stop sequences', () => {
+    expect(buildSamplingOptions({ temperature: 0, maxTokens: 256, topP: 0.95, stop: 'END' }))
+      .toEqual({ temperature: 0, maxTokens: 256, topP: 0.95, stop: ['END'] });
+  });
+
+  test('drops unset and out-of-range values', () => {
+    expect(buildSamplingOptions({})).toEqual({});
+    expect(buildSamplingOptions({ temperature: -1, maxTokens: 1.5, topP: 2, stop: ['', null] })).toEqual({});
+  });
+});
+
 describe('constants', () => {
   test('DEFAULT_TIMEOUT_MS is 30000', () => {
     expect(DEFAULT_TIMEOUT_MS).toBe(30000);
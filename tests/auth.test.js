@@ -11,8 +11,10 @@ const {
   getCommenter,
   getUnauthorizedMessage,
   getUnknownCommandMessage,
+  getRequiredPermission,
   AUTHORIZED_PERMISSIONS,
   AUTHORIZED_ASSOCIATIONS,
+  DEFAULT_AUTHORIZATION_POLICY,
 } = require('../src/lib/auth');
 
 function createMockOctokit(permission, shouldThrow = false, errorStatus = null, pullRequestData = null) {
@@ -134,7 +136,7 @@ describe('checkAuthorization', () => {
     const result = await checkAuthorization(octokit, context, commenter);
 
     expect(result.authorized).toBe(true);
-    expect(result.reason).toBe('identifiable_user');
+    expect(result.reason).toBe('repository_owner');
   });
 
   test('allows repository owner with case-insensitive login match', async () => {
@@ -145,11 +147,11 @@ describe('checkAuthorization', () => {
     const result = await checkAuthorization(octokit, context, commenter);
 
     expect(result.authorized).toBe(true);
-    expect(result.reason).toBe('identifiable_user');
+    expect(result.reason).toBe('repository_owner');
   });
 
-  test('allows trusted author association without collaborator lookup', async () => {
-    const octokit = createMockOctokit(null, true, 403);
+  test('allows trusted author association with write permission', async () => {
+    const octokit = createMockOctokit('write');
     const context = createMockContext();
     context.payload.comment = { author_association: 'MEMBER' };
     const commenter = { login: 'org-member' };
@@ -157,10 +159,10 @@ describe('checkAuthorization', () => {
     const result = await checkAuthorization(octokit, context, commenter);
 
     expect(result.authorized).toBe(true);
-    expect(result.reason).toBe('identifiable_user');
+    expect(result.reason).toBe('permission');
   });
 
-  test('allows contributor association without collaborator lookup', async () => {
+  test('requires permission even for trusted author associations', async () => {
     const octokit = createMockOctokit('none');
     const context = createMockContext();
     context.payload.comment = { author_association: 'CONTRIBUTOR' };
@@ -168,8 +170,20 @@ describe('checkAuthorization', () => {
 
     const result = await checkAuthorization(octokit, context, commenter);
 
-    expect(result.authorized).toBe(true);
-    expect(result.reason).toBe('identifiable_user');
+    expect(result.authorized).toBe(false);
+    expect(result.reason).toContain('requires write permission');
+  });
+
+  test('denies untrusted author associations without collaborator lookup', async () => {
+    const octokit = createMockOctokit(null, true, 500);
+    const context = createMockContext();
+    context.payload.comment = { author_association: 'NONE' };
+    const commenter = { login: 'drive-by' };
+
+    const result = await checkAuthorization(octokit, context, commenter);
+
+    expect(result.authorized).toBe(false);
+    expect(result.reason).toBe('Authorization denied (author_association: NONE). Allowed associations: OWNER, MEMBER, COLLABORATOR, CONTRIBUTOR.');
   });
 
   test('returns authorized for collaborator', async () => {
@@ -180,7 +194,7 @@ describe('checkAuthorization', () => {
     const result = await checkAuthorization(octokit, context, commenter);
 
     expect(result.authorized).toBe(true);
-    expect(result.reason).toBe('identifiable_user');
+    expect(result.reason).toBe('permission');
   });
 
   test('returns unauthorized for non-collaborator', async () => {
@@ -188,9 +202,9 @@ describe('checkAuthorization', () => {
     const context = createMockContext();
     const commenter = { login: 'random-user' };
 
-    const result = await checkAuthorization(octokit, context, commenter);
-    expect(result.authorized).toBe(true);
-    expect(result.reason).toBe('identifiable_user');
+    const result = await checkAuthorization(octokit, context, commenter, { command: 'ask' });
+    expect(result.authorized).toBe(false);
+    expect(result.reason).toBe('Authorization denied: `/zai ask` requires write permission (@random-user has none).');
   });
 
   test('returns unauthorized for null commenter', async () => {
@@ -221,8 +235,8 @@ describe('checkAuthorization', () => {
     const commenter = { login: 'some-user' };
 
     const result = await checkAuthorization(octokit, context, commenter);
-    expect(result.authorized).toBe(true);
-    expect(result.reason).toBe('identifiable_user');
+    expect(result.authorized).toBe(false);
+    expect(result.reason).toBe('Authorization check failed. Please try again later.');
   });
 
   test('returns auth-check-failed for 403 permission errors', async () => {
@@ -231,8 +245,131 @@ describe('checkAuthorization', () => {
     const commenter = { login: 'some-user' };
 
     const result = await checkAuthorization(octokit, context, commenter);
+    expect(result.authorized).toBe(false);
+    expect(result.reason).toBe('Authorization check failed. Please try again later.');
+  });
+});
+
+describe('checkAuthorization policy', () => {
+  const policy = (overrides = {}) => ({ ...DEFAULT_AUTHORIZATION_POLICY, ...overrides });
+
+  function createTeamOctokit(permission, teams = {}) {
+    const calls = { permission: 0, teams: 0 };
+    return {
+      calls,
+      rest: {
+        repos: {
+          getCollaboratorPermission: async () => {
+            calls.permission += 1;
+            return { data: { permission } };
+          },
+        },
+        teams: {
+          getMembershipForUserInOrg: async ({ org, team_slug: teamSlug }) => {
+            calls.teams += 1;
+            const state = teams[`${org}/${teamSlug}`];
+            if (state instanceof Error) {
+              throw state;
+            }
+            if (!state) {
+              const error = new Error('Not Found');
+              error.status = 404;
+              throw error;
+            }
+            return { data: { state } };
+          },
+        },
+      },
+    };
+  }
+
+  test('deny list takes precedence over owner and permission', async () => {
+    const result = await checkAuthorization(createTeamOctokit('admin'), createMockContext(), { login: 'Test-Owner' }, {
+      policy: policy({ denyUsers: ['test-owner'] }),
+    });
+
+    expect(result.authorized).toBe(false);
+    expect(result.reason).toContain("@Test-Owner is on this repository's deny list");
+  });
+
+  test('allow list bypasses permission checks', async () => {
+    const octokit = createTeamOctokit('none');
+    const result = await checkAuthorization(octokit, createMockContext(), { login: 'Trusted-Bot' }, {
+      policy: policy({ allowUsers: ['trusted-bot'] }),
+    });
+
+    expect(result).toEqual({ authorized: true, reason: 'allowed_user' });
+    expect(octokit.calls.permission).toBe(0);
+  });
+
+  test('team lists resolve membership in the owner org by default', async () => {
+    const octokit = createTeamOctokit('none', { 'test-owner/reviewers': 'active', 'other-org/blocked': 'active' });
+
+    const allowed = await checkAuthorization(octokit, createMockContext(), { login: 'reviewer' }, {
+      policy: policy({ allowTeams: ['reviewers'] }),
+    });
+    const denied = await checkAuthorization(octokit, createMockContext(), { login: 'reviewer' }, {
+      policy: policy({ denyTeams: ['other-org/blocked'] }),
+    });
+
+    expect(allowed.reason).toBe('allowed_team');
+    expect(denied.authorized).toBe(false);
+    expect(denied.reason).toContain('denied team other-org/blocked');
+  });
+
+  test('deny team lookup failures deny access', async () => {
+    const forbidden = new Error('Forbidden');
+    forbidden.status = 403;
+    const octokit = createTeamOctokit('admin', { 'test-owner/blocked': forbidden });
+
+    const result = await checkAuthorization(octokit, createMockContext(), { login: 'someone' }, {
+      policy: policy({ denyTeams: ['blocked'] }),
+    });
+
+    expect(result.reason).toBe('Authorization check failed. Please try again later.');
+  });
+
+  test('applies per-command minimum permission', async () => {
+    const octokit = createTeamOctokit('write');
+    const strict = policy({ commands: { help: 'read', 'update-agents': 'admin' } });
+
+    const review = await checkAuthorization(octokit, createMockContext(), { login: 'dev' }, { command: 'review', policy: strict });
+    const updateAgents = await checkAuthorization(octokit, createMockContext(), { login: 'dev' }, { command: 'update-agents', policy: strict });
+
+    expect(review.authorized).toBe(true);
+    expect(updateAgents.authorized).toBe(false);
+    expect(updateAgents.reason).toContain('`/zai update-agents` requires admin permission (@dev has write)');
+  });
+
+  test('prefers role_name so maintain is distinguished from write', async () => {
+    const octokit = {
+      rest: { repos: { getCollaboratorPermission: async () => ({ data: { permission: 'write', role_name: 'maintain' } }) } },
+    };
+
+    const result = await checkAuthorization(octokit, createMockContext(), { login: 'lead' }, {
+      policy: policy({ minPermission: 'maintain' }),
+    });
+
     expect(result.authorized).toBe(true);
-    expect(result.reason).toBe('identifiable_user');
+    expect(result.permission).toBe('maintain');
+  });
+
+  test('caches permission lookups per client', async () => {
+    const octokit = createTeamOctokit('write');
+
+    await checkAuthorization(octokit, createMockContext(), { login: 'dev' });
+    await checkAuthorization(octokit, createMockContext(), { login: 'DEV' });
+
+    expect(octokit.calls.permission).toBe(1);
+  });
+
+  test('getRequiredPermission uses the stricter of command and fork minimums', () => {
+    const relaxed = policy({ commands: { ask: 'read' } });
+
+    expect(getRequiredPermission(relaxed, 'ask', false)).toBe('read');
+    expect(getRequiredPermission(relaxed, 'ask', true)).toBe('write');
+    expect(getRequiredPermission(relaxed, 'review', false)).toBe('write');
+    expect(getRequiredPermission(policy({ fork: { minPermission: 'read' } }), 'review', true)).toBe('write');
   });
 });
 
@@ -277,7 +414,7 @@ describe('checkForkAuthorization', () => {
     const result = await checkForkAuthorization(octokit, context, commenter);
 
     expect(result.authorized).toBe(true);
-    expect(result.reason).toBe('identifiable_user');
+    expect(result.reason).toBe('repository_owner');
   });
 
   test('allows collaborator on regular PR', async () => {
@@ -290,12 +427,26 @@ describe('checkForkAuthorization', () => {
     expect(result.authorized).toBe(true);
   });
 
-  test('allows any user on regular PR (permissive)', async () => {
-    const octokit = createMockOctokit('none');
+  test('denies users without write permission on regular PR', async () => {
+    const octokit = createMockOctokit('read');
     const context = createMockContext(false);
     const commenter = { login: 'random-user' };
     const result = await checkForkAuthorization(octokit, context, commenter);
-    expect(result.authorized).toBe(true);
+    expect(result.authorized).toBe(false);
+    expect(result.reason).toContain('requires write permission (@random-user has read)');
+  });
+
+  test('applies the fork minimum permission on fork PRs', async () => {
+    const octokit = createMockOctokit('read');
+    const policy = { ...DEFAULT_AUTHORIZATION_POLICY, commands: { ask: 'read' } };
+    const commenter = { login: 'reader' };
+
+    const regular = await checkForkAuthorization(octokit, createMockContext(false), commenter, { command: 'ask', policy });
+    const fork = await checkForkAuthorization(octokit, createMockContext(true), commenter, { command: 'ask', policy });
+
+    expect(regular.authorized).toBe(true);
+    expect(fork.authorized).toBe(false);
+    expect(fork.reason).toContain('requires write permission on pull requests from forks');
   });
 
   test('allows collaborator on fork PR', async () => {
@@ -308,7 +459,7 @@ describe('checkForkAuthorization', () => {
     expect(result.authorized).toBe(true);
   });
 
-  test('allows fork PR creator even without collaborator permission', async () => {
+  test('denies fork PR creator without collaborator permission by default', async () => {
     const pullRequest = {
       head: { repo: { fork: true } },
       user: { login: 'pr-creator' },
@@ -319,7 +470,22 @@ describe('checkForkAuthorization', () => {
 
     const result = await checkForkAuthorization(octokit, context, commenter);
 
-    expect(result.authorized).toBe(true);
+    expect(result.authorized).toBe(false);
+  });
+
+  test('allows fork PR creator when the policy allows PR authors', async () => {
+    const pullRequest = {
+      head: { repo: { fork: true } },
+      user: { login: 'pr-creator' },
+    };
+    const octokit = createMockOctokit('none');
+    const context = createMockContext(true, pullRequest);
+    const commenter = { login: 'pr-creator' };
+    const policy = { ...DEFAULT_AUTHORIZATION_POLICY, fork: { minPermission: 'write', allowPrAuthor: true } };
+
+    const result = await checkForkAuthorization(octokit, context, commenter, { policy });
+
+    expect(result).toEqual({ authorized: true, reason: 'fork_pr_author' });
   });
 
   test('allows repository owner on fork PR (e.g., Dependabot)', async () => {
@@ -336,12 +502,13 @@ describe('checkForkAuthorization', () => {
     expect(result.authorized).toBe(true);
   });
 
-  test('allows any user on fork PR (permissive)', async () => {
+  test('denies non-collaborators on fork PR with a reason', async () => {
     const octokit = createMockOctokit('none');
     const context = createMockContext(true);
     const commenter = { login: 'random-user' };
     const result = await checkForkAuthorization(octokit, context, commenter);
-    expect(result.authorized).toBe(true);
+    expect(result.authorized).toBe(false);
+    expect(result.reason).toContain('on pull requests from forks');
   });
 
   test('blocks anonymous user on fork PR silently', async () => {
@@ -371,11 +538,27 @@ describe('checkForkAuthorization', () => {
       },
     };
     const commenter = { login: 'fork-author' };
+    const policy = { ...DEFAULT_AUTHORIZATION_POLICY, fork: { minPermission: 'write', allowPrAuthor: true } };
 
-    const result = await checkForkAuthorization(octokit, context, commenter);
+    const result = await checkForkAuthorization(octokit, context, commenter, { policy });
 
     expect(result.authorized).toBe(true);
   });
+
+  test('denies when the pull request cannot be fetched instead of assuming a non-fork PR', async () => {
+    const octokit = createMockOctokit('write');
+    octokit.rest.pulls.get = async () => {
+      throw Object.assign(new Error('Server Error'), { status: 502 });
+    };
+    const context = {
+      repo: { owner: 'test-owner', repo: 'test-repo' },
+      payload: { issue: { number: 123, pull_request: { url: 'https://api.github.test/pulls/123' } } },
+    };
+
+    const result = await checkForkAuthorization(octokit, context, { login: 'collaborator' });
+
+    expect(result).toEqual({ authorized: false, reason: 'Authorization check failed. Please try again later.' });
+  });
 });
 
 describe('getUnauthorizedMessage', () => {
@@ -400,6 +583,13 @@ describe('getUnauthorizedMessage', () => {
     expect(message).toContain('Allowed associations: OWNER, MEMBER, COLLABORATOR, CONTRIBUTOR');
   });
 
+  test('returns policy denial reasons unchanged', () => {
+    const reason = 'Authorization denied: `/zai ask` requires write permission (@someone has read).';
+    expect(getUnauthorizedMessage(reason)).toBe(reason);
+    expect(getUnauthorizedMessage('Authorization denied (author_association: NONE). Allowed associations: OWNER.'))
+      .toBe('Authorization denied (author_association: NONE). Allowed associations: OWNER.');
+  });
+
   test('does not expose internal details', () => {
     const message = getUnauthorizedMessage();
     expect(message).not.toContain('token');
@@ -529,10 +719,11 @@ describe('isTrustedCommentAuthor', () => {
     expect(isTrustedCommentAuthor(context, { login: 'u4' })).toBe(true);
   });
 
-  test('returns true for all associations (permissive)', () => {
+  test('returns false for associations outside the allowed set', () => {
     const context = createMockContext();
     context.payload.comment = { author_association: 'NONE' };
-    expect(isTrustedCommentAuthor(context, { login: 'u5' })).toBe(true);
+    expect(isTrustedCommentAuthor(context, { login: 'u5' })).toBe(false);
+    expect(isTrustedCommentAuthor(context, { login: 'u5' }, ['NONE'])).toBe(true);
   });
 });
 
@@ -542,9 +733,9 @@ describe('AUTHORIZED_ASSOCIATIONS', () => {
     expect(AUTHORIZED_ASSOCIATIONS.has('MEMBER')).toBe(true);
     expect(AUTHORIZED_ASSOCIATIONS.has('COLLABORATOR')).toBe(true);
     expect(AUTHORIZED_ASSOCIATIONS.has('CONTRIBUTOR')).toBe(true);
-    expect(AUTHORIZED_ASSOCIATIONS.has('NONE')).toBe(true);
-    expect(AUTHORIZED_ASSOCIATIONS.has('FIRST_TIMER')).toBe(true);
-    expect(AUTHORIZED_ASSOCIATIONS.has('FIRST_TIME_CONTRIBUTOR')).toBe(true);
-    expect(AUTHORIZED_ASSOCIATIONS.has('MANNEQUIN')).toBe(true);
+    expect(AUTHORIZED_ASSOCIATIONS.has('NONE')).toBe(false);
+    expect(AUTHORIZED_ASSOCIATIONS.has('FIRST_TIMER')).toBe(false);
+    expect(AUTHORIZED_ASSOCIATIONS.has('FIRST_TIME_CONTRIBUTOR')).toBe(false);
+    expect(AUTHORIZED_ASSOCIATIONS.has('MANNEQUIN')).toBe(false);
   });
 });
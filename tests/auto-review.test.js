@@ -65,6 +65,16 @@ describe('auto-review helpers', () => {
     expect(notes.some(note => note.includes('3000 files'))).toBe(true);
   });
 
+  test('buildCoverageNotes lists ignored files and summarizes long lists', () => {
+    const notes = buildCoverageNotes({ reviewedFiles: 1, totalBatches: 1, excludedFiles: ['yarn.lock', 'dist/index.js'] });
+    expect(notes).toContain('2 changed file(s) were not reviewed because they match ignore rules: `yarn.lock`, `dist/index.js`.');
+
+    const many = Array.from({ length: 25 }, (_, index) => `gen/${index}.js`);
+    const longNote = buildCoverageNotes({ excludedFiles: many }).at(-1);
+    expect(longNote).toContain('`gen/19.js` and 5 more.');
+    expect(longNote).not.toContain('gen/20.js');
+  });
+
   test('buildFallbackReview includes batch sections and coverage notes', () => {
     const review = buildFallbackReview([
       { review: 'Batch one review' },
@@ -0,0 +1,242 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  CHANGELOG_HEADER,
+  resolveChangelogRange,
+  fetchMergedPullRequests,
+  classifyPullRequest,
+  groupPullRequests,
+  renderChangelogSection,
+  insertChangelogSection,
+  upsertDraftRelease,
+  generateChangelog,
+} = require('../src/lib/changelog');
+
+function pull(number, title, { labels = [], mergedAt = '2026-10-10T00:00:00Z', updatedAt, login = 'alice' } = {}) {
+  return {
+    number,
+    title,
+    labels: labels.map(name => ({ name })),
+    merged_at: mergedAt,
+    updated_at: updatedAt || mergedAt || '2026-10-10T00:00:00Z',
+    user: { login },
+  };
+}
+
+function buildOctokit({ latestTag = 'v1.0.0', dates = {}, pages = [[]] } = {}) {
+  return {
+    rest: {
+      repos: {
+        get: vi.fn().mockResolvedValue({ data: { default_branch: 'main' } }),
+        getLatestRelease: latestTag
+          ? vi.fn().mockResolvedValue({ data: { tag_name: latestTag } })
+          : vi.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })),
+        getCommit: vi.fn(async ({ ref }) => ({ data: { commit: { committer: { date: dates[ref] } } } })),
+      },
+      pulls: {
+        list: vi.fn(async ({ page }) => ({ data: pages[page - 1] || [] })),
+      },
+    },
+  };
+}
+
+describe('resolveChangelogRange', () => {
+  test('defaults to the latest release up to now on the default branch', async () => {
+    const octokit = buildOctokit({ dates: { 'v1.0.0': '2026-10-01T00:00:00Z' } });
+
+    const range = await resolveChangelogRange(octokit, 'o', 'r');
+
+    expect(range).toMatchObject({ from: 'v1.0.0', to: null, since: '2026-10-01T00:00:00Z', branch: 'main', version: 'Unreleased' });
+  });
+
+  test('covers the whole history when there is no release yet', async () => {
+    const octokit = buildOctokit({ latestTag: null });
+
+    const range = await resolveChangelogRange(octokit, 'o', 'r', { branch: 'develop' });
+
+    expect(range).toMatchObject({ from: null, since: null, branch: 'develop' });
+    expect(octokit.rest.repos.get).not.toHaveBeenCalled();
+  });
+
+  test('uses explicit tags for both ends', async () => {
+    const octokit = buildOctokit({ dates: { 'v1.1.0': '2026-10-01T00:00:00Z', 'v1.2.0': '2026-10-15T00:00:00Z' } });
+
+    const range = await resolveChangelogRange(octokit, 'o', 'r', { from: 'v1.1.0', to: 'v1.2.0' });
+
+    expect(range).toMatchObject({ until: '2026-10-15T00:00:00Z', version: 'v1.2.0' });
+    expect(octokit.rest.repos.getLatestRelease).not.toHaveBeenCalled();
+  });
+});
+
+describe('fetchMergedPullRequests', () => {
+  const range = { since: '2026-10-01T00:00:00Z', until: '2026-10-15T00:00:00Z', branch: 'main' };
+
+  test('keeps pull requests merged inside the window, oldest first', async () => {
+    const octokit = buildOctokit({
+      pages: [[
+        pull(3, 'feat: c', { mergedAt: '2026-10-12T00:00:00Z' }),
+        pull(2, 'closed without merge', { mergedAt: null, updatedAt: '2026-10-11T00:00:00Z' }),
+        pull(4, 'feat: after the tag', { mergedAt: '2026-10-16T00:00:00Z' }),
+        pull(1, 'fix: a', { mergedAt: '2026-10-05T00:00:00Z' }),
+        pull(0, 'fix: before', { mergedAt: '2026-09-20T00:00:00Z' }),
+      ]],
+    });
+
+    const { pulls, limitReached } = await fetchMergedPullRequests(octokit, 'o', 'r', range);
+
+    expect(pulls.map(p => p.number)).toEqual([1, 3]);
+    expect(limitReached).toBe(false);
+    expect(octokit.rest.pulls.list).toHaveBeenCalledWith(expect.objectContaining({ base: 'main', state: 'closed', sort: 'updated' }));
+  });
+
+  test('pages until updates predate the range', async () => {
+    const fullPage = Array.from({ length: 100 }, (_, i) => pull(200 - i, 'feat: x', { mergedAt: '2026-10-10T00:00:00Z' }));
+    const octokit = buildOctokit({ pages: [fullPage, [pull(5, 'fix: y', { mergedAt: '2026-10-02T00:00:00Z' })]] });
+
+    const { pulls } = await fetchMergedPullRequests(octokit, 'o', 'r', range);
+
+    expect(pulls).toHaveLength(101);
+    expect(octokit.rest.pulls.list).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('classifyPullRequest and groupPullRequests', () => {
+  test('maps conventional-commit types and strips the prefix', () => {
+    expect(classifyPullRequest(pull(1, 'feat(api): add retries'))).toEqual({ section: 'Added', text: 'Add retries', breaking: false });
+    expect(classifyPullRequest(pull(2, 'fix: handle 404')).section).toBe('Fixed');
+    expect(classifyPullRequest(pull(3, 'perf: cache tree')).section).toBe('Changed');
+    expect(classifyPullRequest(pull(4, 'docs: typo')).section).toBe(null);
+    expect(classifyPullRequest(pull(5, 'Update dependencies')).section).toBe('Changed');
+  });
+
+  test('labels override the title type and can skip a pull request', () => {
+    expect(classifyPullRequest(pull(1, 'fix: escape input', { labels: ['security'] })).section).toBe('Security');
+    expect(classifyPullRequest(pull(2, 'chore: drop node 18', { labels: ['removed'] })).section).toBe('Removed');
+    expect(classifyPullRequest(pull(3, 'feat: x', { labels: ['skip-changelog'] })).section).toBe(null);
+  });
+
+  test('marks breaking changes', () => {
+    const { sections } = groupPullRequests([pull(9, 'refactor!: rename config keys')]);
+    expect(sections.Changed).toEqual(['**Breaking:** Rename config keys (#9) by @alice']);
+  });
+
+  test('groups entries and counts omitted pull requests', () => {
+    const { sections, omitted } = groupPullRequests([
+      pull(1, 'feat: one'), pull(2, 'chore: bump'), pull(3, 'fix: two'), pull(4, 'feat: three'),
+    ]);
+    expect(sections).toEqual({
+      Added: ['One (#1) by @alice', 'Three (#4) by @alice'],
+      Fixed: ['Two (#3) by @alice'],
+    });
+    expect(omitted.map(p => p.number)).toEqual([2]);
+  });
+});
+
+describe('renderChangelogSection', () => {
+  test('renders Keep a Changelog sections in the standard order', () => {
+    const section = renderChangelogSection({
+      version: 'v1.2.0',
+      date: '2026-10-15',
+      sections: { Fixed: ['Two (#3)'], Added: ['One (#1)'] },
+    });
+    expect(section).toBe('## [1.2.0] - 2026-10-15\n\n### Added\n\n- One (#1)\n\n### Fixed\n\n- Two (#3)');
+  });
+
+  test('renders an empty Unreleased section', () => {
+    expect(renderChangelogSection({ version: 'Unreleased', date: '2026-10-15', sections: {} }))
+      .toBe('## [Unreleased]\n\n_No notable changes._');
+  });
+});
+
+describe('insertChangelogSection', () => {
+  const existing = `${CHANGELOG_HEADER}\n## [Unreleased]\n\n### Added\n\n- Old (#1)\n\n## [1.0.0] - 2026-01-01\n\n### Added\n\n- First (#0)\n`;
+
+  test('creates the file with the standard header', () => {
+    const result = insertChangelogSection(null, '## [Unreleased]\n\n### Added\n\n- New (#2)');
+    expect(result.startsWith('# Changelog\n')).toBe(true);
+    expect(result.endsWith('\n## [Unreleased]\n\n### Added\n\n- New (#2)\n')).toBe(true);
+  });
+
+  test('replaces a section with the same version', () => {
+    const result = insertChangelogSection(existing, '## [Unreleased]\n\n### Fixed\n\n- New (#2)');
+    expect(result).toContain('## [Unreleased]\n\n### Fixed\n\n- New (#2)\n\n## [1.0.0] - 2026-01-01');
+    expect(result).not.toContain('Old (#1)');
+  });
+
+  test('inserts a new release below Unreleased and above older releases', () => {
+    const result = insertChangelogSection(existing, '## [1.1.0] - 2026-10-15\n\n### Fixed\n\n- New (#2)');
+    const order = ['## [Unreleased]', '## [1.1.0]', '## [1.0.0]'].map(heading => result.indexOf(heading));
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+  });
+
+  test('is idempotent', () => {
+    const section = '## [1.0.0] - 2026-01-01\n\n### Added\n\n- First (#0)';
+    expect(insertChangelogSection(existing, section)).toBe(existing);
+  });
+});
+
+describe('upsertDraftRelease', () => {
+  const section = '## [1.2.0] - 2026-10-15\n\n### Added\n\n- One (#1)';
+
+  function releasesOctokit(releases) {
+    return {
+      rest: {
+        repos: {
+          listReleases: vi.fn().mockResolvedValue({ data: releases }),
+          createRelease: vi.fn().mockResolvedValue({ data: { id: 1, html_url: 'u' } }),
+          updateRelease: vi.fn().mockResolvedValue({ data: { id: 2, html_url: 'u' } }),
+        },
+      },
+    };
+  }
+
+  test('creates a draft release without the version heading', async () => {
+    const octokit = releasesOctokit([]);
+
+    const result = await upsertDraftRelease(octokit, 'o', 'r', { tag: 'v1.2.0', target: 'main', section });
+
+    expect(result.updated).toBe(false);
+    expect(octokit.rest.repos.createRelease).toHaveBeenCalledWith({
+      owner: 'o', repo: 'r', tag_name: 'v1.2.0', target_commitish: 'main', name: 'v1.2.0', body: '### Added\n\n- One (#1)', draft: true,
+    });
+  });
+
+  test('refreshes an existing draft and refuses published releases', async () => {
+    const draft = releasesOctokit([{ id: 2, tag_name: 'v1.2.0', draft: true }]);
+    expect((await upsertDraftRelease(draft, 'o', 'r', { tag: 'v1.2.0', target: 'main', section })).updated).toBe(true);
+    expect(draft.rest.repos.updateRelease).toHaveBeenCalledWith(expect.objectContaining({ release_id: 2 }));
+
+    const published = releasesOctokit([{ id: 3, tag_name: 'v1.2.0', draft: false }]);
+    await expect(upsertDraftRelease(published, 'o', 'r', { tag: 'v1.2.0', target: 'main', section }))
+      .rejects.toThrow('already published');
+  });
+
+  test('pages through the releases to find an older draft', async () => {
+    const octokit = releasesOctokit([]);
+    const firstPage = Array.from({ length: 100 }, (_, index) => ({ id: 100 + index, tag_name: `v0.${index}.0`, draft: false }));
+    octokit.rest.repos.listReleases
+      .mockResolvedValueOnce({ data: firstPage })
+      .mockResolvedValueOnce({ data: [{ id: 7, tag_name: 'v1.2.0', draft: true }] });
+
+    const result = await upsertDraftRelease(octokit, 'o', 'r', { tag: 'v1.2.0', target: 'main', section });
+
+    expect(result.updated).toBe(true);
+    expect(octokit.rest.repos.listReleases.mock.calls.map(([params]) => params.page)).toEqual([1, 2]);
+    expect(octokit.rest.repos.updateRelease).toHaveBeenCalledWith(expect.objectContaining({ release_id: 7 }));
+    expect(octokit.rest.repos.createRelease).not.toHaveBeenCalled();
+  });
+});
+
+describe('generateChangelog', () => {
+  test('renders the section for the range', async () => {
+    const octokit = buildOctokit({
+      dates: { 'v1.0.0': '2026-10-01T00:00:00Z' },
+      pages: [[pull(2, 'fix: crash on empty diff', { mergedAt: '2026-10-05T00:00:00Z' }), pull(3, 'ci: cache', { mergedAt: '2026-10-06T00:00:00Z' })]],
+    });
+
+    const result = await generateChangelog(octokit, 'o', 'r');
+
+    expect(result.section).toBe('## [Unreleased]\n\n### Fixed\n\n- Crash on empty diff (#2) by @alice');
+    expect(result.pulls).toHaveLength(2);
+    expect(result.omitted).toHaveLength(1);
+  });
+});
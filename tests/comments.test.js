@@ -1,6 +1,7 @@
 const {
   REACTIONS,
   findCommentByMarker,
+  updateCommentById,
   upsertComment,
   addReaction,
   updateReaction,
@@ -204,6 +205,72 @@ describe('upsertComment', () => {
 
     expect(listCommentsCalled).toBe(false);
   });
+
+  test('replaces the given placeholder comment in place', async () => {
+    const calls = [];
+    const mockOctokit = {
+      rest: {
+        issues: {
+          updateComment: async params => {
+            calls.push(params);
+            return { data: { id: params.comment_id, body: params.body } };
+          },
+          createComment: async () => {
+            throw new Error('should not create');
+          },
+        },
+      },
+    };
+
+    const result = await upsertComment(
+      mockOctokit, 'owner', 'repo', 1, 'Final answer', '<!-- marker -->',
+      { replyToId: 10, updateExisting: false, replaceComment: { id: 55, isReviewComment: false } }
+    );
+
+    expect(result.action).toBe('updated');
+    expect(calls).toEqual([{ owner: 'owner', repo: 'repo', comment_id: 55, body: 'Final answer' }]);
+  });
+
+  test('posts a new comment when the placeholder was deleted', async () => {
+    const mockOctokit = {
+      rest: {
+        pulls: {
+          updateReviewComment: async () => {
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          },
+          createReplyForReviewComment: async () => ({ data: { id: 77 } }),
+        },
+      },
+    };
+
+    const result = await upsertComment(
+      mockOctokit, 'owner', 'repo', 1, 'Final answer', '<!-- marker -->',
+      { replyToId: 10, updateExisting: false, isReviewComment: true, replaceComment: { id: 55, isReviewComment: true } }
+    );
+
+    expect(result).toEqual({ action: 'created', comment: { id: 77 } });
+  });
+});
+
+describe('updateCommentById', () => {
+  test('uses the pulls API for review comments', async () => {
+    let received = null;
+    const mockOctokit = {
+      rest: {
+        pulls: {
+          updateReviewComment: async params => {
+            received = params;
+            return { data: { id: 9 } };
+          },
+        },
+      },
+    };
+
+    const updated = await updateCommentById(mockOctokit, 'owner', 'repo', 9, 'body', { isReviewComment: true });
+
+    expect(updated).toEqual({ id: 9 });
+    expect(received).toEqual({ owner: 'owner', repo: 'repo', comment_id: 9, body: 'body' });
+  });
 });
 
 describe('addReaction', () => {
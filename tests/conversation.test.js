@@ -0,0 +1,176 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  ASK_RESPONSE_MARKER,
+  parseAskArgs,
+  getThreadKey,
+  parseAnswerComment,
+  loadConversation,
+  planHistory,
+  prepareHistory,
+  buildConversationState,
+} = require('../src/lib/conversation');
+const { createCommentWithState, MAX_STATE_SIZE, extractStateFromComment } = require('../src/lib/continuity');
+const { formatResponse } = require('../src/lib/handlers/ask');
+
+function answerComment({ id, question, answer, state = {}, createdAt, ...rest }) {
+  const body = createCommentWithState(formatResponse(answer, question), { lastCommand: 'ask', lastArgs: question, ...state });
+  return { id, body: `${body}\n\n${ASK_RESPONSE_MARKER}`, created_at: createdAt, ...rest };
+}
+
+function turn(question, answer) {
+  return { question, answer };
+}
+
+describe('parseAskArgs', () => {
+  test('strips --new from the question', () => {
+    expect(parseAskArgs(['--new', 'why', 'retry?'])).toEqual({ question: 'why retry?', startNew: true });
+    expect(parseAskArgs(['why?'])).toEqual({ question: 'why?', startNew: false });
+    expect(parseAskArgs(['--new'])).toEqual({ question: '', startNew: true });
+  });
+});
+
+describe('getThreadKey', () => {
+  test('keys review comments by their thread root', () => {
+    expect(getThreadKey({ eventName: 'pull_request_review_comment', payload: { comment: { id: 5, in_reply_to_id: 3 } } })).toBe('review:3');
+    expect(getThreadKey({ eventName: 'issue_comment', payload: { comment: { id: 5, diff_hunk: '@@' } } })).toBe('review:5');
+    expect(getThreadKey({ eventName: 'issue_comment', payload: { comment: { id: 5 } } })).toBe('issue');
+  });
+});
+
+describe('parseAnswerComment', () => {
+  test('reads the question, answer and conversation state', () => {
+    const comment = answerComment({
+      id: 1,
+      question: 'Why "retry"?',
+      answer: 'Flaky network.\n\n<sub>10 tokens · 1 call · 1s</sub>\n<!-- zai-usage -->',
+      state: { conversationId: '9', summary: 'Earlier.', summaryTurns: 2 },
+    });
+
+    expect(parseAnswerComment(comment)).toEqual({
+      id: 1,
+      question: 'Why "retry"?',
+      answer: 'Flaky network.',
+      conversationId: '9',
+      summary: 'Earlier.',
+      summaryTurns: 2,
+    });
+  });
+
+  test('ignores other comments and reads legacy answers from the heading', () => {
+    expect(parseAnswerComment({ body: 'plain comment' })).toBe(null);
+    expect(parseAnswerComment({ id: 2, body: `${formatResponse('Yes.', 'Is it safe?')}\n\n${ASK_RESPONSE_MARKER}` }))
+      .toMatchObject({ question: 'Is it safe?', answer: 'Yes.', conversationId: null });
+  });
+});
+
+describe('loadConversation', () => {
+  test('returns the turns of the latest conversation in the issue thread', async () => {
+    const listComments = vi.fn().mockResolvedValue({
+      data: [
+        answerComment({ id: 3, question: 'q3', answer: 'a3', state: { conversationId: 'b' }, createdAt: '2026-01-03' }),
+        answerComment({ id: 1, question: 'q1', answer: 'a1', state: { conversationId: 'a' }, createdAt: '2026-01-01' }),
+        answerComment({ id: 2, question: 'q2', answer: 'a2', state: { conversationId: 'b', summaryTurns: 5 }, createdAt: '2026-01-02' }),
+        { id: 4, body: 'unrelated', created_at: '2026-01-04' },
+      ],
+    });
+
+    const result = await loadConversation({ rest: { issues: { listComments } } }, { owner: 'o', repo: 'r', pullNumber: 7 });
+
+    expect(listComments).toHaveBeenCalledWith({ owner: 'o', repo: 'r', issue_number: 7, per_page: 100, page: 1 });
+    expect(result.conversationId).toBe('b');
+    expect(result.turns.map(t => t.question)).toEqual(['q2', 'q3']);
+    expect(result.summaryTurns).toBe(0);
+  });
+
+  test('only reads answers from the same review thread', async () => {
+    const listReviewComments = vi.fn().mockResolvedValue({
+      data: [
+        answerComment({ id: 11, in_reply_to_id: 10, question: 'q1', answer: 'a1', createdAt: '2026-01-01' }),
+        answerComment({ id: 21, in_reply_to_id: 20, question: 'q2', answer: 'a2', createdAt: '2026-01-02' }),
+      ],
+    });
+
+    const result = await loadConversation({ rest: { pulls: { listReviewComments } } }, { owner: 'o', repo: 'r', pullNumber: 7, threadKey: 'review:10' });
+
+    expect(result.turns.map(t => t.question)).toEqual(['q1']);
+  });
+
+  test('returns an empty conversation when comments cannot be read', async () => {
+    const logger = { warn: vi.fn() };
+    const listComments = vi.fn().mockRejectedValue(new Error('boom'));
+
+    const result = await loadConversation({ rest: { issues: { listComments } } }, { owner: 'o', repo: 'r', pullNumber: 7, logger });
+
+    expect(result).toEqual({ conversationId: null, turns: [], summary: '', summaryTurns: 0 });
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('planHistory', () => {
+  test('keeps the newest unsummarized turns within the budget', () => {
+    const conversation = {
+      turns: [turn('q1', 'a'.repeat(50)), turn('q2', 'a'.repeat(50)), turn('q3', 'a'.repeat(50)), turn('q4', 'a'.repeat(50))],
+      summary: 'x'.repeat(20),
+      summaryTurns: 1,
+    };
+
+    const { kept, overflow } = planHistory(conversation, 130);
+
+    expect(kept.map(t => t.question)).toEqual(['q3', 'q4']);
+    expect(overflow.map(t => t.question)).toEqual(['q2']);
+  });
+
+  test('always keeps the latest turn', () => {
+    const { kept } = planHistory({ turns: [turn('q', 'a'.repeat(500))], summary: '', summaryTurns: 0 }, 100);
+    expect(kept).toHaveLength(1);
+  });
+});
+
+describe('prepareHistory', () => {
+  const conversation = {
+    turns: [turn('q1', 'a'.repeat(300)), turn('q2', 'a'.repeat(300)), turn('q3', 'a3')],
+    summary: 'Earlier.',
+    summaryTurns: 0,
+  };
+
+  test('folds overflowing turns into the summary', async () => {
+    const summarize = vi.fn().mockResolvedValue('  New summary.  ');
+
+    const result = await prepareHistory({ conversation, budgetChars: 400, summarize });
+
+    expect(summarize.mock.calls[0][0]).toContain('<previous_summary>\nEarlier.\n</previous_summary>');
+    expect(summarize.mock.calls[0][0]).toContain('<question>\nq1\n</question>');
+    expect(result.summary).toBe('New summary.');
+    expect(result.summaryTurns).toBe(1);
+    expect(result.history.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+    expect(result.history[2]).toEqual({ role: 'user', content: 'q3' });
+  });
+
+  test('keeps the previous summary when summarizing fails', async () => {
+    const logger = { warn: vi.fn() };
+    const summarize = vi.fn().mockRejectedValue(new Error('timeout'));
+
+    const result = await prepareHistory({ conversation, budgetChars: 400, summarize, logger });
+
+    expect(result).toMatchObject({ summary: 'Earlier.', summaryTurns: 0 });
+    expect(result.history).toHaveLength(4);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('buildConversationState', () => {
+  test('shortens the summary to fit the continuity state', () => {
+    const state = buildConversationState({ lastCommand: 'ask' }, {
+      question: 'q'.repeat(1000),
+      conversationId: '1',
+      summary: 'é'.repeat(2000),
+      summaryTurns: 4,
+    });
+
+    expect(state.lastArgs.length).toBeLessThanOrEqual(300);
+    expect(state.summary).toContain('[truncated]');
+    const body = createCommentWithState('answer', state);
+    expect(extractStateFromComment(body)).toMatchObject({ conversationId: '1', summaryTurns: 4 });
+    expect(Buffer.byteLength(JSON.stringify(state))).toBeLessThan(MAX_STATE_SIZE);
+  });
+});
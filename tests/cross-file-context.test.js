@@ -0,0 +1,192 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  parseImports,
+  extractHunkReferences,
+  resolveModulePath,
+  findDefinitionLine,
+  extractDefinition,
+  collectDefinitions,
+  resolveCrossFileContext,
+  renderDefinitions,
+  appendDefinitions,
+} = require('../src/lib/cross-file-context');
+
+const API_SOURCE = [
+  "const { retry } = require('./retry');",
+  '',
+  '/**',
+  ' * Call the model',
+  ' * @param {Object} options - { prompt, timeout }',
+  ' */',
+  'async function callModel({ prompt, timeout = 30000 }) {',
+  '  return retry(() => send(prompt), timeout);',
+  '}',
+  '',
+  'const DEFAULT_MODELS = [',
+  "  'glm-4',",
+  "  'glm-4-air',",
+  '];',
+  '',
+  'module.exports = { callModel, DEFAULT_MODELS };',
+].join('\n');
+
+function buildOctokit({ tree = [], files = {}, treeError = null }) {
+  return {
+    rest: {
+      git: {
+        getTree: vi.fn(async () => {
+          if (treeError) {
+            throw treeError;
+          }
+          return { data: { tree: tree.map(path => ({ type: 'blob', path })), truncated: false } };
+        }),
+      },
+      repos: {
+        getContent: vi.fn(async ({ path }) => {
+          if (files[path] === undefined) {
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          }
+          return { data: { type: 'file', content: Buffer.from(files[path], 'utf8').toString('base64') } };
+        }),
+      },
+      pulls: {
+        get: vi.fn(async () => ({ data: { base: { ref: 'main', sha: 'base1' }, head: { ref: 'feature', sha: 'head1' } } })),
+      },
+    },
+  };
+}
+
+describe('parseImports', () => {
+  test('reads require and import bindings', () => {
+    const imports = parseImports([
+      "const { callModel, DEFAULT_MODELS: models } = require('./api');",
+      "const path = require('node:path');",
+      "import run, { parse as parseArgs, type Options } from '../cli';",
+      "import * as utils from './utils.js';",
+    ].join('\n'));
+
+    expect(imports.map(entry => [entry.specifier, Object.fromEntries(entry.bindings)])).toEqual([
+      ['./api', { callModel: 'callModel', models: 'DEFAULT_MODELS' }],
+      ['node:path', { path: '*' }],
+      ['../cli', { parseArgs: 'parse', Options: 'Options', run: 'default' }],
+      ['./utils.js', { utils: '*' }],
+    ]);
+  });
+
+  test('collects identifiers and member accesses from added lines only', () => {
+    const { identifiers, members } = extractHunkReferences("@@ -1,2 +1,2 @@\n-oldCall();\n+utils.format(callModel('x')); // models\n context");
+
+    expect([...identifiers]).toEqual(['utils', 'format', 'callModel']);
+    expect(members).toEqual([['utils', 'format']]);
+  });
+});
+
+describe('resolveModulePath', () => {
+  const available = new Set(['src/lib/api.js', 'src/cli/index.ts', 'src/types.ts', 'README.md']);
+
+  test('resolves relative specifiers against the repository files', () => {
+    expect(resolveModulePath('src/index.js', './lib/api', available)).toBe('src/lib/api.js');
+    expect(resolveModulePath('src/lib/api.js', '../cli', available)).toBe('src/cli/index.ts');
+    expect(resolveModulePath('src/index.ts', './types.js', available)).toBe('src/types.ts');
+  });
+
+  test('leaves packages and paths outside the repository unresolved', () => {
+    expect(resolveModulePath('src/index.js', 'lodash', available)).toBeNull();
+    expect(resolveModulePath('index.js', '../outside', available)).toBeNull();
+    expect(resolveModulePath('src/index.js', '../README.md', available)).toBeNull();
+  });
+});
+
+describe('extractDefinition', () => {
+  test('cuts a function with its doc comment and a multi-line constant', () => {
+    const fn = extractDefinition(API_SOURCE, findDefinitionLine(API_SOURCE, 'callModel'));
+    expect(fn).toMatchObject({ startLine: 3, endLine: 9 });
+    expect(fn.content.startsWith('/**\n * Call the model')).toBe(true);
+    expect(fn.content.endsWith('  return retry(() => send(prompt), timeout);\n}')).toBe(true);
+
+    const constant = extractDefinition(API_SOURCE, findDefinitionLine(API_SOURCE, 'DEFAULT_MODELS'));
+    expect(constant).toMatchObject({ startLine: 11, endLine: 14 });
+  });
+
+  test('finds nothing for names the file does not declare', () => {
+    expect(findDefinitionLine(API_SOURCE, 'send')).toBeNull();
+  });
+});
+
+describe('collectDefinitions', () => {
+  test('attaches the imported definitions the changed hunks use', async () => {
+    const octokit = buildOctokit({
+      tree: ['src/index.js', 'src/api.js'],
+      files: {
+        'src/index.js': "const { callModel, DEFAULT_MODELS } = require('./api');\n\nmodule.exports = callModel;",
+        'src/api.js': API_SOURCE,
+      },
+    });
+
+    const definitions = await collectDefinitions(octokit, {
+      owner: 'o',
+      repo: 'r',
+      ref: 'head1',
+      files: [
+        { filename: 'src/index.js', status: 'modified', patch: '@@ -1 +1,2 @@\n+const answer = await callModel({ prompt });' },
+        { filename: 'README.md', status: 'modified', patch: '+callModel' },
+      ],
+    });
+
+    expect(octokit.rest.git.getTree).toHaveBeenCalledWith({ owner: 'o', repo: 'r', tree_sha: 'head1', recursive: 'true' });
+    expect(octokit.rest.repos.getContent.mock.calls.map(([params]) => [params.path, params.ref]))
+      .toEqual([['src/index.js', 'head1'], ['src/api.js', 'head1']]);
+    expect(definitions).toHaveLength(1);
+    expect(definitions[0]).toMatchObject({ path: 'src/api.js', symbol: 'callModel', startLine: 3, endLine: 9 });
+  });
+
+  test('keeps the definitions within the character budget', async () => {
+    const octokit = buildOctokit({ tree: ['src/api.js'], files: { 'src/api.js': API_SOURCE } });
+    const files = [{
+      filename: 'src/index.js',
+      content: "import { callModel, DEFAULT_MODELS } from './api';",
+      patch: '+callModel(DEFAULT_MODELS[0]);',
+    }];
+
+    const definitions = await collectDefinitions(octokit, { owner: 'o', repo: 'r', ref: 'head1', files, maxChars: 250 });
+
+    expect(definitions.map(definition => definition.symbol)).toEqual(['callModel']);
+    expect(definitions[0].content.length).toBeLessThanOrEqual(250);
+  });
+
+  test('returns nothing when the tree cannot be listed', async () => {
+    const onWarning = vi.fn();
+    const octokit = buildOctokit({ treeError: new Error('Forbidden') });
+
+    const definitions = await collectDefinitions(octokit, {
+      owner: 'o', repo: 'r', ref: 'head1', files: [{ filename: 'a.js', patch: '+x()' }], onWarning,
+    });
+
+    expect(definitions).toEqual([]);
+    expect(onWarning).toHaveBeenCalledWith('Failed to list the repository tree: Forbidden');
+  });
+
+  test('resolveCrossFileContext reads the PR head and honors the configuration', async () => {
+    const octokit = buildOctokit({ tree: ['src/api.js'], files: { 'src/api.js': API_SOURCE } });
+    const files = [{ filename: 'src/index.js', content: "const api = require('./api');", patch: '+api.callModel({});' }];
+
+    expect(await resolveCrossFileContext(octokit, { owner: 'o', repo: 'r', pullNumber: 3, files, config: { enabled: false } })).toEqual([]);
+    expect(octokit.rest.pulls.get).not.toHaveBeenCalled();
+
+    const definitions = await resolveCrossFileContext(octokit, {
+      owner: 'o', repo: 'r', pullNumber: 3, files, config: { enabled: true, maxChars: 6000 },
+    });
+    expect(octokit.rest.git.getTree.mock.calls[0][0].tree_sha).toBe('head1');
+    expect(definitions.map(definition => `${definition.path}#${definition.symbol}`)).toEqual(['src/api.js#callModel']);
+  });
+});
+
+describe('renderDefinitions', () => {
+  test('renders each definition with its location', () => {
+    const definitions = [{ path: 'src/api.js', symbol: 'callModel', startLine: 3, endLine: 9, content: 'async function callModel() {}' }];
+
+    expect(renderDefinitions(definitions)).toContain('<definition symbol="callModel" path="src/api.js" lines="3-9">\nasync function callModel() {}\n</definition>');
+    expect(appendDefinitions('Diff.', [])).toBe('Diff.');
+    expect(appendDefinitions('Diff.', definitions).startsWith('Diff.\n\n### Referenced Definitions:')).toBe(true);
+  });
+});
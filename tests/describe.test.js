@@ -1,4 +1,61 @@
-const { handleDescribeCommand, DESCRIBE_MARKER, AI_DESCRIPTION_START } = require('../src/lib/handlers/describe');
+const {
+  handleDescribeCommand,
+  fetchAllCommits,
+  chunkCommitMessages,
+  computeDiffStats,
+  formatDiffStats,
+  DESCRIBE_MARKER,
+  AI_DESCRIPTION_START,
+} = require('../src/lib/handlers/describe');
+const { renderPrompt } = require('../src/lib/prompts');
+
+async function notFound() {
+  throw Object.assign(new Error('Not Found'), { status: 404 });
+}
+
+function makeCommits(count, message = index => `feat: change ${index}`) {
+  return Array.from({ length: count }, (_, index) => ({ sha: `c${String(index).padStart(6, '0')}fff`, commit: { message: message(index) } }));
+}
+
+function describeOctokit({ commits, files = [], body = '', contents = {}, title }) {
+  const calls = { listCommits: [], update: [], updateParams: [], comments: [], statuses: [] };
+  return {
+    calls,
+    rest: {
+      repos: {
+        getContent: async ({ path }) => {
+          if (!(path in contents)) {
+            return notFound();
+          }
+          const entry = contents[path];
+          return { data: typeof entry === 'string' ? { type: 'file', content: Buffer.from(entry).toString('base64') } : entry };
+        },
+        createCommitStatus: async (params) => { calls.statuses.push(params); return { data: {} }; },
+      },
+      pulls: {
+        listCommits: async ({ page, per_page }) => {
+          calls.listCommits.push({ page, per_page });
+          return { data: commits.slice((page - 1) * per_page, page * per_page) };
+        },
+        listFiles: async () => ({ data: files }),
+        get: async () => ({ data: { body, title, base: { ref: 'main' }, head: { sha: 'head1' } } }),
+        update: async (params) => {
+          calls.update.push(params.body);
+          calls.updateParams.push(params);
+          return { data: { body: params.body } };
+        },
+      },
+      issues: {
+        listComments: async () => ({ data: [] }),
+        createComment: async ({ body }) => { calls.comments.push(body); return { data: { id: 1 } }; },
+        updateComment: async () => ({ data: { id: 1 } }),
+      },
+      reactions: {
+        createForIssueComment: async () => ({ data: {} }),
+      },
+    },
+  };
+}
 
 describe('describe handler', () => {
   describe('handleDescribeCommand', () => {
@@ -17,7 +74,11 @@ describe('describe handler', () => {
       // Create mock octokit
       const mockOctokit = {
         rest: {
+          repos: {
+            getContent: notFound,
+          },
           pulls: {
+            listFiles: async () => ({ data: [] }),
             listCommits: async ({ owner, repo, pull_number, per_page }) => {
               calls.listCommits.push({ owner, repo, pull_number, per_page });
               return {
@@ -132,7 +193,11 @@ Old description here
       
       const mockOctokit = {
         rest: {
+          repos: {
+            getContent: notFound,
+          },
           pulls: {
+            listFiles: async () => ({ data: [] }),
             listCommits: async () => ({
               data: [{ commit: { message: 'chore: update stuff' } }]
             }),
@@ -195,7 +260,11 @@ Old description here
       
       const mockOctokit = {
         rest: {
+          repos: {
+            getContent: notFound,
+          },
           pulls: {
+            listFiles: async () => ({ data: [] }),
             listCommits: async () => ({
               data: [{ commit: { message: 'feat: add feature' } }]
             }),
@@ -255,7 +324,11 @@ Old description here
       
       const mockOctokit = {
         rest: {
+          repos: {
+            getContent: notFound,
+          },
           pulls: {
+            listFiles: async () => ({ data: [] }),
             listCommits: async () => ({
               data: [{ commit: { message: 'feat: add feature' } }]
             }),
@@ -322,7 +395,11 @@ Old description here
       
       const mockOctokit = {
         rest: {
+          repos: {
+            getContent: notFound,
+          },
           pulls: {
+            listFiles: async () => ({ data: [] }),
             listCommits: async () => ({ data: [] }),
             get: async () => ({ data: { body: 'Some body' } }),
             update: async () => ({ data: {} })
@@ -368,6 +445,244 @@ Old description here
       
       // Should NOT call LLM or update PR
     });
-    
+
+    test('paginates commits and adds diff stats to the prompt', async () => {
+      const octokit = describeOctokit({
+        commits: makeCommits(130, index => (index === 129 ? 'wip' : `feat: change ${index}`)),
+        files: [
+          { filename: 'src/lib/api.js', status: 'modified', additions: 40, deletions: 10 },
+          { filename: 'package-lock.json', status: 'modified', additions: 900, deletions: 800 },
+        ],
+      });
+      const prompts = [];
+      const context = {
+        octokit, owner: 'o', repo: 'r', issueNumber: 1, commentId: 100,
+        apiClient: { call: async ({ prompt }) => { prompts.push(prompt); return { success: true, data: 'Summary' }; } },
+        repoConfig: { ignore: { paths: ['**/package-lock.json'], useDefaults: false } },
+        logger: { info: () => {}, warn: () => {}, error: () => {} },
+      };
+
+      const result = await handleDescribeCommand(context, []);
+
+      expect(result.success).toBe(true);
+      expect(octokit.calls.listCommits.map(call => call.page)).toEqual([1, 2]);
+      const finalPrompt = prompts[prompts.length - 1];
+      expect(finalPrompt).toContain('<diff_stats>');
+      expect(finalPrompt).toContain('- src/lib: 1, +40 / -10');
+      expect(finalPrompt).toContain('1 file(s) matching the repository ignore rules are not counted.');
+      expect(finalPrompt).not.toContain('package-lock.json (');
+      expect(octokit.calls.comments[0]).toContain('_Based on 130 commit(s) · 1 changed file(s)');
+    });
+
+    test('summarizes long histories in parts before writing the description', async () => {
+      const longMessage = index => `feat: change ${index}\n\n${'detail '.repeat(100)}`;
+      const octokit = describeOctokit({ commits: makeCommits(40, longMessage) });
+      const prompts = [];
+      const systemPrompts = [];
+      const context = {
+        octokit, owner: 'o', repo: 'r', issueNumber: 1, commentId: 100,
+        apiClient: {
+          call: async ({ systemPrompt, prompt }) => {
+            systemPrompts.push(systemPrompt);
+            prompts.push(prompt);
+            return { success: true, data: `- part ${prompts.length}` };
+          },
+        },
+        logger: { info: () => {}, warn: () => {}, error: () => {} },
+      };
+
+      const result = await handleDescribeCommand(context, []);
+
+      expect(result.success).toBe(true);
+      const summaryPrompts = prompts.filter(prompt => prompt.startsWith('Summarize part'));
+      expect(summaryPrompts.length).toBeGreaterThan(1);
+      expect(systemPrompts.filter(systemPrompt => systemPrompt === renderPrompt('commit_summary'))).toHaveLength(summaryPrompts.length);
+      expect(systemPrompts[systemPrompts.length - 1]).toContain('You are an expert Staff Engineer and Technical Writer');
+      const finalPrompt = prompts[prompts.length - 1];
+      expect(finalPrompt).toContain('<commit_summaries total_commits="40">');
+      expect(finalPrompt).toContain('- part 1');
+      expect(finalPrompt).not.toContain('detail detail');
+      expect(octokit.calls.update[0]).toContain('- part');
+    });
+
+    test('stops when a partial summary fails', async () => {
+      const octokit = describeOctokit({ commits: makeCommits(40, index => `fix: ${index}\n\n${'x'.repeat(700)}`) });
+      const context = {
+        octokit, owner: 'o', repo: 'r', issueNumber: 1, commentId: 100,
+        apiClient: { call: async () => ({ success: false, error: 'rate limited' }) },
+        logger: { info: () => {}, warn: () => {}, error: () => {} },
+      };
+
+      const result = await handleDescribeCommand(context, []);
+
+      expect(result).toEqual({ success: false, error: 'rate limited' });
+      expect(octokit.calls.update).toHaveLength(0);
+      expect(octokit.calls.comments[0]).toContain('❌ Failed to generate description');
+    });
+  });
+
+  describe('with a PR template', () => {
+    const TEMPLATE = '## Summary\n<!-- What changed? -->\n\n## Testing\n- [ ] Unit tests\n';
+    const contents = {
+      '.github': [{ type: 'file', name: 'pull_request_template.md', path: '.github/pull_request_template.md' }],
+      '.github/pull_request_template.md': TEMPLATE,
+    };
+
+    // Collects the system prompts, which carry the template instructions
+    function templateContext(octokit, prompts, response) {
+      return {
+        octokit, owner: 'o', repo: 'r', issueNumber: 1, commentId: 100,
+        apiClient: { call: async ({ systemPrompt }) => { prompts.push(systemPrompt); return { success: true, data: response }; } },
+        logger: { info: () => {}, warn: () => {}, error: () => {} },
+      };
+    }
+
+    test('fills the template sections instead of appending the default structure', async () => {
+      const octokit = describeOctokit({ commits: makeCommits(2), body: TEMPLATE, contents });
+      const prompts = [];
+
+      const result = await handleDescribeCommand(templateContext(octokit, prompts, '## Summary\nAdd retries.\n\n## Testing\n- [x] Unit tests'), []);
+
+      expect(result.success).toBe(true);
+      expect(prompts[0]).toContain('<pr_template path=".github/pull_request_template.md">');
+      expect(prompts[0]).toContain('<sections_to_fill>\n## Summary\n## Testing\n</sections_to_fill>');
+      expect(prompts[0]).not.toContain('🚀 Overview');
+      const body = octokit.calls.update[0];
+      expect(body).not.toContain('ZAI_DESCRIPTION_START');
+      expect(body).toMatch(/^## Summary\n\n<!-- ZAI_SECTION_START [0-9a-f]+ -->\nAdd retries\.\n<!-- ZAI_SECTION_END -->/);
+      expect(octokit.calls.comments[0]).toContain('filled in the PR template (`.github/pull_request_template.md`)');
+    });
+
+    test('keeps sections the author already filled', async () => {
+      const authorBody = TEMPLATE.replace('- [ ] Unit tests', '- [x] Unit tests');
+      const octokit = describeOctokit({ commits: makeCommits(2), body: authorBody, contents });
+      const prompts = [];
+
+      await handleDescribeCommand(templateContext(octokit, prompts, '## Summary\nAdd retries.\n\n## Testing\n- [ ] Unit tests'), []);
+
+      expect(prompts[0]).toContain('<already_filled_by_author>\n## Testing\n</already_filled_by_author>');
+      expect(octokit.calls.update[0]).toContain('## Testing\n\n- [x] Unit tests');
+      expect(octokit.calls.comments[0]).toContain('Kept 1 section(s) you had already filled in.');
+    });
+
+    test('leaves a fully filled template alone without calling the model', async () => {
+      const authorBody = TEMPLATE.replace('<!-- What changed? -->', 'Retries.').replace('- [ ] Unit tests', '- [x] Unit tests');
+      const octokit = describeOctokit({ commits: makeCommits(2), body: authorBody, contents });
+      const prompts = [];
+
+      const result = await handleDescribeCommand(templateContext(octokit, prompts, 'unused'), []);
+
+      expect(result.success).toBe(true);
+      expect(prompts).toHaveLength(0);
+      expect(octokit.calls.update).toHaveLength(0);
+      expect(octokit.calls.comments[0]).toContain('is already filled in');
+    });
+
+    test('does not update the body when the output ignores the template', async () => {
+      const octokit = describeOctokit({ commits: makeCommits(2), body: TEMPLATE, contents });
+
+      const result = await handleDescribeCommand(templateContext(octokit, [], '## Overview\nSomething else'), []);
+
+      expect(result).toEqual({ success: false, error: 'template_mismatch' });
+      expect(octokit.calls.update).toHaveLength(0);
+    });
+  });
+
+  describe('title suggestions', () => {
+    function titleContext(octokit, prompts, titleConfig) {
+      return {
+        octokit, owner: 'o', repo: 'r', issueNumber: 1, commentId: 100,
+        repoConfig: { title: titleConfig },
+        apiClient: {
+          call: async ({ prompt }) => {
+            prompts.push(prompt);
+            return { success: true, data: prompt.includes('<current_title>') ? 'feat(api): add retries' : '## 🚀 Overview\nRetries.' };
+          },
+        },
+        logger: { info: () => {}, warn: () => {}, error: () => {} },
+      };
+    }
+
+    test('suggests a conventional title without renaming the PR', async () => {
+      const octokit = describeOctokit({ commits: makeCommits(2), title: 'Retries' });
+      const prompts = [];
+
+      const result = await handleDescribeCommand(titleContext(octokit, prompts, { mode: 'suggest' }), []);
+
+      expect(result.success).toBe(true);
+      expect(prompts).toHaveLength(2);
+      expect(octokit.calls.updateParams[0].title).toBeUndefined();
+      expect(octokit.calls.comments[0]).toContain('Suggested title: `feat(api): add retries`');
+    });
+
+    test('renames the PR in apply mode and settles the title check', async () => {
+      const octokit = describeOctokit({ commits: makeCommits(2), title: 'Retries' });
+
+      await handleDescribeCommand(titleContext(octokit, [], { mode: 'apply', check: true }), []);
+
+      expect(octokit.calls.updateParams[0].title).toBe('feat(api): add retries');
+      expect(octokit.calls.statuses[0]).toMatchObject({ sha: 'head1', state: 'success', context: 'zai/pr-title' });
+      expect(octokit.calls.comments[0]).toContain('Renamed the PR to `feat(api): add retries`');
+    });
+
+    test('leaves a matching title alone', async () => {
+      const octokit = describeOctokit({ commits: makeCommits(2), title: 'feat: add retries' });
+      const prompts = [];
+
+      await handleDescribeCommand(titleContext(octokit, prompts, { mode: 'apply' }), []);
+
+      expect(prompts).toHaveLength(1);
+      expect(octokit.calls.updateParams[0].title).toBeUndefined();
+      expect(octokit.calls.comments[0]).not.toContain('title');
+    });
+  });
+
+  describe('fetchAllCommits', () => {
+    test('stops at the 250 commits GitHub lists', async () => {
+      const octokit = describeOctokit({ commits: makeCommits(400) });
+      const { commits, limitReached } = await fetchAllCommits(octokit, 'o', 'r', 1);
+      expect(commits).toHaveLength(300);
+      expect(limitReached).toBe(true);
+    });
+  });
+
+  describe('chunkCommitMessages', () => {
+    test('keeps short histories in one chunk', () => {
+      const { chunks, subjectOnly, omitted } = chunkCommitMessages(makeCommits(3));
+      expect(chunks).toEqual(['c000000 feat: change 0\n\nc000001 feat: change 1\n\nc000002 feat: change 2']);
+      expect(subjectOnly).toBe(false);
+      expect(omitted).toBe(0);
+    });
+
+    test('falls back to subject lines and drops what still does not fit', () => {
+      const { chunks, subjectOnly } = chunkCommitMessages(makeCommits(60, index => `feat: ${index}\n\n${'y'.repeat(2000)}`));
+      expect(subjectOnly).toBe(true);
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).not.toContain('yyy');
+
+      const huge = chunkCommitMessages(makeCommits(250, index => `feat: ${index} ${'z'.repeat(400)}`));
+      expect(huge.chunks).toHaveLength(8);
+      expect(huge.omitted).toBeGreaterThan(0);
+    });
+  });
+
+  describe('computeDiffStats and formatDiffStats', () => {
+    test('totals files and groups churn by area', () => {
+      const stats = computeDiffStats([
+        { filename: 'src/lib/handlers/describe.js', status: 'modified', additions: 30, deletions: 5 },
+        { filename: 'src/lib/api.js', status: 'added', additions: 10, deletions: 0 },
+        { filename: 'tests/describe.test.js', status: 'modified', additions: 50, deletions: 2 },
+        { filename: 'README.md', status: 'removed', additions: 0, deletions: 4 },
+      ]);
+
+      expect(stats).toMatchObject({ totalFiles: 4, additions: 90, deletions: 11, added: 1, removed: 1, renamed: 0 });
+      expect(stats.areas.map(area => area.area)).toEqual(['tests', 'src/lib', '(root)']);
+      expect(stats.areas[1]).toEqual({ area: 'src/lib', files: 2, additions: 40, deletions: 5 });
+
+      const text = formatDiffStats(stats, { limitReached: true });
+      expect(text).toContain('Files changed: 4 (+90 / -11); 1 added, 1 removed');
+      expect(text).toContain('GitHub listed only the first 3000 changed files');
+      expect(text).toContain('- tests/describe.test.js (modified, +50 / -2)');
+    });
   });
 });
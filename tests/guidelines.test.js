@@ -0,0 +1,114 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  COPILOT_INSTRUCTIONS_PATH,
+  selectAgentsFiles,
+  loadGuidelines,
+  resolveGuidelines,
+  renderGuidelines,
+  appendGuidelines,
+} = require('../src/lib/guidelines');
+
+function buildOctokit({ tree = [], truncated = false, files = {}, treeError = null }) {
+  return {
+    rest: {
+      git: {
+        getTree: vi.fn(async () => {
+          if (treeError) {
+            throw treeError;
+          }
+          return { data: { tree: tree.map(path => ({ type: 'blob', path })), truncated } };
+        }),
+      },
+      repos: {
+        getContent: vi.fn(async ({ path }) => {
+          if (files[path] === undefined) {
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          }
+          return { data: { type: 'file', content: Buffer.from(files[path], 'utf8').toString('base64') } };
+        }),
+      },
+    },
+  };
+}
+
+describe('selectAgentsFiles', () => {
+  test('picks the nearest nested file for each path and the root file', () => {
+    const agentsFiles = ['AGENTS.md', 'src/AGENTS.md', 'src/lib/AGENTS.md', 'docs/AGENTS.md'];
+
+    expect(selectAgentsFiles(agentsFiles, ['src/lib/api.js', 'src/index.js', 'README.md']))
+      .toEqual(['src/lib/AGENTS.md', 'src/AGENTS.md', 'AGENTS.md']);
+    expect(selectAgentsFiles(['src/AGENTS.md'], ['test/a.js'])).toEqual([]);
+  });
+});
+
+describe('loadGuidelines', () => {
+  test('loads the applicable files from the ref, general first', async () => {
+    const octokit = buildOctokit({
+      tree: ['AGENTS.md', 'src/AGENTS.md', 'src/index.js', 'docs/AGENTS.md'],
+      files: {
+        'AGENTS.md': 'Use CommonJS.',
+        'src/AGENTS.md': '  Never throw from library code.\n',
+        [COPILOT_INSTRUCTIONS_PATH]: 'Prefer small functions.',
+      },
+    });
+
+    const guidelines = await loadGuidelines(octokit, { owner: 'o', repo: 'r', ref: 'main', paths: ['src/index.js'] });
+
+    expect(octokit.rest.git.getTree).toHaveBeenCalledWith({ owner: 'o', repo: 'r', tree_sha: 'main', recursive: 'true' });
+    expect(guidelines).toEqual([
+      { path: COPILOT_INSTRUCTIONS_PATH, scope: 'all files', content: 'Prefer small functions.' },
+      { path: 'AGENTS.md', scope: 'all files', content: 'Use CommonJS.' },
+      { path: 'src/AGENTS.md', scope: 'src/', content: 'Never throw from library code.' },
+    ]);
+  });
+
+  test('gives the budget to the most specific files first', async () => {
+    const octokit = buildOctokit({
+      tree: ['AGENTS.md', 'src/AGENTS.md'],
+      files: { 'AGENTS.md': 'r'.repeat(500), 'src/AGENTS.md': 's'.repeat(900), [COPILOT_INSTRUCTIONS_PATH]: 'c'.repeat(100) },
+    });
+
+    const guidelines = await loadGuidelines(octokit, { owner: 'o', repo: 'r', ref: 'main', paths: ['src/a.js'], maxChars: 1200 });
+
+    expect(guidelines.map(guideline => guideline.path)).toEqual(['AGENTS.md', 'src/AGENTS.md']);
+    expect(guidelines[0].content).toBe(`${'r'.repeat(300)}\n... [truncated]`);
+    expect(guidelines[1].content).toBe('s'.repeat(900));
+  });
+
+  test('still reads the root file when the tree cannot be listed', async () => {
+    const onWarning = vi.fn();
+    const octokit = buildOctokit({ treeError: new Error('Forbidden'), files: { 'AGENTS.md': 'Use CommonJS.' } });
+
+    const guidelines = await loadGuidelines(octokit, { owner: 'o', repo: 'r', paths: ['src/a.js'], onWarning });
+
+    expect(octokit.rest.git.getTree.mock.calls[0][0].tree_sha).toBe('HEAD');
+    expect(guidelines).toEqual([{ path: 'AGENTS.md', scope: 'all files', content: 'Use CommonJS.' }]);
+    expect(onWarning).toHaveBeenCalledWith('Failed to list AGENTS.md files: Forbidden');
+  });
+
+  test('resolveGuidelines loads nothing when guidelines are disabled', async () => {
+    const octokit = buildOctokit({ tree: ['AGENTS.md'], files: { 'AGENTS.md': 'x' } });
+
+    expect(await resolveGuidelines(octokit, { owner: 'o', repo: 'r', paths: [], config: { enabled: false } })).toEqual([]);
+    expect(octokit.rest.git.getTree).not.toHaveBeenCalled();
+  });
+});
+
+describe('renderGuidelines', () => {
+  const guidelines = [{ path: 'src/AGENTS.md', scope: 'src/', content: 'Never throw.' }];
+
+  test('asks findings to cite the guideline they are based on', () => {
+    const section = renderGuidelines(guidelines, { findings: true });
+
+    expect(section).toContain('### Repository Guidelines:');
+    expect(section).toContain('set its "rule" to "guideline/"');
+    expect(section).toContain('<guideline path="src/AGENTS.md" applies_to="src/">\nNever throw.\n</guideline>');
+    expect(renderGuidelines(guidelines)).toContain('name the file it comes from');
+  });
+
+  test('leaves the prompt unchanged without guidelines', () => {
+    expect(renderGuidelines([])).toBe('');
+    expect(appendGuidelines('System.', [])).toBe('System.');
+    expect(appendGuidelines('System.', guidelines).startsWith('System.\n\n### Repository Guidelines:')).toBe(true);
+  });
+});
@@ -75,6 +75,30 @@ describe('ask handler', () => {
     expect(transcript.indexOf('earlier comment')).toBeLessThan(transcript.indexOf('later comment'));
   });
 
+  test('getThreadTranscript leaves out ask questions and answers', async () => {
+    const octokit = {
+      rest: {
+        issues: {
+          listComments: async () => ({
+            data: [
+              { created_at: '2026-02-01T10:00:00Z', body: 'review note', user: { login: 'dev1', type: 'User' } },
+              { created_at: '2026-02-01T10:00:01Z', body: '/zai ask why?', user: { login: 'dev1', type: 'User' } },
+              { created_at: '2026-02-01T10:00:02Z', body: 'Because.\n\n<!-- ZAI-ASK-RESPONSE -->', user: { login: 'zai[bot]', type: 'Bot' } },
+            ],
+          }),
+        },
+      },
+    };
+
+    const transcript = await askHandler.getThreadTranscript(octokit, {
+      repo: { owner: 'AndreiDrang', repo: 'zai-code-bot' },
+      payload: { issue: { number: 42 } },
+    });
+    expect(transcript).toContain('review note');
+    expect(transcript).not.toContain('why?');
+    expect(transcript).not.toContain('Because.');
+  });
+
   test('getThreadTranscript handles rate limit errors safely', async () => {
     const octokit = {
       rest: {
@@ -171,6 +195,35 @@ describe('ask handler', () => {
     expect(fileContext.includes('Raw file snapshot')).toBe(true);
   });
 
+  test('getRelevantFileContent leaves ignored files out of the diff context', async () => {
+    const octokit = {
+      rest: {
+        pulls: {
+          listFiles: async () => ({
+            data: [
+              { filename: 'src/app.js', status: 'modified', patch: '+app' },
+              { filename: 'package-lock.json', status: 'modified', patch: '+lock' },
+              { filename: 'gen/types.ts', status: 'added', patch: '+types' },
+            ],
+          }),
+        },
+      },
+    };
+    const githubContext = {
+      repo: { owner: 'AndreiDrang', repo: 'zai-code-bot' },
+      payload: { issue: { number: 42 } },
+    };
+
+    const fileContext = await askHandler.getRelevantFileContent(octokit, githubContext, {
+      ignore: { paths: ['gen/**'], useDefaults: true },
+    });
+
+    expect(fileContext).toContain('File: src/app.js');
+    expect(fileContext).not.toContain('+lock');
+    expect(fileContext).not.toContain('+types');
+    expect(fileContext).toContain('2 changed file(s) omitted by ignore rules: package-lock.json, gen/types.ts');
+  });
+
   test('formatResponse formats correctly', () => {
     const response = askHandler.formatResponse('This is the answer.', 'What is this?');
     expect(response.includes('This is the answer.')).toBe(true);
@@ -247,7 +300,10 @@ describe('handler registry', () => {
     expect(commands.includes('explain')).toBe(true);
     expect(commands.includes('describe')).toBe(true);
     expect(commands.includes('impact')).toBe(true);
-    expect(commands.length).toBe(6);
+    expect(commands.includes('fix')).toBe(true);
+    expect(commands.includes('test')).toBe(true);
+    expect(commands.includes('changelog')).toBe(true);
+    expect(commands.length).toBe(9);
   });
 
   test('getAllCommands does not include removed commands', () => {
@@ -3,6 +3,7 @@
  */
 import { test, describe, expect } from 'vitest';
 const askModule = require('../../src/lib/handlers/ask');
+const { renderPrompt } = require('../../src/lib/prompts');
 
 describe('ask.js - resolveRepoRef', () => {
   test('extracts owner and repo from githubContext.repo', () => {
@@ -341,4 +342,90 @@ describe('ask.js - handleAskCommand', () => {
     expect(mergedState.lastArgs).toBe('what is this');
     expect(mergedState.turnCount).toBe(6);
   });
+
+  test('sends earlier turns of the thread as chat history', async () => {
+    const calls = [];
+    let state = null;
+    const mockDeps = {
+      checkForkAuthorization: async () => ({ authorized: true }),
+      setReaction: async () => {},
+      upsertComment: async () => ({ action: 'created' }),
+      createApiClient: () => ({ call: async (params) => { calls.push(params); return { success: true, data: 'answer' }; } }),
+      getUserMessage: () => 'Error',
+      buildContext: async () => ({ prContext: '', fileContext: '', conversationHistory: '' }),
+      mergeState: (existing, updates) => updates,
+      createCommentWithState: (body, nextState) => { state = nextState; return body; },
+      loadConversation: async () => ({
+        conversationId: '7',
+        turns: [{ question: 'Why the retry?', answer: 'Flaky network.' }],
+        summary: 'Asked about the API client.',
+        summaryTurns: 0,
+      }),
+    };
+
+    await askModule.handleAskCommand(createMockContext(), mockDeps);
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0].messages).toEqual([
+      { role: 'user', content: 'Why the retry?' },
+      { role: 'assistant', content: 'Flaky network.' },
+    ]);
+    expect(calls[0].systemPrompt).toBe(renderPrompt('ask'));
+    expect(calls[0].prompt).not.toContain('You are Zai Code Bot');
+    expect(calls[0].prompt).toContain('<earlier_conversation_summary>\nAsked about the API client.');
+    expect(state).toMatchObject({ conversationId: '7', summary: 'Asked about the API client.', summaryTurns: 0 });
+  });
+
+  test('--new starts a conversation without loading history', async () => {
+    const calls = [];
+    let state = null;
+    let loaded = false;
+    const mockDeps = {
+      checkForkAuthorization: async () => ({ authorized: true }),
+      setReaction: async () => {},
+      upsertComment: async () => ({ action: 'created' }),
+      createApiClient: () => ({ call: async (params) => { calls.push(params); return { success: true, data: 'answer' }; } }),
+      getUserMessage: () => 'Error',
+      buildContext: async () => ({ prContext: '', fileContext: '', conversationHistory: '' }),
+      mergeState: (existing, updates) => updates,
+      createCommentWithState: (body, nextState) => { state = nextState; return body; },
+      loadConversation: async () => { loaded = true; return null; },
+    };
+
+    const params = createMockContext({ args: ['--new', 'what', 'is', 'this'], continuityState: { summary: 'old', summaryTurns: 3 } });
+    await askModule.handleAskCommand(params, mockDeps);
+
+    expect(loaded).toBe(false);
+    expect(calls[0].messages).toEqual([]);
+    expect(calls[0].prompt).toContain('<user_query>\nwhat is this\n</user_query>');
+    expect(state).toMatchObject({ lastArgs: 'what is this', conversationId: '100', summary: undefined });
+  });
+
+  test('replies inside the review-comment thread', async () => {
+    let options = null;
+    let loadParams = null;
+    const mockDeps = {
+      checkForkAuthorization: async () => ({ authorized: true }),
+      setReaction: async () => {},
+      upsertComment: async (...args) => { options = args[6]; return { action: 'created' }; },
+      createApiClient: () => ({ call: async () => ({ success: true, data: 'answer' }) }),
+      getUserMessage: () => 'Error',
+      buildContext: async () => ({ prContext: '', fileContext: '', conversationHistory: '' }),
+      mergeState: (existing, updates) => updates,
+      createCommentWithState: (body) => body,
+      loadConversation: async (octokit, params) => { loadParams = params; return { conversationId: null, turns: [], summary: '', summaryTurns: 0 }; },
+    };
+
+    const params = createMockContext({
+      context: {
+        repo: { owner: 'owner', repo: 'repo' },
+        eventName: 'pull_request_review_comment',
+        payload: { pull_request: { number: 1 }, comment: { id: 101, in_reply_to_id: 90, diff_hunk: '@@' } },
+      },
+    });
+    await askModule.handleAskCommand(params, mockDeps);
+
+    expect(loadParams.threadKey).toBe('review:90');
+    expect(options).toMatchObject({ replyToId: 101, isReviewComment: true, pullNumber: 1 });
+  });
 });
@@ -0,0 +1,136 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  parseChangelogArgs,
+  formatChangelogStats,
+  handleChangelogCommand,
+  CHANGELOG_MARKER,
+} = require('../../src/lib/handlers/changelog');
+
+const SECTION = '## [1.2.0] - 2026-10-15\n\n### Added\n\n- Retries (#4) by @alice';
+
+function changelogResult(overrides = {}) {
+  return {
+    range: { from: 'v1.1.0', to: 'v1.2.0', since: '2026-10-01T00:00:00Z', until: '2026-10-15T00:00:00Z', branch: 'main', version: 'v1.2.0' },
+    section: SECTION,
+    pulls: [{ number: 4 }, { number: 5 }],
+    omitted: [{ number: 5 }],
+    limitReached: false,
+    ...overrides,
+  };
+}
+
+describe('parseChangelogArgs', () => {
+  test('reads the range in its accepted forms', () => {
+    expect(parseChangelogArgs([])).toEqual({ from: null, to: null, output: 'comment' });
+    expect(parseChangelogArgs(['v1.1.0..v1.2.0'])).toEqual({ from: 'v1.1.0', to: 'v1.2.0', output: 'comment' });
+    expect(parseChangelogArgs(['v1.1.0', 'v1.2.0', '--pr'])).toEqual({ from: 'v1.1.0', to: 'v1.2.0', output: 'pr' });
+    expect(parseChangelogArgs(['..v1.2.0', '--release'])).toEqual({ from: null, to: 'v1.2.0', output: 'release' });
+  });
+
+  test('rejects conflicting flags, bad refs and releases without a tag', () => {
+    expect(parseChangelogArgs(['--release', '--pr']).error).toContain('either --release or --pr');
+    expect(parseChangelogArgs(['--draft']).error).toContain('Unknown option --draft');
+    expect(parseChangelogArgs(['a', 'b', 'c']).error).toContain('Too many arguments');
+    expect(parseChangelogArgs(['v1;rm']).error).toContain('Invalid ref');
+    expect(parseChangelogArgs(['v1.1.0', '--release']).error).toContain('needs the tag to release');
+  });
+});
+
+describe('formatChangelogStats', () => {
+  test('summarises the range and skipped pull requests', () => {
+    expect(formatChangelogStats(changelogResult({ limitReached: true })))
+      .toBe('_1 merged PR(s) into `main` from `v1.1.0` to `v1.2.0` · 1 skipped (docs, chores and unlabeled types) · older pull requests beyond the scan limit were not included_');
+  });
+});
+
+describe('handleChangelogCommand', () => {
+  function createDeps(overrides = {}) {
+    return {
+      upsertComment: vi.fn().mockResolvedValue({ action: 'created', id: 1 }),
+      setReaction: vi.fn().mockResolvedValue(undefined),
+      generateChangelog: vi.fn().mockResolvedValue(changelogResult()),
+      upsertDraftRelease: vi.fn().mockResolvedValue({ release: { id: 11, html_url: 'https://github.com/o/r/releases/11' }, updated: false }),
+      fetchFileContent: vi.fn().mockResolvedValue('# Changelog\n'),
+      createPR: vi.fn().mockResolvedValue({ number: 21 }),
+      ...overrides,
+    };
+  }
+
+  function createContext() {
+    return {
+      octokit: {},
+      owner: 'o',
+      repo: 'r',
+      issueNumber: 7,
+      commentId: 99,
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+    };
+  }
+
+  test('posts the section as a comment by default', async () => {
+    const deps = createDeps();
+
+    const result = await handleChangelogCommand(createContext(), ['v1.1.0..v1.2.0'], deps);
+
+    expect(result).toEqual({ success: true });
+    expect(deps.generateChangelog).toHaveBeenCalledWith({}, 'o', 'r', { from: 'v1.1.0', to: 'v1.2.0' });
+    const body = deps.upsertComment.mock.calls[0][4];
+    expect(body).toContain('## 📝 Changelog');
+    expect(body).toContain(SECTION);
+    expect(deps.upsertComment.mock.calls[0][5]).toBe(CHANGELOG_MARKER);
+    expect(deps.setReaction).toHaveBeenCalledWith({}, 'o', 'r', 99, 'rocket');
+  });
+
+  test('creates a draft release for the tag with --release', async () => {
+    const deps = createDeps();
+
+    const result = await handleChangelogCommand(createContext(), ['v1.1.0..v1.2.0', '--release'], deps);
+
+    expect(result).toEqual({ success: true, releaseId: 11 });
+    expect(deps.upsertDraftRelease).toHaveBeenCalledWith({}, 'o', 'r', { tag: 'v1.2.0', target: 'main', section: SECTION });
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('Created draft release [v1.2.0](https://github.com/o/r/releases/11).');
+  });
+
+  test('opens a pull request updating CHANGELOG.md with --pr', async () => {
+    const deps = createDeps();
+
+    const result = await handleChangelogCommand(createContext(), ['v1.1.0..v1.2.0', '--pr'], deps);
+
+    expect(result).toEqual({ success: true, prNumber: 21 });
+    expect(deps.fetchFileContent).toHaveBeenCalledWith({}, 'o', 'r', 'CHANGELOG.md', 'main');
+    const [, , , params] = deps.createPR.mock.calls[0];
+    expect(params).toMatchObject({
+      base: 'main',
+      branchName: 'zai-changelog/v1.2.0-2026-10-15',
+      title: 'docs: update CHANGELOG.md for v1.2.0',
+    });
+    expect(params.files[0].content).toContain(`# Changelog\n\n${SECTION}\n`);
+  });
+
+  test('skips the pull request when CHANGELOG.md already has the section', async () => {
+    const deps = createDeps({ fetchFileContent: vi.fn().mockResolvedValue(`# Changelog\n\n${SECTION}\n`) });
+
+    const result = await handleChangelogCommand(createContext(), ['v1.1.0..v1.2.0', '--pr'], deps);
+
+    expect(result).toEqual({ success: true });
+    expect(deps.createPR).not.toHaveBeenCalled();
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('is already up to date');
+  });
+
+  test('reports unknown refs and output failures', async () => {
+    const notFound = Object.assign(new Error('No commit found'), { status: 422 });
+    const deps = createDeps({
+      generateChangelog: vi.fn().mockRejectedValueOnce(notFound).mockResolvedValue(changelogResult()),
+      upsertDraftRelease: vi.fn().mockRejectedValue(new Error('Release v1.2.0 is already published')),
+    });
+
+    expect((await handleChangelogCommand(createContext(), ['v9..v10'], deps)).success).toBe(false);
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('Could not resolve `v10` to a commit.');
+
+    const failed = await handleChangelogCommand(createContext(), ['v1.1.0..v1.2.0', '--release'], deps);
+    expect(failed).toEqual({ success: false, error: 'Release v1.2.0 is already published' });
+    expect(deps.upsertComment.mock.calls[1][4]).toContain('Failed to create the draft release. Please try again later.');
+    expect(deps.upsertComment.mock.calls[1][4]).not.toContain('already published');
+    expect(deps.setReaction).toHaveBeenLastCalledWith({}, 'o', 'r', 99, '-1');
+  });
+});
@@ -0,0 +1,323 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  parseFixArgs,
+  buildFixPrompt,
+  selectFixWindow,
+  extractPatch,
+  parseUnifiedDiff,
+  applyUnifiedDiff,
+  buildCommitMessage,
+  handleFixCommand,
+  FIX_MARKER,
+} = require('../../src/lib/handlers/fix');
+
+const changedFiles = [
+  { filename: 'src/math.js', status: 'modified', patch: '@@ -1,3 +1,3 @@' },
+  { filename: 'README.md', status: 'modified', patch: null },
+  { filename: 'old.js', status: 'removed', patch: null },
+];
+
+const FILE = [
+  'function add(a, b) {',
+  '  return a - b;',
+  '}',
+  '',
+  'module.exports = { add };',
+  '',
+].join('\n');
+
+const PATCH = [
+  '--- a/src/math.js',
+  '+++ b/src/math.js',
+  '@@ -1,3 +1,3 @@',
+  ' function add(a, b) {',
+  '-  return a - b;',
+  '+  return a + b;',
+  ' }',
+].join('\n');
+
+describe('parseFixArgs', () => {
+  test('reads file, range and instruction', () => {
+    const result = parseFixArgs(['src/math.js', '2-3', 'use', 'addition'], { changedFiles });
+    expect(result).toMatchObject({ filePath: 'src/math.js', startLine: 2, endLine: 3, instruction: 'use addition' });
+  });
+
+  test('accepts a single line and basename matches', () => {
+    const result = parseFixArgs(['math.js', '2'], { changedFiles });
+    expect(result).toMatchObject({ filePath: 'src/math.js', startLine: 2, endLine: 2, instruction: '' });
+  });
+
+  test('defaults file and range to the review-comment anchor', () => {
+    const result = parseFixArgs(['use', 'addition'], {
+      changedFiles, commentPath: 'src/math.js', commentLine: 3, commentStartLine: 2,
+    });
+    expect(result).toMatchObject({ filePath: 'src/math.js', startLine: 2, endLine: 3, instruction: 'use addition' });
+  });
+
+  test('rejects missing, unknown and traversing paths', () => {
+    expect(parseFixArgs([], { changedFiles }).error).toContain('No file path provided');
+    expect(parseFixArgs(['other.js'], { changedFiles }).error).toContain('not found in PR');
+    expect(parseFixArgs(['../secrets'], { changedFiles }).error).toContain('Path traversal');
+    expect(parseFixArgs(['src/math.js', '5-2'], { changedFiles }).error).toContain('Invalid line range');
+  });
+});
+
+describe('buildFixPrompt', () => {
+  test('includes the file, scope and instruction', () => {
+    const prompt = buildFixPrompt('src/math.js', FILE, { startLine: 2, endLine: 2, instruction: 'use addition' });
+    expect(prompt).toContain('<file_path>src/math.js</file_path>');
+    expect(prompt).toContain('return a - b;');
+    expect(prompt).toContain('Only change lines 2-2');
+    expect(prompt).toContain('Apply this change: use addition');
+    expect(prompt).toContain('--- a/src/math.js');
+  });
+});
+
+describe('selectFixWindow', () => {
+  const long = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`).join('\n');
+
+  test('grows the window around the range within the budget', () => {
+    const window = selectFixWindow(long, 10, 11, 40);
+    expect(window).toMatchObject({ startLine: 8, endLine: 12 });
+    expect(window.content.split('\n')).toEqual(['line 8', 'line 9', 'line 10', 'line 11', 'line 12']);
+  });
+
+  test('gives up when the range alone does not fit', () => {
+    expect(selectFixWindow(long, 1, 20, 40)).toBeNull();
+    expect(selectFixWindow(long, 30, 31, 400)).toBeNull();
+  });
+});
+
+describe('extractPatch', () => {
+  test('separates the explanation from a fenced diff', () => {
+    const result = extractPatch(`Use addition.\n\n\`\`\`diff\n${PATCH}\n\`\`\`\n`);
+    expect(result).toEqual({ summary: 'Use addition.', patch: PATCH, noChanges: false });
+  });
+
+  test('accepts an unfenced diff', () => {
+    expect(extractPatch(`Fixed.\n${PATCH}\n`).patch).toBe(PATCH);
+  });
+
+  test('recognises NO_CHANGES replies', () => {
+    expect(extractPatch('NO_CHANGES the code is already correct')).toEqual({
+      summary: 'the code is already correct', patch: null, noChanges: true,
+    });
+  });
+});
+
+describe('applyUnifiedDiff', () => {
+  test('applies a clean patch and keeps the trailing newline', () => {
+    const result = applyUnifiedDiff(FILE, PATCH, 'src/math.js');
+    expect(result.success).toBe(true);
+    expect(result.content).toBe(FILE.replace('a - b', 'a + b'));
+  });
+
+  test('tolerates wrong hunk line numbers and counts', () => {
+    const shifted = PATCH.replace('@@ -1,3 +1,3 @@', '@@ -4,9 +4,2 @@');
+    expect(applyUnifiedDiff(FILE, shifted).content).toBe(FILE.replace('a - b', 'a + b'));
+  });
+
+  test('preserves CRLF line endings', () => {
+    const crlf = FILE.replace(/\n/g, '\r\n');
+    expect(applyUnifiedDiff(crlf, PATCH).content).toBe(crlf.replace('a - b', 'a + b'));
+  });
+
+  test('rejects patches whose context does not match', () => {
+    const stale = PATCH.replace('-  return a - b;', '-  return a * b;');
+    const result = applyUnifiedDiff(FILE, stale);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('does not match');
+  });
+
+  test('rejects patches for another or more than one file', () => {
+    expect(applyUnifiedDiff(FILE, PATCH, 'src/other.js').error).toContain('targets src/math.js');
+    const twoFiles = `${PATCH}\n${PATCH.replace(/math/g, 'other')}`;
+    expect(parseUnifiedDiff(twoFiles).error).toContain('more than one file');
+  });
+
+  test('treats removed lines starting with "--" as hunk content', () => {
+    const sql = 'SELECT 1;\n-- old comment\nSELECT 2;\n';
+    const patch = '@@ -1,3 +1,3 @@\n SELECT 1;\n--- old comment\n+-- new comment\n SELECT 2;';
+    expect(applyUnifiedDiff(sql, patch).content).toBe('SELECT 1;\n-- new comment\nSELECT 2;\n');
+  });
+});
+
+describe('buildCommitMessage', () => {
+  test('uses the instruction as the subject and records the request', () => {
+    expect(buildCommitMessage('src/math.js', 'use addition', 7, 'alice'))
+      .toBe('fix: use addition\n\nGenerated by /zai fix for src/math.js, requested by @alice in #7.');
+    expect(buildCommitMessage('src/math.js', 'x'.repeat(100), 7, null).split('\n')[0]).toHaveLength(72);
+  });
+});
+
+describe('handleFixCommand', () => {
+  function createDeps(overrides = {}) {
+    return {
+      upsertComment: vi.fn().mockResolvedValue({ action: 'created', id: 1 }),
+      setReaction: vi.fn().mockResolvedValue(undefined),
+      resolvePrRefs: vi.fn().mockResolvedValue({
+        success: true,
+        data: {
+          base: { ref: 'main', sha: 'base1', repo: 'owner/repo' },
+          head: { ref: 'feature', sha: 'abc1234def', repo: 'owner/repo' },
+        },
+      }),
+      fetchFileAtPrHead: vi.fn().mockResolvedValue({ success: true, data: FILE, truncated: false, scoped: false }),
+      commitFilesToBranch: vi.fn().mockResolvedValue({ sha: 'c0ffee1234567890', url: null, parentSha: 'abc1234def' }),
+      ...overrides,
+    };
+  }
+
+  function createContext(response = `Use addition.\n\`\`\`diff\n${PATCH}\n\`\`\``) {
+    return {
+      octokit: {},
+      owner: 'owner',
+      repo: 'repo',
+      issueNumber: 7,
+      commentId: 99,
+      changedFiles,
+      apiClient: { call: vi.fn().mockResolvedValue({ success: true, data: response }) },
+      apiKey: 'key',
+      model: 'glm',
+      commenter: { login: 'alice' },
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+    };
+  }
+
+  test('commits a clean patch to the PR head branch and reports the SHA', async () => {
+    const deps = createDeps();
+    const context = createContext();
+
+    const result = await handleFixCommand(context, ['src/math.js', '2', 'use', 'addition'], deps);
+
+    expect(result).toEqual({ success: true, commitSha: 'c0ffee1234567890' });
+    expect(deps.commitFilesToBranch).toHaveBeenCalledWith({}, 'owner', 'repo', {
+      branch: 'feature',
+      files: [{ path: 'src/math.js', content: FILE.replace('a - b', 'a + b') }],
+      message: expect.stringContaining('fix: use addition'),
+      expectedHeadSha: 'abc1234def',
+    });
+    const body = deps.upsertComment.mock.calls[0][4];
+    expect(body).toContain('Committed c0ffee1234567890 to `feature`.');
+    expect(body).toContain('Use addition.');
+    expect(deps.upsertComment.mock.calls[0][5]).toBe(FIX_MARKER);
+    expect(deps.setReaction).toHaveBeenCalledWith({}, 'owner', 'repo', 99, 'rocket');
+  });
+
+  test('keeps a committed fix successful when the reaction cannot be set', async () => {
+    const deps = createDeps({ setReaction: vi.fn().mockRejectedValue(new Error('reaction forbidden')) });
+    const context = createContext();
+
+    const result = await handleFixCommand(context, ['src/math.js'], deps);
+
+    expect(result).toEqual({ success: true, commitSha: 'c0ffee1234567890' });
+    expect(context.logger.warn).toHaveBeenCalledWith({ error: 'reaction forbidden' }, 'Failed to set fix reaction');
+  });
+
+  test('still returns the failure when the error reply and reaction cannot be posted', async () => {
+    const deps = createDeps({
+      upsertComment: vi.fn().mockRejectedValue(new Error('comments locked')),
+      setReaction: vi.fn().mockRejectedValue(new Error('reaction forbidden')),
+    });
+    const context = createContext();
+
+    const result = await handleFixCommand(context, ['old.js'], deps);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('is deleted in this pull request');
+    expect(context.logger.warn).toHaveBeenCalledWith({ error: 'comments locked' }, 'Failed to post fix error comment');
+    expect(context.logger.warn).toHaveBeenCalledWith({ error: 'reaction forbidden' }, 'Failed to set fix reaction');
+  });
+
+  test('logs the model call with the provider label', async () => {
+    const context = { ...createContext(), provider: { label: 'Ollama' } };
+
+    await handleFixCommand(context, ['src/math.js'], createDeps());
+
+    expect(context.logger.info).toHaveBeenCalledWith({ filePath: 'src/math.js' }, 'Calling Ollama API for fix');
+  });
+
+  test('refuses fork PRs before calling the model', async () => {
+    const deps = createDeps({
+      resolvePrRefs: vi.fn().mockResolvedValue({
+        success: true,
+        data: { base: { ref: 'main', sha: 'b', repo: 'owner/repo' }, head: { ref: 'feature', sha: 'h', repo: 'someone/repo' } },
+      }),
+    });
+    const context = createContext();
+
+    const result = await handleFixCommand(context, ['src/math.js'], deps);
+
+    expect(result).toEqual({ success: false, error: 'fork_pr' });
+    expect(context.apiClient.call).not.toHaveBeenCalled();
+    expect(deps.commitFilesToBranch).not.toHaveBeenCalled();
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('cannot push to pull requests from forks');
+  });
+
+  test('does not commit a patch that fails to apply', async () => {
+    const deps = createDeps();
+    const context = createContext(`\`\`\`diff\n${PATCH.replace('a - b', 'a * b')}\n\`\`\``);
+
+    const result = await handleFixCommand(context, ['src/math.js'], deps);
+
+    expect(result.success).toBe(false);
+    expect(deps.commitFilesToBranch).not.toHaveBeenCalled();
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('does not apply cleanly to `src/math.js` at `abc1234`');
+    expect(deps.setReaction).toHaveBeenCalledWith({}, 'owner', 'repo', 99, '-1');
+  });
+
+  test('reports a moved branch without committing', async () => {
+    const staleError = Object.assign(new Error('moved'), { code: 'stale_head' });
+    const deps = createDeps({ commitFilesToBranch: vi.fn().mockRejectedValue(staleError) });
+
+    const result = await handleFixCommand(createContext(), ['src/math.js'], deps);
+
+    expect(result).toEqual({ success: false, error: 'moved' });
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('was updated while the fix was being generated');
+  });
+
+  test('replies without committing when no change is needed', async () => {
+    const deps = createDeps();
+
+    const result = await handleFixCommand(createContext('NO_CHANGES already correct'), ['src/math.js'], deps);
+
+    expect(result.success).toBe(true);
+    expect(deps.commitFilesToBranch).not.toHaveBeenCalled();
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('Nothing was committed. already correct');
+  });
+
+  test('rejects deleted files and files too large to patch safely', async () => {
+    const deps = createDeps({
+      fetchFileAtPrHead: vi.fn().mockResolvedValue({ success: true, data: FILE, truncated: true }),
+    });
+
+    expect((await handleFixCommand(createContext(), ['old.js'], deps)).success).toBe(false);
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('is deleted in this pull request');
+
+    await handleFixCommand(createContext(), ['src/math.js'], deps);
+    expect(deps.upsertComment.mock.calls[1][4]).toContain('too large to fix safely');
+  });
+
+  test('sends an excerpt around the range of a long file and only changes that excerpt', async () => {
+    const filler = Array.from({ length: 200 }, (_, index) => `const value${index} = ${index};`);
+    const longFile = [...filler, ...FILE.split('\n'), ...filler].join('\n');
+    const deps = createDeps({
+      fetchFileAtPrHead: vi.fn().mockResolvedValue({ success: true, data: longFile, truncated: false, scoped: false }),
+    });
+    const context = { ...createContext(`\`\`\`diff\n${PATCH.replace('@@ -1,3 +1,3 @@', '@@ -201,3 +201,3 @@')}\n\`\`\``), maxChars: 2000 };
+
+    const result = await handleFixCommand(context, ['src/math.js', '202', 'use', 'addition'], deps);
+
+    expect(result.success).toBe(true);
+    const prompt = context.apiClient.call.mock.calls[0][0].prompt;
+    expect(prompt.length).toBeLessThanOrEqual(2000);
+    const [, first, last] = prompt.match(/<file_excerpt lines="(\d+)-(\d+)">/).map(Number);
+    expect(first).toBeGreaterThan(1);
+    expect(last).toBeLessThan(longFile.split('\n').length);
+    expect(prompt).toContain('Only change lines 202-202');
+    expect(deps.commitFilesToBranch.mock.calls[0][3].files[0].content).toBe(longFile.replace('a - b', 'a + b'));
+
+    await handleFixCommand(context, ['src/math.js'], deps);
+    expect(deps.upsertComment.mock.calls[1][4]).toContain('Name a line range');
+  });
+});
@@ -8,6 +8,7 @@ const {
 } = require('../../src/lib/handlers/impact');
 
 const { upsertComment, setReaction, REACTIONS } = require('../../src/lib/comments');
+const { createSarifReport } = require('../../src/lib/sarif');
 
 describe('impact.js - formatChangedFiles', () => {
   test('returns "No files changed" when array is empty', () => {
@@ -399,6 +400,8 @@ describe('impact.js - handleImpactCommand', () => {
     
     expect(apiCallParams.prompt.includes('Test PR')).toBe(true);
     expect(apiCallParams.prompt.includes('Test description')).toBe(true);
+    expect(apiCallParams.prompt).not.toContain('Technical Lead');
+    expect(apiCallParams.systemPrompt).toContain('You are an expert Technical Lead and Security Auditor');
   });
 
   test('returns error when PR fetch fails', async () => {
@@ -574,4 +577,203 @@ describe('impact.js - handleImpactCommand', () => {
     expect(errorCommentPosted).toBeTruthy();
     expect(xReactionSet).toBeTruthy();
   });
+
+  test('records structured findings on an enabled SARIF report', async () => {
+    let prompt = null;
+    let postedBody = null;
+    const sarifReport = createSarifReport({ path: 'zai.sarif' });
+
+    const mockDeps = {
+      upsertComment: async (octokit, owner, repo, issueNumber, body) => {
+        postedBody = body;
+        return { data: { id: 123 } };
+      },
+      setReaction: async () => {},
+      applySuggestedLabels: async () => true,
+    };
+
+    const context = {
+      octokit: { rest: { pulls: { get: async () => ({ data: { title: 'PR', body: 'desc' } }) } } },
+      owner: 'owner',
+      repo: 'repo',
+      issueNumber: 1,
+      commentId: 1,
+      apiClient: {
+        call: async (params) => {
+          prompt = params.systemPrompt;
+          return {
+            success: true,
+            data: '**Risk Level:** 🔴 Critical\n\n**Suggested Labels:**\n`risk: critical`\n\n```zai-findings\n[{"path": "src/auth.js", "line": 7, "severity": "critical", "rule": "security/missing-auth", "message": "Token is not verified."}]\n```',
+          };
+        },
+      },
+      apiKey: 'key',
+      model: 'model',
+      logger: { info: () => {}, warn: () => {}, error: () => {} },
+      changedFiles: [],
+      sarifReport,
+    };
+
+    const result = await handleImpactCommand(context, [], mockDeps);
+
+    expect(result.success).toBe(true);
+    expect(prompt).toContain('zai-findings');
+    expect(postedBody).not.toContain('zai-findings');
+    expect(sarifReport.analyzed).toBe(true);
+    expect(sarifReport.getEntries()).toEqual([{
+      finding: { path: 'src/auth.js', line: 7, startLine: null, severity: 'critical', message: 'Token is not verified.', rule: 'security/missing-auth' },
+      source: 'impact',
+    }]);
+  });
+
+  test('does not ask for findings without a SARIF export', async () => {
+    let prompt = null;
+    const context = {
+      octokit: { rest: { pulls: { get: async () => ({ data: { title: 'PR', body: 'desc' } }) } } },
+      owner: 'owner',
+      repo: 'repo',
+      issueNumber: 1,
+      commentId: 1,
+      apiClient: {
+        call: async (params) => {
+          prompt = params.systemPrompt;
+          return { success: true, data: '**Risk Level:** 🟢 Low' };
+        },
+      },
+      apiKey: 'key',
+      model: 'model',
+      logger: { info: () => {}, warn: () => {}, error: () => {} },
+      changedFiles: [],
+      sarifReport: createSarifReport(),
+    };
+
+    await handleImpactCommand(context, [], {
+      upsertComment: async () => ({ data: { id: 123 } }),
+      setReaction: async () => {},
+      applySuggestedLabels: async () => true,
+    });
+
+    expect(prompt).not.toContain('zai-findings');
+  });
+
+  test('uses the validated JSON answer for the comment and labels in structured mode', async () => {
+    const prompts = [];
+    let postedBody = null;
+    let labelsApplied = null;
+    const sarifReport = createSarifReport({ path: 'zai.sarif' });
+
+    const context = {
+      octokit: { rest: { pulls: { get: async () => ({ data: { title: 'PR', body: 'desc' } }) } } },
+      owner: 'owner',
+      repo: 'repo',
+      issueNumber: 1,
+      commentId: 1,
+      apiClient: {
+        call: async (params) => {
+          prompts.push(params.systemPrompt);
+          return {
+            success: true,
+            data: JSON.stringify({
+              summary: 'Touches the session middleware.',
+              findings: [{ path: 'src/auth.js', line: 3, severity: 'warning', message: 'Token check moved.' }],
+              risk: { level: 'critical', reason: 'Authentication changes.' },
+              labels: ['risk: critical', 'area: auth'],
+            }),
+          };
+        },
+      },
+      apiKey: 'key',
+      model: 'model',
+      logger: { info: () => {}, warn: () => {}, error: () => {} },
+      changedFiles: [],
+      repoConfig: { output: { format: 'json' }, labels: { enabled: true, allowed: [] } },
+      sarifReport,
+    };
+
+    const result = await handleImpactCommand(context, [], {
+      upsertComment: async (octokit, owner, repo, issueNumber, body) => {
+        postedBody = body;
+        return { data: { id: 123 } };
+      },
+      setReaction: async () => {},
+      applySuggestedLabels: async (octokit, owner, repo, issueNumber, labels) => {
+        labelsApplied = labels;
+        return true;
+      },
+    });
+
+    expect(result.success).toBe(true);
+    expect(prompts).toHaveLength(1);
+    expect(prompts[0]).toContain('"required":["summary","findings","risk","labels"]');
+    expect(postedBody).toContain('**Risk Level:** 🔴 Critical');
+    expect(postedBody).toContain('* `src/auth.js:3`: Token check moved.');
+    expect(labelsApplied).toEqual(['risk: critical', 'area: auth']);
+    expect(sarifReport.getEntries()).toHaveLength(1);
+  });
+
+  test('falls back to the markdown prompt when the JSON answer cannot be repaired', async () => {
+    const prompts = [];
+    let labelsApplied = null;
+
+    const context = {
+      octokit: { rest: { pulls: { get: async () => ({ data: { title: 'PR', body: 'desc' } }) } } },
+      owner: 'owner',
+      repo: 'repo',
+      issueNumber: 1,
+      commentId: 1,
+      apiClient: {
+        call: async (params) => {
+          prompts.push(params.systemPrompt);
+          return { success: true, data: prompts.length < 3 ? 'not json' : '**Risk Level:** 🟢 Low\n\n**Suggested Labels:**\n`risk: low`' };
+        },
+      },
+      apiKey: 'key',
+      model: 'model',
+      logger: { info: () => {}, warn: () => {}, error: () => {} },
+      changedFiles: [],
+      repoConfig: { output: { format: 'json' } },
+    };
+
+    const result = await handleImpactCommand(context, [], {
+      upsertComment: async () => ({ data: { id: 123 } }),
+      setReaction: async () => {},
+      applySuggestedLabels: async (octokit, owner, repo, issueNumber, labels) => {
+        labelsApplied = labels;
+        return true;
+      },
+    });
+
+    expect(result.success).toBe(true);
+    expect(prompts).toHaveLength(3);
+    expect(prompts[2]).toContain('Respond STRICTLY in the following Markdown format');
+    expect(labelsApplied).toEqual(['risk: low']);
+  });
+
+  test('reports a failed model call in structured mode', async () => {
+    let postedBody = null;
+    const context = {
+      octokit: { rest: { pulls: { get: async () => ({ data: { title: 'PR', body: 'desc' } }) } } },
+      owner: 'owner',
+      repo: 'repo',
+      issueNumber: 1,
+      commentId: 1,
+      apiClient: { call: async () => ({ success: false, error: { message: 'timeout', category: 'timeout' } }) },
+      apiKey: 'key',
+      model: 'model',
+      logger: { info: () => {}, warn: () => {}, error: () => {} },
+      changedFiles: [],
+      repoConfig: { output: { format: 'json' } },
+    };
+
+    const result = await handleImpactCommand(context, [], {
+      upsertComment: async (octokit, owner, repo, issueNumber, body) => {
+        postedBody = body;
+        return { data: { id: 123 } };
+      },
+      setReaction: async () => {},
+    });
+
+    expect(result).toEqual({ success: false, error: { message: 'timeout', category: 'timeout' } });
+    expect(postedBody).toContain('Failed to analyze PR');
+  });
 });
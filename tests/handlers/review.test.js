@@ -140,6 +140,14 @@ describe('review.js - buildReviewPrompt', () => {
     expect(result.truncated, true).toBeTruthy();
     expect(result.prompt.includes('[truncated')).toBe(true);
   });
+
+  test('keeps the task after truncated file content', () => {
+    const result = buildReviewPrompt('src/index.js', 'a'.repeat(20000), 'b'.repeat(5000), 8000);
+
+    expect(result.truncated).toBe(true);
+    expect(result.prompt.length).toBeLessThanOrEqual(8000);
+    expect(result.prompt.endsWith('Use "src/index.js" as the path of every finding.')).toBe(true);
+  });
 });
 
 describe('review.js - handleReviewCommand', () => {
@@ -176,6 +184,78 @@ describe('review.js - handleReviewCommand', () => {
     expect(reactionPosted).toBeTruthy();
   });
 
+  test('sends the guidelines covering the file in the system prompt', async () => {
+    let guidelineParams = null;
+    let systemPrompt = null;
+    const mockDeps = {
+      upsertComment: async () => ({ data: { id: 123 } }),
+      setReaction: async () => {},
+      fetchFileAtPrHead: async () => ({ success: true, data: 'file content' }),
+      createLogger: () => ({ info: () => {}, error: () => {} }),
+      generateCorrelationId: () => 'test-id',
+      resolveGuidelines: async (octokit, params) => {
+        guidelineParams = params;
+        return [{ path: 'src/AGENTS.md', scope: 'src/', content: 'Never throw from library code.' }];
+      },
+    };
+    const context = {
+      octokit: {},
+      owner: 'test-owner',
+      repo: 'test-repo',
+      issueNumber: 1,
+      changedFiles: [{ filename: 'src/index.js', status: 'modified', patch: '@@ -1,2 +1,3 @@\n+new line' }],
+      apiClient: { call: async (params) => { systemPrompt = params.systemPrompt; return { success: true, data: 'Review' }; } },
+      apiKey: 'test-key',
+      model: 'test-model',
+      commentId: 999,
+      pullNumber: 1,
+      baseRef: 'main',
+      repoConfig: { guidelines: { enabled: true, maxChars: 6000 } },
+    };
+
+    await handleReviewCommand(context, ['src/index.js'], mockDeps);
+
+    expect(guidelineParams).toMatchObject({ ref: 'main', paths: ['src/index.js'], config: { enabled: true, maxChars: 6000 } });
+    expect(systemPrompt).toContain('<guideline path="src/AGENTS.md" applies_to="src/">\nNever throw from library code.\n</guideline>');
+    expect(systemPrompt).toContain('set its "rule" to "guideline/"');
+  });
+
+  test('sends the definitions the file imports with the prompt', async () => {
+    let crossFileParams = null;
+    let prompt = null;
+    const mockDeps = {
+      upsertComment: async () => ({ data: { id: 123 } }),
+      setReaction: async () => {},
+      fetchFileAtPrHead: async () => ({ success: true, data: "const { fetchFile } = require('./lib/repository-context');" }),
+      createLogger: () => ({ info: () => {}, error: () => {} }),
+      generateCorrelationId: () => 'test-id',
+      resolveCrossFileContext: async (octokit, params) => {
+        crossFileParams = params;
+        return [{ path: 'src/lib/repository-context.js', symbol: 'fetchFile', startLine: 3, endLine: 5, content: 'async function fetchFile(octokit, owner, repo, path, ref) {\n}' }];
+      },
+    };
+    const context = {
+      octokit: {},
+      owner: 'test-owner',
+      repo: 'test-repo',
+      issueNumber: 1,
+      changedFiles: [{ filename: 'src/index.js', status: 'modified', patch: '@@ -1,2 +1,3 @@\n+fetchFile(octokit)' }],
+      apiClient: { call: async (params) => { prompt = params.prompt; return { success: true, data: 'Review' }; } },
+      apiKey: 'test-key',
+      model: 'test-model',
+      commentId: 999,
+      pullNumber: 7,
+      repoConfig: { crossFileContext: { enabled: true, maxChars: 6000 } },
+    };
+
+    await handleReviewCommand(context, ['src/index.js'], mockDeps);
+
+    expect(crossFileParams).toMatchObject({ pullNumber: 7, config: { enabled: true, maxChars: 6000 } });
+    expect(crossFileParams.files).toEqual([{ ...context.changedFiles[0], content: "const { fetchFile } = require('./lib/repository-context');" }]);
+    expect(prompt).toContain('### Referenced Definitions:');
+    expect(prompt).toContain('<definition symbol="fetchFile" path="src/lib/repository-context.js" lines="3-5">');
+  });
+
   test('returns error when validateFileInPr fails', async () => {
     let commentPosted = false;
     
@@ -370,4 +450,56 @@ describe('review.js - handleReviewCommand', () => {
     expect(result.success).toBe(true);
     expect(apiCalled).toBeTruthy();
   });
+
+  test('publishes fixable findings as inline suggested changes', async () => {
+    let postedBody = null;
+    let inlineArgs = null;
+
+    const mockDeps = {
+      upsertComment: async (octokit, owner, repo, issueNumber, body) => { postedBody = body; return { data: { id: 123 } }; },
+      setReaction: async () => {},
+      fetchFileAtPrHead: async () => ({ success: true, data: 'file content' }),
+      createLogger: () => ({ info: () => {}, warn: () => {}, error: () => {} }),
+      generateCorrelationId: () => 'test-id',
+      publishInlineFindings: async (...args) => {
+        inlineArgs = args;
+        return { posted: 1, skipped: 0, unanchored: [], reviewId: 5 };
+      },
+    };
+
+    const changedFiles = [
+      { filename: 'src/index.js', status: 'modified', patch: '@@ -1,2 +1,3 @@\n a\n+b\n c' }
+    ];
+
+    const context = {
+      octokit: {},
+      owner: 'test-owner',
+      repo: 'test-repo',
+      issueNumber: 1,
+      changedFiles,
+      apiClient: {
+        call: async (params) => {
+          expect(params.systemPrompt.includes('zai-findings')).toBe(true);
+          return {
+            success: true,
+            data: 'Review body\n```zai-findings\n[{"path":"index.js","line":2,"severity":"warning","message":"Typo","suggestion":"+c"}]\n```',
+          };
+        }
+      },
+      apiKey: 'test-key',
+      model: 'test-model',
+      commentId: 999,
+      pullNumber: 1,
+    };
+
+    const result = await handleReviewCommand(context, ['src/index.js'], mockDeps);
+
+    expect(result.success).toBe(true);
+    const [, , , pullNumber, findings, files] = inlineArgs;
+    expect(pullNumber).toBe(1);
+    expect(findings[0]).toMatchObject({ path: 'src/index.js', line: 2, suggestion: '+c' });
+    expect(files).toEqual(changedFiles);
+    expect(postedBody.includes('zai-findings')).toBe(false);
+    expect(postedBody.includes('Posted 1 inline comment(s)')).toBe(true);
+  });
 });
@@ -7,7 +7,9 @@ const {
   buildAgentsUpgradePrompt,
   parseFileUpdatesFromResponse,
   createPR,
+  commitFilesToBranch,
   handleUpdateAgentsTask,
+  handleChangelogTask,
   executeScheduledTask,
 } = require('../../src/lib/handlers/scheduled.js');
 
@@ -55,6 +57,10 @@ describe('handler registry', () => {
     expect(typeof getScheduledHandler('update-agents')).toBe('function');
   });
 
+  test('getScheduledHandler returns the changelog handler', () => {
+    expect(getScheduledHandler('changelog')).toBe(handleChangelogTask);
+  });
+
   test('getScheduledHandler returns null for unknown commands', () => {
     expect(getScheduledHandler('does-not-exist')).toBe(null);
   });
@@ -111,6 +117,15 @@ describe('buildExecutionContext', () => {
     expect(ctx.targetBranch).toBe('main');
   });
 
+  test('passes the task API client through', () => {
+    const apiClient = { call: vi.fn() };
+    const ctx = buildExecutionContext({
+      octokit: {}, task: { config: {} }, config: { defaults: {} },
+      logger: fakeLogger(), context: {}, apiClient,
+    });
+    expect(ctx.apiClient).toBe(apiClient);
+  });
+
   test('injects all expected utility helpers', () => {
     const ctx = buildExecutionContext({
       octokit: {}, task: { config: {} }, config: { defaults: {} },
@@ -239,6 +254,69 @@ describe('createPR', () => {
     }, fakeLogger());
     expect(result.number).toBe(42);
   });
+
+  test('uses a requested branch name', async () => {
+    const octokit = recordingOctokit({});
+
+    await createPR(octokit, 'o', 'r', {
+      title: 't', body: 'b', base: 'feature',
+      files: [{ path: 'tests/a.test.js', content: 'x' }],
+      commitMessage: 'm',
+      branchName: 'zai-tests/pr-7-abc1234',
+    }, fakeLogger());
+
+    expect(octokit.calls.find(c => c.name === 'createRef').args.ref).toBe('refs/heads/zai-tests/pr-7-abc1234');
+    expect(octokit.calls.find(c => c.name === 'pulls.create').args).toMatchObject({ head: 'zai-tests/pr-7-abc1234', base: 'feature' });
+  });
+});
+
+describe('commitFilesToBranch', () => {
+  function gitOctokit(headSha = 'head1') {
+    const calls = [];
+    const record = (name, data) => async (args) => { calls.push({ name, args }); return { data }; };
+    const rest = {
+      git: {
+        getRef: record('getRef', { object: { sha: headSha } }),
+        getCommit: record('getCommit', { tree: { sha: 'tree1' } }),
+        getTree: record('getTree', { tree: [{ path: 'bin/run.sh', mode: '100755' }] }),
+        createTree: record('createTree', { sha: 'tree2' }),
+        createCommit: record('createCommit', { sha: 'commit2', html_url: 'https://github.com/o/r/commit/commit2' }),
+        updateRef: record('updateRef', {}),
+      },
+    };
+    return { rest, calls };
+  }
+
+  test('writes one commit on top of the branch head and fast-forwards the ref', async () => {
+    const octokit = gitOctokit();
+
+    const result = await commitFilesToBranch(octokit, 'o', 'r', {
+      branch: 'feature',
+      files: [{ path: 'bin/run.sh', content: 'echo hi\n' }, { path: 'src/a.js', content: 'a' }],
+      message: 'fix: thing',
+      expectedHeadSha: 'head1',
+    });
+
+    expect(result).toEqual({ sha: 'commit2', url: 'https://github.com/o/r/commit/commit2', parentSha: 'head1' });
+    const byName = Object.fromEntries(octokit.calls.map(call => [call.name, call.args]));
+    expect(byName.getRef.ref).toBe('heads/feature');
+    expect(byName.createTree.base_tree).toBe('tree1');
+    expect(byName.createTree.tree.map(entry => entry.mode)).toEqual(['100755', '100644']);
+    expect(byName.createCommit).toMatchObject({ tree: 'tree2', parents: ['head1'], message: 'fix: thing' });
+    expect(byName.updateRef).toMatchObject({ ref: 'heads/feature', sha: 'commit2', force: false });
+  });
+
+  test('refuses to commit when the branch moved', async () => {
+    const octokit = gitOctokit('head2');
+
+    await expect(commitFilesToBranch(octokit, 'o', 'r', {
+      branch: 'feature',
+      files: [{ path: 'a.js', content: 'a' }],
+      message: 'm',
+      expectedHeadSha: 'head1',
+    })).rejects.toMatchObject({ code: 'stale_head' });
+    expect(octokit.calls.map(call => call.name)).toEqual(['getRef']);
+  });
 });
 
 describe('handleUpdateAgentsTask (early returns)', () => {
@@ -281,6 +359,79 @@ describe('handleUpdateAgentsTask (early returns)', () => {
   });
 });
 
+describe('handleChangelogTask', () => {
+  function changelogOctokit() {
+    return {
+      rest: {
+        repos: {
+          getLatestRelease: async () => ({ data: { tag_name: 'v1.0.0' } }),
+          getCommit: async () => ({ data: { commit: { committer: { date: '2026-10-01T00:00:00Z' } } } }),
+          listReleases: vi.fn().mockResolvedValue({ data: [] }),
+          createRelease: vi.fn().mockResolvedValue({ data: { id: 5, html_url: 'u' } }),
+        },
+        pulls: {
+          list: async () => ({
+            data: [{ number: 3, title: 'feat: add changelog task', labels: [], merged_at: '2026-10-05T00:00:00Z', updated_at: '2026-10-05T00:00:00Z' }],
+          }),
+        },
+      },
+    };
+  }
+
+  function baseContext(config = {}, overrides = {}) {
+    return {
+      octokit: changelogOctokit(), owner: 'o', repo: 'r',
+      task: { id: 'weekly-changelog', command: 'changelog', config },
+      config: { defaults: { branch: 'main' } },
+      logger: fakeLogger(), targetBranch: 'main',
+      fetchFile: vi.fn().mockResolvedValue(null),
+      createPullRequest: vi.fn().mockResolvedValue({ number: 8, html_url: 'pr-url' }),
+      ...overrides,
+    };
+  }
+
+  test('opens a PR adding the Unreleased section to CHANGELOG.md', async () => {
+    const context = baseContext();
+
+    const result = await handleChangelogTask(context);
+
+    expect(result).toMatchObject({ success: true, prCreated: true, prNumber: 8, prUrl: 'pr-url' });
+    expect(context.fetchFile).toHaveBeenCalledWith('CHANGELOG.md');
+    const params = context.createPullRequest.mock.calls[0][0];
+    expect(params.base).toBe('main');
+    expect(params.branchName).toMatch(/^zai-changelog\/unreleased-\d{4}-\d{2}-\d{2}$/);
+    expect(params.files[0].path).toBe('CHANGELOG.md');
+    expect(params.files[0].content).toContain('## [Unreleased]\n\n### Added\n\n- Add changelog task (#3)');
+  });
+
+  test('skips the PR when the file is already current', async () => {
+    const first = baseContext();
+    await handleChangelogTask(first);
+    const current = first.createPullRequest.mock.calls[0][0].files[0].content;
+
+    const context = baseContext({}, { fetchFile: vi.fn().mockResolvedValue(current) });
+    const result = await handleChangelogTask(context);
+
+    expect(result).toMatchObject({ success: true, prCreated: false });
+    expect(context.createPullRequest).not.toHaveBeenCalled();
+  });
+
+  test('refreshes a draft release when output is release', async () => {
+    const context = baseContext({ output: 'release', release_tag: 'v1.1.0' });
+
+    const result = await handleChangelogTask(context);
+
+    expect(result).toMatchObject({ success: true, prCreated: false, releaseId: 5 });
+    expect(context.octokit.rest.repos.createRelease).toHaveBeenCalledWith(expect.objectContaining({ tag_name: 'v1.1.0', draft: true }));
+    expect(context.createPullRequest).not.toHaveBeenCalled();
+  });
+
+  test('fails without a tag for release output', async () => {
+    const result = await handleChangelogTask(baseContext({ output: 'release' }));
+    expect(result).toMatchObject({ success: false, error: 'Missing release_tag configuration' });
+  });
+});
+
 describe('executeScheduledTask', () => {
   test('returns an error result for an unknown command', async () => {
     const result = await executeScheduledTask({
@@ -334,8 +485,6 @@ describe('buildAgentsUpgradePrompt', () => {
       owner: 'o', repo: 'r', branch: 'main', repositoryContext: ctx,
     });
 
-    // Anti-hallucination: model told it has no live repo access.
-    expect(prompt).toContain('do NOT have live repository access');
     // Real tree is embedded.
     expect(prompt).toContain('src/index.js');
     expect(prompt).toContain('action.yml');
@@ -441,6 +590,26 @@ describe('handleUpdateAgentsTask (grounded flow)', () => {
     }
   });
 
+  test('sends the agents persona as the system prompt through the task API client', async () => {
+    const validResponse = JSON.stringify({
+      summary: 'refreshed root',
+      files: [{ path: 'AGENTS.md', content: '# Project\n\nUses `src/index.js` and `package.json`.', action: 'updated' }],
+    });
+    const env = buildCtx({ zaiResponse: validResponse });
+    env.restore();
+    const apiClient = { call: vi.fn(async () => ({ success: true, data: validResponse })) };
+
+    const result = await handleUpdateAgentsTask({ ...env.context, apiClient });
+
+    expect(result.prCreated).toBe(true);
+    const [params] = apiClient.call.mock.calls[0];
+    expect(params).toMatchObject({ apiKey: 'k', model: 'm' });
+    // Anti-hallucination: model told it has no live repo access.
+    expect(params.systemPrompt).toContain('do NOT have live repository access');
+    expect(params.prompt).not.toContain('do NOT have live repository access');
+    expect(params.prompt).toContain('src/index.js');
+  });
+
   test('rejects hallucinated output and creates NO PR', async () => {
     const hallucinated = JSON.stringify({
       summary: 'rewrote',
@@ -0,0 +1,251 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  parseTestArgs,
+  isTestFile,
+  detectTestFramework,
+  suggestTestPath,
+  getAddedLines,
+  collectChangedFunctions,
+  buildTestPrompt,
+  parseProposedTestFiles,
+  handleTestCommand,
+  TEST_MARKER,
+} = require('../../src/lib/handlers/test');
+
+const SOURCE = [
+  "const core = require('@actions/core');",
+  '',
+  'function add(a, b) {',
+  '  return a + b;',
+  '}',
+  '',
+  'function sub(a, b) {',
+  '  return a - b;',
+  '}',
+  '',
+  'module.exports = { add, sub };',
+].join('\n');
+
+const PATCH = '@@ -3,3 +3,3 @@\n function add(a, b) {\n-  return a - b;\n+  return a + b;\n }';
+
+describe('parseTestArgs', () => {
+  test('reads an optional file and the --pr flag', () => {
+    expect(parseTestArgs([])).toEqual({ filePath: null, openPr: false });
+    expect(parseTestArgs(['src/math.js', '--pr'])).toEqual({ filePath: 'src/math.js', openPr: true });
+    expect(parseTestArgs(['a.js', 'b.js']).error).toContain('Too many arguments');
+    expect(parseTestArgs(['../x.js']).error).toContain('Path traversal');
+  });
+});
+
+describe('isTestFile', () => {
+  test('recognises test directories and naming conventions', () => {
+    expect(isTestFile('tests/handlers/review.test.js')).toBe(true);
+    expect(isTestFile('src/__tests__/math.js')).toBe(true);
+    expect(isTestFile('pkg/math_test.go')).toBe(true);
+    expect(isTestFile('app/test_math.py')).toBe(true);
+    expect(isTestFile('src/lib/test.js')).toBe(false);
+    expect(isTestFile('src/latest.js')).toBe(false);
+  });
+});
+
+describe('detectTestFramework', () => {
+  test('reads package.json dependencies and test script', () => {
+    const ctx = pkg => ({ tree: ['package.json'], fileContents: { 'package.json': JSON.stringify(pkg) } });
+    expect(detectTestFramework(ctx({ devDependencies: { vitest: '^3.0.0' } }))).toEqual({ name: 'vitest', language: 'javascript' });
+    expect(detectTestFramework(ctx({ devDependencies: { jest: '29' } })).name).toBe('jest');
+    expect(detectTestFramework(ctx({ scripts: { test: 'node --test' } })).name).toBe('node:test');
+  });
+
+  test('falls back to config files and other ecosystems', () => {
+    expect(detectTestFramework({ tree: ['jest.config.ts'], fileContents: {} }).name).toBe('jest');
+    expect(detectTestFramework({ tree: ['pyproject.toml'], fileContents: { 'pyproject.toml': '[tool.pytest.ini_options]' } }).name).toBe('pytest');
+    expect(detectTestFramework({ tree: ['go.mod'], fileContents: {} }).name).toBe('go test');
+    expect(detectTestFramework({ tree: [], fileContents: {} })).toBe(null);
+  });
+});
+
+describe('suggestTestPath', () => {
+  const testFiles = ['tests/api.test.js', 'tests/handlers/review.test.js', 'tests/handlers/ask.test.js'];
+
+  test('reuses an existing test file for the module', () => {
+    expect(suggestTestPath('src/lib/handlers/review.js', testFiles)).toEqual({ path: 'tests/handlers/review.test.js', existing: true });
+  });
+
+  test('follows the test directory, mirrored folder and suffix', () => {
+    expect(suggestTestPath('src/lib/handlers/fix.js', testFiles)).toEqual({ path: 'tests/handlers/fix.test.js', existing: false });
+    expect(suggestTestPath('src/lib/usage.js', testFiles)).toEqual({ path: 'tests/usage.test.js', existing: false });
+  });
+
+  test('colocates tests when the repository does', () => {
+    expect(suggestTestPath('src/math.ts', ['src/util.spec.ts'])).toEqual({ path: 'src/math.spec.ts', existing: false });
+    expect(suggestTestPath('src/math.js', ['src/util/__tests__/util.test.js']).path).toBe('src/__tests__/math.test.js');
+    expect(suggestTestPath('pkg/calc/calc.go', []).path).toBe('pkg/calc/calc_test.go');
+    expect(suggestTestPath('app/calc.py', []).path).toBe('app/test_calc.py');
+  });
+});
+
+describe('changed functions', () => {
+  test('getAddedLines maps added lines to new-side numbers', () => {
+    expect(getAddedLines(PATCH)).toEqual([4]);
+    expect(getAddedLines('@@ -1,2 +1,3 @@\n a\n+b\n+c')).toEqual([2, 3]);
+  });
+
+  test('collectChangedFunctions returns each enclosing block once', () => {
+    const functions = collectChangedFunctions(SOURCE, PATCH);
+    expect(functions).toHaveLength(1);
+    expect(functions[0]).toMatchObject({ startLine: 3, endLine: 5 });
+    expect(functions[0].code).toContain('function add(a, b)');
+  });
+});
+
+describe('buildTestPrompt and parseProposedTestFiles', () => {
+  test('prompt names the framework, target paths and example', () => {
+    const { prompt } = buildTestPrompt({
+      framework: { name: 'vitest' },
+      targets: [{ sourcePath: 'src/math.js', testPath: 'tests/math.test.js', functions: [{ startLine: 3, endLine: 5, code: 'function add() {}' }] }],
+      example: { path: 'tests/api.test.js', content: "import { test } from 'vitest';" },
+    });
+    expect(prompt).toContain('Test framework: vitest');
+    expect(prompt).toContain('test_file="tests/math.test.js"');
+    expect(prompt).toContain('<example_test path="tests/api.test.js">');
+  });
+
+  test('gives existing tests their own budget and keeps the task after the context', () => {
+    const existingTest = `${"test('old', () => {});\n".repeat(400)}test('last', () => {});`;
+    const { prompt, truncated, truncatedTests } = buildTestPrompt({
+      framework: { name: 'vitest' },
+      targets: [{ sourcePath: 'src/math.js', testPath: 'tests/math.test.js', functions: [{ startLine: 3, endLine: 5, code: 'function add() {}' }], existingTest }],
+      maxChars: 8000,
+    });
+
+    expect(prompt.length).toBeLessThanOrEqual(8000);
+    expect(prompt).toContain('function add() {}');
+    expect(prompt).not.toContain("test('last'");
+    expect(prompt.endsWith('Use exactly the test_file paths given above.')).toBe(true);
+    expect(truncated).toBe(true);
+    expect(truncatedTests).toEqual(['tests/math.test.js']);
+  });
+
+  test('only accepts the requested paths', () => {
+    const response = 'Here you go.\n\n### `tests/math.test.js`\n```js\ntest(1);\n```\n\n### tests/other.test.js\n```js\nnope\n```';
+    expect(parseProposedTestFiles(response, ['tests/math.test.js'])).toEqual([{ path: 'tests/math.test.js', content: 'test(1);\n' }]);
+  });
+});
+
+describe('handleTestCommand', () => {
+  const changedFiles = [
+    { filename: 'src/math.js', status: 'modified', additions: 1, patch: PATCH },
+    { filename: 'tests/math.test.js', status: 'modified', additions: 3, patch: '@@ -1 +1 @@\n+x' },
+  ];
+  const response = 'Tests for add.\n\n### `tests/math.test.js`\n```js\ntest("adds", () => {});\n```';
+
+  function createDeps(headRepo = 'owner/repo') {
+    return {
+      upsertComment: vi.fn().mockResolvedValue({ action: 'created', id: 1 }),
+      setReaction: vi.fn().mockResolvedValue(undefined),
+      resolvePrRefs: vi.fn().mockResolvedValue({
+        success: true,
+        data: { base: { ref: 'main', sha: 'base1', repo: 'owner/repo' }, head: { ref: 'feature', sha: 'abcdef123', repo: headRepo } },
+      }),
+      collectRepositoryContext: vi.fn().mockResolvedValue({
+        tree: ['package.json', 'src/math.js', 'tests/api.test.js'],
+        fileContents: { 'package.json': '{"devDependencies":{"vitest":"^3"}}' },
+      }),
+      fetchFile: vi.fn(async (octokit, owner, repo, path) => (path === 'src/math.js' ? SOURCE : "import { test } from 'vitest';")),
+      createPR: vi.fn().mockResolvedValue({ number: 12 }),
+      now: () => 1700000000000,
+    };
+  }
+
+  function createContext() {
+    return {
+      octokit: {},
+      owner: 'owner',
+      repo: 'repo',
+      issueNumber: 7,
+      commentId: 99,
+      changedFiles,
+      apiClient: { call: vi.fn().mockResolvedValue({ success: true, data: response }) },
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+    };
+  }
+
+  test('posts proposed tests for changed source files as a comment', async () => {
+    const deps = createDeps();
+    const context = createContext();
+
+    const result = await handleTestCommand(context, [], deps);
+
+    expect(result).toEqual({ success: true });
+    const prompt = context.apiClient.call.mock.calls[0][0].prompt;
+    expect(prompt).toContain('source_file path="src/math.js" test_file="tests/math.test.js"');
+    expect(prompt).not.toContain('source_file path="tests/math.test.js"');
+    const body = deps.upsertComment.mock.calls[0][4];
+    expect(body).toContain('## 🧪 Proposed Tests');
+    expect(body).toContain('_Framework: vitest · 1 file(s)_');
+    expect(body).toContain('/zai test --pr');
+    expect(deps.upsertComment.mock.calls[0][5]).toBe(TEST_MARKER);
+    expect(deps.createPR).not.toHaveBeenCalled();
+  });
+
+  test('opens a follow-up PR against the PR branch with --pr', async () => {
+    const deps = createDeps();
+
+    const result = await handleTestCommand(createContext(), ['--pr'], deps);
+
+    expect(result).toEqual({ success: true, prNumber: 12 });
+    expect(deps.createPR).toHaveBeenCalledWith({}, 'owner', 'repo', expect.objectContaining({
+      base: 'feature',
+      branchName: 'zai-tests/pr-7-abcdef1-loyw3v28',
+      files: [{ path: 'tests/math.test.js', content: 'test("adds", () => {});\n' }],
+    }), expect.anything());
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('Opened #12 against `feature`');
+  });
+
+  test('opens each re-run on the same head from its own branch', async () => {
+    const deps = createDeps();
+    deps.now = vi.fn().mockReturnValueOnce(1700000000000).mockReturnValueOnce(1700000060000);
+
+    await handleTestCommand(createContext(), ['--pr'], deps);
+    await handleTestCommand(createContext(), ['--pr'], deps);
+
+    const [first, second] = deps.createPR.mock.calls.map(call => call[3].branchName);
+    expect(first).toMatch(/^zai-tests\/pr-7-abcdef1-/);
+    expect(second).toMatch(/^zai-tests\/pr-7-abcdef1-/);
+    expect(second).not.toBe(first);
+  });
+
+  test('does not open a PR that would replace a test file the model saw only in part', async () => {
+    const deps = createDeps();
+    deps.collectRepositoryContext.mockResolvedValue({
+      tree: ['package.json', 'src/math.js', 'tests/math.test.js'],
+      fileContents: { 'package.json': '{"devDependencies":{"vitest":"^3"}}' },
+    });
+    deps.fetchFile = vi.fn(async (octokit, owner, repo, path) => (path === 'src/math.js' ? SOURCE : "test('old', () => {});\n".repeat(400)));
+
+    const result = await handleTestCommand(createContext(), ['--pr'], deps);
+
+    expect(result).toEqual({ success: true });
+    expect(deps.createPR).not.toHaveBeenCalled();
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('No pull request was opened: `tests/math.test.js` did not fit in the prompt');
+  });
+
+  test('falls back to a comment on fork PRs', async () => {
+    const deps = createDeps('someone/repo');
+
+    await handleTestCommand(createContext(), ['--pr'], deps);
+
+    expect(deps.createPR).not.toHaveBeenCalled();
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('cannot be opened for a fork');
+  });
+
+  test('reports when there is nothing to test', async () => {
+    const deps = createDeps();
+    const context = { ...createContext(), changedFiles: [changedFiles[1]] };
+
+    const result = await handleTestCommand(context, [], deps);
+
+    expect(result.success).toBe(false);
+    expect(deps.upsertComment.mock.calls[0][4]).toContain('No changed source files');
+  });
+});
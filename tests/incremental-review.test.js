@@ -0,0 +1,129 @@
+import { test, describe, expect } from 'vitest';
+
+const {
+  COMPARE_FILES_LIMIT,
+  UPDATE_SECTION_MARKER,
+  appendUpdateSection,
+  buildReviewedShaMarker,
+  getLastReviewedSha,
+  getPreviousReviewContent,
+  resolveIncrementalDiff,
+  selectIncrementalFiles,
+} = require('../src/lib/incremental-review');
+
+const OLD_SHA = '1'.repeat(40);
+const NEW_SHA = '2'.repeat(40);
+
+function compareOctokit(handler) {
+  return { rest: { repos: { compareCommits: handler } } };
+}
+
+describe('incremental-review - reviewed SHA marker', () => {
+  test('round-trips the reviewed head SHA', () => {
+    const body = `Review\n\n<!-- zai-code-review -->\n${buildReviewedShaMarker(OLD_SHA)}`;
+
+    expect(getLastReviewedSha(body)).toBe(OLD_SHA);
+    expect(getLastReviewedSha('Review without marker')).toBe(null);
+    expect(getLastReviewedSha(null)).toBe(null);
+  });
+
+  test('does not emit a marker for invalid SHAs', () => {
+    expect(buildReviewedShaMarker(undefined)).toBe('');
+    expect(buildReviewedShaMarker('not a sha')).toBe('');
+  });
+});
+
+describe('incremental-review - resolveIncrementalDiff', () => {
+  test('uses a full review for non-synchronize events or missing state', async () => {
+    const octokit = compareOctokit(async () => { throw new Error('should not compare'); });
+
+    expect((await resolveIncrementalDiff(octokit, 'o', 'r', { action: 'opened', lastReviewedSha: OLD_SHA, headSha: NEW_SHA })).mode).toBe('full');
+    expect((await resolveIncrementalDiff(octokit, 'o', 'r', { action: 'synchronize', lastReviewedSha: null, headSha: NEW_SHA })).mode).toBe('full');
+  });
+
+  test('reports unchanged when the head was already reviewed', async () => {
+    const result = await resolveIncrementalDiff(compareOctokit(async () => ({})), 'o', 'r', {
+      action: 'synchronize', lastReviewedSha: OLD_SHA, headSha: OLD_SHA,
+    });
+
+    expect(result.mode).toBe('unchanged');
+  });
+
+  test('returns compare files when the new head is ahead', async () => {
+    const files = [{ filename: 'a.js', patch: '+a' }];
+    const result = await resolveIncrementalDiff(
+      compareOctokit(async () => ({ data: { status: 'ahead', total_commits: 2, files } })),
+      'o', 'r', { action: 'synchronize', lastReviewedSha: OLD_SHA, headSha: NEW_SHA }
+    );
+
+    expect(result).toMatchObject({ mode: 'incremental', baseSha: OLD_SHA, headSha: NEW_SHA, files });
+    expect(result.reason).toContain('2 new commit(s)');
+  });
+
+  test('falls back to a full review when history was rewritten', async () => {
+    const diverged = await resolveIncrementalDiff(
+      compareOctokit(async () => ({ data: { status: 'diverged', files: [] } })),
+      'o', 'r', { action: 'synchronize', lastReviewedSha: OLD_SHA, headSha: NEW_SHA }
+    );
+    const missing = await resolveIncrementalDiff(
+      compareOctokit(async () => { const e = new Error('No common ancestor'); e.status = 404; throw e; }),
+      'o', 'r', { action: 'synchronize', lastReviewedSha: OLD_SHA, headSha: NEW_SHA }
+    );
+
+    expect(diverged.mode).toBe('full');
+    expect(missing.mode).toBe('full');
+  });
+
+  test('falls back to a full review when the compare diff may be truncated', async () => {
+    const files = Array.from({ length: COMPARE_FILES_LIMIT }, (_, i) => ({ filename: `f${i}.js`, patch: '+x' }));
+    const result = await resolveIncrementalDiff(
+      compareOctokit(async () => ({ data: { status: 'ahead', files } })),
+      'o', 'r', { action: 'synchronize', lastReviewedSha: OLD_SHA, headSha: NEW_SHA }
+    );
+
+    expect(result.mode).toBe('full');
+  });
+
+  test('rethrows unexpected API errors', async () => {
+    const octokit = compareOctokit(async () => { const e = new Error('Server Error'); e.status = 500; throw e; });
+
+    await expect(resolveIncrementalDiff(octokit, 'o', 'r', {
+      action: 'synchronize', lastReviewedSha: OLD_SHA, headSha: NEW_SHA,
+    })).rejects.toThrow('Server Error');
+  });
+});
+
+describe('incremental-review - comment assembly', () => {
+  test('selectIncrementalFiles keeps only files that belong to the PR', () => {
+    const result = selectIncrementalFiles(
+      [{ filename: 'a.js' }, { filename: 'from-base.js' }],
+      [{ filename: 'a.js' }, { filename: 'b.js' }]
+    );
+
+    expect(result).toEqual([{ filename: 'a.js' }]);
+  });
+
+  test('getPreviousReviewContent strips trailing markers', () => {
+    const body = `## Z.ai Code Review\n\nText\n\n<!-- zai-code-review -->\n${buildReviewedShaMarker(OLD_SHA)}`;
+
+    expect(getPreviousReviewContent(body, '<!-- zai-code-review -->')).toBe('## Z.ai Code Review\n\nText');
+  });
+
+  test('appendUpdateSection adds a section per push', () => {
+    const first = appendUpdateSection('## Z.ai Code Review\n\nOriginal', 'Update one', { baseSha: OLD_SHA, headSha: NEW_SHA });
+    const second = appendUpdateSection(first, 'Update two', { baseSha: NEW_SHA, headSha: '3'.repeat(40) });
+
+    expect(second.split(UPDATE_SECTION_MARKER)).toHaveLength(3);
+    expect(second.indexOf('Update one')).toBeLessThan(second.indexOf('Update two'));
+    expect(second).toContain('(`2222222` → `3333333`)');
+  });
+
+  test('appendUpdateSection drops the oldest updates when the comment grows too large', () => {
+    const first = appendUpdateSection('Original', 'x'.repeat(100), { baseSha: OLD_SHA, headSha: NEW_SHA });
+    const second = appendUpdateSection(first, 'Latest', { baseSha: NEW_SHA, headSha: NEW_SHA, maxChars: 120 });
+
+    expect(second.startsWith('Original')).toBe(true);
+    expect(second).toContain('Latest');
+    expect(second.includes('x'.repeat(100))).toBe(false);
+  });
+});
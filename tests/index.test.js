@@ -1,4 +1,4 @@
-import { test, describe, expect } from 'vitest';
+import { test, describe, expect, vi } from 'vitest';
 const { 
   buildPrompt, 
   GUIDANCE_MESSAGES, 
@@ -6,15 +6,22 @@ const {
   GUIDANCE_MARKER, 
   PROGRESS_MARKER, 
   AUTH_MARKER,
+  REVIEW_ERROR_MARKER,
   getChangedFiles,
   getReviewConfig,
+  callZaiApi,
   runLargePrReview,
   enforceCommandAuthorization,
+  enforceCommandEnabled,
+  resolveCommentRepoConfig,
   handlePullRequestEvent,
-  dispatchCommand
+  handlePullRequestTitle,
+  dispatchCommand,
+  TITLE_SUGGESTION_MARKER
 } = require('../src/index');
 
 const commentsModule = require('../src/lib/comments');
+const { createSarifReport } = require('../src/lib/sarif');
 
 const REACTIONS = {
   EYES: 'eyes',
@@ -85,6 +92,9 @@ describe('index.js - GUIDANCE_MESSAGES', () => {
     expect(msg.includes('/zai explain')).toBe(true);
     expect(msg.includes('/zai describe')).toBe(true);
     expect(msg.includes('/zai impact')).toBe(true);
+    expect(msg.includes('/zai fix')).toBe(true);
+    expect(msg.includes('/zai test')).toBe(true);
+    expect(msg.includes('/zai changelog')).toBe(true);
     expect(msg.includes('/zai help')).toBe(true);
     expect(msg.includes('@zai-bot')).toBe(true);
   });
@@ -218,6 +228,7 @@ describe('index.js - getReviewConfig', () => {
     expect(config.maxBatchChars).toBe(120000);
     expect(config.maxFilesPerBatch).toBe(40);
     expect(config.maxPatchChars).toBe(18000);
+    expect(config.requestTimeout).toBe(120000);
   });
 
   test('uses provided inputs when valid', () => {
@@ -226,6 +237,7 @@ describe('index.js - getReviewConfig', () => {
       ZAI_AUTO_REVIEW_MAX_BATCH_CHARS: '90000',
       ZAI_AUTO_REVIEW_MAX_FILES_PER_BATCH: '22',
       ZAI_AUTO_REVIEW_MAX_PATCH_CHARS: '11000',
+      ZAI_AUTO_REVIEW_TIMEOUT: '60000',
     };
     const mockCore = { getInput: (name) => values[name] || '' };
 
@@ -236,10 +248,56 @@ describe('index.js - getReviewConfig', () => {
       maxBatchChars: 90000,
       maxFilesPerBatch: 22,
       maxPatchChars: 11000,
+      requestTimeout: 60000,
     });
   });
 });
 
+describe('index.js - callZaiApi', () => {
+  test('calls the shared API client with the review system prompt and a fallback', async () => {
+    const apiClient = { call: vi.fn().mockResolvedValue({ success: true, data: 'Review text' }) };
+
+    const review = await callZaiApi('key', 'model', 'x'.repeat(100), { apiClient, instructions: 'Check i18n.' });
+
+    expect(review).toBe('Review text');
+    const params = apiClient.call.mock.calls[0][0];
+    expect(params).toMatchObject({ apiKey: 'key', model: 'model', prompt: 'x'.repeat(100) });
+    expect(params.systemPrompt).toContain('Elite Staff Engineer');
+    expect(params.systemPrompt).toContain('Check i18n.');
+    expect(params.fallbackPrompt().prompt.length).toBeLessThan(100);
+  });
+
+  test('uses a replacing prompt template file from the repository', async () => {
+    const apiClient = { call: vi.fn().mockResolvedValue({ success: true, data: 'Review text' }) };
+    const promptTemplates = { auto_review: { mode: 'replace', version: 1, body: 'You review our payments service.\n\n{{output_format}}' } };
+
+    await callZaiApi('key', 'model', 'prompt', { apiClient, promptTemplates, instructions: 'Check i18n.' });
+
+    const { systemPrompt } = apiClient.call.mock.calls[0][0];
+    expect(systemPrompt.startsWith('You review our payments service.')).toBe(true);
+    expect(systemPrompt).not.toContain('Elite Staff Engineer');
+    expect(systemPrompt).toContain('## 🔍 Review Summary');
+    expect(systemPrompt).toContain('Check i18n.');
+  });
+
+  test('throws categorized errors and keeps the raw provider error as the cause', async () => {
+    const cause = new Error('Z.ai API error 502: <html>Bad Gateway</html>');
+    const apiClient = {
+      call: vi.fn().mockResolvedValue({
+        success: false,
+        error: { category: 'provider', retryable: true, message: 'Z.ai API error 502', cause },
+      }),
+    };
+
+    const error = await callZaiApi('key', 'model', 'prompt', { apiClient }).catch(e => e);
+
+    expect(error.message).toBe('Z.ai API error 502');
+    expect(error.category).toBe('provider');
+    expect(error.retryable).toBe(true);
+    expect(error.cause).toBe(cause);
+  });
+});
+
 describe('index.js - enforceCommandAuthorization', () => {
   test('returns authorized when auth check passes', async () => {
     const mockContext = { payload: { sender: { login: 'user' } } };
@@ -267,6 +325,33 @@ describe('index.js - enforceCommandAuthorization', () => {
     expect(result.commenter.login).toBe('user');
   });
 
+  test('passes command and policy to the authorization check', async () => {
+    let capturedOptions = null;
+    const policy = { minPermission: 'admin' };
+    const mockDeps = {
+      core: { info: () => {}, warning: () => {} },
+      getCommenter: () => ({ login: 'user' }),
+      checkForkAuthorization: async (octokit, context, commenter, options) => {
+        capturedOptions = options;
+        return { authorized: true };
+      },
+      getUnauthorizedMessage: () => 'Not authorized',
+      upsertComment: async () => {},
+      setReaction: async () => {},
+    };
+
+    await enforceCommandAuthorization(
+      { payload: {} },
+      {},
+      'owner',
+      'repo',
+      { issueNumber: 1, pullNumber: 1, command: 'review', policy },
+      mockDeps
+    );
+
+    expect(capturedOptions).toEqual({ command: 'review', policy });
+  });
+
   test('returns silent block for fork PRs', async () => {
     const mockContext = { payload: { sender: { login: 'fork-user' } } };
     const mockOctokit = {};
@@ -396,7 +481,9 @@ describe('index.js - enforceCommandAuthorization', () => {
         repository: { owner: { login: 'owner' }, name: 'repo' }
       } 
     };
-    const mockOctokit = {};
+    const mockOctokit = {
+      rest: { repos: { getCollaboratorPermission: async () => ({ data: { permission: 'write' } }) } },
+    };
     
     const result = await enforceCommandAuthorization(
       mockContext,
@@ -406,7 +493,7 @@ describe('index.js - enforceCommandAuthorization', () => {
       { issueNumber: 1, pullNumber: 1 }
     );
 
-    expect(result.hasOwnProperty('authorized')).toBe(true);
+    expect(result.authorized).toBe(true);
     expect(result.hasOwnProperty('commenter')).toBe(true);
   });
 });
@@ -548,6 +635,128 @@ describe('index.js - handlePullRequestEvent', () => {
     expect(commentUpdated).toBeTruthy();
   });
 
+  test('posts a user-safe comment instead of failing when the provider errors', async () => {
+    const mockContext = { payload: { pull_request: { number: 1, head: { sha: 'abc1234' } } } };
+    const created = [];
+    const updated = [];
+    const mockCore = createMockCore();
+    const mockOctokit = createMockOctokit({
+      issues: {
+        listComments: async () => ({ data: [{ id: 456, body: '<!-- zai-code-review --> old review' }] }),
+        createComment: async (params) => { created.push(params); return { data: { id: 789 } }; },
+        updateComment: async (params) => { updated.push(params); },
+      }
+    });
+    const error = Object.assign(new Error('Z.ai API error 502: Bad Gateway'), { category: 'provider' });
+
+    const result = await handlePullRequestEvent(
+      mockContext, 'api-key', 'model', 'owner', 'repo',
+      {
+        core: mockCore,
+        github: { getOctokit: () => mockOctokit },
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'test.js', patch: '+x' }], limitReached: false }),
+        buildPrompt: () => 'prompt',
+        callZaiApi: async () => { throw error; },
+      }
+    );
+
+    expect(result).toMatchObject({ success: false, category: 'provider' });
+    expect(result.error).toBe('External service request failed. Please try again later.');
+    expect(updated).toEqual([]);
+    expect(created).toHaveLength(1);
+    expect(created[0].body).toContain('External service request failed');
+    expect(created[0].body).toContain(REVIEW_ERROR_MARKER);
+    expect(created[0].body).not.toContain('Bad Gateway');
+    expect(mockCore.messages.some(m => m.level === 'failed')).toBe(false);
+    expect(mockCore.messages.some(m => m.level === 'warning' && m.message.includes('Auto-review failed (provider)'))).toBe(true);
+  });
+
+  test('removes a previous error comment after a successful review', async () => {
+    const mockContext = { payload: { pull_request: { number: 1 } } };
+    const deleted = [];
+    const mockOctokit = createMockOctokit({
+      issues: {
+        listComments: async () => ({ data: [{ id: 321, body: `Review failed\n\n${REVIEW_ERROR_MARKER}` }] }),
+        deleteComment: async (params) => { deleted.push(params.comment_id); },
+      }
+    });
+
+    const result = await handlePullRequestEvent(
+      mockContext, 'api-key', 'model', 'owner', 'repo',
+      {
+        core: createMockCore(),
+        github: { getOctokit: () => mockOctokit },
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'test.js', patch: '+x' }], limitReached: false }),
+        buildPrompt: () => 'prompt',
+        callZaiApi: async () => 'Review!',
+      }
+    );
+
+    expect(result.success).toBe(true);
+    expect(deleted).toEqual([321]);
+  });
+
+  test('skips ignored files and lists them in the coverage notes', async () => {
+    let capturedBody = null;
+    let promptFiles = null;
+    const mockOctokit = createMockOctokit({
+      issues: {
+        createComment: async (params) => { capturedBody = params.body; return { data: { id: 123 } }; },
+      }
+    });
+
+    await handlePullRequestEvent(
+      { payload: { pull_request: { number: 1 } } }, 'api-key', 'model', 'owner', 'repo',
+      {
+        core: createMockCore(),
+        github: { getOctokit: () => mockOctokit },
+        fetchAllChangedFiles: async () => ({
+          files: [
+            { filename: 'src/a.js', patch: '+a' },
+            { filename: 'package-lock.json', patch: '+lock' },
+            { filename: 'vendor/lib.go', patch: '+vendored' },
+          ],
+          limitReached: false,
+        }),
+        buildPrompt: (files) => { promptFiles = files.map(f => f.filename); return 'prompt'; },
+        callZaiApi: async () => 'Review!',
+      }
+    );
+
+    expect(promptFiles).toEqual(['src/a.js']);
+    expect(capturedBody).toContain('## Coverage Notes');
+    expect(capturedBody).toContain('2 changed file(s) were not reviewed because they match ignore rules: `package-lock.json`, `vendor/lib.go`.');
+  });
+
+  test('adds the usage footer to the review comment when enabled', async () => {
+    const { createUsageTracker } = require('../src/lib/usage');
+    const usageTracker = createUsageTracker({ footer: true });
+    let capturedBody = null;
+    const mockOctokit = createMockOctokit({
+      issues: {
+        createComment: async (params) => { capturedBody = params.body; return { data: { id: 123 } }; },
+      }
+    });
+
+    await handlePullRequestEvent(
+      { payload: { pull_request: { number: 1 } } }, 'api-key', 'model', 'owner', 'repo',
+      {
+        core: createMockCore(),
+        github: { getOctokit: () => mockOctokit },
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'test.js', patch: '+x' }], limitReached: false }),
+        buildPrompt: () => 'prompt',
+        callZaiApi: async (key, model, prompt, options) => {
+          options.usageTracker.record({ label: 'auto-review', usage: { promptTokens: 1200, completionTokens: 300, totalTokens: 1500 }, durationMs: 2500 });
+          return 'Review!';
+        },
+        usageTracker,
+      }
+    );
+
+    expect(capturedBody).toContain('<sub>1,200 prompt + 300 completion tokens · 1 call · 2.5s</sub>');
+    expect(capturedBody.indexOf('<!-- zai-usage -->')).toBeLessThan(capturedBody.indexOf(COMMENT_MARKER));
+  });
+
   test('uses custom comment marker', async () => {
     const mockContext = { payload: { pull_request: { number: 1 } } };
     let capturedBody = null;
@@ -632,6 +841,697 @@ describe('index.js - handlePullRequestEvent', () => {
     expect(capturedBody.includes('## Review Summary')).toBe(true);
     expect(mockCore.messages.some(entry => entry.level === 'warning' && entry.message.includes('3000'))).toBe(true);
   });
+
+  test('publishes anchored findings inline and keeps off-diff findings in the summary', async () => {
+    const mockContext = { payload: { pull_request: { number: 1, head: { sha: 'head-sha' } } } };
+    let capturedBody = null;
+    let capturedReview = null;
+    const mockCore = createMockCore();
+    const mockOctokit = createMockOctokit({
+      issues: {
+        listComments: async () => ({ data: [] }),
+        createComment: async (params) => {
+          capturedBody = params.body;
+          return { data: { id: 123 } };
+        },
+        updateComment: async () => {}
+      }
+    });
+    mockOctokit.rest.pulls.listReviewComments = async () => ({ data: [] });
+    mockOctokit.rest.pulls.createReview = async (params) => {
+      capturedReview = params;
+      return { data: { id: 77 } };
+    };
+    const mockGithub = { getOctokit: () => mockOctokit };
+    const review = [
+      '**## 🔍 Review Summary**',
+      'Looks fine overall.',
+      '```zai-findings',
+      JSON.stringify([
+        { path: 'test.js', line: 2, severity: 'critical', message: 'Null dereference.' },
+        { path: 'test.js', line: 40, severity: 'warning', message: 'Outside the diff.' },
+      ]),
+      '```',
+    ].join('\n');
+
+    const result = await handlePullRequestEvent(
+      mockContext,
+      'api-key',
+      'model',
+      'owner',
+      'repo',
+      {
+        core: mockCore,
+        github: mockGithub,
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'test.js', patch: '@@ -1,2 +1,3 @@\n a\n+b\n c' }], limitReached: false }),
+        buildPrompt: () => 'prompt',
+        callZaiApi: async () => review,
+      }
+    );
+
+    expect(result.inlineComments).toBe(1);
+    expect(capturedReview.commit_id).toBe('head-sha');
+    expect(capturedReview.comments).toHaveLength(1);
+    expect(capturedReview.comments[0]).toMatchObject({ path: 'test.js', line: 2, side: 'RIGHT' });
+    expect(capturedBody.includes('zai-findings')).toBe(false);
+    expect(capturedBody.includes('`test.js:40`: Outside the diff.')).toBe(true);
+    expect(capturedBody.includes('Null dereference.')).toBe(false);
+  });
+
+  test('reviews only new commits on synchronize and appends an update section', async () => {
+    const previousSha = 'a'.repeat(40);
+    const headSha = 'b'.repeat(40);
+    const mockContext = { payload: { action: 'synchronize', pull_request: { number: 1, head: { sha: headSha } } } };
+    let capturedBody = null;
+    let capturedPrompt = null;
+    let promptFiles = null;
+    const mockCore = createMockCore();
+    const mockOctokit = createMockOctokit({
+      issues: {
+        listComments: async () => ({
+          data: [{ id: 456, body: `## Z.ai Code Review\n\nOriginal review.\n\n<!-- zai-code-review -->\n<!-- zai-reviewed-head: ${previousSha} -->` }],
+        }),
+        createComment: async () => ({ data: { id: 123 } }),
+        updateComment: async (params) => { capturedBody = params.body; },
+      }
+    });
+    mockOctokit.rest.repos = {
+      compareCommits: async (params) => {
+        expect(params).toMatchObject({ base: previousSha, head: headSha });
+        return { data: { status: 'ahead', total_commits: 1, files: [{ filename: 'b.js', patch: '+new' }, { filename: 'merged-from-base.js', patch: '+x' }] } };
+      },
+    };
+    const mockGithub = { getOctokit: () => mockOctokit };
+
+    const result = await handlePullRequestEvent(
+      mockContext,
+      'api-key',
+      'model',
+      'owner',
+      'repo',
+      {
+        core: mockCore,
+        github: mockGithub,
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'a.js', patch: '+a' }, { filename: 'b.js', patch: '+b\n+new' }], limitReached: false }),
+        buildPrompt: (files) => { promptFiles = files; return 'prompt'; },
+        callZaiApi: async (key, model, prompt) => { capturedPrompt = prompt; return 'New commit looks fine.'; },
+      }
+    );
+
+    expect(result.action).toBe('updated');
+    expect(result.reviewMode).toBe('incremental');
+    expect(promptFiles.map(file => file.filename)).toEqual(['b.js']);
+    expect(capturedPrompt.includes('ONLY the changes pushed since then')).toBe(true);
+    expect(capturedBody.includes('Original review.')).toBe(true);
+    expect(capturedBody.includes('Updates since last review (`aaaaaaa` → `bbbbbbb`)')).toBe(true);
+    expect(capturedBody.includes(`<!-- zai-reviewed-head: ${headSha} -->`)).toBe(true);
+    expect(capturedBody.includes(previousSha)).toBe(false);
+  });
+
+  test('falls back to a full review after a force-push', async () => {
+    const headSha = 'c'.repeat(40);
+    const mockContext = { payload: { action: 'synchronize', pull_request: { number: 1, head: { sha: headSha } } } };
+    let capturedBody = null;
+    let promptFiles = null;
+    const mockCore = createMockCore();
+    const mockOctokit = createMockOctokit({
+      issues: {
+        listComments: async () => ({
+          data: [{ id: 456, body: `## Z.ai Code Review\n\nOld review.\n\n<!-- zai-code-review -->\n<!-- zai-reviewed-head: ${'a'.repeat(40)} -->` }],
+        }),
+        createComment: async () => ({ data: { id: 123 } }),
+        updateComment: async (params) => { capturedBody = params.body; },
+      }
+    });
+    mockOctokit.rest.repos = { compareCommits: async () => ({ data: { status: 'diverged', files: [] } }) };
+    const mockGithub = { getOctokit: () => mockOctokit };
+
+    const result = await handlePullRequestEvent(
+      mockContext,
+      'api-key',
+      'model',
+      'owner',
+      'repo',
+      {
+        core: mockCore,
+        github: mockGithub,
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'a.js', patch: '+a' }, { filename: 'b.js', patch: '+b' }], limitReached: false }),
+        buildPrompt: (files) => { promptFiles = files; return 'prompt'; },
+        callZaiApi: async () => 'Fresh full review.',
+      }
+    );
+
+    expect(result.reviewMode).toBe('full');
+    expect(promptFiles).toHaveLength(2);
+    expect(capturedBody.includes('Old review.')).toBe(false);
+    expect(capturedBody.includes('Fresh full review.')).toBe(true);
+    expect(capturedBody.includes(`<!-- zai-reviewed-head: ${headSha} -->`)).toBe(true);
+    expect(mockCore.messages.some(entry => entry.message.includes('history was rewritten'))).toBe(true);
+  });
+});
+
+describe('index.js - repository configuration', () => {
+  const baseConfig = {
+    autoReview: { enabled: true, include: [], exclude: [] },
+    commands: { ask: { enabled: true }, impact: { enabled: false } },
+    prompts: {},
+    maxChars: 8000,
+    labels: { enabled: true, allowed: [] },
+  };
+  const createCore = () => {
+    const messages = [];
+    return {
+      setFailed: (message) => messages.push({ level: 'failed', message }),
+      info: (message) => messages.push({ level: 'info', message }),
+      warning: (message) => messages.push({ level: 'warning', message }),
+      getInput: () => '',
+      messages,
+    };
+  };
+  const createOctokit = (onCreate) => ({
+    rest: {
+      issues: {
+        listComments: async () => ({ data: [] }),
+        createComment: async (params) => { onCreate?.(params); return { data: { id: 9 } }; },
+        updateComment: async () => {},
+      },
+    },
+  });
+
+  test('handlePullRequestEvent skips when auto-review is disabled by config', async () => {
+    let apiCalled = false;
+    let requestedRef = null;
+
+    const result = await handlePullRequestEvent(
+      { payload: { pull_request: { number: 1, base: { ref: 'develop' } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit() },
+        resolveRepoConfig: async (octokit, owner, repo, ref) => {
+          requestedRef = ref;
+          return { config: { ...baseConfig, autoReview: { ...baseConfig.autoReview, enabled: false } }, source: '.zai.yml', error: null };
+        },
+        callZaiApi: async () => { apiCalled = true; return 'x'; },
+      }
+    );
+
+    expect(requestedRef).toBe('develop');
+    expect(result.skipped).toBe(true);
+    expect(apiCalled).toBe(false);
+  });
+
+  test('handlePullRequestEvent applies path globs, prompt overrides and reports config errors', async () => {
+    let promptFiles = null;
+    let apiOptions = null;
+    let body = null;
+
+    await handlePullRequestEvent(
+      { payload: { pull_request: { number: 1 } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit(params => { body = params.body; }) },
+        resolveRepoConfig: async () => ({
+          config: { ...baseConfig, autoReview: { enabled: true, include: [], exclude: ['*.lock'] }, prompts: { auto_review: 'Check i18n.' } },
+          source: '.zai.yml',
+          error: 'Failed to load .zai.yml: labels must be a mapping',
+        }),
+        fetchAllChangedFiles: async () => ({
+          files: [{ filename: 'src/a.js', patch: '+a' }, { filename: 'yarn.lock', patch: '+b' }],
+          limitReached: false,
+        }),
+        buildPrompt: (files) => { promptFiles = files.map(f => f.filename); return 'prompt'; },
+        callZaiApi: async (key, model, prompt, options) => { apiOptions = options; return 'Review'; },
+      }
+    );
+
+    expect(promptFiles).toEqual(['src/a.js']);
+    expect(apiOptions).toMatchObject({ instructions: 'Check i18n.', provider: { name: 'zai' }, timeout: 120000 });
+    expect(body.includes('labels must be a mapping')).toBe(true);
+  });
+
+  test('handlePullRequestEvent loads guidelines for the reviewed files from the base branch', async () => {
+    let guidelineParams = null;
+    let apiOptions = null;
+    const guidelines = [{ path: 'AGENTS.md', scope: 'all files', content: 'Use CommonJS.' }];
+
+    await handlePullRequestEvent(
+      { payload: { pull_request: { number: 1, base: { ref: 'develop' } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit() },
+        resolveRepoConfig: async () => ({
+          config: { ...baseConfig, guidelines: { enabled: true, maxChars: 3000 } },
+          source: '.zai.yml',
+          error: null,
+        }),
+        fetchAllChangedFiles: async () => ({
+          files: [{ filename: 'src/a.js', patch: '+a' }, { filename: 'logo.png' }],
+          limitReached: false,
+        }),
+        loadGuidelines: async (octokit, params) => { guidelineParams = params; return guidelines; },
+        buildPrompt: () => 'prompt',
+        callZaiApi: async (key, model, prompt, options) => { apiOptions = options; return 'Review'; },
+      }
+    );
+
+    expect(guidelineParams).toMatchObject({ owner: 'owner', repo: 'repo', ref: 'develop', paths: ['src/a.js'], maxChars: 3000 });
+    expect(apiOptions.guidelines).toEqual(guidelines);
+  });
+
+  test('handlePullRequestEvent attaches the definitions referenced by the diff at the head commit', async () => {
+    let definitionParams = null;
+    let prompt = null;
+
+    await handlePullRequestEvent(
+      { payload: { pull_request: { number: 1, head: { sha: 'abc123' } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit() },
+        resolveRepoConfig: async () => ({
+          config: { ...baseConfig, crossFileContext: { enabled: true, maxChars: 4000 } },
+          source: '.zai.yml',
+          error: null,
+        }),
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'src/a.js', patch: '+run()' }], limitReached: false }),
+        collectDefinitions: async (octokit, params) => {
+          definitionParams = params;
+          return [{ path: 'src/run.js', symbol: 'run', startLine: 1, endLine: 3, content: 'function run() {\n  return 1;\n}' }];
+        },
+        buildPrompt: () => 'prompt',
+        callZaiApi: async (key, model, reviewPrompt) => { prompt = reviewPrompt; return 'Review'; },
+      }
+    );
+
+    expect(definitionParams).toMatchObject({ ref: 'abc123', files: [{ filename: 'src/a.js' }], maxChars: 4000 });
+    expect(prompt.startsWith('prompt\n\n### Referenced Definitions:')).toBe(true);
+    expect(prompt).toContain('<definition symbol="run" path="src/run.js" lines="1-3">');
+  });
+
+  test('handlePullRequestEvent runs the title policy and skips the review for title edits', async () => {
+    let titleArgs = null;
+    let apiCalled = false;
+
+    const result = await handlePullRequestEvent(
+      { payload: { action: 'edited', changes: { title: { from: 'old' } }, pull_request: { number: 1, title: 'new' } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit() },
+        resolveRepoConfig: async () => ({ config: baseConfig, source: '.zai.yml', error: null }),
+        handlePullRequestTitle: async (...args) => { titleArgs = args; },
+        callZaiApi: async () => { apiCalled = true; return 'x'; },
+      }
+    );
+
+    expect(titleArgs.slice(2, 7)).toEqual(['owner', 'repo', 'api-key', 'model', baseConfig]);
+    expect(result).toMatchObject({ skipped: true, reason: 'Pull request edited without code changes' });
+    expect(apiCalled).toBe(false);
+  });
+
+  test('handlePullRequestEvent publishes the review check when enabled', async () => {
+    const checkCalls = [];
+    const publishReviewCheck = async (octokit, owner, repo, params) => {
+      checkCalls.push(params);
+      return { checkRunId: 1, conclusion: 'failure', annotations: 1, updated: false };
+    };
+    const config = { ...baseConfig, checkRun: { enabled: true, name: 'Gate', failOn: 'critical' } };
+    const review = '* **Rating:** Very Bad\n\n```zai-findings\n[{"path":"src/a.js","line":1,"severity":"critical","message":"Boom"}]\n```';
+
+    const result = await handlePullRequestEvent(
+      { payload: { action: 'synchronize', pull_request: { number: 1, head: { sha: 'head1' } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit() },
+        resolveRepoConfig: async () => ({ config, source: '.zai.yml', error: null }),
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'src/a.js', patch: '@@ -0,0 +1 @@\n+a' }], limitReached: false }),
+        buildPrompt: () => 'prompt',
+        callZaiApi: async () => review,
+        publishInlineFindings: async (octokit, owner, repo, pullNumber, findings) => ({ posted: findings.length, skipped: 0, unanchored: [] }),
+        publishReviewCheck,
+      }
+    );
+
+    expect(result.checkConclusion).toBe('failure');
+    expect(checkCalls[0]).toMatchObject({ headSha: 'head1', name: 'Gate', failOn: 'critical' });
+    expect(checkCalls[0].review).toContain('Very Bad');
+    expect(checkCalls[0].findings).toEqual([expect.objectContaining({ severity: 'critical', message: 'Boom' })]);
+  });
+
+  test('handlePullRequestEvent reviews the whole PR on new pushes when the check is enabled', async () => {
+    const previousSha = 'a'.repeat(40);
+    let promptFiles = null;
+    let checkParams = null;
+    const octokit = createOctokit();
+    octokit.rest.issues.listComments = async () => ({
+      data: [{ id: 5, body: `## Z.ai Code Review\n\nOld.\n\n<!-- zai-code-review -->\n<!-- zai-reviewed-head: ${previousSha} -->` }],
+    });
+
+    const result = await handlePullRequestEvent(
+      { payload: { action: 'synchronize', pull_request: { number: 1, head: { sha: 'b'.repeat(40) } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => octokit },
+        resolveRepoConfig: async () => ({ config: { ...baseConfig, checkRun: { enabled: true, name: 'Gate', failOn: 'critical' } }, source: '.zai.yml', error: null }),
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'a.js', patch: '+a' }, { filename: 'b.js', patch: '+b' }], limitReached: false }),
+        resolveIncrementalDiff: async () => ({ mode: 'incremental', reason: '1 new commit', baseSha: previousSha, files: [{ filename: 'b.js', patch: '+b' }] }),
+        buildPrompt: (files) => { promptFiles = files.map(file => file.filename); return 'prompt'; },
+        callZaiApi: async () => 'Review',
+        publishReviewCheck: async (octokit, owner, repo, params) => { checkParams = params; return { conclusion: 'success', annotations: 0 }; },
+      }
+    );
+
+    expect(result.reviewMode).toBe('full');
+    expect(promptFiles).toEqual(['a.js', 'b.js']);
+    expect(checkParams.review).toBe('Review');
+  });
+
+  test('handlePullRequestEvent reviews the whole pull request while the SARIF export is enabled', async () => {
+    const previousSha = 'a'.repeat(40);
+    let promptFiles = null;
+    const sarifReport = createSarifReport({ path: 'zai.sarif' });
+    const octokit = createOctokit();
+    octokit.rest.issues.listComments = async () => ({
+      data: [{ id: 5, body: `## Z.ai Code Review\n\nOld.\n\n<!-- zai-code-review -->\n<!-- zai-reviewed-head: ${previousSha} -->` }],
+    });
+
+    const result = await handlePullRequestEvent(
+      { payload: { action: 'synchronize', pull_request: { number: 1, head: { sha: 'b'.repeat(40) } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => octokit },
+        resolveRepoConfig: async () => ({ config: baseConfig, source: '.zai.yml', error: null }),
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'a.js', patch: '+a' }, { filename: 'b.js', patch: '+b' }], limitReached: false }),
+        resolveIncrementalDiff: async () => ({ mode: 'incremental', reason: '1 new commit', baseSha: previousSha, files: [{ filename: 'b.js', patch: '+b' }] }),
+        buildPrompt: (files) => { promptFiles = files.map(file => file.filename); return 'prompt'; },
+        callZaiApi: async () => 'Review',
+        attachSourceText: async (octokit, { findings }) => findings,
+        sarifReport,
+      }
+    );
+
+    expect(result.reviewMode).toBe('full');
+    expect(promptFiles).toEqual(['a.js', 'b.js']);
+    expect(sarifReport.getSources()).toEqual(['auto-review']);
+  });
+
+  test('handlePullRequestEvent reports a passing check when nothing is reviewable', async () => {
+    const checkCalls = [];
+
+    const result = await handlePullRequestEvent(
+      { payload: { action: 'opened', pull_request: { number: 1, head: { sha: 'head1' } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit() },
+        resolveRepoConfig: async () => ({ config: { ...baseConfig, checkRun: { enabled: true, name: 'Gate', failOn: 'critical' } }, source: '.zai.yml', error: null }),
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'yarn.lock', patch: '+x' }], limitReached: false }),
+        publishReviewCheck: async (octokit, owner, repo, params) => { checkCalls.push(params); return { conclusion: 'success', annotations: 0 }; },
+      }
+    );
+
+    expect(result.skipped).toBe(true);
+    expect(checkCalls[0].findings).toEqual([]);
+  });
+
+  test('handlePullRequestEvent records the review findings on the SARIF report', async () => {
+    const sarifReport = createSarifReport({ path: 'zai.sarif' });
+    const review = 'Review\n\n```zai-findings\n[{"path":"src/a.js","line":1,"severity":"warning","rule":"missing-await","message":"Not awaited"}]\n```';
+
+    await handlePullRequestEvent(
+      { payload: { action: 'opened', pull_request: { number: 1, head: { sha: 'head1' } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit() },
+        resolveRepoConfig: async () => ({ config: baseConfig, source: '.zai.yml', error: null }),
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'src/a.js', patch: '@@ -0,0 +1 @@\n+a' }], limitReached: false }),
+        buildPrompt: () => 'prompt',
+        callZaiApi: async () => review,
+        publishInlineFindings: async (octokit, owner, repo, pullNumber, findings) => ({ posted: findings.length, skipped: 0, unanchored: [] }),
+        sarifReport,
+      }
+    );
+
+    expect(sarifReport.analyzed).toBe(true);
+    expect(sarifReport.getEntries()).toEqual([
+      { finding: expect.objectContaining({ path: 'src/a.js', rule: 'missing-await' }), source: 'auto-review' },
+    ]);
+  });
+
+  test('handlePullRequestEvent renders a validated JSON review in structured mode', async () => {
+    const calls = [];
+    let posted = null;
+    let inlineFindings = null;
+    const structured = {
+      summary: 'Adds caching.',
+      findings: [{ path: 'src/a.js', line: 1, severity: 'critical', message: 'Cache never expires.' }],
+      risk: { level: 'medium', reason: 'One bug to fix.' },
+      labels: [],
+    };
+
+    await handlePullRequestEvent(
+      { payload: { action: 'opened', pull_request: { number: 1, head: { sha: 'head1' } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit(params => { posted = params.body; }) },
+        resolveRepoConfig: async () => ({ config: { ...baseConfig, output: { format: 'json' } }, source: '.zai.yml', error: null }),
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'src/a.js', patch: '@@ -0,0 +1 @@\n+a' }], limitReached: false }),
+        buildPrompt: () => 'prompt',
+        callZaiApi: async (key, model, prompt, options) => {
+          calls.push({ prompt, options });
+          return calls.length === 1 ? '{"summary": "Adds caching."}' : JSON.stringify(structured);
+        },
+        publishInlineFindings: async (octokit, owner, repo, pullNumber, findings) => {
+          inlineFindings = findings;
+          return { posted: findings.length, skipped: 0, unanchored: [] };
+        },
+      }
+    );
+
+    expect(calls).toHaveLength(2);
+    expect(calls[0].options.structured).toBe(true);
+    expect(calls[1].prompt).toContain('<validation_errors>');
+    expect(inlineFindings).toEqual([expect.objectContaining({ severity: 'critical', message: 'Cache never expires.' })]);
+    expect(posted).toContain('### 🔍 Review Summary\nAdds caching.');
+    expect(posted).toContain('* **Rating:** **Normal**');
+  });
+
+  test('handlePullRequestEvent warns that batched reviews ignore output.format: json', async () => {
+    const core = createCore();
+    let posted = null;
+
+    await handlePullRequestEvent(
+      { payload: { action: 'opened', pull_request: { number: 1, head: { sha: 'head1' } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core,
+        github: { getOctokit: () => createOctokit(params => { posted = params.body; }) },
+        resolveRepoConfig: async () => ({ config: { ...baseConfig, output: { format: 'json' } }, source: '.zai.yml', error: null }),
+        reviewConfig: { largePrFileThreshold: 1 },
+        fetchAllChangedFiles: async () => ({
+          files: [{ filename: 'a.js', patch: '+a' }, { filename: 'b.js', patch: '+b' }],
+          limitReached: false,
+        }),
+        runLargePrReview: async () => '## Review Summary\nLarge review',
+      }
+    );
+
+    expect(posted).toContain('Large review');
+    expect(core.messages).toContainEqual({
+      level: 'warning',
+      message: 'output.format: json does not apply to batched reviews of large PRs; this review uses markdown.',
+    });
+  });
+
+  test('handlePullRequestEvent falls back to a markdown review when the JSON stays invalid', async () => {
+    const calls = [];
+    let posted = null;
+
+    await handlePullRequestEvent(
+      { payload: { action: 'opened', pull_request: { number: 1, head: { sha: 'head1' } } } },
+      'api-key', 'model', 'owner', 'repo',
+      {
+        core: createCore(),
+        github: { getOctokit: () => createOctokit(params => { posted = params.body; }) },
+        resolveRepoConfig: async () => ({ config: { ...baseConfig, output: { format: 'json' } }, source: '.zai.yml', error: null }),
+        fetchAllChangedFiles: async () => ({ files: [{ filename: 'src/a.js', patch: '@@ -0,0 +1 @@\n+a' }], limitReached: false }),
+        buildPrompt: () => 'prompt',
+        callZaiApi: async (key, model, prompt, options) => {
+          calls.push(options);
+          return options.structured ? 'not json' : 'Markdown review';
+        },
+      }
+    );
+
+    expect(calls.map(options => Boolean(options.structured))).toEqual([true, true, false]);
+    expect(posted).toContain('Markdown review');
+  });
+
+  describe('handlePullRequestTitle', () => {
+    const pullRequestContext = (action, title) => ({
+      payload: { action, pull_request: { number: 5, title, head: { sha: 'head5' } } },
+    });
+    const createTitleOctokit = () => {
+      const calls = { statuses: [], updates: [] };
+      return {
+        calls,
+        rest: {
+          repos: { createCommitStatus: async (params) => { calls.statuses.push(params); } },
+          pulls: { update: async (params) => { calls.updates.push(params); } },
+        },
+      };
+    };
+    const titleDeps = (overrides = {}) => ({
+      core: createCore(),
+      fetchAllCommits: async () => ({ commits: [{ commit: { message: 'fix: handle 404' } }], limitReached: false }),
+      fetchAllChangedFiles: async () => ({ files: [{ filename: 'src/a.js', additions: 3, deletions: 1 }], limitReached: false }),
+      apiClient: { call: async () => ({ success: true, data: 'fix(api): handle missing files' }) },
+      upsertComment: vi.fn(),
+      ...overrides,
+    });
+    const withTitle = (title) => ({ ...baseConfig, title });
+
+    test('does nothing unless the check or on_open applies', async () => {
+      const octokit = createTitleOctokit();
+      const deps = titleDeps();
+
+      const result = await handlePullRequestTitle(pullRequestContext('opened', 'Bad title'), octokit, 'o', 'r', 'k', 'm', withTitle({ check: false, onOpen: false }), deps);
+
+      expect(result).toEqual({ checked: false });
+      expect(octokit.calls.statuses).toHaveLength(0);
+    });
+
+    test('posts a failing status with the suggested title', async () => {
+      const octokit = createTitleOctokit();
+      let prompt = null;
+      const deps = titleDeps({ apiClient: { call: async (params) => { prompt = params.prompt; return { success: true, data: 'fix(api): handle missing files' }; } } });
+
+      const result = await handlePullRequestTitle(pullRequestContext('synchronize', 'Handle missing files'), octokit, 'o', 'r', 'k', 'm', withTitle({ check: true }), deps);
+
+      expect(result).toEqual({ checked: true, valid: false, suggestion: 'fix(api): handle missing files' });
+      expect(prompt).toContain('- fix: handle 404');
+      expect(prompt).toContain('- src: 1, +3 / -1');
+      expect(octokit.calls.statuses).toEqual([{
+        owner: 'o',
+        repo: 'r',
+        sha: 'head5',
+        state: 'failure',
+        context: 'zai/pr-title',
+        description: 'Title does not match the required format. Suggested: fix(api): handle missing files',
+      }]);
+      expect(deps.upsertComment).not.toHaveBeenCalled();
+    });
+
+    test('passes a matching title without calling the model', async () => {
+      const octokit = createTitleOctokit();
+      const deps = titleDeps({ apiClient: { call: vi.fn() } });
+
+      await handlePullRequestTitle(pullRequestContext('synchronize', 'feat: add retries'), octokit, 'o', 'r', 'k', 'm', withTitle({ check: true }), deps);
+
+      expect(octokit.calls.statuses[0]).toMatchObject({ state: 'success', context: 'zai/pr-title' });
+      expect(deps.apiClient.call).not.toHaveBeenCalled();
+    });
+
+    test('renames a new pull request in apply mode', async () => {
+      const octokit = createTitleOctokit();
+
+      const result = await handlePullRequestTitle(pullRequestContext('opened', 'Handle missing files'), octokit, 'o', 'r', 'k', 'm', withTitle({ onOpen: true, mode: 'apply', check: true }), titleDeps());
+
+      expect(result.renamed).toBe('fix(api): handle missing files');
+      expect(octokit.calls.updates).toEqual([{ owner: 'o', repo: 'r', pull_number: 5, title: 'fix(api): handle missing files' }]);
+      expect(octokit.calls.statuses[0].state).toBe('success');
+    });
+
+    test('comments the suggestion on a new pull request in suggest mode', async () => {
+      const octokit = createTitleOctokit();
+      const deps = titleDeps();
+
+      await handlePullRequestTitle(pullRequestContext('opened', 'Handle missing files'), octokit, 'o', 'r', 'k', 'm', withTitle({ onOpen: true, mode: 'suggest' }), deps);
+
+      expect(octokit.calls.updates).toHaveLength(0);
+      const [, , , issueNumber, body, marker] = deps.upsertComment.mock.calls[0];
+      expect(issueNumber).toBe(5);
+      expect(body).toContain('fix(api): handle missing files');
+      expect(marker).toBe(TITLE_SUGGESTION_MARKER);
+    });
+  });
+
+  test('enforceCommandEnabled replies when a command is disabled', async () => {
+    let posted = null;
+    let reaction = null;
+
+    const result = await enforceCommandEnabled('impact', {}, 'owner', 'repo', {
+      issueNumber: 3,
+      pullNumber: 3,
+      replyToId: 44,
+    }, {
+      core: createCore(),
+      resolveRepoConfig: async () => ({ config: baseConfig, source: '.zai.yml', error: null }),
+      upsertComment: async (octokit, owner, repo, issueNumber, message) => { posted = message; },
+      setReaction: async (octokit, owner, repo, commentId, value) => { reaction = value; },
+    });
+
+    expect(result.enabled).toBe(false);
+    expect(posted.includes('`/zai impact` is disabled')).toBe(true);
+    expect(reaction).toBe(REACTIONS.X);
+  });
+
+  test('enforceCommandEnabled passes enabled commands through with the config', async () => {
+    const result = await enforceCommandEnabled('ask', {}, 'owner', 'repo', {}, {
+      core: createCore(),
+      resolveRepoConfig: async () => ({ config: baseConfig, source: '.zai.yml', error: null }),
+      upsertComment: async () => { throw new Error('should not post'); },
+    });
+
+    expect(result.enabled).toBe(true);
+    expect(result.repoConfig).toBe(baseConfig);
+  });
+
+  test('resolveCommentRepoConfig loads the configuration from the PR base branch', async () => {
+    let requested = null;
+    const octokit = {
+      rest: { pulls: { get: async () => ({ data: { base: { ref: 'release/1.x', sha: 'b1' }, head: { ref: 'feat', sha: 'h1' } } }) } },
+    };
+
+    const result = await resolveCommentRepoConfig(octokit, 'owner', 'repo', 7, {
+      core: createCore(),
+      resolveRepoConfig: async (octo, owner, repo, ref) => {
+        requested = ref;
+        return { config: baseConfig, source: '.zai.yml', error: null };
+      },
+    });
+
+    expect(requested).toBe('release/1.x');
+    expect(result.config).toBe(baseConfig);
+  });
+
+  test('resolveCommentRepoConfig falls back to the default branch when the PR cannot be read', async () => {
+    const requested = [];
+    const testCore = createCore();
+
+    await resolveCommentRepoConfig({}, 'owner', 'repo', 7, {
+      core: testCore,
+      resolvePrRefs: async () => ({ success: false, error: 'Not Found' }),
+      resolveRepoConfig: async (octo, owner, repo, ref) => {
+        requested.push(ref);
+        return { config: baseConfig, source: '.zai.yml', error: null };
+      },
+    });
+
+    expect(requested).toEqual([undefined]);
+    expect(testCore.messages).toContainEqual({
+      level: 'warning',
+      message: 'Failed to resolve the PR base branch: Not Found. Loading configuration from the default branch.',
+    });
+  });
 });
 
 describe('index.js - runLargePrReview', () => {
@@ -672,6 +1572,40 @@ describe('index.js - runLargePrReview', () => {
     expect(calls.length).toBe(4);
   });
 
+  test('stops reviewing batches once the token budget is spent', async () => {
+    const { createUsageTracker } = require('../src/lib/usage');
+    const usageTracker = createUsageTracker({ tokenBudget: 100 });
+    const warnings = [];
+    const prompts = [];
+
+    const review = await runLargePrReview([{ filename: 'a.js', patch: '+a' }, { filename: 'b.js', patch: '+b' }], {
+      apiKey: 'api-key',
+      model: 'model',
+      reviewConfig: {},
+      limitReached: false,
+      usageTracker,
+    }, {
+      core: { info: () => {}, warning: message => warnings.push(message) },
+      createReviewBatches: () => ({
+        batches: [
+          [{ filename: 'a.js', patch: '+a', chunkIndex: 1, chunkCount: 1 }],
+          [{ filename: 'b.js', patch: '+b', chunkIndex: 1, chunkCount: 1 }],
+        ],
+        metadata: { splitFileCount: 0 },
+      }),
+      callZaiApi: async (apiKey, model, prompt) => {
+        prompts.push(prompt);
+        usageTracker.record({ label: 'auto-review', usage: { promptTokens: 90, completionTokens: 20, totalTokens: 110 } });
+        return 'Batch review content';
+      },
+    });
+
+    expect(prompts).toHaveLength(1);
+    expect(warnings[0]).toContain('Token budget of 100 reached after 1 of 2 batch(es)');
+    expect(review).toContain('### Batch 1');
+    expect(review).toContain('token budget of 100 tokens was reached after 1 of 2 batch(es)');
+  });
+
   test('falls back to concatenated batch output when synthesis fails', async () => {
     const files = [{ filename: 'a.js', patch: '+a' }];
 
@@ -809,6 +1743,36 @@ describe('index.js - dispatchCommand', () => {
     expect(result.error.includes('Failed to review')).toBe(true);
   });
 
+  test('fix command passes the commenter and returns the commit SHA', async () => {
+    const parseResult = createParseResult('fix', ['src/index.js', 'use', 'const']);
+    let received = null;
+    const mockDeps = createMockDeps({
+      fetchChangedFiles: async () => [{ filename: 'src/index.js', patch: '+new line', status: 'modified' }],
+      fixHandler: {
+        handleFixCommand: async (ctx, args) => {
+          received = { ctx, args };
+          return { success: true, commitSha: 'abc123' };
+        },
+      },
+    });
+
+    const result = await dispatchCommand(
+      createMockContext(),
+      parseResult,
+      'api-key',
+      'model',
+      'owner',
+      'repo',
+      30000,
+      { commentId: 100, commenter: { login: 'alice' } },
+      mockDeps
+    );
+
+    expect(result).toEqual({ success: true, commitSha: 'abc123' });
+    expect(received.args).toEqual(['src/index.js', 'use', 'const']);
+    expect(received.ctx.commenter).toEqual({ login: 'alice' });
+  });
+
   test('explain command with explicit args returns success', async () => {
     const mockContext = createMockContext();
     const parseResult = createParseResult('explain', ['10-20']);
@@ -1054,4 +2018,156 @@ describe('index.js - dispatchCommand', () => {
 
     expect(filenameUsed).toBe('src/utils.js');
   });
+
+  test('rejects commands over quota with the reset time and skips the handler', async () => {
+    const mockContext = createMockContext();
+    const parseResult = createParseResult('review', ['src/index.js']);
+    let handlerCalled = false;
+    let postedBody = null;
+    let quotaOptions = null;
+    const reactions = [];
+
+    const mockDeps = createMockDeps({
+      checkCommandQuota: async (octokit, owner, repo, options) => {
+        quotaOptions = options;
+        return { allowed: false, exceeded: { scope: 'user', window: 'hour', limit: 10, used: 10, resetAt: 1_800_000_000 } };
+      },
+      reviewHandler: {
+        handleReviewCommand: async () => { handlerCalled = true; return { success: true }; },
+      },
+      upsertComment: async (octokit, owner, repo, issueNumber, body) => { postedBody = body; },
+      setReaction: async (octokit, owner, repo, commentId, reaction) => { reactions.push(reaction); },
+    });
+
+    const result = await dispatchCommand(
+      mockContext,
+      parseResult,
+      'api-key',
+      'model',
+      'owner',
+      'repo',
+      30000,
+      { commentId: 100, commenter: { login: 'alice' }, repoConfig: { maxChars: 8000, quota: { enabled: true } } },
+      mockDeps
+    );
+
+    expect(result).toEqual({ success: false, error: 'quota_exceeded', resetAt: 1_800_000_000 });
+    expect(handlerCalled).toBe(false);
+    expect(quotaOptions).toMatchObject({ login: 'alice', command: 'review', pullNumber: 1, quotaConfig: { enabled: true } });
+    expect(postedBody).toContain('@alice has used 10/10');
+    expect(postedBody).toContain('2027-01-15T08:00:00Z');
+    expect(reactions).toEqual([REACTIONS.X]);
+  });
+
+  test('streams handler API output into the progress comment', async () => {
+    const mockContext = createMockContext();
+    const parseResult = createParseResult('review', ['src/index.js']);
+    const progressEdits = [];
+    let handlerProgressComment = null;
+
+    const mockDeps = createMockDeps({
+      github: {
+        getOctokit: () => ({
+          rest: {
+            issues: {
+              updateComment: async params => {
+                progressEdits.push(params);
+                return { data: { id: params.comment_id } };
+              },
+            },
+          },
+        }),
+      },
+      createApiClient: () => ({
+        call: async ({ onProgress }) => {
+          onProgress('Partial review');
+          return { success: true, data: 'Partial review done' };
+        },
+      }),
+      reviewHandler: {
+        handleReviewCommand: async ctx => {
+          handlerProgressComment = ctx.progressComment;
+          const result = await ctx.apiClient.call({ apiKey: 'k', model: 'm', prompt: 'p' });
+          return { success: result.success };
+        },
+      },
+    });
+
+    const result = await dispatchCommand(
+      mockContext, parseResult, 'api-key', 'model', 'owner', 'repo', 30000,
+      {
+        commentId: 100,
+        repoConfig: { maxChars: 8000, quota: { enabled: false }, streaming: { enabled: true, updateIntervalMs: 3000 } },
+        progressComment: { id: 555, isReviewComment: false },
+      },
+      mockDeps
+    );
+
+    expect(result).toEqual({ success: true });
+    expect(handlerProgressComment).toEqual({ id: 555, isReviewComment: false });
+    expect(progressEdits).toHaveLength(1);
+    expect(progressEdits[0].comment_id).toBe(555);
+    expect(progressEdits[0].body).toContain('Partial review');
+    expect(progressEdits[0].body).toContain(PROGRESS_MARKER);
+  });
+
+  test('does not stream when streaming is disabled', async () => {
+    const mockContext = createMockContext();
+    const parseResult = createParseResult('review', ['src/index.js']);
+    let receivedOnProgress = 'unset';
+
+    const mockDeps = createMockDeps({
+      createApiClient: () => ({
+        call: async ({ onProgress }) => {
+          receivedOnProgress = onProgress;
+          return { success: true, data: 'ok' };
+        },
+      }),
+      reviewHandler: {
+        handleReviewCommand: async ctx => {
+          await ctx.apiClient.call({ apiKey: 'k', model: 'm', prompt: 'p' });
+          return { success: true };
+        },
+      },
+    });
+
+    await dispatchCommand(
+      mockContext, parseResult, 'api-key', 'model', 'owner', 'repo', 30000,
+      {
+        commentId: 100,
+        repoConfig: { maxChars: 8000, quota: { enabled: false }, streaming: { enabled: false } },
+        progressComment: { id: 555, isReviewComment: false },
+      },
+      mockDeps
+    );
+
+    expect(receivedOnProgress).toBeUndefined();
+  });
+
+  test('replaces the progress comment with the quota rejection', async () => {
+    const mockContext = createMockContext();
+    const parseResult = createParseResult('review', ['src/index.js']);
+    let postedOptions = null;
+
+    const mockDeps = createMockDeps({
+      checkCommandQuota: async () => ({
+        allowed: false,
+        exceeded: { scope: 'user', window: 'hour', limit: 1, used: 1, resetAt: 1_800_000_000 },
+      }),
+      upsertComment: async (octokit, owner, repo, issueNumber, body, marker, options) => { postedOptions = options; },
+    });
+
+    await dispatchCommand(
+      mockContext, parseResult, 'api-key', 'model', 'owner', 'repo', 30000,
+      {
+        commentId: 100,
+        commenter: { login: 'alice' },
+        repoConfig: { maxChars: 8000, quota: { enabled: true } },
+        progressComment: { id: 555, isReviewComment: false },
+      },
+      mockDeps
+    );
+
+    expect(postedOptions.replaceComment).toEqual({ id: 555, isReviewComment: false });
+  });
 });
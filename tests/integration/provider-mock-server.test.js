@@ -0,0 +1,157 @@
+/**
+ * Runs the API client against a local HTTP server standing in for each
+ * provider, so the request/response plumbing is exercised without network.
+ */
+import { test, describe, expect, beforeAll, afterAll } from 'vitest';
+
+const http = require('node:http');
+const { createApiClient, sendChatRequest } = require('../../src/lib/api.js');
+const { resolveProvider } = require('../../src/lib/providers.js');
+const { createUsageTracker } = require('../../src/lib/usage.js');
+
+let server;
+let baseUrl;
+const requests = [];
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let data = '';
+    req.on('data', chunk => (data += chunk));
+    req.on('end', () => resolve(data));
+  });
+}
+
+beforeAll(async () => {
+  server = http.createServer(async (req, res) => {
+    const body = JSON.parse(await readBody(req));
+    requests.push({ url: req.url, headers: req.headers, body });
+
+    if (req.url === '/v1/chat/completions') {
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n');
+        res.end('data: {"choices":[{"delta":{"content":" from mock"}}]}\n\ndata: [DONE]\n\n');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ message: { content: `echo: ${body.messages.at(-1).content}` } }],
+        usage: { prompt_tokens: 7, completion_tokens: 3, total_tokens: 10 },
+      }));
+      return;
+    }
+
+    if (req.url === '/api/chat') {
+      if (body.model === 'missing') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end('{"error":"model \\"missing\\" not found"}');
+        return;
+      }
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write('{"message":{"content":"local"},"done":false}\n');
+        res.end('{"message":{"content":" model"},"done":true,"prompt_eval_count":4,"eval_count":2}\n');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: { role: 'assistant', content: 'local model' }, done: true }));
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('provider mock server', () => {
+  test('OpenAI-compatible provider sends bearer auth and parses JSON', async () => {
+    const provider = resolveProvider('openai-compatible', { url: `${baseUrl}/v1/chat/completions` });
+    const client = createApiClient({ provider, maxRetries: 0 });
+
+    const result = await client.call({ apiKey: 'sk-local', model: 'qwen', prompt: 'ping' });
+
+    expect(result).toMatchObject({ success: true, data: 'echo: ping' });
+    const request = requests.at(-1);
+    expect(request.headers.authorization).toBe('Bearer sk-local');
+    expect(request.body.model).toBe('qwen');
+    expect(request.body.stream).toBeUndefined();
+  });
+
+  test('OpenAI-compatible provider streams SSE', async () => {
+    const provider = resolveProvider('openai-compatible', { url: `${baseUrl}/v1/chat/completions` });
+    const progress = [];
+
+    const content = await sendChatRequest({
+      provider, apiKey: 'sk-local', model: 'qwen', messages: [{ role: 'user', content: 'ping' }],
+      stream: true, onProgress: text => progress.push(text),
+    });
+
+    expect(content).toBe('Hello from mock');
+    expect(progress.at(-1)).toBe('Hello from mock');
+  });
+
+  test('Ollama provider uses the native chat API without auth', async () => {
+    const provider = resolveProvider('ollama', { url: `${baseUrl}/api/chat` });
+
+    const content = await sendChatRequest({ provider, model: 'llama3', messages: [{ role: 'user', content: 'ping' }] });
+
+    expect(content).toBe('local model');
+    const request = requests.at(-1);
+    expect(request.headers.authorization).toBeUndefined();
+    expect(request.body.stream).toBe(false);
+  });
+
+  test('Ollama provider streams NDJSON', async () => {
+    const provider = resolveProvider('ollama', { url: `${baseUrl}/api/chat` });
+    const progress = [];
+
+    const content = await sendChatRequest({
+      provider, model: 'llama3', messages: [{ role: 'user', content: 'ping' }],
+      stream: true, onProgress: text => progress.push(text),
+    });
+
+    expect(content).toBe('local model');
+    expect(progress).toEqual(['local', 'local model']);
+  });
+
+  test('records reported token usage and latency on the tracker', async () => {
+    const usageTracker = createUsageTracker();
+    const openAi = createApiClient({
+      provider: resolveProvider('openai-compatible', { url: `${baseUrl}/v1/chat/completions` }),
+      maxRetries: 0,
+      usageTracker,
+      usageLabel: 'review',
+    });
+    const ollama = createApiClient({
+      provider: resolveProvider('ollama', { url: `${baseUrl}/api/chat` }),
+      maxRetries: 0,
+      usageTracker,
+      usageLabel: 'ask',
+    });
+
+    await openAi.call({ model: 'qwen', prompt: 'ping' });
+    await ollama.call({ model: 'llama3', prompt: 'ping', onProgress: () => {} });
+
+    expect(usageTracker.getTotals('review')).toMatchObject({ calls: 1, promptTokens: 7, completionTokens: 3, totalTokens: 10 });
+    expect(usageTracker.getTotals('ask')).toMatchObject({ calls: 1, promptTokens: 4, completionTokens: 2, unreportedCalls: 0 });
+    expect(usageTracker.getTotals().durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('maps provider errors into categorized client errors', async () => {
+    const provider = resolveProvider('ollama', { url: `${baseUrl}/api/chat` });
+    const client = createApiClient({ provider, maxRetries: 0 });
+
+    const result = await client.call({ model: 'missing', prompt: 'ping' });
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toContain('Ollama API error 404');
+    expect(result.error.retryable).toBe(false);
+  });
+});
@@ -160,6 +160,11 @@ describe('getUserMessage', () => {
     expect(msg.includes('unexpected error')).toBe(true);
   });
 
+  it('accepts API client categories', () => {
+    expect(getUserMessage('rate-limit')).toBe(getUserMessage(ERROR_CATEGORIES.RATE_LIMIT));
+    expect(getUserMessage('provider')).toBe(getUserMessage(ERROR_CATEGORIES.PROVIDER));
+  });
+
   it('falls back to internal message for unknown category', () => {
     const msg = getUserMessage('UNKNOWN_CATEGORY');
     expect(msg.includes('unexpected error')).toBe(true);
@@ -407,6 +407,27 @@ test('resolvePrRefs returns base and head refs on success', async () => {
   expect(result.data.base.sha).toBe('abc123base');
   expect(result.data.head.ref).toBe('feature-branch');
   expect(result.data.head.sha).toBe('def456head');
+  expect(result.data.head.repo).toBe(null);
+});
+
+test('resolvePrRefs reports the head and base repositories for fork detection', async () => {
+  const mockOctokit = {
+    rest: {
+      pulls: {
+        get: async () => ({
+          data: {
+            base: { ref: 'main', sha: 'abc123base', repo: { full_name: 'owner/repo' } },
+            head: { ref: 'patch-1', sha: 'def456head', repo: { full_name: 'contributor/repo' } }
+          }
+        })
+      }
+    }
+  };
+
+  const result = await resolvePrRefs(mockOctokit, 'owner', 'repo', 1);
+
+  expect(result.data.base.repo).toBe('owner/repo');
+  expect(result.data.head.repo).toBe('contributor/repo');
 });
 
 test('resolvePrRefs handles missing refs metadata gracefully', async () => {
@@ -0,0 +1,155 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  findPullRequestTemplate,
+  parseMarkdownSections,
+  planTemplateFill,
+  parseFilledSections,
+  composeTemplateBody,
+} = require('../src/lib/pr-template');
+
+const TEMPLATE = [
+  '<!-- Thanks for contributing! -->',
+  '',
+  '## Summary',
+  '<!-- What does this PR change? -->',
+  '',
+  '## Type of change',
+  '- [ ] Bug fix',
+  '- [ ] New feature',
+  '',
+  '## Checklist',
+  '- [ ] Tests pass locally',
+  '',
+].join('\n');
+
+function file(content) {
+  return { data: { type: 'file', content: Buffer.from(content, 'utf8').toString('base64') } };
+}
+
+function contentOctokit(tree) {
+  return {
+    rest: {
+      repos: {
+        getContent: vi.fn(async ({ path }) => {
+          if (!(path in tree)) {
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          }
+          return typeof tree[path] === 'string' ? file(tree[path]) : { data: tree[path] };
+        }),
+      },
+    },
+  };
+}
+
+describe('findPullRequestTemplate', () => {
+  test('finds .github/pull_request_template.md case-insensitively', async () => {
+    const octokit = contentOctokit({
+      '.github': [{ type: 'file', name: 'PULL_REQUEST_TEMPLATE.md', path: '.github/PULL_REQUEST_TEMPLATE.md' }],
+      '.github/PULL_REQUEST_TEMPLATE.md': TEMPLATE,
+    });
+
+    const template = await findPullRequestTemplate(octokit, 'o', 'r', { ref: 'main' });
+
+    expect(template).toEqual({ path: '.github/PULL_REQUEST_TEMPLATE.md', content: TEMPLATE });
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({ owner: 'o', repo: 'r', path: '.github', ref: 'main' });
+  });
+
+  test('picks the directory template that matches the current body', async () => {
+    const octokit = contentOctokit({
+      '': [],
+      docs: [{ type: 'dir', name: 'pull_request_template', path: 'docs/pull_request_template' }],
+      'docs/pull_request_template': [
+        { type: 'file', name: 'bugfix.md', path: 'docs/pull_request_template/bugfix.md' },
+        { type: 'file', name: 'feature.md', path: 'docs/pull_request_template/feature.md' },
+      ],
+      'docs/pull_request_template/bugfix.md': '## Bug\n\n## Root cause\n',
+      'docs/pull_request_template/feature.md': '## Feature\n\n## Rollout\n',
+    });
+
+    expect((await findPullRequestTemplate(octokit, 'o', 'r', { body: '## Feature\nNew thing\n## Rollout\n' })).path)
+      .toBe('docs/pull_request_template/feature.md');
+    expect((await findPullRequestTemplate(octokit, 'o', 'r', { body: '' })).path)
+      .toBe('docs/pull_request_template/bugfix.md');
+  });
+
+  test('returns null when the repository has no template', async () => {
+    expect(await findPullRequestTemplate(contentOctokit({}), 'o', 'r')).toBe(null);
+  });
+});
+
+describe('parseMarkdownSections', () => {
+  test('splits on headings outside code fences', () => {
+    const parsed = parseMarkdownSections('intro\n## Summary:\ntext\n```md\n## not a heading\n```\n### Notes\nmore');
+    expect(parsed.preamble).toBe('intro');
+    expect(parsed.sections.map(section => section.key)).toEqual(['summary', 'notes']);
+    expect(parsed.sections[0].content).toContain('## not a heading');
+  });
+});
+
+describe('planTemplateFill', () => {
+  test('fills every section of an untouched template', () => {
+    const plan = planTemplateFill(TEMPLATE, TEMPLATE);
+    expect(plan.toFill.map(section => section.key)).toEqual(['summary', 'type of change', 'checklist']);
+    expect(plan.preserved).toEqual([]);
+  });
+
+  test('preserves sections the author wrote or ticked', () => {
+    const body = TEMPLATE
+      .replace('<!-- What does this PR change? -->', 'Adds retries to the API client.')
+      .replace('- [ ] Tests pass locally', '- [x] Tests pass locally');
+
+    const plan = planTemplateFill(TEMPLATE, body);
+
+    expect(plan.toFill.map(section => section.key)).toEqual(['type of change']);
+    expect(plan.preserved.map(section => section.key)).toEqual(['summary', 'checklist']);
+  });
+});
+
+describe('parseFilledSections', () => {
+  const sections = parseMarkdownSections(TEMPLATE).sections;
+
+  test('reads requested sections and keeps subheadings inside them', () => {
+    const output = '```markdown\n## Summary\nAdd retries.\n### Details\nBackoff.\n\n## Type of change\n- [ ] Bug fix\n- [x] New feature\n```';
+    const filled = parseFilledSections(output, sections);
+    expect(filled.get('summary')).toBe('Add retries.\n### Details\nBackoff.');
+    expect(filled.get('type of change')).toBe('- [ ] Bug fix\n- [x] New feature');
+    expect(filled.has('checklist')).toBe(false);
+  });
+
+  test('takes the whole output for templates without headings', () => {
+    expect(parseFilledSections('Filled text', [{ key: '', heading: '' }]).get('')).toBe('Filled text');
+  });
+});
+
+describe('composeTemplateBody', () => {
+  const generated = new Map([['summary', 'Add retries.'], ['type of change', '- [ ] Bug fix\n- [x] New feature']]);
+
+  test('fills the template and keeps author sections verbatim', () => {
+    const authorBody = `${TEMPLATE.replace('- [ ] Tests pass locally', '- [x] Tests pass locally')}\n## Screenshots\nnone`;
+
+    const body = composeTemplateBody({ templateContent: TEMPLATE, authorBody, generated });
+
+    expect(body.startsWith('<!-- Thanks for contributing! -->\n\n## Summary\n\n<!-- ZAI_SECTION_START ')).toBe(true);
+    expect(body).toContain('Add retries.\n<!-- ZAI_SECTION_END -->');
+    expect(body).toContain('## Checklist\n\n- [x] Tests pass locally');
+    expect(body.endsWith('## Screenshots\n\nnone')).toBe(true);
+  });
+
+  test('regenerates untouched generated sections but keeps edited ones', () => {
+    const first = composeTemplateBody({ templateContent: TEMPLATE, authorBody: '', generated });
+    expect(planTemplateFill(TEMPLATE, first).toFill.map(section => section.key)).toEqual(['summary', 'type of change', 'checklist']);
+
+    const edited = first.replace('Add retries.', 'Add retries with jitter.');
+    const plan = planTemplateFill(TEMPLATE, edited);
+    expect(plan.preserved.map(section => section.key)).toEqual(['summary']);
+
+    const second = composeTemplateBody({ templateContent: TEMPLATE, authorBody: edited, generated: new Map([['summary', 'Other']]) });
+    expect(second).toContain('## Summary\n\nAdd retries with jitter.\n\n## Type of change');
+    expect(second).not.toContain('Other');
+  });
+
+  test('keeps free text written instead of the template above it', () => {
+    const body = composeTemplateBody({ templateContent: TEMPLATE, authorBody: 'Fixes #12.', generated });
+    expect(body.startsWith('Fixes #12.\n\n## Summary')).toBe(true);
+  });
+});
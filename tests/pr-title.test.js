@@ -0,0 +1,113 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  TITLE_STATUS_CONTEXT,
+  isTitleValid,
+  buildTitlePrompt,
+  parseSuggestedTitle,
+  inferConventionalTitle,
+  suggestTitle,
+  formatTitleStatusDescription,
+  setTitleStatus,
+} = require('../src/lib/pr-title');
+
+function commit(message) {
+  return { sha: 'abc1234def', commit: { message } };
+}
+
+describe('isTitleValid', () => {
+  test('accepts conventional titles by default', () => {
+    expect(isTitleValid('feat(api): add retries')).toBe(true);
+    expect(isTitleValid('fix!: drop node 18')).toBe(true);
+    expect(isTitleValid('Add retries')).toBe(false);
+    expect(isTitleValid('feature: add retries')).toBe(false);
+    expect(isTitleValid('feat:missing space')).toBe(false);
+  });
+
+  test('uses a configured pattern', () => {
+    expect(isTitleValid('[API] Add retries', '^\\[[A-Z]+\\] ')).toBe(true);
+    expect(isTitleValid('feat: add retries', '^\\[[A-Z]+\\] ')).toBe(false);
+  });
+});
+
+describe('buildTitlePrompt', () => {
+  test('lists commit subjects and diff stats', () => {
+    const prompt = buildTitlePrompt({
+      title: 'Retries',
+      commits: [commit('feat: add retries\n\nlong body'), commit('wip')],
+      diffStats: 'Files changed: 2 (+10 / -1)',
+    });
+    expect(prompt).toContain('<current_title>Retries</current_title>');
+    expect(prompt).toContain('<commit_subjects>\n- feat: add retries\n- wip\n</commit_subjects>');
+    expect(prompt).not.toContain('long body');
+    expect(prompt).toContain('<diff_stats>\nFiles changed: 2 (+10 / -1)\n</diff_stats>');
+    expect(prompt).toContain('Conventional Commits');
+  });
+});
+
+describe('parseSuggestedTitle', () => {
+  test('takes the first line without labels, quotes or fences', () => {
+    expect(parseSuggestedTitle('feat: add retries')).toBe('feat: add retries');
+    expect(parseSuggestedTitle('Title: "fix: handle 404."')).toBe('fix: handle 404');
+    expect(parseSuggestedTitle('```\n`feat(api): add retries`\n```')).toBe('feat(api): add retries');
+    expect(parseSuggestedTitle('')).toBe(null);
+    expect(parseSuggestedTitle(`feat: ${'x'.repeat(120)}`)).toBe(null);
+  });
+});
+
+describe('inferConventionalTitle', () => {
+  test('applies the most common commit type to the current title', () => {
+    const commits = [commit('fix: a'), commit('fix(api): b'), commit('feat: c'), commit('Merge branch main')];
+    expect(inferConventionalTitle('Handle timeouts.', commits)).toBe('fix: handle timeouts');
+    expect(inferConventionalTitle('Feature: Retries', [])).toBe('chore: retries');
+  });
+});
+
+describe('suggestTitle', () => {
+  test('returns the model title when it matches the pattern', async () => {
+    const callModel = vi.fn().mockResolvedValue('feat(api): add retries');
+
+    const result = await suggestTitle({ title: 'Retries', commits: [commit('feat: x')], callModel });
+
+    expect(result).toEqual({ title: 'feat(api): add retries', source: 'model' });
+    expect(callModel.mock.calls[0][0]).toContain('<current_title>Retries</current_title>');
+  });
+
+  test('falls back to the commit types when the model fails or ignores the pattern', async () => {
+    const logger = { warn: vi.fn() };
+    const commits = [commit('fix: a')];
+
+    expect(await suggestTitle({ title: 'Retries', commits, callModel: async () => 'Add retries', logger }))
+      .toEqual({ title: 'fix: retries', source: 'commits' });
+    expect(await suggestTitle({ title: 'Retries', commits, callModel: async () => { throw new Error('timeout'); }, logger }))
+      .toEqual({ title: 'fix: retries', source: 'commits' });
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns null when nothing matches a custom pattern', async () => {
+    expect(await suggestTitle({ title: 'Retries', pattern: '^JIRA-\\d+ ', callModel: async () => 'feat: x' })).toBe(null);
+  });
+});
+
+describe('title status', () => {
+  test('keeps the description within the GitHub limit', () => {
+    expect(formatTitleStatusDescription('feat: add retries'))
+      .toBe('Title does not match the required format. Suggested: feat: add retries');
+    expect(formatTitleStatusDescription(`feat: ${'x'.repeat(200)}`)).toHaveLength(140);
+    expect(formatTitleStatusDescription(null)).toBe('Title does not match the required format.');
+  });
+
+  test('posts the status on the head commit', async () => {
+    const octokit = { rest: { repos: { createCommitStatus: vi.fn().mockResolvedValue({}) } } };
+
+    await setTitleStatus(octokit, 'o', 'r', 'sha1', { valid: false, suggestion: 'fix: handle 404' });
+
+    expect(octokit.rest.repos.createCommitStatus).toHaveBeenCalledWith({
+      owner: 'o',
+      repo: 'r',
+      sha: 'sha1',
+      state: 'failure',
+      context: TITLE_STATUS_CONTEXT,
+      description: 'Title does not match the required format. Suggested: fix: handle 404',
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { test, describe, expect, vi, beforeEach, afterEach } from 'vitest';
+const {
+  PROGRESS_MARKER,
+  MAX_PROGRESS_CHARS,
+  buildProgressBody,
+  createProgressUpdater,
+  withProgress,
+} = require('../src/lib/progress');
+
+function createOctokit() {
+  return {
+    rest: {
+      issues: { updateComment: vi.fn().mockResolvedValue({ data: { id: 5 } }) },
+      pulls: { updateReviewComment: vi.fn().mockResolvedValue({ data: { id: 5 } }) },
+    },
+  };
+}
+
+describe('buildProgressBody', () => {
+  test('shows the placeholder before any output arrives', () => {
+    expect(buildProgressBody('ask')).toBe(`🤖 Reviewing \`/zai ask\`...\n\n${PROGRESS_MARKER}`);
+  });
+
+  test('includes partial output and keeps the marker last', () => {
+    const body = buildProgressBody('review', 'Partial answer');
+    expect(body).toContain('_(streaming partial output)_');
+    expect(body).toContain('Partial answer');
+    expect(body.endsWith(PROGRESS_MARKER)).toBe(true);
+  });
+
+  test('closes an unterminated code fence', () => {
+    const body = buildProgressBody('explain', 'Example:\n```js\nconst a = 1;');
+    expect(body).toContain('const a = 1;\n```\n\n<!-- zai-progress -->');
+  });
+
+  test('keeps only the tail of very long output', () => {
+    const body = buildProgressBody('review', `${'x'.repeat(10)}${'b'.repeat(MAX_PROGRESS_CHARS)}`);
+    expect(body).toContain(`…${'b'.repeat(MAX_PROGRESS_CHARS)}`);
+    expect(body).not.toContain('x');
+  });
+});
+
+describe('createProgressUpdater', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('writes the first update immediately and throttles the rest', async () => {
+    const octokit = createOctokit();
+    const progress = createProgressUpdater(octokit, 'owner', 'repo', { commentId: 5, command: 'ask', intervalMs: 3000 });
+
+    progress.update('one');
+    progress.update('one two');
+    progress.update('one two three');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.issues.updateComment.mock.calls[0][0]).toMatchObject({ comment_id: 5 });
+    expect(octokit.rest.issues.updateComment.mock.calls[0][0].body).toContain('one');
+
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledTimes(2);
+    expect(octokit.rest.issues.updateComment.mock.calls[1][0].body).toContain('one two three');
+  });
+
+  test('stop cancels a pending update', async () => {
+    const octokit = createOctokit();
+    const progress = createProgressUpdater(octokit, 'owner', 'repo', { commentId: 5, intervalMs: 3000 });
+
+    progress.update('first');
+    progress.update('second');
+    await progress.stop();
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledTimes(1);
+  });
+
+  test('edits review comments through the pulls API', async () => {
+    const octokit = createOctokit();
+    const progress = createProgressUpdater(octokit, 'owner', 'repo', { commentId: 7, isReviewComment: true });
+
+    progress.update('partial');
+    await progress.stop();
+
+    expect(octokit.rest.pulls.updateReviewComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 7 }));
+    expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    expect(progress.comment).toEqual({ id: 7, isReviewComment: true });
+  });
+
+  test('logs and swallows update failures', async () => {
+    const octokit = createOctokit();
+    octokit.rest.issues.updateComment.mockRejectedValue(new Error('boom'));
+    const logger = { warn: vi.fn() };
+    const progress = createProgressUpdater(octokit, 'owner', 'repo', { commentId: 5, logger });
+
+    progress.update('partial');
+    await expect(progress.stop()).resolves.toBeUndefined();
+    expect(logger.warn).toHaveBeenCalledWith({ error: 'boom' }, 'Failed to update progress comment');
+  });
+
+  test('does nothing without a progress comment', async () => {
+    const octokit = createOctokit();
+    const progress = createProgressUpdater(octokit, 'owner', 'repo', {});
+
+    progress.update('partial');
+    await progress.stop();
+
+    expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    expect(progress.comment).toBeNull();
+  });
+});
+
+describe('withProgress', () => {
+  test('returns the client unchanged without a progress updater', () => {
+    const client = { call: vi.fn() };
+    expect(withProgress(client, null)).toBe(client);
+  });
+
+  test('streams partial output and stops the updater before returning', async () => {
+    const order = [];
+    const progress = {
+      update: vi.fn(),
+      stop: vi.fn(async () => order.push('stop')),
+    };
+    const client = {
+      config: { timeout: 1000 },
+      call: vi.fn(async ({ onProgress }) => {
+        onProgress('partial');
+        return { success: true, data: 'done' };
+      }),
+    };
+
+    const wrapped = withProgress(client, progress);
+    const result = await wrapped.call({ apiKey: 'k', model: 'm', prompt: 'p' });
+    order.push('returned');
+
+    expect(result).toEqual({ success: true, data: 'done' });
+    expect(client.call).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'p', onProgress: expect.any(Function) }));
+    expect(progress.update).toHaveBeenCalledWith('partial');
+    expect(order).toEqual(['stop', 'returned']);
+    expect(wrapped.config).toBe(client.config);
+  });
+});
@@ -0,0 +1,210 @@
+import { test, describe, expect } from 'vitest';
+
+const {
+  QUOTA_MARKER,
+  buildLedgerBody,
+  checkCommandQuota,
+  findExceededLimit,
+  formatQuotaExceededMessage,
+  parseQuotaState,
+  pruneQuotaState,
+} = require('../src/lib/quota');
+
+const NOW = 1_800_000_000;
+const context = { repo: { owner: 'owner', repo: 'repo' }, payload: {} };
+
+function createOctokit({ permission = 'write', comments = {} } = {}) {
+  const store = { ...comments };
+  const calls = { created: [], updated: [] };
+  let nextId = 1000;
+  return {
+    store,
+    calls,
+    rest: {
+      repos: {
+        getCollaboratorPermission: async () => ({ data: { permission } }),
+      },
+      issues: {
+        listComments: async ({ issue_number: issueNumber, per_page: perPage = 30, page = 1 }) => ({
+          data: (store[issueNumber] || []).slice((page - 1) * perPage, page * perPage),
+        }),
+        createComment: async ({ issue_number: issueNumber, body }) => {
+          const comment = { id: nextId++, body, user: { type: 'Bot' } };
+          store[issueNumber] = [...(store[issueNumber] || []), comment];
+          calls.created.push(issueNumber);
+          return { data: comment };
+        },
+        updateComment: async ({ comment_id: commentId, body }) => {
+          for (const list of Object.values(store)) {
+            const comment = list.find(c => c.id === commentId);
+            if (comment) {
+              comment.body = body;
+            }
+          }
+          calls.updated.push(commentId);
+          return { data: {} };
+        },
+      },
+    },
+  };
+}
+
+function ledger(events) {
+  return { id: 1, body: buildLedgerBody({ v: 1, events }), user: { type: 'Bot' } };
+}
+
+describe('quota - ledger state', () => {
+  test('round-trips state through the ledger comment', () => {
+    const body = buildLedgerBody({ v: 1, events: { alice: [NOW] } });
+
+    expect(body.includes(QUOTA_MARKER)).toBe(true);
+    expect(parseQuotaState(body)).toEqual({ v: 1, events: { alice: [NOW] } });
+  });
+
+  test('returns empty state for missing or corrupt ledgers', () => {
+    expect(parseQuotaState('no ledger')).toEqual({ v: 1, events: {} });
+    expect(parseQuotaState('<!-- zai-quota-state: not-json -->')).toEqual({ v: 1, events: {} });
+  });
+
+  test('pruneQuotaState drops events older than a day', () => {
+    const state = { v: 1, events: { alice: [NOW - 90000, NOW - 10], bob: [NOW - 90000] } };
+
+    expect(pruneQuotaState(state, NOW)).toEqual({ v: 1, events: { alice: [NOW - 10] } });
+  });
+});
+
+describe('quota - findExceededLimit', () => {
+  test('reports the window and when a slot frees up', () => {
+    const timestamps = [NOW - 3000, NOW - 2000, NOW - 1000];
+    const exceeded = findExceededLimit(timestamps, { hour: 3, day: 10 }, NOW, 'user');
+
+    expect(exceeded).toEqual({ scope: 'user', window: 'hour', limit: 3, used: 3, resetAt: NOW - 3000 + 3600 });
+  });
+
+  test('treats 0 as unlimited and checks the day window', () => {
+    const timestamps = [NOW - 80000, NOW - 50000];
+
+    expect(findExceededLimit(timestamps, { hour: 0, day: 0 }, NOW, 'repo')).toBe(null);
+    expect(findExceededLimit(timestamps, { hour: 5, day: 2 }, NOW, 'repo').window).toBe('day');
+  });
+});
+
+describe('quota - checkCommandQuota', () => {
+  const quotaConfig = { perUserPerPr: { hour: 2, day: 0 }, exemptPermission: 'maintain' };
+
+  test('records usage in a PR ledger comment', async () => {
+    const octokit = createOctokit();
+
+    const result = await checkCommandQuota(octokit, 'owner', 'repo', {
+      context, pullNumber: 7, login: 'Alice', command: 'ask', quotaConfig, now: NOW,
+    });
+
+    expect(result).toEqual({ allowed: true });
+    expect(parseQuotaState(octokit.store[7][0].body).events).toEqual({ alice: [NOW] });
+  });
+
+  test('rejects users over the per-PR limit', async () => {
+    const octokit = createOctokit({ comments: { 7: [ledger({ alice: [NOW - 100, NOW - 50] })] } });
+
+    const result = await checkCommandQuota(octokit, 'owner', 'repo', {
+      context, pullNumber: 7, login: 'alice', command: 'review', quotaConfig, now: NOW,
+    });
+
+    expect(result.allowed).toBe(false);
+    expect(result.exceeded).toMatchObject({ scope: 'user', window: 'hour', used: 2, resetAt: NOW - 100 + 3600 });
+    expect(octokit.calls.updated).toHaveLength(0);
+  });
+
+  test('finds the ledger after the first page of comments', async () => {
+    const chatter = Array.from({ length: 130 }, (_, index) => ({ id: index + 1, body: `comment ${index}` }));
+    const octokit = createOctokit({ comments: { 7: [...chatter, { ...ledger({ alice: [NOW - 100, NOW - 50] }), id: 500 }] } });
+
+    const result = await checkCommandQuota(octokit, 'owner', 'repo', {
+      context, pullNumber: 7, login: 'alice', command: 'ask', quotaConfig, now: NOW,
+    });
+
+    expect(result.allowed).toBe(false);
+    expect(octokit.calls.created).toHaveLength(0);
+  });
+
+  test('ignores ledger markers in comments written by users', async () => {
+    const forged = { id: 40, body: buildLedgerBody({ v: 1, events: {} }), user: { login: 'alice', type: 'User' } };
+    const octokit = createOctokit({ comments: { 7: [forged, { ...ledger({ alice: [NOW - 100, NOW - 50] }), id: 41 }] } });
+
+    const result = await checkCommandQuota(octokit, 'owner', 'repo', {
+      context, pullNumber: 7, login: 'alice', command: 'ask', quotaConfig, now: NOW,
+    });
+
+    expect(result.allowed).toBe(false);
+    expect(result.exceeded).toMatchObject({ scope: 'user', used: 2 });
+  });
+
+  test('starts a bot ledger instead of updating a forged one', async () => {
+    const forged = { id: 40, body: buildLedgerBody({ v: 1, events: {} }), user: { login: 'alice', type: 'User' } };
+    const octokit = createOctokit({ comments: { 7: [forged] } });
+
+    const result = await checkCommandQuota(octokit, 'owner', 'repo', {
+      context, pullNumber: 7, login: 'alice', command: 'ask', quotaConfig, now: NOW,
+    });
+
+    expect(result).toEqual({ allowed: true });
+    expect(octokit.calls.updated).toHaveLength(0);
+    expect(octokit.calls.created).toEqual([7]);
+  });
+
+  test('exempts maintainers, listed users, help, and disabled quotas', async () => {
+    const full = { 7: [ledger({ alice: [NOW - 100, NOW - 50] })] };
+
+    const maintainer = await checkCommandQuota(createOctokit({ permission: 'admin', comments: full }), 'owner', 'repo', {
+      context, pullNumber: 7, login: 'alice', command: 'ask', quotaConfig, now: NOW,
+    });
+    const listed = await checkCommandQuota(createOctokit({ comments: full }), 'owner', 'repo', {
+      context, pullNumber: 7, login: 'alice', command: 'ask', quotaConfig: { ...quotaConfig, exemptUsers: ['ALICE'] }, now: NOW,
+    });
+    const help = await checkCommandQuota(createOctokit({ comments: full }), 'owner', 'repo', {
+      context, pullNumber: 7, login: 'alice', command: 'help', quotaConfig, now: NOW,
+    });
+    const disabled = await checkCommandQuota(createOctokit({ comments: full }), 'owner', 'repo', {
+      context, pullNumber: 7, login: 'alice', command: 'ask', quotaConfig: { ...quotaConfig, enabled: false }, now: NOW,
+    });
+
+    expect(maintainer).toEqual({ allowed: true, exempt: true });
+    expect(listed).toEqual({ allowed: true, exempt: true });
+    expect(help).toEqual({ allowed: true });
+    expect(disabled).toEqual({ allowed: true });
+  });
+
+  test('enforces repository limits through the ledger issue', async () => {
+    const octokit = createOctokit({ comments: { 99: [ledger({ '*': [NOW - 10] })] } });
+    const repoConfig = { ...quotaConfig, perRepo: { hour: 1 }, ledgerIssue: 99 };
+
+    const result = await checkCommandQuota(octokit, 'owner', 'repo', {
+      context, pullNumber: 7, login: 'bob', command: 'ask', quotaConfig: repoConfig, now: NOW,
+    });
+
+    expect(result.allowed).toBe(false);
+    expect(result.exceeded.scope).toBe('repo');
+  });
+
+  test('allows the command when the ledger cannot be updated', async () => {
+    const warnings = [];
+    const octokit = createOctokit();
+    octokit.rest.issues.listComments = async () => { throw new Error('Service Unavailable'); };
+
+    const result = await checkCommandQuota(octokit, 'owner', 'repo', {
+      context, pullNumber: 7, login: 'bob', command: 'ask', quotaConfig, now: NOW,
+    }, { warn: message => warnings.push(message) });
+
+    expect(result.allowed).toBe(true);
+    expect(warnings.some(message => message.includes('Service Unavailable'))).toBe(true);
+  });
+});
+
+describe('quota - formatQuotaExceededMessage', () => {
+  test('states the limit and reset time', () => {
+    const message = formatQuotaExceededMessage({ scope: 'user', window: 'hour', limit: 10, used: 10, resetAt: NOW + 600 }, 'alice', NOW);
+
+    expect(message).toContain('@alice has used 10/10 `/zai` commands on this pull request in the last hour.');
+    expect(message).toContain(`resets at ${new Date((NOW + 600) * 1000).toISOString().replace('.000Z', 'Z')} (in 10 min)`);
+  });
+});
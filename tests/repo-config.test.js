@@ -0,0 +1,452 @@
+import { test, describe, expect } from 'vitest';
+const {
+  REPO_CONFIG_VERSION,
+  CONFIGURABLE_COMMANDS,
+  getActionDefaults,
+  loadRepoConfig,
+  validateAndNormalizeRepoConfig,
+  mergeRepoConfig,
+  resolveRepoConfig,
+  getReviewConfigOverrides,
+  isCommandEnabled,
+  isPathIncluded,
+  isPathIgnored,
+  partitionIgnoredFiles,
+  applyPromptOverride,
+  filterLabels,
+} = require('../src/lib/config/repo-config.js');
+
+function contentResponse(rawConfig) {
+  return {
+    data: {
+      content: Buffer.from(rawConfig, 'utf8').toString('base64'),
+    },
+  };
+}
+
+function buildCore(inputs = {}) {
+  return {
+    getInput: (name) => inputs[name] || '',
+    warning: () => {},
+    info: () => {},
+  };
+}
+
+describe('getActionDefaults', () => {
+  test('enables everything when inputs are empty', () => {
+    const defaults = getActionDefaults(buildCore());
+
+    expect(defaults.version).toBe(REPO_CONFIG_VERSION);
+    expect(defaults.autoReview).toEqual({ enabled: true, include: [], exclude: [] });
+    expect(CONFIGURABLE_COMMANDS.every(command => defaults.commands[command].enabled)).toBe(true);
+    expect(defaults.maxChars).toBe(8000);
+    expect(defaults.labels).toEqual({ enabled: true, allowed: [] });
+    expect(defaults.streaming).toEqual({ enabled: true, updateIntervalMs: 3000 });
+    expect(defaults.ignore).toEqual({ paths: [], useDefaults: true });
+  });
+
+  test('reads action inputs', () => {
+    const defaults = getActionDefaults(buildCore({
+      ZAI_AUTO_REVIEW_ENABLED: 'false',
+      ZAI_DISABLED_COMMANDS: 'impact, Describe',
+      ZAI_MAX_CHARS: '12000',
+      ZAI_LABELS_ENABLED: 'false',
+      ZAI_STREAMING: 'false',
+      ZAI_IGNORE_PATHS: 'third_party/**, *.pb.go',
+    }));
+
+    expect(defaults.autoReview.enabled).toBe(false);
+    expect(defaults.commands.impact.enabled).toBe(false);
+    expect(defaults.commands.describe.enabled).toBe(false);
+    expect(defaults.commands.ask.enabled).toBe(true);
+    expect(defaults.maxChars).toBe(12000);
+    expect(defaults.labels.enabled).toBe(false);
+    expect(defaults.streaming.enabled).toBe(false);
+    expect(defaults.ignore.paths).toEqual(['third_party/**', '*.pb.go']);
+  });
+});
+
+describe('validateAndNormalizeRepoConfig', () => {
+  test('requires a version', () => {
+    expect(() => validateAndNormalizeRepoConfig({})).toThrow('Configuration missing required field: version');
+    expect(() => validateAndNormalizeRepoConfig(null)).toThrow('Configuration missing required field: version');
+  });
+
+  test('rejects unsupported versions and unknown fields', () => {
+    expect(() => validateAndNormalizeRepoConfig({ version: 2 })).toThrow('Unsupported config version: 2. Expected: 1');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, reviews: {} })).toThrow('Unknown configuration field: reviews');
+  });
+
+  test('normalizes a full configuration', () => {
+    const config = validateAndNormalizeRepoConfig({
+      version: 1,
+      auto_review: {
+        enabled: false,
+        include: ['src/**'],
+        exclude: ['*.snap'],
+        max_batch_chars: 50000,
+      },
+      commands: { impact: false, ask: { enabled: true } },
+      prompts: { auto_review: '  Focus on security.  ' },
+      max_chars: 16000,
+      labels: { enabled: true, allowed: ['bug', 'security'] },
+    });
+
+    expect(config).toEqual({
+      version: 1,
+      autoReview: { enabled: false, include: ['src/**'], exclude: ['*.snap'], maxBatchChars: 50000 },
+      commands: { impact: { enabled: false }, ask: { enabled: true } },
+      prompts: { auto_review: 'Focus on security.' },
+      maxChars: 16000,
+      labels: { enabled: true, allowed: ['bug', 'security'] },
+    });
+  });
+
+  test('reports invalid field types with the offending field', () => {
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, auto_review: { enabled: 'yes' } }))
+      .toThrow('auto_review has invalid enabled value (must be boolean)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, auto_review: { include: 'src/**' } }))
+      .toThrow('auto_review.include has invalid value (must be array of glob strings)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, auto_review: { max_patch_chars: 0 } }))
+      .toThrow('auto_review has invalid max_patch_chars value (must be a positive integer)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, auto_review: { threshold: 3 } }))
+      .toThrow('Unknown field in auto_review: threshold');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, max_chars: '8000' }))
+      .toThrow('max_chars has invalid value (must be a positive integer)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, labels: { allowed: [1] } }))
+      .toThrow('labels has invalid allowed value (must be array of strings)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, streaming: { enabled: 'no' } }))
+      .toThrow('streaming has invalid enabled value (must be boolean)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, streaming: { update_interval_seconds: 0 } }))
+      .toThrow('streaming has invalid update_interval_seconds value (must be a positive integer)');
+  });
+
+  test('validates and merges the ignore section', () => {
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, ignore: ['vendor/**'] }))
+      .toThrow('ignore must be a mapping');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, ignore: { paths: 'vendor/**' } }))
+      .toThrow('ignore.paths has invalid value (must be array of glob strings)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, ignore: { use_defaults: 'no' } }))
+      .toThrow('ignore has invalid use_defaults value (must be boolean)');
+
+    const normalized = validateAndNormalizeRepoConfig({ version: 1, ignore: { paths: [' gen/** '], use_defaults: false } });
+    expect(normalized.ignore).toEqual({ paths: ['gen/**'], useDefaults: false });
+    expect(mergeRepoConfig(getActionDefaults(buildCore()), { ignore: { paths: ['gen/**'] } }).ignore)
+      .toEqual({ paths: ['gen/**'], useDefaults: true });
+  });
+
+  test('validates and merges the title section', () => {
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, title: { pattern: '(' } }))
+      .toThrow('title has invalid pattern value:');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, title: { mode: 'enforce' } }))
+      .toThrow('title has invalid mode value: enforce. Allowed: suggest, apply');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, title: { check: 'yes' } }))
+      .toThrow('title has invalid check value (must be boolean)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, title: { types: [] } }))
+      .toThrow('Unknown field in title: types');
+
+    const normalized = validateAndNormalizeRepoConfig({ version: 1, title: { pattern: '^JIRA-\\d+ ', mode: 'apply', on_open: true } });
+    expect(normalized.title).toEqual({ pattern: '^JIRA-\\d+ ', mode: 'apply', onOpen: true });
+    const merged = mergeRepoConfig(getActionDefaults(buildCore()), { title: { check: true } }).title;
+    expect(merged).toMatchObject({ mode: 'suggest', onOpen: false, check: true });
+    expect(merged.pattern).toContain('feat|fix');
+  });
+
+  test('validates and merges the check_run section', () => {
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, check_run: { fail_on: 'high' } }))
+      .toThrow('check_run has invalid fail_on value: high. Allowed: never, very_bad, critical, warning');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, check_run: { enabled: 1 } }))
+      .toThrow('check_run has invalid enabled value (must be boolean)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, check_run: { annotations: false } }))
+      .toThrow('Unknown field in check_run: annotations');
+
+    const normalized = validateAndNormalizeRepoConfig({ version: 1, check_run: { enabled: true, fail_on: 'warning' } });
+    expect(normalized.checkRun).toEqual({ enabled: true, failOn: 'warning' });
+    expect(mergeRepoConfig(getActionDefaults(buildCore()), normalized).checkRun)
+      .toEqual({ enabled: true, name: 'Z.ai Code Review', failOn: 'warning' });
+  });
+
+  test('validates and merges the output section', () => {
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, output: { format: 'yaml' } }))
+      .toThrow('output has invalid format value: yaml. Allowed: markdown, json');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, output: { schema: {} } }))
+      .toThrow('Unknown field in output: schema');
+
+    expect(getActionDefaults(buildCore()).output).toEqual({ format: 'markdown' });
+    const normalized = validateAndNormalizeRepoConfig({ version: 1, output: { format: 'json' } });
+    expect(mergeRepoConfig(getActionDefaults(buildCore()), normalized).output).toEqual({ format: 'json' });
+  });
+
+  test('normalizes the streaming section', () => {
+    const normalized = validateAndNormalizeRepoConfig({
+      version: 1,
+      streaming: { enabled: false, update_interval_seconds: 5 },
+    });
+
+    expect(normalized.streaming).toEqual({ enabled: false, updateIntervalMs: 5000 });
+    expect(mergeRepoConfig(getActionDefaults(buildCore()), { streaming: { updateIntervalMs: 5000 } }).streaming)
+      .toEqual({ enabled: true, updateIntervalMs: 5000 });
+  });
+
+  test('normalizes the guidelines section', () => {
+    const normalized = validateAndNormalizeRepoConfig({ version: 1, guidelines: { enabled: false, max_chars: 2000 } });
+
+    expect(normalized.guidelines).toEqual({ enabled: false, maxChars: 2000 });
+    expect(mergeRepoConfig(getActionDefaults(buildCore()), { guidelines: { maxChars: 2000 } }).guidelines)
+      .toEqual({ enabled: true, maxChars: 2000 });
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, guidelines: { max_chars: -1 } }))
+      .toThrow('guidelines has invalid max_chars value (must be a positive integer)');
+  });
+
+  test('normalizes the cross_file_context section', () => {
+    const normalized = validateAndNormalizeRepoConfig({ version: 1, cross_file_context: { enabled: false, max_chars: 3000 } });
+
+    expect(normalized.crossFileContext).toEqual({ enabled: false, maxChars: 3000 });
+    expect(mergeRepoConfig(getActionDefaults(buildCore()), {}).crossFileContext).toEqual({ enabled: true, maxChars: 6000 });
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, cross_file_context: { depth: 2 } }))
+      .toThrow('Unknown field in cross_file_context: depth');
+  });
+
+  test('treats empty sections as unset and accepts the shipped template', () => {
+    const fs = require('node:fs');
+    const path = require('node:path');
+    const yaml = require('yaml');
+
+    expect(validateAndNormalizeRepoConfig({ version: 1, prompts: null })).toEqual({ version: 1 });
+
+    const template = fs.readFileSync(path.join(__dirname, '..', '.zai.yml.template'), 'utf8');
+    expect(() => validateAndNormalizeRepoConfig(yaml.parse(template))).not.toThrow();
+  });
+
+  test('normalizes the authorization policy', () => {
+    const config = validateAndNormalizeRepoConfig({
+      version: 1,
+      authorization: {
+        min_permission: 'triage',
+        commands: { 'update-agents': 'admin', help: 'read' },
+        allowed_associations: ['owner', 'Member'],
+        allow_users: ['@release-bot'],
+        deny_teams: ['my-org/blocked'],
+        fork: { allow_pr_author: true },
+      },
+    });
+
+    expect(config.authorization).toEqual({
+      minPermission: 'triage',
+      commands: { 'update-agents': 'admin', help: 'read' },
+      allowedAssociations: ['OWNER', 'MEMBER'],
+      allowUsers: ['release-bot'],
+      denyTeams: ['my-org/blocked'],
+      fork: { allowPrAuthor: true },
+    });
+  });
+
+  test('rejects invalid authorization settings', () => {
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, authorization: { min_permission: 'owner' } }))
+      .toThrow('authorization.min_permission has invalid permission: owner');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, authorization: { commands: { deploy: 'write' } } }))
+      .toThrow('Unknown command in authorization.commands: deploy');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, authorization: { allowed_associations: ['STRANGER'] } }))
+      .toThrow('Unknown association in authorization.allowed_associations: STRANGER');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, authorization: { deny_users: 'spammer' } }))
+      .toThrow('authorization has invalid deny_users value');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, authorization: { fork: { allow_pr_author: 'yes' } } }))
+      .toThrow('authorization.fork has invalid allow_pr_author value (must be boolean)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, authorization: { admins: [] } }))
+      .toThrow('Unknown field in authorization: admins');
+  });
+
+  test('normalizes and validates quota settings', () => {
+    const config = validateAndNormalizeRepoConfig({
+      version: 1,
+      quota: {
+        per_user_per_pr: { hour: 5 },
+        per_repo: { day: 200 },
+        ledger_issue: 12,
+        exempt_permission: null,
+        exempt_users: ['@lead'],
+      },
+    });
+
+    expect(config.quota).toEqual({
+      perUserPerPr: { hour: 5 },
+      perRepo: { day: 200 },
+      ledgerIssue: 12,
+      exemptPermission: null,
+      exemptUsers: ['lead'],
+    });
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, quota: { per_repo: { week: 1 } } }))
+      .toThrow('Unknown window in quota.per_repo: week');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, quota: { per_user_per_pr: { hour: -1 } } }))
+      .toThrow('quota.per_user_per_pr has invalid hour value');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, quota: { ledger_issue: '12' } }))
+      .toThrow('quota has invalid ledger_issue value (must be an issue number)');
+  });
+
+  test('rejects unknown commands, help, and unknown prompts', () => {
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, commands: { deploy: true } }))
+      .toThrow('Unknown command in commands: deploy');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, commands: { help: false } }))
+      .toThrow('Command help cannot be configured');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, commands: { ask: 'off' } }))
+      .toThrow('Command ask has invalid enabled value (must be boolean)');
+    expect(() => validateAndNormalizeRepoConfig({ version: 1, prompts: { system: 'x' } }))
+      .toThrow('Unknown prompt in prompts: system');
+  });
+});
+
+describe('loadRepoConfig', () => {
+  test('returns null when the file does not exist', async () => {
+    const octokit = { rest: { repos: { getContent: async () => { const e = new Error('Not Found'); e.status = 404; throw e; } } } };
+
+    expect(await loadRepoConfig(octokit, 'o', 'r', 'main')).toBe(null);
+  });
+
+  test('loads from the given ref and path', async () => {
+    let params = null;
+    const octokit = {
+      rest: {
+        repos: {
+          getContent: async (p) => { params = p; return contentResponse('version: 1\nmax_chars: 4000\n'); },
+        },
+      },
+    };
+
+    const config = await loadRepoConfig(octokit, 'o', 'r', 'develop', '.github/zai.yml');
+
+    expect(params).toEqual({ owner: 'o', repo: 'r', path: '.github/zai.yml', ref: 'develop' });
+    expect(config.maxChars).toBe(4000);
+  });
+
+  test('wraps YAML parse errors', async () => {
+    const octokit = { rest: { repos: { getContent: async () => contentResponse('version: [1\n') } } };
+
+    await expect(loadRepoConfig(octokit, 'o', 'r')).rejects.toThrow('Failed to parse .zai.yml');
+  });
+});
+
+describe('resolveRepoConfig', () => {
+  test('layers the file over action inputs', async () => {
+    const core = buildCore({ ZAI_DISABLED_COMMANDS: 'impact', ZAI_MAX_CHARS: '9000' });
+    const result = await resolveRepoConfig({}, 'o', 'r', 'main', {
+      core,
+      loadRepoConfig: async () => validateAndNormalizeRepoConfig({ version: 1, commands: { impact: true }, auto_review: { enabled: false } }),
+    });
+
+    expect(result.error).toBe(null);
+    expect(result.source).toBe('.zai.yml');
+    expect(result.config.commands.impact.enabled).toBe(true);
+    expect(result.config.autoReview.enabled).toBe(false);
+    expect(result.config.maxChars).toBe(9000);
+  });
+
+  test('falls back to defaults and reports invalid files', async () => {
+    const result = await resolveRepoConfig({}, 'o', 'r', 'main', {
+      core: buildCore({ ZAI_CONFIG_PATH: 'custom.yml' }),
+      loadRepoConfig: async () => { throw new Error('auto_review must be a mapping'); },
+    });
+
+    expect(result.error).toBe('Failed to load custom.yml: auto_review must be a mapping');
+    expect(result.config.autoReview.enabled).toBe(true);
+  });
+
+  test('loads prompt template files from the same ref and reports their warnings', async () => {
+    const warnings = [];
+    const core = { ...buildCore(), warning: message => warnings.push(message) };
+    const templates = { review: { mode: 'extend', version: null, body: 'Never throw.' } };
+    const loadPromptTemplates = async (octokit, owner, repo, ref, { onWarning }) => {
+      onWarning(`loaded at ${ref}`);
+      return templates;
+    };
+
+    const result = await resolveRepoConfig({}, 'o', 'r', 'main', {
+      core,
+      loadRepoConfig: async () => validateAndNormalizeRepoConfig({ version: 1, prompts: { review: 'Check i18n.' } }),
+      loadPromptTemplates,
+    });
+
+    expect(result.config.promptTemplates).toBe(templates);
+    expect(result.config.prompts.review).toBe('Check i18n.');
+    expect(warnings).toEqual(['Prompt templates: loaded at main']);
+  });
+});
+
+describe('config helpers', () => {
+  test('mergeRepoConfig returns defaults when there is no file', () => {
+    const defaults = getActionDefaults(buildCore());
+    expect(mergeRepoConfig(defaults, null)).toBe(defaults);
+  });
+
+  test('mergeRepoConfig layers authorization over the default policy', () => {
+    const defaults = getActionDefaults(buildCore());
+    const merged = mergeRepoConfig(defaults, { authorization: { commands: { ask: 'read' }, fork: { allowPrAuthor: true } } });
+
+    expect(defaults.authorization.minPermission).toBe('write');
+    expect(merged.authorization.minPermission).toBe('write');
+    expect(merged.authorization.commands).toEqual({ help: 'read', fix: 'write', ask: 'read' });
+    expect(merged.authorization.fork).toEqual({ minPermission: 'write', allowPrAuthor: true });
+  });
+
+  test('mergeRepoConfig keeps default quota windows that the file leaves unset', () => {
+    const merged = mergeRepoConfig(getActionDefaults(buildCore()), { quota: { perUserPerPr: { hour: 3 } } });
+
+    expect(merged.quota.perUserPerPr).toEqual({ hour: 3, day: 30 });
+    expect(merged.quota.enabled).toBe(true);
+  });
+
+  test('getReviewConfigOverrides maps limits to action input names', () => {
+    expect(getReviewConfigOverrides({ autoReview: { maxBatchChars: 500, largePrFileThreshold: 5 } })).toEqual({
+      ZAI_AUTO_REVIEW_MAX_BATCH_CHARS: '500',
+      ZAI_AUTO_REVIEW_LARGE_PR_FILE_THRESHOLD: '5',
+    });
+  });
+
+  test('isCommandEnabled always allows help', () => {
+    const config = { commands: { ask: { enabled: false } } };
+    expect(isCommandEnabled(config, 'ask')).toBe(false);
+    expect(isCommandEnabled(config, 'review')).toBe(true);
+    expect(isCommandEnabled(config, 'help')).toBe(true);
+  });
+
+  test('isPathIncluded applies include then exclude globs', () => {
+    const autoReview = { include: ['src/**', '*.md'], exclude: ['*.snap', 'src/generated/**'] };
+
+    expect(isPathIncluded('src/index.js', autoReview)).toBe(true);
+    expect(isPathIncluded('docs/guide.md', autoReview)).toBe(true);
+    expect(isPathIncluded('lib/other.js', autoReview)).toBe(false);
+    expect(isPathIncluded('src/__snapshots__/a.snap', autoReview)).toBe(false);
+    expect(isPathIncluded('src/generated/types.js', autoReview)).toBe(false);
+    expect(isPathIncluded('anything.js', {})).toBe(true);
+  });
+
+  test('isPathIgnored applies the built-in patterns and repository globs', () => {
+    expect(isPathIgnored('package-lock.json', {})).toBe(true);
+    expect(isPathIgnored('web/yarn.lock', {})).toBe(true);
+    expect(isPathIgnored('vendor/lib/x.go', {})).toBe(true);
+    expect(isPathIgnored('assets/app.min.js', {})).toBe(true);
+    expect(isPathIgnored('src/index.js', {})).toBe(false);
+    expect(isPathIgnored('third_party/a.c', { paths: ['third_party/**'] })).toBe(true);
+    expect(isPathIgnored('package-lock.json', { paths: [], useDefaults: false })).toBe(false);
+  });
+
+  test('partitionIgnoredFiles splits kept files from ignored names', () => {
+    const result = partitionIgnoredFiles(
+      [{ filename: 'src/a.js' }, { filename: 'yarn.lock' }, { filename: 'dist/index.js' }],
+      { paths: [], useDefaults: true }
+    );
+
+    expect(result.files).toEqual([{ filename: 'src/a.js' }]);
+    expect(result.ignored).toEqual(['yarn.lock', 'dist/index.js']);
+  });
+
+  test('applyPromptOverride appends repository instructions', () => {
+    expect(applyPromptOverride('base', null)).toBe('base');
+    expect(applyPromptOverride('base', 'Be brief.')).toContain('Repository Instructions');
+  });
+
+  test('filterLabels honors enabled flag and allow-list', () => {
+    expect(filterLabels(['bug', 'feature'], { enabled: false })).toEqual([]);
+    expect(filterLabels(['bug', 'feature'], { enabled: true, allowed: ['Bug'] })).toEqual(['bug']);
+    expect(filterLabels(['bug'], {})).toEqual(['bug']);
+  });
+});
@@ -0,0 +1,136 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  DEFAULT_CHECK_RUN_NAME,
+  extractRating,
+  countFindings,
+  resolveConclusion,
+  buildAnnotations,
+  buildCheckOutput,
+  publishReviewCheck,
+} = require('../src/lib/review-check');
+
+function finding(severity, line = 10, overrides = {}) {
+  return { path: 'src/a.js', line, startLine: null, severity, message: `${severity} at ${line}`, ...overrides };
+}
+
+describe('extractRating', () => {
+  test('reads the Final Assessment rating in its usual forms', () => {
+    expect(extractRating('**## 📊 Final Assessment**\n* **Rating:** **Very Bad**\n* **Reason:** x')).toBe('very_bad');
+    expect(extractRating('* **Rating:** Good')).toBe('good');
+    expect(extractRating('Rating: normal')).toBe('normal');
+    expect(extractRating('No assessment')).toBe(null);
+  });
+});
+
+describe('resolveConclusion', () => {
+  const counts = (critical, warning = 0) => ({ critical, warning, suggestion: 0 });
+
+  test('fails at the configured threshold', () => {
+    expect(resolveConclusion({ rating: 'normal', counts: counts(1) }, 'critical')).toBe('failure');
+    expect(resolveConclusion({ rating: 'very_bad', counts: counts(0) }, 'critical')).toBe('failure');
+    expect(resolveConclusion({ rating: 'normal', counts: counts(0, 2) }, 'warning')).toBe('failure');
+    expect(resolveConclusion({ rating: 'normal', counts: counts(1) }, 'very_bad')).toBe('neutral');
+  });
+
+  test('never fails when gating is off', () => {
+    expect(resolveConclusion({ rating: 'very_bad', counts: counts(3) }, 'never')).toBe('neutral');
+    expect(resolveConclusion({ rating: 'good', counts: { critical: 0, warning: 0, suggestion: 4 } }, 'never')).toBe('success');
+  });
+});
+
+describe('buildAnnotations and buildCheckOutput', () => {
+  test('maps severities to annotation levels and skips findings without a line', () => {
+    const annotations = buildAnnotations([
+      finding('critical', 12, { startLine: 10 }),
+      finding('suggestion', 3),
+      finding('warning', null),
+    ]);
+    expect(annotations).toEqual([
+      { path: 'src/a.js', start_line: 10, end_line: 12, annotation_level: 'failure', title: '🚨 Critical', message: 'critical at 12' },
+      { path: 'src/a.js', start_line: 3, end_line: 3, annotation_level: 'notice', title: '💡 Suggestion', message: 'suggestion at 3' },
+    ]);
+  });
+
+  test('summarizes the rating and counts', () => {
+    const counts = countFindings([finding('critical'), finding('warning'), finding('warning', 20)]);
+    const output = buildCheckOutput({ rating: 'very_bad', counts, conclusion: 'failure', failOn: 'critical', annotations: 3 });
+    expect(output.title).toBe('Rating: Very Bad · 1 critical, 2 warning');
+    expect(output.summary).toContain('The check fails on `critical`');
+    expect(output.summary).toContain('| ⚠️ Warning | 2 |');
+  });
+});
+
+describe('publishReviewCheck', () => {
+  function checksOctokit({ existing = [], annotations = [] } = {}) {
+    return {
+      rest: {
+        checks: {
+          listForRef: vi.fn().mockResolvedValue({ data: { check_runs: existing } }),
+          listAnnotations: vi.fn().mockResolvedValue({ data: annotations }),
+          create: vi.fn().mockResolvedValue({ data: { id: 77 } }),
+          update: vi.fn().mockResolvedValue({ data: {} }),
+        },
+      },
+    };
+  }
+
+  test('creates a completed check on the head commit with annotations in batches of 50', async () => {
+    const octokit = checksOctokit();
+    const findings = Array.from({ length: 60 }, (_, index) => finding('warning', index + 1));
+
+    const result = await publishReviewCheck(octokit, 'o', 'r', {
+      headSha: 'sha1',
+      review: '* **Rating:** Normal',
+      findings,
+      failOn: 'critical',
+    });
+
+    expect(result).toEqual({ checkRunId: 77, conclusion: 'neutral', annotations: 60, updated: false });
+    expect(octokit.rest.checks.listForRef).toHaveBeenCalledWith({ owner: 'o', repo: 'r', ref: 'sha1', check_name: DEFAULT_CHECK_RUN_NAME, filter: 'latest' });
+    const created = octokit.rest.checks.create.mock.calls[0][0];
+    expect(created).toMatchObject({ head_sha: 'sha1', name: DEFAULT_CHECK_RUN_NAME, status: 'completed', conclusion: 'neutral' });
+    expect(created.output.annotations).toHaveLength(50);
+    expect(octokit.rest.checks.update.mock.calls[0][0]).toMatchObject({ check_run_id: 77 });
+    expect(octokit.rest.checks.update.mock.calls[0][0].output.annotations).toHaveLength(10);
+  });
+
+  test('updates the existing check on a re-run without repeating annotations', async () => {
+    const octokit = checksOctokit({
+      existing: [{ id: 5 }],
+      annotations: [{ path: 'src/a.js', start_line: 10, end_line: 10, message: 'critical at 10' }],
+    });
+
+    const result = await publishReviewCheck(octokit, 'o', 'r', {
+      headSha: 'sha1',
+      name: 'Review gate',
+      review: 'x',
+      findings: [finding('critical', 10), finding('warning', 11)],
+    });
+
+    expect(result).toEqual({ checkRunId: 5, conclusion: 'failure', annotations: 1, updated: true });
+    expect(octokit.rest.checks.create).not.toHaveBeenCalled();
+    const update = octokit.rest.checks.update.mock.calls[0][0];
+    expect(update).toMatchObject({ check_run_id: 5, name: 'Review gate', conclusion: 'failure' });
+    expect(update.output.annotations.map(annotation => annotation.end_line)).toEqual([11]);
+  });
+
+  test('reads every page of the existing annotations', async () => {
+    const previous = Array.from({ length: 120 }, (_, index) => ({
+      path: 'src/a.js', start_line: index + 1, end_line: index + 1, message: `warning at ${index + 1}`,
+    }));
+    const octokit = checksOctokit({ existing: [{ id: 5 }] });
+    octokit.rest.checks.listAnnotations = vi.fn(async ({ page, per_page: perPage }) => ({
+      data: previous.slice((page - 1) * perPage, page * perPage),
+    }));
+
+    const result = await publishReviewCheck(octokit, 'o', 'r', {
+      headSha: 'sha1',
+      review: 'x',
+      findings: [finding('warning', 110), finding('warning', 130)],
+    });
+
+    expect(octokit.rest.checks.listAnnotations).toHaveBeenCalledTimes(2);
+    expect(result.annotations).toBe(1);
+    expect(octokit.rest.checks.update.mock.calls[0][0].output.annotations.map(annotation => annotation.end_line)).toEqual([130]);
+  });
+});
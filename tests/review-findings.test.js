@@ -0,0 +1,196 @@
+import { test, describe, expect } from 'vitest';
+
+const {
+  FINDING_MARKER_PREFIX,
+  buildReviewComments,
+  buildUnanchoredSection,
+  collectPostedFingerprints,
+  extractFindings,
+  getFindingFingerprint,
+  isLineInPatch,
+  isRangeInPatch,
+  normalizeFinding,
+  normalizeSuggestion,
+  partitionFindings,
+  publishInlineFindings,
+} = require('../src/lib/review-findings');
+
+const PATCH = '@@ -10,3 +10,4 @@ function foo() {\n const a = 1;\n+const b = 2;\n const c = 3;\n const d = 4;';
+
+function reviewWithFindings(findings) {
+  return `## Summary\nAll good.\n\n\`\`\`zai-findings\n${JSON.stringify(findings)}\n\`\`\`\n`;
+}
+
+describe('review-findings - extractFindings', () => {
+  test('parses the findings block and strips it from the body', () => {
+    const result = extractFindings(reviewWithFindings([
+      { path: 'src/a.js', line: 11, severity: 'critical', message: 'Bug here.' },
+    ]));
+
+    expect(result.body).toBe('## Summary\nAll good.');
+    expect(result.findings).toEqual([
+      { path: 'src/a.js', line: 11, startLine: null, severity: 'critical', message: 'Bug here.' },
+    ]);
+  });
+
+  test('merges multiple blocks and drops duplicates', () => {
+    const finding = { path: 'a.js', line: 1, severity: 'warning', message: 'Same.' };
+    const review = `${reviewWithFindings([finding])}\n${reviewWithFindings([finding, { ...finding, line: 2 }])}`;
+
+    expect(extractFindings(review).findings).toHaveLength(2);
+  });
+
+  test('ignores malformed JSON but still strips the block', () => {
+    const result = extractFindings('Review text\n```zai-findings\n[{not json\n```');
+
+    expect(result.body).toBe('Review text');
+    expect(result.findings).toEqual([]);
+  });
+
+  test('returns the review unchanged when no block is present', () => {
+    expect(extractFindings('Plain review')).toEqual({ body: 'Plain review', findings: [] });
+  });
+});
+
+describe('review-findings - normalizeFinding', () => {
+  test('rejects findings without path or message', () => {
+    expect(normalizeFinding({ line: 3, message: 'x' })).toBe(null);
+    expect(normalizeFinding({ path: 'a.js', line: 3 })).toBe(null);
+    expect(normalizeFinding(null)).toBe(null);
+  });
+
+  test('maps unknown severities and keeps only valid start lines', () => {
+    expect(normalizeFinding({ path: 'a.js', line: 5, severity: 'HIGH', message: 'm' }).severity).toBe('critical');
+    expect(normalizeFinding({ path: 'a.js', line: 5, severity: 'nit', message: 'm' }).severity).toBe('suggestion');
+    expect(normalizeFinding({ path: 'a.js', line: 5, start_line: 7, message: 'm' }).startLine).toBe(null);
+    expect(normalizeFinding({ path: 'a.js', line: 5, start_line: 3, message: 'm' }).startLine).toBe(3);
+  });
+
+  test('keeps a normalized rule identifier when given', () => {
+    expect(normalizeFinding({ path: 'a.js', line: 5, message: 'm', rule: 'Security/SQL Injection' }).rule).toBe('security/sql-injection');
+    expect(normalizeFinding({ path: 'a.js', line: 5, message: 'm', rule: ' / ' })).not.toHaveProperty('rule');
+    expect(normalizeFinding({ path: 'a.js', line: 5, message: 'm' })).not.toHaveProperty('rule');
+  });
+});
+
+describe('review-findings - anchoring', () => {
+  test('isLineInPatch validates against new-side hunk ranges', () => {
+    expect(isLineInPatch(PATCH, 11)).toBe(true);
+    expect(isLineInPatch(PATCH, 13)).toBe(true);
+    expect(isLineInPatch(PATCH, 9)).toBe(false);
+    expect(isLineInPatch(PATCH, 14)).toBe(false);
+    expect(isLineInPatch(PATCH, null)).toBe(false);
+  });
+
+  test('partitionFindings separates anchored and unanchored findings', () => {
+    const findings = [
+      { path: 'src/a.js', line: 11, startLine: null, severity: 'critical', message: 'In diff' },
+      { path: 'src/a.js', line: 50, startLine: null, severity: 'warning', message: 'Out of diff' },
+      { path: 'src/other.js', line: 11, startLine: null, severity: 'warning', message: 'Unknown file' },
+      { path: 'src/a.js', line: null, startLine: null, severity: 'suggestion', message: 'No line' },
+    ];
+
+    const { anchored, unanchored } = partitionFindings(findings, [{ filename: 'src/a.js', patch: PATCH }]);
+
+    expect(anchored.map(f => f.message)).toEqual(['In diff']);
+    expect(unanchored.map(f => f.message)).toEqual(['Out of diff', 'Unknown file', 'No line']);
+  });
+
+  test('buildReviewComments targets the RIGHT side and embeds a fingerprint', () => {
+    const finding = { path: 'src/a.js', line: 12, startLine: 11, severity: 'warning', message: 'Range' };
+    const [comment] = buildReviewComments([finding]);
+
+    expect(comment).toMatchObject({ path: 'src/a.js', line: 12, side: 'RIGHT', start_line: 11, start_side: 'RIGHT' });
+    expect(comment.body.includes(`${FINDING_MARKER_PREFIX}${getFindingFingerprint(finding)} -->`)).toBe(true);
+  });
+
+  test('buildUnanchoredSection lists findings with locations', () => {
+    const section = buildUnanchoredSection([
+      { path: 'src/a.js', line: 50, severity: 'warning', message: 'Out of diff' },
+      { path: 'README.md', line: null, severity: 'suggestion', message: 'Docs' },
+    ]);
+
+    expect(section.includes('`src/a.js:50`: Out of diff')).toBe(true);
+    expect(section.includes('`README.md`: Docs')).toBe(true);
+    expect(buildUnanchoredSection([])).toBe('');
+  });
+});
+
+describe('review-findings - suggested changes', () => {
+  test('normalizeSuggestion strips wrapping fences and rejects nested ones', () => {
+    expect(normalizeSuggestion('```js\nconst b = 3;\n```')).toBe('const b = 3;');
+    expect(normalizeSuggestion('const b = 3;\n')).toBe('const b = 3;');
+    expect(normalizeSuggestion('')).toBe('');
+    expect(normalizeSuggestion('a\n```\nb')).toBe(null);
+    expect(normalizeSuggestion(42)).toBe(null);
+  });
+
+  test('isRangeInPatch requires the whole range inside one hunk', () => {
+    const twoHunks = `${PATCH}\n@@ -30,2 +31,2 @@\n x\n y`;
+
+    expect(isRangeInPatch(twoHunks, 10, 13)).toBe(true);
+    expect(isRangeInPatch(twoHunks, 12, 31)).toBe(false);
+    expect(isRangeInPatch(twoHunks, 13, 12)).toBe(false);
+  });
+
+  test('anchored findings render a suggestion block over the validated range', () => {
+    const finding = normalizeFinding({ path: 'src/a.js', start_line: 11, line: 12, message: 'Use let', suggestion: 'let b = 2;\nlet c = 3;' });
+    const { anchored } = partitionFindings([finding], [{ filename: 'src/a.js', patch: PATCH }]);
+    const [comment] = buildReviewComments(anchored);
+
+    expect(comment.start_line).toBe(11);
+    expect(comment.body.includes('```suggestion\nlet b = 2;\nlet c = 3;\n```')).toBe(true);
+  });
+
+  test('suggestion is dropped when its range leaves the hunk', () => {
+    const finding = normalizeFinding({ path: 'src/a.js', start_line: 5, line: 11, message: 'Too wide', suggestion: 'x' });
+    const { anchored } = partitionFindings([finding], [{ filename: 'src/a.js', patch: PATCH }]);
+    const [comment] = buildReviewComments(anchored);
+
+    expect(comment.start_line).toBeUndefined();
+    expect(comment.body.includes('```suggestion')).toBe(false);
+  });
+});
+
+describe('review-findings - publishInlineFindings', () => {
+  const files = [{ filename: 'src/a.js', patch: PATCH }];
+  const inDiff = { path: 'src/a.js', line: 11, startLine: null, severity: 'critical', message: 'In diff' };
+
+  test('skips findings that were already posted', async () => {
+    let createCalled = false;
+    const octokit = {
+      rest: {
+        pulls: {
+          listReviewComments: async () => ({ data: buildReviewComments([inDiff]) }),
+          createReview: async () => { createCalled = true; return { data: { id: 1 } }; },
+        },
+      },
+    };
+
+    const result = await publishInlineFindings(octokit, 'o', 'r', 1, [inDiff], files);
+
+    expect(createCalled).toBe(false);
+    expect(result.skipped).toBe(1);
+    expect(collectPostedFingerprints(buildReviewComments([inDiff])).has(getFindingFingerprint(inDiff))).toBe(true);
+  });
+
+  test('falls back to the summary when the review is rejected', async () => {
+    const warnings = [];
+    const octokit = {
+      rest: {
+        pulls: {
+          listReviewComments: async () => ({ data: [] }),
+          createReview: async () => { throw new Error('Unprocessable Entity'); },
+        },
+      },
+    };
+
+    const result = await publishInlineFindings(octokit, 'o', 'r', 1, [inDiff], files, {
+      warn: (message) => warnings.push(message),
+    });
+
+    expect(result.posted).toBe(0);
+    expect(result.unanchored).toEqual([inDiff]);
+    expect(warnings.some(message => message.includes('Unprocessable Entity'))).toBe(true);
+  });
+});
@@ -0,0 +1,177 @@
+import { test, describe, expect, vi } from 'vitest';
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  SARIF_FINGERPRINT_KEY,
+  SARIF_CATEGORY_PREFIX,
+  createSarifReport,
+  getSarifFingerprint,
+  attachSourceText,
+  buildSarifLog,
+  writeSarifReport,
+} = require('../src/lib/sarif');
+
+function finding(overrides = {}) {
+  return { path: 'src/a.js', line: 10, startLine: null, severity: 'warning', message: 'Missing await', ...overrides };
+}
+
+describe('createSarifReport', () => {
+  test('is disabled without a path and marks an analysis even when it found nothing', () => {
+    expect(createSarifReport().enabled).toBe(false);
+
+    const report = createSarifReport({ path: ' zai.sarif ' });
+    expect(report).toMatchObject({ path: 'zai.sarif', enabled: true, analyzed: false });
+
+    report.add([], 'auto-review');
+    expect(report.analyzed).toBe(true);
+    expect(report.getEntries()).toEqual([]);
+    expect(report.getSources()).toEqual(['auto-review']);
+  });
+});
+
+describe('getSarifFingerprint', () => {
+  test('ignores line numbers and whitespace but not the rule or file', () => {
+    const base = getSarifFingerprint(finding());
+    expect(getSarifFingerprint(finding({ line: 42, message: ' missing   await ' }))).toBe(base);
+    expect(getSarifFingerprint(finding({ rule: 'missing-await' }))).not.toBe(base);
+    expect(getSarifFingerprint(finding({ path: 'src/b.js' }))).not.toBe(base);
+    expect(base).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('keeps the same fingerprint when the model rewords a finding on the same code', () => {
+    const sourceText = '  const data = fetchUser(id);';
+    const first = getSarifFingerprint(finding({ rule: 'missing-await', sourceText, message: 'Missing await' }));
+    const reworded = getSarifFingerprint(finding({
+      rule: 'missing-await', line: 14, sourceText: 'const data =   fetchUser(id);', message: 'fetchUser returns a promise that is never awaited',
+    }));
+
+    expect(reworded).toBe(first);
+    expect(getSarifFingerprint(finding({ rule: 'missing-await', sourceText: 'const other = fetchUser(id);' }))).not.toBe(first);
+  });
+});
+
+describe('attachSourceText', () => {
+  test('reads the flagged lines at the ref once per file', async () => {
+    const content = Buffer.from('a();\nconst data = fetchUser(id);\nreturn data;\n', 'utf8').toString('base64');
+    const octokit = { rest: { repos: { getContent: vi.fn().mockResolvedValue({ data: { type: 'file', content } }) } } };
+
+    const findings = await attachSourceText(octokit, {
+      owner: 'o',
+      repo: 'r',
+      ref: 'head1',
+      findings: [finding({ line: 2 }), finding({ line: 3, startLine: 2 }), finding({ line: null })],
+    });
+
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({ owner: 'o', repo: 'r', path: 'src/a.js', ref: 'head1' });
+    expect(findings.map(entry => entry.sourceText)).toEqual(['const data = fetchUser(id);', 'const data = fetchUser(id);\nreturn data;', undefined]);
+  });
+
+  test('leaves findings unchanged when the file cannot be read', async () => {
+    const octokit = { rest: { repos: { getContent: vi.fn().mockRejectedValue(new Error('Not Found')) } } };
+
+    const findings = await attachSourceText(octokit, { owner: 'o', repo: 'r', ref: 'head1', findings: [finding()] });
+
+    expect(findings).toEqual([finding()]);
+  });
+});
+
+describe('buildSarifLog', () => {
+  test('maps findings to SARIF 2.1.0 results with rules, regions and fingerprints', () => {
+    const log = buildSarifLog([
+      { finding: finding({ line: 12, startLine: 10, severity: 'critical', rule: 'security/sql-injection', message: 'Unescaped input' }), source: 'auto-review' },
+      { finding: finding({ path: 'docs/read me.md', line: null, severity: 'suggestion' }), source: 'auto-review' },
+    ]);
+
+    expect(log.version).toBe('2.1.0');
+    const [run] = log.runs;
+    expect(run.tool.driver.name).toBe('Zai Code Bot');
+    expect(run.tool.driver.rules).toEqual([
+      expect.objectContaining({
+        id: 'zai/security/sql-injection',
+        name: 'SecuritySqlInjection',
+        defaultConfiguration: { level: 'error' },
+        properties: { tags: ['security'], 'security-severity': '9.0' },
+      }),
+      expect.objectContaining({ id: 'zai/general', properties: { tags: ['maintainability'] } }),
+    ]);
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'zai/security/sql-injection',
+      ruleIndex: 0,
+      level: 'error',
+      message: { text: 'Unescaped input' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/a.js', uriBaseId: '%SRCROOT%' }, region: { startLine: 10, endLine: 12 } } }],
+      properties: { source: 'auto-review', severity: 'critical' },
+    });
+    expect(run.results[1]).toMatchObject({
+      ruleIndex: 1,
+      level: 'note',
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'docs/read%20me.md' }, region: { startLine: 1, endLine: 1 } } }],
+    });
+    expect(run.results[0].partialFingerprints[SARIF_FINGERPRINT_KEY]).toBe(
+      getSarifFingerprint(finding({ rule: 'security/sql-injection', message: 'Unescaped input' }))
+    );
+  });
+
+  test('drops exact repeats and numbers the same issue on other lines', () => {
+    const hash = getSarifFingerprint(finding());
+    const log = buildSarifLog([
+      { finding: finding(), source: 'auto-review' },
+      { finding: finding(), source: 'auto-review' },
+      { finding: finding({ line: 30 }), source: 'auto-review' },
+    ]);
+
+    expect(log.runs[0].results.map(result => result.partialFingerprints[SARIF_FINGERPRINT_KEY])).toEqual([hash, `${hash}:2`]);
+  });
+
+  test('writes one categorized run per flow, including flows without findings', () => {
+    const log = buildSarifLog([{ finding: finding(), source: 'impact' }], ['auto-review', 'impact']);
+
+    expect(log.runs.map(run => run.automationDetails.id)).toEqual([
+      `${SARIF_CATEGORY_PREFIX}/auto-review/`,
+      `${SARIF_CATEGORY_PREFIX}/impact/`,
+    ]);
+    expect(log.runs.map(run => run.results.length)).toEqual([0, 1]);
+  });
+
+  test('produces identical output for identical findings', () => {
+    const entries = [{ finding: finding({ rule: 'missing-await' }), source: 'auto-review' }];
+    expect(JSON.stringify(buildSarifLog(entries))).toBe(JSON.stringify(buildSarifLog(entries)));
+  });
+});
+
+describe('writeSarifReport', () => {
+  test('writes the file under the workspace and sets the output', () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'zai-sarif-'));
+    const previous = process.env.GITHUB_WORKSPACE;
+    process.env.GITHUB_WORKSPACE = workspace;
+    const core = { setOutput: vi.fn(), info: vi.fn() };
+
+    try {
+      const report = createSarifReport({ path: 'reports/zai.sarif' });
+      report.add([finding()], 'auto-review');
+
+      const written = writeSarifReport(report, core);
+
+      expect(written).toBe(path.join(workspace, 'reports', 'zai.sarif'));
+      expect(core.setOutput).toHaveBeenCalledWith('sarif_path', written);
+      expect(JSON.parse(fs.readFileSync(written, 'utf8')).runs[0].results).toHaveLength(1);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.GITHUB_WORKSPACE;
+      } else {
+        process.env.GITHUB_WORKSPACE = previous;
+      }
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
+  test('writes nothing when disabled or when no analysis ran', () => {
+    const core = { setOutput: vi.fn(), info: vi.fn() };
+
+    expect(writeSarifReport(createSarifReport(), core)).toBe(null);
+    expect(writeSarifReport(createSarifReport({ path: 'zai.sarif' }), core)).toBe(null);
+    expect(core.setOutput).not.toHaveBeenCalled();
+  });
+});
@@ -6,6 +6,7 @@ const {
   validateDefaults,
   validateAndNormalizeTask,
   validateAgentsConfig,
+  validateChangelogConfig,
   getTasksToRun,
   getTaskById,
   areScheduledTasksEnabled,
@@ -227,6 +228,30 @@ describe('validateAgentsConfig', () => {
   });
 });
 
+describe('validateChangelogConfig', () => {
+  test('accepts the optional output, range and PR fields', () => {
+    expect(() => validateChangelogConfig('t1', {})).not.toThrow();
+    expect(() => validateChangelogConfig('t1', {
+      output: 'pr', changelog_path: 'docs/CHANGELOG.md', from: 'v1.0.0', pr_title: 'docs: changelog',
+    })).not.toThrow();
+    expect(() => validateChangelogConfig('t1', { output: 'release', release_tag: 'v2.0.0' })).not.toThrow();
+  });
+
+  test('throws for unsupported output, non-string fields and releases without a tag', () => {
+    expect(() => validateChangelogConfig('t1', { output: 'comment' })).toThrow('invalid output');
+    expect(() => validateChangelogConfig('t1', { from: 1 })).toThrow('invalid from');
+    expect(() => validateChangelogConfig('t1', { output: 'release' })).toThrow('requires release_tag');
+  });
+
+  test('only applies to changelog tasks', () => {
+    const defaults = { branch: 'main', schedule: '0 0 * * 0', enabled: true };
+    expect(() => validateAndNormalizeTask({ id: 't1', command: 'changelog', config: { output: 'gist' } }, 0, defaults))
+      .toThrow('invalid output');
+    expect(() => validateAndNormalizeTask({ id: 't2', command: 'update-agents', config: { output: 'gist' } }, 0, defaults))
+      .not.toThrow();
+  });
+});
+
 describe('validateAndNormalizeConfig', () => {
   function baseConfig(overrides = {}) {
     return {
@@ -0,0 +1,186 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  STRUCTURED_OUTPUT_SCHEMA,
+  buildStructuredInstructions,
+  parseStructuredOutput,
+  validateStructuredOutput,
+  buildRepairPrompt,
+  requestStructuredOutput,
+  renderReviewMarkdown,
+  renderImpactMarkdown,
+} = require('../src/lib/structured-output');
+
+function answer(overrides = {}) {
+  return {
+    summary: 'Adds retries to the API client.',
+    findings: [{ path: 'src/api.js', line: 12, severity: 'critical', message: 'Retry loop never ends.', rule: 'infinite-loop' }],
+    risk: { level: 'high', reason: 'Unbounded retries can hang the action.' },
+    labels: ['risk: high', 'area: api'],
+    ...overrides,
+  };
+}
+
+describe('buildStructuredInstructions', () => {
+  test('embeds the schema and task-specific hints', () => {
+    const instructions = buildStructuredInstructions({ labels: '2-4 labels for the PR.' });
+    expect(instructions).toContain(JSON.stringify(STRUCTURED_OUTPUT_SCHEMA));
+    expect(instructions).toContain('- "labels": 2-4 labels for the PR.');
+    expect(buildStructuredInstructions()).toContain('- "labels": an empty array.');
+  });
+});
+
+describe('parseStructuredOutput', () => {
+  test('accepts bare JSON, fenced JSON and surrounding prose', () => {
+    expect(parseStructuredOutput('{"a": 1}').value).toEqual({ a: 1 });
+    expect(parseStructuredOutput('```json\n{"a": 1}\n```').value).toEqual({ a: 1 });
+    expect(parseStructuredOutput('Here it is: {"a": {"b": 2}} done').value).toEqual({ a: { b: 2 } });
+  });
+
+  test('reports missing or malformed JSON', () => {
+    expect(parseStructuredOutput('No JSON here').error).toBe('response does not contain a JSON object');
+    expect(parseStructuredOutput('{"a": }').error).toMatch(/^invalid JSON: /);
+  });
+});
+
+describe('validateStructuredOutput', () => {
+  test('normalizes a valid answer', () => {
+    const result = validateStructuredOutput(answer({ labels: [' risk: high ', 'risk: high'], risk: { level: 'HIGH', reason: 'x' } }));
+    expect(result.valid).toBe(true);
+    expect(result.value.findings).toEqual([
+      { path: 'src/api.js', line: 12, startLine: null, severity: 'critical', message: 'Retry loop never ends.', rule: 'infinite-loop' },
+    ]);
+    expect(result.value.labels).toEqual(['risk: high']);
+    expect(result.value.risk).toEqual({ level: 'high', reason: 'x' });
+  });
+
+  test('lists every schema violation', () => {
+    const result = validateStructuredOutput({
+      summary: ' ',
+      findings: [{ path: 'a.js', message: 'No line' }, 'oops'],
+      risk: { level: 'severe' },
+      labels: 'risk: high',
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'summary must be a non-empty string',
+      'findings[0].line must be a positive integer',
+      'findings[1] must be an object with "path" and "message"',
+      'risk.level must be one of: low, medium, high, critical',
+      'risk.reason must be a non-empty string',
+      'labels must be an array of strings',
+    ]);
+    expect(validateStructuredOutput([]).errors).toEqual(['root must be an object']);
+  });
+
+  test('rejects properties the schema does not allow', () => {
+    const result = validateStructuredOutput(answer({ rating: 'Good' }));
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['unexpected property "rating"']);
+  });
+
+  test('requires labels', () => {
+    const { labels, ...withoutLabels } = answer();
+    expect(validateStructuredOutput(withoutLabels).errors).toEqual(['labels must be an array of strings']);
+  });
+
+  test('rejects more labels than the schema allows', () => {
+    const result = validateStructuredOutput(answer({ labels: ['a', 'b', 'c', 'd', 'e', 'f'] }));
+    expect(result.errors).toEqual(['labels must have at most 5 items']);
+  });
+
+  test('rejects labels that are too long, empty or not strings', () => {
+    const result = validateStructuredOutput(answer({ labels: ['x'.repeat(51), ' ', 7, 'ok'] }));
+    expect(result.errors).toEqual([
+      'labels[0] must be at most 50 characters',
+      'labels[1] must be a non-empty string',
+      'labels[2] must be a non-empty string',
+    ]);
+  });
+
+  test('rejects a finding severity outside the enum', () => {
+    const result = validateStructuredOutput(answer({
+      findings: [{ path: 'src/api.js', line: 12, severity: 'blocker', message: 'Retry loop never ends.' }],
+    }));
+    expect(result.errors).toEqual(['findings[0].severity must be one of: critical, warning, suggestion']);
+    expect(validateStructuredOutput(answer({
+      findings: [{ path: 'src/api.js', line: 12, message: 'Retry loop never ends.' }],
+    })).errors).toEqual(['findings[0].severity must be one of: critical, warning, suggestion']);
+  });
+});
+
+describe('requestStructuredOutput', () => {
+  test('returns the validated answer without a repair call', async () => {
+    const callModel = vi.fn().mockResolvedValue(JSON.stringify(answer()));
+
+    const result = await requestStructuredOutput({ prompt: 'p', callModel });
+
+    expect(result).toMatchObject({ success: true, repaired: false, value: { summary: 'Adds retries to the API client.' } });
+    expect(callModel).toHaveBeenCalledTimes(1);
+  });
+
+  test('repairs an invalid answer once', async () => {
+    const logger = { warn: vi.fn() };
+    const callModel = vi.fn()
+      .mockResolvedValueOnce('{"summary": "x"}')
+      .mockResolvedValueOnce(JSON.stringify(answer()));
+
+    const result = await requestStructuredOutput({ prompt: 'p', callModel, logger });
+
+    expect(result).toMatchObject({ success: true, repaired: true });
+    expect(callModel.mock.calls[1][0]).toContain('<previous_answer>\n{"summary": "x"}\n</previous_answer>');
+    expect(callModel.mock.calls[1][0]).toContain('- findings must be an array');
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('asks for a repair when only the labels break the schema', async () => {
+    const callModel = vi.fn()
+      .mockResolvedValueOnce(JSON.stringify(answer({ labels: ['a', 'b', 'c', 'd', 'e', 'f'] })))
+      .mockResolvedValueOnce(JSON.stringify(answer()));
+
+    const result = await requestStructuredOutput({ prompt: 'p', callModel });
+
+    expect(result).toMatchObject({ success: true, repaired: true, value: { labels: ['risk: high', 'area: api'] } });
+    expect(callModel.mock.calls[1][0]).toContain('- labels must have at most 5 items');
+  });
+
+  test('gives up when the repaired answer is still invalid', async () => {
+    const callModel = vi.fn().mockResolvedValue('not json');
+
+    const result = await requestStructuredOutput({ prompt: 'p', callModel });
+
+    expect(result).toEqual({ success: false, error: 'Structured output is invalid after repair: response does not contain a JSON object' });
+    expect(callModel).toHaveBeenCalledTimes(2);
+  });
+
+  test('truncates long answers in the repair prompt', () => {
+    expect(buildRepairPrompt('x'.repeat(20000), ['bad'])).toContain('... [truncated]');
+  });
+});
+
+describe('rendering', () => {
+  test('renders the review layout with a rating derived from the risk', () => {
+    const { value } = validateStructuredOutput(answer({
+      findings: [
+        { path: 'src/api.js', line: 12, start_line: 10, severity: 'warning', message: 'Missing backoff.' },
+        { path: 'src/api.js', line: 30, severity: 'suggestion', message: 'Name the constant.' },
+      ],
+    }));
+
+    const markdown = renderReviewMarkdown(value);
+
+    expect(markdown).toContain('### 🔍 Review Summary\nAdds retries to the API client.');
+    expect(markdown).toContain('### 🚨 Critical Issues & Bugs\n* `src/api.js:10-12`: Missing backoff.');
+    expect(markdown).toContain('### 💡 Suggestions & Best Practices\n* `src/api.js:30`: Name the constant.');
+    expect(markdown).toContain('* **Rating:** **Very Bad**\n* **Reason:** Unbounded retries can hang the action.');
+  });
+
+  test('renders the impact layout', () => {
+    const { value } = validateStructuredOutput(answer({ findings: [], labels: [] }));
+
+    const markdown = renderImpactMarkdown(value);
+
+    expect(markdown).toContain('**Risk Level:** 🟠 High');
+    expect(markdown).toContain('**Critical Areas Touched:**\nNone detected.');
+    expect(markdown).toContain('**Suggested Labels:**\nNone');
+  });
+});
@@ -0,0 +1,129 @@
+import { test, describe, expect, vi } from 'vitest';
+const {
+  USAGE_FOOTER_MARKER,
+  createUsageTracker,
+  formatUsageFooter,
+  stripUsageFooter,
+  appendUsageFooter,
+  appendUsageFooterToComment,
+  setUsageOutputs,
+  writeUsageSummary,
+} = require('../src/lib/usage');
+
+const usage = (promptTokens, completionTokens) => ({ promptTokens, completionTokens, totalTokens: promptTokens + completionTokens });
+
+function createSummary() {
+  const summary = {
+    addHeading: vi.fn(() => summary),
+    addTable: vi.fn(() => summary),
+    addRaw: vi.fn(() => summary),
+    write: vi.fn(async () => summary),
+  };
+  return summary;
+}
+
+describe('createUsageTracker', () => {
+  test('aggregates calls overall and per label', () => {
+    const tracker = createUsageTracker();
+    tracker.record({ label: 'review', usage: usage(100, 20), durationMs: 1000 });
+    tracker.record({ label: 'review', usage: usage(50, 10), durationMs: 500 });
+    tracker.record({ label: 'ask', usage: null, durationMs: 200, success: false });
+
+    expect(tracker.getTotals()).toEqual({
+      calls: 3, promptTokens: 150, completionTokens: 30, totalTokens: 180, durationMs: 1700, unreportedCalls: 1,
+    });
+    expect(tracker.getTotals('review').calls).toBe(2);
+    expect(tracker.getTotalsByLabel().map(entry => [entry.label, entry.totalTokens])).toEqual([['review', 180], ['ask', 0]]);
+  });
+
+  test('reports the budget as exceeded once total tokens reach it', () => {
+    const tracker = createUsageTracker({ tokenBudget: 100 });
+    tracker.record({ usage: usage(60, 30) });
+    expect(tracker.isBudgetExceeded()).toBe(false);
+    tracker.record({ usage: usage(5, 5) });
+    expect(tracker.isBudgetExceeded()).toBe(true);
+  });
+
+  test('never exceeds without a budget', () => {
+    const tracker = createUsageTracker({ tokenBudget: 0 });
+    tracker.record({ usage: usage(1e6, 1e6) });
+    expect(tracker.isBudgetExceeded()).toBe(false);
+  });
+});
+
+describe('usage footer', () => {
+  test('formats tokens, calls and latency', () => {
+    const footer = formatUsageFooter({ calls: 2, promptTokens: 12345, completionTokens: 678, durationMs: 3400, unreportedCalls: 0 });
+    expect(footer).toBe(`<sub>12,345 prompt + 678 completion tokens · 2 calls · 3.4s</sub>\n${USAGE_FOOTER_MARKER}`);
+    expect(formatUsageFooter({ calls: 0 })).toBe('');
+    expect(formatUsageFooter({ calls: 1, durationMs: 0, unreportedCalls: 1 })).toContain('tokens not reported · 1 call ·');
+  });
+
+  test('goes before trailing hidden markers and replaces an older footer', () => {
+    const footer = formatUsageFooter({ calls: 1, promptTokens: 1, completionTokens: 2, durationMs: 100, unreportedCalls: 0 });
+    const body = appendUsageFooter('Review text\n\n<!-- zai-code-review -->\n<!-- zai-reviewed-sha: abc -->', footer);
+    expect(body).toBe(`Review text\n\n${footer}\n\n<!-- zai-code-review -->\n<!-- zai-reviewed-sha: abc -->`);
+
+    const newer = formatUsageFooter({ calls: 1, promptTokens: 5, completionTokens: 5, durationMs: 100, unreportedCalls: 0 });
+    const updated = appendUsageFooter(body, newer);
+    expect(updated).toContain('5 prompt');
+    expect(updated.match(/zai-usage/g)).toHaveLength(1);
+    expect(stripUsageFooter(updated)).toBe('Review text\n\n<!-- zai-code-review -->\n<!-- zai-reviewed-sha: abc -->');
+  });
+
+  test('appends the footer to a posted comment', async () => {
+    const octokit = {
+      rest: {
+        issues: {
+          getComment: vi.fn().mockResolvedValue({ data: { body: 'Answer\n\n<!-- zai-code-review -->' } }),
+          updateComment: vi.fn().mockResolvedValue({}),
+        },
+      },
+    };
+
+    const updated = await appendUsageFooterToComment(octokit, 'o', 'r', { id: 9, isReviewComment: false }, 'FOOTER');
+
+    expect(updated).toBe(true);
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({
+      comment_id: 9,
+      body: 'Answer\n\nFOOTER\n\n<!-- zai-code-review -->',
+    }));
+    expect(await appendUsageFooterToComment(octokit, 'o', 'r', null, 'FOOTER')).toBe(false);
+  });
+});
+
+describe('reporting', () => {
+  test('sets the usage outputs', () => {
+    const tracker = createUsageTracker();
+    tracker.record({ usage: usage(10, 5), durationMs: 42 });
+    const outputs = {};
+
+    setUsageOutputs(tracker, { setOutput: (name, value) => { outputs[name] = value; } });
+
+    expect(outputs).toEqual({
+      prompt_tokens: '10', completion_tokens: '5', total_tokens: '15', llm_calls: '1', llm_latency_ms: '42',
+    });
+  });
+
+  test('writes a per-label table to the job summary', async () => {
+    const tracker = createUsageTracker({ tokenBudget: 1000 });
+    tracker.record({ label: 'auto-review', usage: usage(300, 100), durationMs: 2000 });
+    tracker.record({ label: 'auto-review', usage: null, durationMs: 1000 });
+    const summary = createSummary();
+
+    await writeUsageSummary(tracker, { summary });
+
+    const rows = summary.addTable.mock.calls[0][0];
+    expect(rows[1]).toEqual(['auto-review', '2', '300', '100', '400', '3.0s']);
+    expect(rows.at(-1)[0]).toBe('Total');
+    expect(summary.addRaw).toHaveBeenCalledWith('1 call(s) did not report token usage.', true);
+    expect(summary.addRaw).toHaveBeenCalledWith('Token budget: 400 / 1,000.', true);
+    expect(summary.write).toHaveBeenCalled();
+  });
+
+  test('skips the summary when no model call was made', async () => {
+    const summary = createSummary();
+    await writeUsageSummary(createUsageTracker(), { summary });
+    expect(summary.write).not.toHaveBeenCalled();
+  });
+});